@@ -0,0 +1,508 @@
+import User from '../models/UserModel.js';
+import Club from '../models/ClubModel.js';
+import Event from '../models/EventModel.js';
+import Member from '../models/MemberModel.js';
+import ClubVerificationRequest from '../models/ClubVerificationRequestModel.js';
+import { revokeAllUserTokens } from '../utils/tokenService.js';
+import { unlockAccount } from '../utils/loginThrottleService.js';
+import { deleteClubCascade, deleteEventCascade } from '../utils/clubCleanup.js';
+import { createClubVerificationNotifications, getClubAdmins } from '../utils/notificationService.js';
+import { signVerificationDocuments } from '../utils/clubVerification.js';
+
+/**
+ * Platform admin API - every handler runs behind authMiddleware + requirePlatformAdmin
+ */
+
+function getPagination(query) {
+  const pageNum = Math.max(1, parseInt(query.page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+}
+
+function escapeRegex(value) {
+  return value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isValidId(id) {
+  return !!id && !!id.match(/^[0-9a-fA-F]{24}$/);
+}
+
+// Documents are private; reviewers get links that expire
+function formatVerificationRequest(request) {
+  return { ...request.toObject(), documents: signVerificationDocuments(request.documents) };
+}
+
+/**
+ * GET /api/admin/users - List and search users
+ * Query: search, role, suspended ('true'|'false'), page, limit
+ */
+export const listUsers = async (req, res) => {
+  try {
+    const { search = '', role, suspended } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    if (typeof search !== 'string') {
+      return res.status(400).json({ message: 'search must be a single string' });
+    }
+
+    const filter = {};
+    if (search.trim()) {
+      const searchRegex = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { email: searchRegex },
+        { username: searchRegex },
+        { firstName: searchRegex },
+        { lastName: searchRegex },
+      ];
+    }
+    if (role === 'user' || role === 'admin') {
+      filter.role = role;
+    }
+    if (suspended === 'true') {
+      filter['suspension.isSuspended'] = true;
+    } else if (suspended === 'false') {
+      filter['suspension.isSuspended'] = { $ne: true };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      User.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      users,
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * GET /api/admin/users/:userId - User details with club memberships
+ */
+export const getUserDetails = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidId(userId)) {
+    return res.status(400).json({ message: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const memberships = await Member.find({ user: userId }).populate('club', 'clubName');
+
+    res.status(200).json({
+      user,
+      memberships: memberships.map((m) => ({
+        club: m.club,
+        roles: m.roles,
+        joinedAt: m.joinedDate,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * POST /api/admin/users/:userId/suspend - Suspend an account and end its sessions
+ * Body: { reason }
+ */
+export const suspendUser = async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+
+  if (!isValidId(userId)) {
+    return res.status(400).json({ message: 'Invalid user ID' });
+  }
+
+  if (userId === req.user._id.toString()) {
+    return res.status(400).json({ message: 'You cannot suspend your own account' });
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.suspension?.isSuspended) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    user.suspension = {
+      isSuspended: true,
+      reason: reason ? String(reason).trim() : undefined,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id,
+    };
+    await user.save();
+
+    const sessionsRevoked = await revokeAllUserTokens(user._id, 'revoked');
+
+    res.status(200).json({
+      message: 'User suspended',
+      suspension: user.suspension,
+      sessionsRevoked,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * POST /api/admin/users/:userId/reinstate - Lift a suspension
+ */
+export const reinstateUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidId(userId)) {
+    return res.status(400).json({ message: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.suspension?.isSuspended) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    user.suspension = { isSuspended: false };
+    await user.save();
+
+    res.status(200).json({ message: 'User reinstated' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * POST /api/admin/users/:userId/force-logout - Revoke every session the user has
+ */
+export const forceLogoutUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidId(userId)) {
+    return res.status(400).json({ message: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessionsRevoked = await revokeAllUserTokens(user._id, 'revoked');
+
+    res.status(200).json({ message: 'User logged out everywhere', sessionsRevoked });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * POST /api/admin/users/:userId/unlock - Clear login lockout and backoff for an account
+ */
+export const unlockUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidId(userId)) {
+    return res.status(400).json({ message: 'Invalid user ID' });
+  }
+
+  try {
+    const user = await User.findById(userId).select('email');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wasLocked = await unlockAccount(user.email);
+
+    res.status(200).json({
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked',
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * GET /api/admin/clubs - List all clubs, including private ones
+ * Query: search, page, limit
+ */
+export const listClubs = async (req, res) => {
+  try {
+    const { search = '' } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    if (typeof search !== 'string') {
+      return res.status(400).json({ message: 'search must be a single string' });
+    }
+
+    const filter = {};
+    if (search.trim()) {
+      const searchRegex = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { clubName: searchRegex },
+        { location: searchRegex },
+        { description: searchRegex },
+      ];
+    }
+
+    const [clubs, total] = await Promise.all([
+      Club.find(filter)
+        .select('clubName description location isPrivate verified createdBy createdAt logoUrl members')
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Club.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      clubs: clubs.map(({ members, ...club }) => ({
+        ...club,
+        memberCount: members?.length || 0,
+      })),
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * DELETE /api/admin/clubs/:clubId - Remove an abusive club and everything attached to it
+ */
+export const removeClub = async (req, res) => {
+  const { clubId } = req.params;
+
+  if (!isValidId(clubId)) {
+    return res.status(400).json({ message: 'Invalid club ID' });
+  }
+
+  try {
+    const club = await Club.findById(clubId);
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
+    }
+
+    const deleted = await deleteClubCascade(club);
+
+    res.status(200).json({ message: 'Club removed', deleted });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * DELETE /api/admin/events/:eventId - Remove an abusive event
+ */
+export const removeEvent = async (req, res) => {
+  const { eventId } = req.params;
+
+  if (!isValidId(eventId)) {
+    return res.status(400).json({ message: 'Invalid event ID' });
+  }
+
+  try {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    await deleteEventCascade(event);
+
+    res.status(200).json({ message: 'Event removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * GET /api/admin/verification-requests - Club verification requests, oldest first
+ * Query: status ('pending' by default, 'approved', 'rejected', 'withdrawn' or 'all'), page, limit
+ */
+export const listVerificationRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const statuses = ['pending', 'approved', 'rejected', 'withdrawn'];
+    if (status !== 'all' && !statuses.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${statuses.join(', ')}, all` });
+    }
+
+    const filter = status === 'all' ? {} : { status };
+
+    const [requests, total] = await Promise.all([
+      ClubVerificationRequest.find(filter)
+        .populate('club', 'clubName location logoUrl verified createdBy createdAt')
+        .populate('requestedBy', 'username email')
+        .populate('reviewedBy', 'username email')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limitNum),
+      ClubVerificationRequest.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      requests: requests.map(formatVerificationRequest),
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+async function reviewVerificationRequest(req, res, approve) {
+  const { requestId } = req.params;
+
+  if (!isValidId(requestId)) {
+    return res.status(400).json({ message: 'Invalid request ID' });
+  }
+
+  const reviewNote = typeof req.body.reviewNote === 'string' ? req.body.reviewNote.trim() : '';
+  if (!approve && !reviewNote) {
+    return res.status(400).json({ message: 'A review note is required when rejecting' });
+  }
+  if (reviewNote.length > 1000) {
+    return res.status(400).json({ message: 'Review note must be at most 1000 characters' });
+  }
+
+  try {
+    const verificationRequest = await ClubVerificationRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      {
+        status: approve ? 'approved' : 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNote,
+      },
+      { new: true }
+    );
+    if (!verificationRequest) {
+      return res.status(404).json({ message: 'Pending verification request not found' });
+    }
+
+    const club = await Club.findById(verificationRequest.club);
+    if (club && approve) {
+      club.verified = true;
+      club.verifiedAt = verificationRequest.reviewedAt;
+      await club.save();
+    }
+
+    if (club) {
+      try {
+        await createClubVerificationNotifications(await getClubAdmins(club._id), club, verificationRequest);
+      } catch (notificationError) {
+        // Don't fail the request if notification fails
+        console.error('Failed to create club verification notifications:', notificationError);
+      }
+    }
+
+    res.status(200).json({
+      message: approve ? 'Club verified' : 'Verification request rejected',
+      request: formatVerificationRequest(verificationRequest),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+}
+
+/**
+ * POST /api/admin/verification-requests/:requestId/approve - Verify the club
+ * Body: { reviewNote? }
+ */
+export const approveVerificationRequest = (req, res) => reviewVerificationRequest(req, res, true);
+
+/**
+ * POST /api/admin/verification-requests/:requestId/reject - Turn the request down
+ * Body: { reviewNote } - required, shown to the club's admins
+ */
+export const rejectVerificationRequest = (req, res) => reviewVerificationRequest(req, res, false);
+
+/**
+ * DELETE /api/admin/clubs/:clubId/verification - Take a club's badge away
+ */
+export const revokeClubVerification = async (req, res) => {
+  const { clubId } = req.params;
+
+  if (!isValidId(clubId)) {
+    return res.status(400).json({ message: 'Invalid club ID' });
+  }
+
+  try {
+    const club = await Club.findByIdAndUpdate(
+      clubId,
+      { verified: false, verifiedAt: null },
+      { new: true }
+    );
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
+    }
+
+    res.status(200).json({ message: 'Club verification revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
+
+/**
+ * GET /api/admin/stats - Platform-wide counts
+ */
+export const getPlatformStats = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [
+      totalUsers,
+      suspendedUsers,
+      newUsers,
+      totalClubs,
+      privateClubs,
+      newClubs,
+      totalEvents,
+      upcomingEvents,
+      totalMemberships,
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ 'suspension.isSuspended': true }),
+      User.countDocuments({ createdAt: { $gte: since } }),
+      Club.countDocuments(),
+      Club.countDocuments({ isPrivate: true }),
+      Club.countDocuments({ createdAt: { $gte: since } }),
+      Event.countDocuments(),
+      Event.countDocuments({ startTime: { $gte: new Date() } }),
+      Member.countDocuments(),
+    ]);
+
+    res.status(200).json({
+      users: { total: totalUsers, suspended: suspendedUsers, newLast30Days: newUsers },
+      clubs: { total: totalClubs, private: privateClubs, newLast30Days: newClubs },
+      events: { total: totalEvents, upcoming: upcomingEvents },
+      memberships: { total: totalMemberships },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error?.message || error });
+  }
+};
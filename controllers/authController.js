@@ -1,55 +1,131 @@
 import User from '../models/UserModel.js';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
+import {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSessionTokens,
+} from '../utils/tokenService.js';
+import { sendVerificationEmail } from '../utils/emailVerificationService.js';
+import { createTwoFactorChallenge } from '../utils/twoFactorService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../utils/loginThrottleService.js';
+import { getPasswordPolicy } from '../utils/passwordPolicy.js';
 
-const createToken = (_id) =>
-  jwt.sign({
-      _id,
-    },
-    process.env.JWT_SECRET, // <-- Correct variable
-    {
-      expiresIn: '30d',
-    }
-  );
+// Compared against when the email is unknown so both paths take about as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('motoclub-dummy-password', 10);
 
 export const loginUser = async (req, res) => {
   const {
     email,
     password
   } = req.body;
-  console.log('rgdb email', email);
-  const user = await User.findOne({
-    email,
-  });
-  console.log('rgdb user : ', user);
 
-  if (!user) {
-    return res.status(400).json({
-      message: 'Invalid email or password',
+  try {
+    // Throttled attempts get the same response as a wrong password
+    const throttle = await checkLoginAllowed({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      return res.status(400).json({
+        message: 'Invalid email or password',
+      });
+    }
+
+    const user = await User.findOne({
+      email,
+    });
+
+    const isPasswordValid = await bcrypt.compare(
+      String(password || ''),
+      user?.hasUsablePassword() ? user.password : DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || !isPasswordValid) {
+      await recordLoginFailure({ email, ip: req.ip, user });
+      return res.status(400).json({
+        message: 'Invalid email or password',
+      });
+    }
+
+    if (user.suspension?.isSuspended) {
+      return res.status(403).json({
+        message: 'This account has been suspended',
+      });
+    }
+
+    // Accounts with 2FA finish logging in through /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        twoFactorToken: createTwoFactorChallenge(user._id),
+      });
+    }
+
+    // Only a finished login clears the counter - the 2FA step shares it
+    await recordLoginSuccess({ email });
+
+    req.session.userId = user._id;
+    const { token, refreshToken } = await issueAuthTokens(user._id, req);
+    const userObject = user.toObject();
+    delete userObject.password;
+
+    res.status(200).json({
+      message: 'Logged in successfully',
+      token,
+      refreshToken,
+      user: userObject,
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      message: 'Error logging in',
     });
   }
+};
 
-  const isPasswordValid = await bcrypt.compare(password, user.password);
+export const refreshAccessToken = async (req, res) => {
+  const { refreshToken } = req.body;
 
-  if (!isPasswordValid) {
+  if (!refreshToken) {
     return res.status(400).json({
-      message: 'Invalid email or password',
+      message: 'Refresh token is required',
     });
   }
 
-  req.session.userId = user._id;
-  const token = createToken(user._id);
-  const userObject = user.toObject();
-  delete userObject.password;
+  try {
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        message: result.error,
+      });
+    }
 
-  res.status(200).json({
-    message: 'Logged in successfully',
-    token,
-    user: userObject,
-  });
+    res.status(200).json({
+      message: 'Token refreshed',
+      token: result.tokens.token,
+      refreshToken: result.tokens.refreshToken,
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      message: 'Error refreshing token',
+    });
+  }
 };
 
-export const logout = (req, res) => {
+export const logout = async (req, res) => {
+  const accessToken = req.headers['authorization']?.split(' ')[1];
+  const refreshToken = req.body?.refreshToken;
+
+  try {
+    await revokeSessionTokens({ accessToken, refreshToken });
+  } catch (error) {
+    // Still clear the session - the client is discarding its tokens anyway
+    console.error('Error revoking tokens on logout:', error);
+  }
+
   req.session.destroy((err) => {
     if (err) {
       return res.status(500).send(err);
@@ -60,6 +136,13 @@ export const logout = (req, res) => {
   });
 };
 
+/**
+ * GET /api/auth/password-policy - Rules the client can show next to password fields
+ */
+export const getPasswordPolicyRules = (req, res) => {
+  res.status(200).json(getPasswordPolicy());
+};
+
 export const signupUser = async (req, res) => {
   const {
     email,
@@ -77,13 +160,21 @@ export const signupUser = async (req, res) => {
       firstName,
       lastName
     );
-   
-    const token = createToken(user._id);
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError);
+      // Don't fail signup - the user can request a new link
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user._id, req, { loginMethod: 'signup' });
     const userObject = user.toObject();
     delete userObject.password;
     res.status(200).send({
       email,
       token,
+      refreshToken,
       user: userObject,
     });
   } catch (error) {
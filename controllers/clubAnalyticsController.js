@@ -0,0 +1,58 @@
+import Club from '../models/ClubModel.js';
+import { can } from '../utils/clubPermissions.js';
+import { parseDateRange, buildClubAnalytics, analyticsToCSV } from '../utils/clubAnalytics.js';
+
+export {
+  getClubAnalytics,
+};
+
+/**
+ * GET /api/club/:clubId/analytics - Club health report (requires analytics.view)
+ * Query: from, to (ISO dates, default the last 12 months), format=csv to download
+ */
+async function getClubAnalytics(req, res) {
+  try {
+    const { clubId } = req.params;
+    if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid club ID format' });
+    }
+
+    const club = await Club.findById(clubId);
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
+    }
+
+    const permissionCheck = await can(req.user._id, club, 'analytics.view');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const report = await buildClubAnalytics(club, range);
+
+    if (req.query.format === 'csv') {
+      const fileDate = (date) => date.toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="club-analytics-${clubId}-${fileDate(range.from)}-${fileDate(range.to)}.csv"`
+      );
+      return res.send(analyticsToCSV(report));
+    }
+
+    return res.status(200).json({
+      message: 'Club analytics retrieved successfully',
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error getting club analytics:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
@@ -0,0 +1,75 @@
+import Club from '../models/ClubModel.js';
+import ClubAuditEntry from '../models/ClubAuditEntryModel.js';
+import { can } from '../utils/clubPermissions.js';
+import { buildAuditLogFilter } from '../utils/clubAudit.js';
+
+export {
+  getClubAuditLog,
+};
+
+/**
+ * GET /api/club/:clubId/audit - Admin actions, newest first (requires audit.view)
+ * Query: action, actor, targetType, targetId, targetUser, from, to, page, limit (max 100)
+ */
+async function getClubAuditLog(req, res) {
+  try {
+    const { clubId } = req.params;
+    if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid club ID format' });
+    }
+
+    const club = await Club.findById(clubId);
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
+    }
+
+    const permissionCheck = await can(req.user._id, club, 'audit.view');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const { filter, errors } = buildAuditLogFilter(club._id, req.query);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation errors in query parameters', errors });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const [total, entries] = await Promise.all([
+      ClubAuditEntry.countDocuments(filter),
+      ClubAuditEntry.find(filter)
+        .populate('actor', 'username firstName lastName profilePhoto')
+        .populate('targetUser', 'username firstName lastName profilePhoto')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.status(200).json({
+      entries: entries.map((entry) => ({
+        _id: entry._id,
+        action: entry.action,
+        actor: entry.actor,
+        target: {
+          type: entry.targetType,
+          _id: entry.targetId,
+          label: entry.targetLabel,
+          user: entry.targetUser,
+        },
+        changes: entry.changes,
+        data: entry.data,
+        createdAt: entry.createdAt,
+      })),
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error getting club audit log:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
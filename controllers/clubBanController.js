@@ -0,0 +1,246 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import User from '../models/UserModel.js';
+import ClubBan from '../models/ClubBanModel.js';
+import { can, getAdminRemovalError } from '../utils/clubPermissions.js';
+import { activeBanQuery } from '../utils/clubBans.js';
+import { recordMembershipEvent } from '../utils/membershipHistory.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
+
+export {
+  getClubBans,
+  banUser,
+  liftBan,
+};
+
+const USER_FIELDS = 'username firstName lastName profilePhoto';
+
+async function loadClub(clubId, res) {
+  if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid club ID format' });
+    return null;
+  }
+  const club = await Club.findById(clubId);
+  if (!club) {
+    res.status(404).json({ message: 'Club not found' });
+    return null;
+  }
+  return club;
+}
+
+function formatBan(ban) {
+  return {
+    _id: ban._id,
+    user: ban.user,
+    reason: ban.reason,
+    expiresAt: ban.expiresAt,
+    bannedBy: ban.bannedBy,
+    liftedAt: ban.liftedAt,
+    liftedBy: ban.liftedBy,
+    status: ban.getStatus(),
+    createdAt: ban.createdAt,
+    updatedAt: ban.updatedAt,
+  };
+}
+
+/**
+ * GET /api/club/:clubId/bans - List bans (requires members.remove)
+ * Query: status=active (default) or status=all to include expired and lifted bans
+ */
+async function getClubBans(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'members.remove');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const { status = 'active' } = req.query;
+    if (!['active', 'all'].includes(status)) {
+      return res.status(400).json({ message: "status must be 'active' or 'all'" });
+    }
+
+    const filter = status === 'active' ? { club: club._id, ...activeBanQuery() } : { club: club._id };
+    const bans = await ClubBan.find(filter)
+      .populate('user', USER_FIELDS)
+      .populate('bannedBy', USER_FIELDS)
+      .populate('liftedBy', USER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      message: 'Bans retrieved successfully',
+      bans: bans.map(formatBan),
+    });
+  } catch (error) {
+    console.error('Error getting club bans:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/bans - Ban a user (requires members.remove)
+ * Body: { userId, reason?, expiresAt? } - no expiresAt means a permanent ban.
+ * Members are removed from the club and pending join requests are dropped;
+ * banning someone who is already banned updates the existing ban.
+ */
+async function banUser(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const actorId = req.user._id;
+    const permissionCheck = await can(actorId, club, 'members.remove');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const { userId, reason = '' } = req.body;
+    const errors = [];
+
+    if (!userId || !String(userId).match(/^[0-9a-fA-F]{24}$/)) {
+      errors.push({ field: 'userId', message: 'A valid userId is required' });
+    } else if (String(userId) === actorId.toString()) {
+      errors.push({ field: 'userId', message: "You can't ban yourself" });
+    }
+
+    if (typeof reason !== 'string' || reason.trim().length > 500) {
+      errors.push({ field: 'reason', message: 'Reason must be text of at most 500 characters' });
+    }
+
+    let expiresAt = null;
+    if (req.body.expiresAt !== undefined && req.body.expiresAt !== null && req.body.expiresAt !== '') {
+      expiresAt = new Date(req.body.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        errors.push({ field: 'expiresAt', message: 'Expiry must be a date in the future' });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation errors', errors });
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const member = await Member.findOne({ club: club._id, user: userId });
+    if (member) {
+      const banError = await getAdminRemovalError(club, member, 'ban');
+      if (banError) {
+        return res.status(400).json({ message: banError });
+      }
+      if (member.roles.includes('admin') && !permissionCheck.member.roles.includes('admin')) {
+        return res.status(403).json({ message: 'Only admins can ban another admin' });
+      }
+    }
+
+    // An expired ban that was never lifted is reused rather than left alongside a new one
+    const ban = await ClubBan.findOneAndUpdate(
+      { club: club._id, user: userId, liftedAt: null },
+      { reason: reason.trim(), expiresAt, bannedBy: actorId },
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    if (member) {
+      club.members = club.members.filter((memId) => memId.toString() !== member._id.toString());
+      await Member.deleteOne({ _id: member._id });
+    }
+
+    const pendingRequests = await JoinRequest.find({ club: club._id, user: userId }).select('_id');
+    if (pendingRequests.length > 0) {
+      const pendingIds = pendingRequests.map((r) => r._id.toString());
+      await JoinRequest.deleteMany({ _id: { $in: pendingIds } });
+      club.joinRequests = club.joinRequests.filter((reqId) => !pendingIds.includes(reqId.toString()));
+    }
+    await club.save();
+
+    await recordMembershipEvent({
+      club,
+      user: userId,
+      actor: actorId,
+      type: 'banned',
+      data: {
+        reason: ban.reason,
+        expiresAt: ban.expiresAt,
+        roles: member ? member.roles : undefined,
+      },
+    });
+
+    await ban.populate([
+      { path: 'user', select: USER_FIELDS },
+      { path: 'bannedBy', select: USER_FIELDS },
+    ]);
+
+    return res.status(201).json({
+      message: member ? 'Member removed and banned' : 'User banned',
+      ban: formatBan(ban),
+    });
+  } catch (error) {
+    console.error('Error banning user:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId/bans/:userId - Lift a user's ban (requires members.remove)
+ * The user can join again straight away; the ban stays in the list with status=all.
+ */
+async function liftBan(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const { userId } = req.params;
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const actorId = req.user._id;
+    const permissionCheck = await can(actorId, club, 'members.remove');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const ban = await ClubBan.findOneAndUpdate(
+      { club: club._id, user: userId, ...activeBanQuery() },
+      { liftedAt: new Date(), liftedBy: actorId },
+      { new: true }
+    );
+    if (!ban) {
+      return res.status(404).json({ message: 'This user is not banned from the club' });
+    }
+
+    await recordMembershipEvent({
+      club,
+      user: userId,
+      actor: actorId,
+      type: 'unbanned',
+      data: { banId: ban._id },
+    });
+
+    return res.status(200).json({
+      message: 'Ban lifted',
+      ban: formatBan(ban),
+    });
+  } catch (error) {
+    console.error('Error lifting ban:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
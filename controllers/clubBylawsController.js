@@ -0,0 +1,330 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import ClubBylaws from '../models/ClubBylawsModel.js';
+import { can } from '../utils/clubPermissions.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
+import { getActiveBan, banErrorBody } from '../utils/clubBans.js';
+import { getCurrentBylaws, getLatestAcceptance, formatBylawsStatus } from '../utils/clubBylaws.js';
+import { createBylawsPublishedNotifications } from '../utils/notificationService.js';
+
+export {
+  getBylaws,
+  getBylawsVersions,
+  publishBylaws,
+  acceptBylaws,
+  getBylawsAcceptance,
+};
+
+async function loadClub(clubId, res) {
+  if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid club ID format' });
+    return null;
+  }
+  const club = await Club.findById(clubId);
+  if (!club) {
+    res.status(404).json({ message: 'Club not found' });
+    return null;
+  }
+  return club;
+}
+
+function formatBylaws(bylaws, { withContent = true } = {}) {
+  return {
+    _id: bylaws._id,
+    version: bylaws.version,
+    title: bylaws.title,
+    ...(withContent && { content: bylaws.content }),
+    changeNote: bylaws.changeNote,
+    publishedBy: bylaws.publishedBy,
+    publishedAt: bylaws.createdAt,
+  };
+}
+
+/**
+ * GET /api/club/:clubId/bylaws - Current bylaws, or ?version=N
+ * Open to anyone signed in so people can read them before joining.
+ */
+async function getBylaws(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const userId = req.user._id;
+    const ban = await getActiveBan(club, userId);
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
+    const current = await getCurrentBylaws(club._id);
+    let bylaws = current;
+    if (req.query.version !== undefined) {
+      const version = Number(req.query.version);
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({ message: 'version must be a positive whole number' });
+      }
+      bylaws = await ClubBylaws.findOne({ club: club._id, version });
+    }
+    if (!bylaws) {
+      return res.status(404).json({ message: current ? 'Bylaws version not found' : 'This club has no bylaws' });
+    }
+    await bylaws.populate('publishedBy', 'username firstName lastName');
+
+    // Where the caller stands on the current version
+    const [member, joinRequest] = await Promise.all([
+      Member.findOne({ club: club._id, user: userId }),
+      JoinRequest.findOne({ club: club._id, user: userId, status: 'pending' }),
+    ]);
+    const acceptedVersion = member
+      ? getLatestAcceptance(member)?.version
+      : joinRequest?.bylawsAccepted?.version;
+
+    return res.status(200).json({
+      bylaws: formatBylaws(bylaws),
+      isCurrent: bylaws.version === current.version,
+      status: formatBylawsStatus(current, acceptedVersion),
+    });
+  } catch (error) {
+    console.error('Error getting club bylaws:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * GET /api/club/:clubId/bylaws/versions - Every published version, newest first (without content)
+ */
+async function getBylawsVersions(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const ban = await getActiveBan(club, req.user._id);
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
+    const versions = await ClubBylaws.find({ club: club._id })
+      .select('-content')
+      .populate('publishedBy', 'username firstName lastName')
+      .sort({ version: -1 });
+
+    return res.status(200).json({
+      versions: versions.map((bylaws) => formatBylaws(bylaws, { withContent: false })),
+    });
+  } catch (error) {
+    console.error('Error getting bylaws versions:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/bylaws - Publish a new version (requires bylaws.manage)
+ * Body: title, content, changeNote?
+ * Members and pending applicants are notified to accept it.
+ */
+async function publishBylaws(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const userId = req.user._id;
+    const permissionCheck = await can(userId, club, 'bylaws.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const { title, content, changeNote = '' } = req.body;
+    const errors = [];
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > 200) {
+      errors.push({ field: 'title', message: 'Title is required and must be at most 200 characters' });
+    }
+    if (typeof content !== 'string' || !content.trim() || content.trim().length > 20000) {
+      errors.push({ field: 'content', message: 'Content is required and must be at most 20000 characters' });
+    }
+    if (typeof changeNote !== 'string' || changeNote.trim().length > 500) {
+      errors.push({ field: 'changeNote', message: 'Change note must be text of at most 500 characters' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation errors', errors });
+    }
+
+    const previous = await getCurrentBylaws(club._id);
+    let bylaws;
+    try {
+      bylaws = await ClubBylaws.create({
+        club: club._id,
+        version: (previous?.version || 0) + 1,
+        title: title.trim(),
+        content: content.trim(),
+        changeNote: changeNote.trim(),
+        publishedBy: userId,
+      });
+    } catch (error) {
+      // Someone else took this version number first
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'New bylaws were just published. Reload and try again.' });
+      }
+      throw error;
+    }
+
+    // Publishing counts as accepting
+    await Member.updateOne(
+      { club: club._id, user: userId },
+      { $push: { bylawsAcceptances: { version: bylaws.version, acceptedAt: new Date() } } }
+    );
+
+    try {
+      const [members, applicants] = await Promise.all([
+        Member.find({ club: club._id, user: { $ne: userId } }).select('user'),
+        JoinRequest.find({ club: club._id, status: 'pending' }).select('user'),
+      ]);
+      const recipients = [...members, ...applicants].map((doc) => doc.user);
+      if (recipients.length > 0) {
+        await createBylawsPublishedNotifications(recipients, club, bylaws);
+      }
+    } catch (notificationError) {
+      console.error('Failed to create bylaws notifications:', notificationError);
+      // Don't fail the request if notification fails
+    }
+
+    return res.status(201).json({
+      message: `Bylaws version ${bylaws.version} published`,
+      bylaws: formatBylaws(bylaws),
+    });
+  } catch (error) {
+    console.error('Error publishing bylaws:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/bylaws/accept - Accept the current version
+ * Body: version (must be the current one)
+ * For members and people with a pending join request.
+ */
+async function acceptBylaws(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    if (rejectIfArchived(club, res)) return;
+
+    const userId = req.user._id;
+    const bylaws = await getCurrentBylaws(club._id);
+    if (!bylaws) {
+      return res.status(404).json({ message: 'This club has no bylaws' });
+    }
+    if (Number(req.body.version) !== bylaws.version) {
+      return res.status(400).json({
+        message: `Only the current bylaws (version ${bylaws.version}) can be accepted`,
+        currentVersion: bylaws.version,
+      });
+    }
+
+    const acceptance = { version: bylaws.version, acceptedAt: new Date() };
+    const member = await Member.findOne({ club: club._id, user: userId });
+    if (member) {
+      if (getLatestAcceptance(member)?.version !== bylaws.version) {
+        member.bylawsAcceptances.push(acceptance);
+        await member.save();
+      }
+      return res.status(200).json({
+        message: 'Bylaws accepted',
+        status: formatBylawsStatus(bylaws, bylaws.version),
+      });
+    }
+
+    // Applicants accept revisions published while their request waits
+    const joinRequest = await JoinRequest.findOneAndUpdate(
+      { club: club._id, user: userId, status: 'pending' },
+      { bylawsAccepted: acceptance },
+      { new: true }
+    );
+    if (!joinRequest) {
+      return res.status(403).json({ message: 'Only members and applicants can accept the club\'s bylaws' });
+    }
+
+    return res.status(200).json({
+      message: 'Bylaws accepted',
+      status: formatBylawsStatus(bylaws, bylaws.version),
+    });
+  } catch (error) {
+    console.error('Error accepting bylaws:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * GET /api/club/:clubId/bylaws/acceptance - Members who haven't accepted the current version (requires bylaws.manage)
+ * Query: page, limit (max 100)
+ */
+async function getBylawsAcceptance(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'bylaws.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const bylaws = await getCurrentBylaws(club._id);
+    if (!bylaws) {
+      return res.status(404).json({ message: 'This club has no bylaws' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const notAccepted = { club: club._id, 'bylawsAcceptances.version': { $ne: bylaws.version } };
+
+    const [totalMembers, pendingCount, members] = await Promise.all([
+      Member.countDocuments({ club: club._id }),
+      Member.countDocuments(notAccepted),
+      Member.find(notAccepted)
+        .populate('user', 'username firstName lastName profilePhoto')
+        .sort({ joinedDate: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.status(200).json({
+      bylaws: formatBylaws(bylaws, { withContent: false }),
+      totalMembers,
+      acceptedCount: totalMembers - pendingCount,
+      pendingCount,
+      pending: members.map((member) => {
+        const latest = getLatestAcceptance(member);
+        return {
+          memberId: member._id,
+          user: member.user,
+          roles: member.roles,
+          joinedAt: member.joinedDate,
+          lastAcceptedVersion: latest?.version ?? null,
+          lastAcceptedAt: latest?.acceptedAt ?? null,
+        };
+      }),
+      page,
+      totalPages: Math.ceil(pendingCount / limit),
+    });
+  } catch (error) {
+    console.error('Error getting bylaws acceptance:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
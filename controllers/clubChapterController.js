@@ -0,0 +1,444 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import { can, getAdminRemovalError } from '../utils/clubPermissions.js';
+import { meetsClubTwoFactorPolicy } from '../utils/twoFactorService.js';
+import { NOT_ARCHIVED, rejectIfArchived } from '../utils/clubCleanup.js';
+import { recordMembershipEvent } from '../utils/membershipHistory.js';
+import {
+  MAX_HIERARCHY_DEPTH,
+  getAncestorIds,
+  getHierarchyHeight,
+  checkNationalAdmin,
+  validateChapterNumber,
+  isChapterNumberAvailable,
+  getNextChapterNumber,
+} from '../utils/clubHierarchy.js';
+
+export {
+  getChapters,
+  addChapter,
+  updateChapter,
+  removeChapter,
+  addChapterAdmin,
+  removeChapterAdmin,
+};
+
+const USER_FIELDS = 'username firstName lastName profilePhoto';
+
+async function loadClub(clubId, res) {
+  if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid club ID format' });
+    return null;
+  }
+  const club = await Club.findById(clubId);
+  if (!club) {
+    res.status(404).json({ message: 'Club not found' });
+    return null;
+  }
+  return club;
+}
+
+/**
+ * Load a chapter that sits anywhere below the parent club in the URL
+ * @param {Object} parent - Club document
+ * @param {String} chapterId - Club ID
+ * @param {Object} res - Express response (error responses are sent here)
+ * @param {Boolean} directOnly - Only accept chapters directly under parent
+ * @returns {Object|null} Club document
+ */
+async function loadChapter(parent, chapterId, res, directOnly = false) {
+  const chapter = await loadClub(chapterId, res);
+  if (!chapter) return null;
+
+  const ancestorIds = directOnly ? [chapter.parentClub] : await getAncestorIds(chapter);
+  if (!ancestorIds.some((id) => id && id.toString() === parent._id.toString())) {
+    res.status(404).json({ message: 'Chapter not found under this club' });
+    return null;
+  }
+  return chapter;
+}
+
+// Admins of a club, checked against its permissions and two-factor policy
+async function checkClubAdmin(userId, club) {
+  const permissionCheck = await can(userId, club, 'club.edit');
+  if (!permissionCheck.allowed) {
+    return permissionCheck;
+  }
+  if (!permissionCheck.member.roles.includes('admin')) {
+    return { allowed: false, error: 'Only club admins can do this' };
+  }
+  return permissionCheck;
+}
+
+function compareChapterNumbers(a, b) {
+  return String(a.chapterNumber ?? '').localeCompare(String(b.chapterNumber ?? ''), undefined, {
+    numeric: true,
+  });
+}
+
+/**
+ * GET /api/club/:clubId/chapters - The club's parent and its direct chapters
+ */
+async function getChapters(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const [parent, chapters] = await Promise.all([
+      club.parentClub ? Club.findById(club.parentClub).select('clubName logoUrl chapterNumber') : null,
+      Club.find({ parentClub: club._id, ...NOT_ARCHIVED }).select(
+        'clubName description location logoUrl isPrivate chapterNumber members'
+      ),
+    ]);
+
+    const formattedChapters = chapters.sort(compareChapterNumbers).map((chapter) => ({
+      _id: chapter._id,
+      clubName: chapter.clubName,
+      description: chapter.description,
+      location: chapter.location || '',
+      logoUrl: chapter.logoUrl,
+      isPrivate: chapter.isPrivate,
+      chapterNumber: chapter.chapterNumber,
+      memberCount: chapter.members?.length || 0,
+    }));
+
+    return res.status(200).json({
+      message: 'Chapters retrieved successfully',
+      parentClub: parent,
+      chapterNumber: club.chapterNumber,
+      chapters: formattedChapters,
+    });
+  } catch (error) {
+    console.error('Error getting chapters:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/chapters - Make an existing club a chapter of this one
+ * Body: { chapterId, chapterNumber? } - the caller must be an admin of both clubs.
+ * Without chapterNumber the next free number is used.
+ */
+async function addChapter(req, res) {
+  try {
+    const parent = await loadClub(req.params.clubId, res);
+    if (!parent) return;
+
+    const userId = req.user._id;
+    const parentCheck = await checkClubAdmin(userId, parent);
+    if (!parentCheck.allowed) {
+      return res.status(403).json({ message: parentCheck.error });
+    }
+
+    const { chapterId, chapterNumber } = req.body;
+    if (!chapterId || !String(chapterId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'A valid chapterId is required' });
+    }
+
+    const chapter = await Club.findById(chapterId);
+    if (!chapter) {
+      return res.status(404).json({ message: 'Chapter club not found' });
+    }
+
+    // The chapter's own admins have to agree to joining the organization
+    const chapterCheck = await checkClubAdmin(userId, chapter);
+    if (!chapterCheck.allowed) {
+      return res.status(403).json({ message: 'You must be an admin of the chapter club to link it' });
+    }
+
+    if (rejectIfArchived(parent, res) || rejectIfArchived(chapter, res)) return;
+
+    if (chapter.parentClub) {
+      return res.status(400).json({
+        message: chapter.parentClub.toString() === parent._id.toString()
+          ? 'This club is already a chapter of this club'
+          : 'This club is already a chapter of another club',
+      });
+    }
+
+    const parentAncestors = await getAncestorIds(parent);
+    if (
+      chapter._id.toString() === parent._id.toString() ||
+      parentAncestors.some((id) => id.toString() === chapter._id.toString())
+    ) {
+      return res.status(400).json({ message: 'A club cannot be a chapter of itself or of its own chapters' });
+    }
+
+    const levels = parentAncestors.length + 2 + (await getHierarchyHeight(chapter._id));
+    if (levels > MAX_HIERARCHY_DEPTH) {
+      return res.status(400).json({
+        message: `Organizations can be at most ${MAX_HIERARCHY_DEPTH} levels deep`,
+      });
+    }
+
+    let number;
+    if (chapterNumber !== undefined && chapterNumber !== null && chapterNumber !== '') {
+      const numberError = validateChapterNumber(chapterNumber);
+      if (numberError) {
+        return res.status(400).json({
+          message: 'Validation errors',
+          errors: [{ field: 'chapterNumber', message: numberError }],
+        });
+      }
+      number = String(chapterNumber).trim();
+      if (!(await isChapterNumberAvailable(parent._id, number))) {
+        return res.status(400).json({
+          message: 'Validation errors',
+          errors: [{ field: 'chapterNumber', message: 'This chapter number is already taken' }],
+        });
+      }
+    } else {
+      number = await getNextChapterNumber(parent._id);
+    }
+
+    chapter.parentClub = parent._id;
+    chapter.chapterNumber = number;
+    await chapter.save();
+
+    return res.status(201).json({
+      message: 'Chapter added successfully',
+      chapter: {
+        _id: chapter._id,
+        clubName: chapter.clubName,
+        parentClub: chapter.parentClub,
+        chapterNumber: chapter.chapterNumber,
+      },
+    });
+  } catch (error) {
+    console.error('Error adding chapter:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * PUT /api/club/:clubId/chapters/:chapterId - Renumber a direct chapter (national admins)
+ * Body: { chapterNumber }
+ */
+async function updateChapter(req, res) {
+  try {
+    const parent = await loadClub(req.params.clubId, res);
+    if (!parent) return;
+
+    const chapter = await loadChapter(parent, req.params.chapterId, res, true);
+    if (!chapter) return;
+
+    const nationalCheck = await checkNationalAdmin(req.user._id, chapter);
+    if (!nationalCheck.allowed) {
+      return res.status(403).json({ message: nationalCheck.error });
+    }
+
+    if (rejectIfArchived(chapter, res)) return;
+
+    const { chapterNumber } = req.body;
+    const numberError = validateChapterNumber(chapterNumber);
+    if (numberError) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: [{ field: 'chapterNumber', message: numberError }],
+      });
+    }
+
+    const number = String(chapterNumber).trim();
+    if (!(await isChapterNumberAvailable(parent._id, number, chapter._id))) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: [{ field: 'chapterNumber', message: 'This chapter number is already taken' }],
+      });
+    }
+
+    chapter.chapterNumber = number;
+    await chapter.save();
+
+    return res.status(200).json({
+      message: 'Chapter updated successfully',
+      chapter: {
+        _id: chapter._id,
+        clubName: chapter.clubName,
+        parentClub: chapter.parentClub,
+        chapterNumber: chapter.chapterNumber,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating chapter:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId/chapters/:chapterId - Unlink a direct chapter
+ * National admins can drop a chapter and the chapter's own admins can leave the organization.
+ */
+async function removeChapter(req, res) {
+  try {
+    const parent = await loadClub(req.params.clubId, res);
+    if (!parent) return;
+
+    const chapter = await loadChapter(parent, req.params.chapterId, res, true);
+    if (!chapter) return;
+
+    const userId = req.user._id;
+    const nationalCheck = await checkNationalAdmin(userId, chapter);
+    if (!nationalCheck.allowed) {
+      const chapterCheck = await checkClubAdmin(userId, chapter);
+      if (!chapterCheck.allowed) {
+        return res.status(403).json({
+          message: 'Only admins of the parent club or of the chapter can unlink it',
+        });
+      }
+    }
+
+    chapter.parentClub = null;
+    chapter.chapterNumber = undefined;
+    await chapter.save();
+
+    return res.status(200).json({ message: 'Chapter unlinked successfully' });
+  } catch (error) {
+    console.error('Error removing chapter:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+function formatChapterAdmin(member) {
+  return {
+    _id: member._id,
+    user: member.user,
+    club: member.club,
+    roles: member.roles,
+    joinedAt: member.joinedDate,
+  };
+}
+
+/**
+ * POST /api/club/:clubId/chapters/:chapterId/admins - Make a chapter member an admin (national admins)
+ * Body: { userId } - works for chapters at any depth below :clubId
+ */
+async function addChapterAdmin(req, res) {
+  try {
+    const parent = await loadClub(req.params.clubId, res);
+    if (!parent) return;
+
+    const chapter = await loadChapter(parent, req.params.chapterId, res);
+    if (!chapter) return;
+
+    const actorId = req.user._id;
+    const nationalCheck = await checkNationalAdmin(actorId, chapter);
+    if (!nationalCheck.allowed) {
+      return res.status(403).json({ message: nationalCheck.error });
+    }
+
+    if (rejectIfArchived(chapter, res)) return;
+
+    const { userId } = req.body;
+    if (!userId || !String(userId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'A valid userId is required' });
+    }
+
+    const member = await Member.findOne({ club: chapter._id, user: userId }).populate('user', USER_FIELDS);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found in this chapter' });
+    }
+
+    if (member.roles.includes('admin')) {
+      return res.status(400).json({ message: 'Member is already an admin' });
+    }
+
+    if (chapter.requireAdminTwoFactor && !(await meetsClubTwoFactorPolicy(chapter._id, member.user._id))) {
+      return res.status(400).json({
+        message: 'Member must enable two-factor authentication before becoming an admin of this club',
+      });
+    }
+
+    member.roles.push('admin');
+    await member.save();
+
+    await recordMembershipEvent({
+      club: chapter,
+      user: member.user._id,
+      actor: actorId,
+      type: 'role_changed',
+      data: { added: ['admin'], removed: [], by: 'national_admin' },
+    });
+
+    return res.status(200).json({
+      message: 'Chapter admin added successfully',
+      member: formatChapterAdmin(member),
+    });
+  } catch (error) {
+    console.error('Error adding chapter admin:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId/chapters/:chapterId/admins/:userId - Take the admin role away (national admins)
+ * The chapter keeps its owner and at least one admin.
+ */
+async function removeChapterAdmin(req, res) {
+  try {
+    const parent = await loadClub(req.params.clubId, res);
+    if (!parent) return;
+
+    const chapter = await loadChapter(parent, req.params.chapterId, res);
+    if (!chapter) return;
+
+    const { userId } = req.params;
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const actorId = req.user._id;
+    const nationalCheck = await checkNationalAdmin(actorId, chapter);
+    if (!nationalCheck.allowed) {
+      return res.status(403).json({ message: nationalCheck.error });
+    }
+
+    if (rejectIfArchived(chapter, res)) return;
+
+    const member = await Member.findOne({ club: chapter._id, user: userId }).populate('user', USER_FIELDS);
+    if (!member || !member.roles.includes('admin')) {
+      return res.status(404).json({ message: 'Admin not found in this chapter' });
+    }
+
+    const demotionError = await getAdminRemovalError(chapter, member, 'demote');
+    if (demotionError) {
+      return res.status(400).json({ message: demotionError });
+    }
+
+    member.roles = member.roles.filter((role) => role !== 'admin');
+    await member.save();
+
+    await recordMembershipEvent({
+      club: chapter,
+      user: member.user._id,
+      actor: actorId,
+      type: 'role_changed',
+      data: { added: [], removed: ['admin'], by: 'national_admin' },
+    });
+
+    return res.status(200).json({
+      message: 'Chapter admin removed successfully',
+      member: formatChapterAdmin(member),
+    });
+  } catch (error) {
+    console.error('Error removing chapter admin:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
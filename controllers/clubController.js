@@ -9,14 +9,52 @@ import {
   createRequestApprovedNotification,
   createRequestRejectedNotification,
   createNewMemberNotification,
-  getClubAdmins,
 } from '../utils/notificationService.js';
 import {
-  buildNearQuery,
+  toGeoJSONPoint,
+  buildDistanceExpression,
   calculateDistance,
   isValidCoordinates,
   kmToMeters
 } from '../utils/geospatialUtils.js';
+import { meetsClubTwoFactorPolicy } from '../utils/twoFactorService.js';
+import {
+  can,
+  getEffectivePermissions,
+  getMemberPermissions,
+  getUsersWithPermission,
+  isClubOwner,
+  getAdminRemovalError,
+} from '../utils/clubPermissions.js';
+import { NOT_ARCHIVED, rejectIfArchived } from '../utils/clubCleanup.js';
+import {
+  parseClubTaxonomy,
+  buildTaxonomyFilter,
+  formatClubTaxonomy,
+} from '../utils/clubTaxonomy.js';
+import {
+  parseClubSearchQuery,
+  buildClubSearchPipeline,
+  formatSearchResult,
+} from '../utils/clubSearch.js';
+import { parseQuestions, validateAnswers } from '../utils/joinQuestionnaire.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import { getActiveBan, banErrorBody } from '../utils/clubBans.js';
+import { getChapterIds, checkNationalAdmin } from '../utils/clubHierarchy.js';
+import {
+  getCurrentBylaws,
+  getLatestAcceptance,
+  checkBylawsAcceptance,
+  acceptanceFor,
+  formatBylawsStatus,
+} from '../utils/clubBylaws.js';
+import { recordAuditEntry, snapshot, AUDITED_FIELDS } from '../utils/clubAudit.js';
+import { isNameSlugTaken, generateUniqueSlug, slugUpdateForRename } from '../utils/clubSlug.js';
+import {
+  recordMembershipEvent,
+  getRejoinCooldown,
+  getRejoinCooldownDays,
+} from '../utils/membershipHistory.js';
 
 export {
   createClub,
@@ -37,10 +75,17 @@ export {
   demoteToMember,
   checkClubNameAvailability,
   getNearbyClubs,
+  getJoinQuestionnaire,
+  updateJoinQuestionnaire,
+  leaveClub,
+  getMemberHistory,
 };
 
 /**
  * GET /api/club/:clubId/members - Get all club members (members and admins can view)
+ * Query: includeChapters=true adds the members of every chapter below the club
+ * (club admins only; chapter rows leave out email addresses).
+ * Admins of a parent club can view a chapter's members without joining it.
  */
 async function getClubMembers(req, res) {
   try {
@@ -60,12 +105,25 @@ async function getClubMembers(req, res) {
 
     // Verify user is a member or admin of this club
     const userMembership = await Member.findOne({ user: userId, club: clubId });
-    if (!userMembership) {
+    if (!userMembership && !(club.parentClub && (await checkNationalAdmin(userId, club)).allowed)) {
       return res.status(403).json({ message: 'You must be a member of this club to view the members list' });
     }
 
+    let chapters = [];
+    if (req.query.includeChapters === 'true') {
+      const canListChapters =
+        (await can(userId, club, 'members.approve')).allowed ||
+        (club.parentClub && (await checkNationalAdmin(userId, club)).allowed);
+      if (!canListChapters) {
+        return res.status(403).json({ message: 'Only club admins can list chapter members' });
+      }
+      chapters = await Club.find({ _id: { $in: await getChapterIds(club._id) } }).select('clubName chapterNumber');
+    }
+    const chaptersById = new Map(chapters.map((chapter) => [chapter._id.toString(), chapter]));
+
     // Get all members for the club, populating the user's details
-    const members = await Member.find({ club: clubId }).populate('user', 'username email firstName lastName profilePhoto');
+    const members = await Member.find({ club: { $in: [club._id, ...chapters.map((c) => c._id)] } })
+      .populate('user', 'username email firstName lastName profilePhoto');
 
     // Format the response to match what the frontend expects
     const formattedMembers = members.map(member => ({
@@ -73,7 +131,8 @@ async function getClubMembers(req, res) {
       user: {
         _id: member.user._id,
         name: member.user.username || `${member.user.firstName} ${member.user.lastName}`.trim() || 'Unnamed User',
-        email: member.user.email,
+        // Chapter members' contact details stay with their own chapter's admins
+        email: chaptersById.has(member.club.toString()) ? undefined : member.user.email,
         username: member.user.username,
         firstName: member.user.firstName,
         lastName: member.user.lastName,
@@ -81,7 +140,12 @@ async function getClubMembers(req, res) {
       },
       club: member.club,
       role: member.roles.includes('admin') ? 'admin' : 'member',
+      // Includes the club's custom roles, e.g. ['member', 'treasurer']
+      roles: member.roles,
       joinedAt: member.joinedDate,
+      invite: member.invite,
+      // Only set for members listed through includeChapters
+      chapter: chaptersById.get(member.club.toString()),
     }));
 
     return res.status(200).json(formattedMembers);
@@ -106,9 +170,14 @@ async function createClub(req, res) {
 
   // 2. Destructure sanitized data from the request body
   // Accept both 'name' and 'clubName' for backwards compatibility
-  const { name, clubName, description, location, isPrivate, geolocation } = req.body;
+  const { name, clubName, description, location, region, isPrivate, geolocation, requireVerifiedEmail } = req.body;
   const finalClubName = clubName || name; // Prefer clubName, fallback to name
 
+  const taxonomy = parseClubTaxonomy(req.body);
+  if (taxonomy.errors.length > 0) {
+    return res.status(400).json({ message: 'Validation errors', errors: taxonomy.errors });
+  }
+
   try {
     // 3. Get the full user data to access email and username
     const user = await User.findById(req.user._id);
@@ -120,7 +189,7 @@ async function createClub(req, res) {
     const existingClub = await Club.findOne({
       clubName: finalClubName,
     });
-    if (existingClub) {
+    if (existingClub || (await isNameSlugTaken(finalClubName))) {
       return res.status(400).json({
         msg: 'A club with this name already exists.',
       });
@@ -129,9 +198,13 @@ async function createClub(req, res) {
     // 5. Create a new Club instance without any initial members
     const clubData = {
       clubName: finalClubName, // Use 'clubName' from body (or 'name' as fallback)
+      slug: await generateUniqueSlug(finalClubName),
       description,
       location,
+      region,
       isPrivate,
+      requireVerifiedEmail,
+      ...taxonomy.values,
       createdBy: req.user._id, // Correctly reference the user's _id
       // members property is omitted to allow the schema's default (empty array)
     };
@@ -159,6 +232,13 @@ async function createClub(req, res) {
 
     // 7. Save the new club to the database
     await newClub.save();
+    await recordMembershipEvent({
+      club: newClub,
+      user: req.user._id,
+      actor: req.user._id,
+      type: 'joined',
+      data: { via: 'created_club', roles: creatorMember.roles },
+    });
     console.log('Club updated with new member:', newClub);
 
     // 8. Respond with the newly created club data
@@ -171,7 +251,7 @@ async function createClub(req, res) {
 }
 
 /**
- * PUT /api/club/:clubId/update - Update club details (admin only)
+ * PUT /api/club/:clubId/update - Update club details (requires club.edit)
  */
 async function updateClub(req, res) {
   try {
@@ -179,7 +259,7 @@ async function updateClub(req, res) {
     const userId = req.user._id;
 
     // Handle both JSON and FormData requests
-    let { clubName, name, description, location, isPrivate, geolocation } = req.body;
+    let { clubName, name, description, location, region, isPrivate, geolocation, requireVerifiedEmail, requireAdminTwoFactor, rejoinCooldownDays } = req.body;
 
     // Map 'name' to 'clubName' for backwards compatibility
     if (name && !clubName) {
@@ -190,6 +270,20 @@ async function updateClub(req, res) {
     if (typeof isPrivate === 'string') {
       isPrivate = isPrivate.toLowerCase() === 'true';
     }
+    if (typeof requireVerifiedEmail === 'string') {
+      requireVerifiedEmail = requireVerifiedEmail.toLowerCase() === 'true';
+    }
+    if (typeof requireAdminTwoFactor === 'string') {
+      requireAdminTwoFactor = requireAdminTwoFactor.toLowerCase() === 'true';
+    }
+
+    if (typeof rejoinCooldownDays === 'string') {
+      try {
+        rejoinCooldownDays = JSON.parse(rejoinCooldownDays);
+      } catch (parseError) {
+        return res.status(400).json({ message: 'Invalid rejoinCooldownDays format' });
+      }
+    }
 
     // Handle FormData JSON string conversion for geolocation
     if (typeof geolocation === 'string') {
@@ -214,12 +308,14 @@ async function updateClub(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin of this club
-    const adminCheck = await verifyClubAdmin(userId, clubId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may edit this club
+    const permissionCheck = await can(userId, club, 'club.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Basic input validation
     const validationErrors = [];
 
@@ -235,10 +331,40 @@ async function updateClub(req, res) {
       validationErrors.push({ field: 'location', message: 'Location must be less than 200 characters' });
     }
 
+    if (region && (typeof region !== 'string' || region.trim().length > 100)) {
+      validationErrors.push({ field: 'region', message: 'Region must be less than 100 characters' });
+    }
+
     if (isPrivate !== undefined && typeof isPrivate !== 'boolean') {
       validationErrors.push({ field: 'isPrivate', message: 'isPrivate must be a boolean value' });
     }
 
+    if (requireVerifiedEmail !== undefined && typeof requireVerifiedEmail !== 'boolean') {
+      validationErrors.push({ field: 'requireVerifiedEmail', message: 'requireVerifiedEmail must be a boolean value' });
+    }
+
+    if (requireAdminTwoFactor !== undefined && typeof requireAdminTwoFactor !== 'boolean') {
+      validationErrors.push({ field: 'requireAdminTwoFactor', message: 'requireAdminTwoFactor must be a boolean value' });
+    }
+
+    if (rejoinCooldownDays !== undefined) {
+      if (!rejoinCooldownDays || typeof rejoinCooldownDays !== 'object') {
+        validationErrors.push({ field: 'rejoinCooldownDays', message: 'rejoinCooldownDays must be an object' });
+      } else {
+        for (const [reason, days] of Object.entries(rejoinCooldownDays)) {
+          if (!['left', 'removed', 'rejected'].includes(reason) || !Number.isInteger(days) || days < 0 || days > 365) {
+            validationErrors.push({
+              field: `rejoinCooldownDays.${reason}`,
+              message: 'Cooldowns are whole days between 0 and 365 for left, removed or rejected',
+            });
+          }
+        }
+      }
+    }
+
+    const taxonomy = parseClubTaxonomy(req.body);
+    validationErrors.push(...taxonomy.errors);
+
     if (geolocation && geolocation.latitude !== undefined && geolocation.longitude !== undefined) {
       if (typeof geolocation.latitude !== 'number' || geolocation.latitude < -90 || geolocation.latitude > 90) {
         validationErrors.push({ field: 'geolocation.latitude', message: 'Latitude must be a number between -90 and 90' });
@@ -264,12 +390,19 @@ async function updateClub(req, res) {
         clubName: clubName,
         _id: { $ne: clubId }, // Exclude current club from search
       });
-      if (existingClub) {
+      if (existingClub || (await isNameSlugTaken(clubName, clubId))) {
         return res.status(400).json({
           message: 'A club with this name already exists.',
         });
       }
       updateData.clubName = clubName;
+      // The old slug moves to slugHistory so shared links keep working
+      Object.assign(updateData, await slugUpdateForRename(club, clubName));
+      // The badge vouches for the reviewed name - a renamed club has to be verified again
+      if (club.verified) {
+        updateData.verified = false;
+        updateData.verifiedAt = null;
+      }
     }
 
     // Handle other basic fields
@@ -279,9 +412,39 @@ async function updateClub(req, res) {
     if (location !== undefined) {
       updateData.location = location;
     }
+    if (region !== undefined) {
+      updateData.region = region;
+    }
+    Object.assign(updateData, taxonomy.values);
     if (isPrivate !== undefined) {
       updateData.isPrivate = isPrivate;
     }
+    if (requireVerifiedEmail !== undefined) {
+      updateData.requireVerifiedEmail = requireVerifiedEmail;
+    }
+    if (rejoinCooldownDays !== undefined) {
+      for (const [reason, days] of Object.entries(rejoinCooldownDays)) {
+        updateData[`rejoinCooldownDays.${reason}`] = days;
+      }
+    }
+    if (requireAdminTwoFactor !== undefined && requireAdminTwoFactor !== !!club.requireAdminTwoFactor) {
+      // Security policy stays with admins, not roles that can edit club details
+      if (!permissionCheck.member.roles.includes('admin')) {
+        return res.status(403).json({
+          message: 'Only club admins can change the two-factor requirement',
+        });
+      }
+      // The admin turning the policy on must already comply, or they'd lock themselves out
+      if (requireAdminTwoFactor && !club.requireAdminTwoFactor) {
+        const requester = await User.findById(userId).select('twoFactor.enabled');
+        if (!requester?.twoFactor?.enabled) {
+          return res.status(400).json({
+            message: 'Enable two-factor authentication on your account before requiring it for admins',
+          });
+        }
+      }
+      updateData.requireAdminTwoFactor = requireAdminTwoFactor;
+    }
 
     // Handle geolocation data
     if (geolocation) {
@@ -333,15 +496,32 @@ async function updateClub(req, res) {
       return res.status(404).json({ message: 'Club not found after update' });
     }
 
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'club.updated',
+      targetId: club._id,
+      targetLabel: updatedClub.clubName,
+      before: snapshot(club, AUDITED_FIELDS.club),
+      after: snapshot(updatedClub, AUDITED_FIELDS.club),
+    });
+
     console.log('Club updated successfully:', updatedClub._id);
 
     // Return updated club data directly (matches frontend expectations)
     return res.status(200).json({
       _id: updatedClub._id,
+      slug: updatedClub.slug,
       clubName: updatedClub.clubName,
       description: updatedClub.description,
       location: updatedClub.location || '',
+      region: updatedClub.region || '',
+      ...formatClubTaxonomy(updatedClub),
       isPrivate: updatedClub.isPrivate,
+      requireVerifiedEmail: updatedClub.requireVerifiedEmail,
+      requireAdminTwoFactor: updatedClub.requireAdminTwoFactor,
+      rejoinCooldownDays: getRejoinCooldownDays(updatedClub),
+      verified: !!updatedClub.verified,
       logoUrl: updatedClub.logoUrl,
       geolocation: updatedClub.geolocation,
       createdBy: updatedClub.createdBy,
@@ -369,6 +549,8 @@ async function addMember(req, res) {
       });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Create a new member
     const member = new Member(memberData);
     await member.save();
@@ -389,70 +571,53 @@ async function addMember(req, res) {
   }
 }
 
+/**
+ * GET /api/club - Browse and search the club directory
+ * Query: page, limit, search (full text, typo-tolerant fallback), verified, isPrivate,
+ * region, ridingStyle, brand, displacement, tag, minMembers, maxMembers,
+ * latitude + longitude + radius (km),
+ * sort (relevance|distance|members|newest|name|verified)
+ * Returns facet counts (privacy, regions, memberCounts) for the filtered set.
+ */
 async function getAllClubs(req, res) {
   try {
-    const {
-      page = 1,
-      limit = 15,
-      search = '',
-      sort = 'members',
-    } = req.query;
+    const { page = 1, limit = 15 } = req.query;
 
     const pageNum = Math.max(1, parseInt(page, 10) || 1);
     const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 15));
     const skip = (pageNum - 1) * limitNum;
 
-    // Build search filter
-    let filter = {};
-    if (search && search.trim().length > 0) {
-      const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const searchRegex = new RegExp(escapedSearch, 'i');
-      filter = {
-        $or: [
-          { clubName: searchRegex },
-          { location: searchRegex },
-          { description: searchRegex },
-        ],
-      };
-    }
-
-    // Get total count for pagination metadata
-    const total = await Club.countDocuments(filter);
-
-    // Build aggregation pipeline for flexible sorting
-    const pipeline = [];
-
-    // Match stage (search filter)
-    if (Object.keys(filter).length > 0) {
-      pipeline.push({ $match: filter });
+    const query = parseClubSearchQuery(req.query);
+    if (query.errors) {
+      return res.status(400).json({
+        message: 'Validation errors in query parameters',
+        errors: query.errors,
+      });
     }
 
-    // Add computed memberCount field
-    pipeline.push({
-      $addFields: { memberCount: { $size: { $ifNull: ['$members', []] } } },
-    });
+    const runSearch = async (mode) => {
+      const [result] = await Club.aggregate(
+        buildClubSearchPipeline(query, { mode, skip, limit: limitNum })
+      );
+      return formatSearchResult(result);
+    };
 
-    // Sort stage
-    if (sort === 'newest') {
-      pipeline.push({ $sort: { createdAt: -1 } });
-    } else if (sort === 'name') {
-      pipeline.push({ $sort: { clubName: 1 } });
-    } else {
-      // Default: sort by most members descending, then newest
-      pipeline.push({ $sort: { memberCount: -1, createdAt: -1 } });
+    let searchMode = query.search ? 'text' : null;
+    let result = await runSearch(searchMode);
+    if (searchMode === 'text' && result.total === 0) {
+      // Nothing for the exact words - retry allowing a typo per word
+      searchMode = 'fuzzy';
+      result = await runSearch(searchMode);
     }
 
-    // Pagination
-    pipeline.push({ $skip: skip });
-    pipeline.push({ $limit: limitNum });
-
-    const clubs = await Club.aggregate(pipeline);
-
-    const clubsWithId = clubs.map((club) => ({
+    const clubsWithId = result.clubs.map((club) => ({
       _id: club._id,
+      slug: club.slug,
       clubName: club.clubName,
       description: club.description,
       location: club.location || '',
+      region: club.region || '',
+      ...formatClubTaxonomy(club),
       geolocation: club.geolocation,
       isPrivate: club.isPrivate,
       members: club.members,
@@ -460,16 +625,22 @@ async function getAllClubs(req, res) {
       createdBy: club.createdBy,
       createdAt: club.createdAt,
       logoUrl: club.logoUrl,
+      verified: !!club.verified,
+      ...(club.score !== undefined && { score: club.score }),
+      ...(club.distance !== undefined && { distance: Math.round(club.distance * 100) / 100 }),
     }));
 
-    const totalPages = Math.ceil(total / limitNum);
+    const totalPages = Math.ceil(result.total / limitNum);
 
     res.status(200).json({
       message: 'Clubs retrieved successfully',
       clubs: clubsWithId,
-      total,
+      total: result.total,
       page: pageNum,
       totalPages,
+      sort: query.sort,
+      searchMode,
+      facets: result.facets,
     });
   } catch (error) {
     console.error('Error getting all clubs:', error);
@@ -482,7 +653,8 @@ async function getAllClubs(req, res) {
 
 /**
  * GET /api/club/my - Get clubs the authenticated user is a member of
- * Supports the same pagination, search, and sort params as getAllClubs
+ * Supports the same pagination, search, and sort params as getAllClubs, plus
+ * the ridingStyle, brand, displacement and tag filters
  */
 async function getMyClubs(req, res) {
   try {
@@ -527,6 +699,15 @@ async function getMyClubs(req, res) {
       };
     }
 
+    const taxonomy = buildTaxonomyFilter(req.query);
+    if (taxonomy.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation errors in query parameters',
+        errors: taxonomy.errors,
+      });
+    }
+    Object.assign(filter, taxonomy.filter);
+
     const total = await Club.countDocuments(filter);
 
     // Aggregation pipeline
@@ -551,9 +732,12 @@ async function getMyClubs(req, res) {
 
     const clubsWithId = clubs.map((club) => ({
       _id: club._id,
+      slug: club.slug,
       clubName: club.clubName,
       description: club.description,
       location: club.location || '',
+      region: club.region || '',
+      ...formatClubTaxonomy(club),
       geolocation: club.geolocation,
       isPrivate: club.isPrivate,
       members: club.members,
@@ -561,6 +745,8 @@ async function getMyClubs(req, res) {
       createdBy: club.createdBy,
       createdAt: club.createdAt,
       logoUrl: club.logoUrl,
+      verified: !!club.verified,
+      deletionScheduledFor: club.deletion?.scheduledFor,
     }));
 
     const totalPages = Math.ceil(total / limitNum);
@@ -591,25 +777,45 @@ async function getClubById(req, res) {
           path: 'user',
           select: 'username email firstName lastName profilePhoto'
         }
-      });
+      })
+      .populate('parentClub', 'clubName logoUrl chapterNumber');
     if (!club) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
+    // Banned users don't get the member list or anything else on the club page
+    const ban = await getActiveBan(club, req.user._id);
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
     // Ensure consistent response format with _id field
     const clubData = {
       _id: club._id,
+      slug: club.slug,
       clubName: club.clubName,
       description: club.description,
       location: club.location || '',
+      region: club.region || '',
+      ...formatClubTaxonomy(club),
       geolocation: club.geolocation,
       isPrivate: club.isPrivate,
+      requireVerifiedEmail: club.requireVerifiedEmail,
+      requireAdminTwoFactor: club.requireAdminTwoFactor,
+      rejoinCooldownDays: getRejoinCooldownDays(club),
+      verified: !!club.verified,
+      verifiedAt: club.verifiedAt,
       members: club.members,
       createdBy: club.createdBy,
       createdAt: club.createdAt,
       updatedAt: club.updatedAt,
       logoUrl: club.logoUrl,
       joinRequests: club.joinRequests,
+      ownershipTransfer: club.ownershipTransfer?.to ? club.ownershipTransfer : undefined,
+      deletionScheduledFor: club.deletion?.scheduledFor,
+      parentClub: club.parentClub,
+      chapterNumber: club.chapterNumber,
+      chapterCount: await Club.countDocuments({ parentClub: club._id, ...NOT_ARCHIVED }),
     };
 
     console.log('Returning club by ID:', clubData._id);
@@ -645,12 +851,43 @@ async function joinClub(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
+    const ban = await getActiveBan(club, userId);
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
     // Check if user is already a member (prevent duplicates)
     const existingMember = await Member.findOne({ club: clubId, user: userId });
     if (existingMember) {
       return res.status(400).json({ message: 'You are already a member of this club' });
     }
 
+    // Some clubs only accept accounts with a confirmed email address
+    if (club.requireVerifiedEmail && !user.emailVerified) {
+      return res.status(403).json({
+        message: 'This club requires a verified email address. Please verify your email before joining.',
+      });
+    }
+
+    // People who left, were removed or were turned down wait before applying again
+    const cooldown = await getRejoinCooldown(club, userId);
+    if (cooldown) {
+      return res.status(400).json({
+        message: `You can ask to join this club again on ${cooldown.canReapplyAt.toISOString().slice(0, 10)}`,
+        reason: cooldown.reason,
+        canReapplyAt: cooldown.canReapplyAt,
+      });
+    }
+
+    // New members accept the club's current bylaws, whether they join or apply
+    const bylaws = await getCurrentBylaws(club._id);
+    const bylawsError = checkBylawsAcceptance(bylaws, req.body);
+    if (bylawsError) {
+      return res.status(400).json(bylawsError);
+    }
+
     // Check club privacy
     if (!club.isPrivate) {
       // Public club - instant join
@@ -658,6 +895,7 @@ async function joinClub(req, res) {
         user: userId,
         club: clubId,
         roles: ['member'],
+        bylawsAcceptances: bylaws ? [acceptanceFor(bylaws)] : [],
       });
 
       await newMember.save();
@@ -666,6 +904,14 @@ async function joinClub(req, res) {
       club.members.push(newMember._id);
       await club.save();
 
+      await recordMembershipEvent({
+        club,
+        user: userId,
+        actor: userId,
+        type: 'joined',
+        data: { via: 'public' },
+      });
+
       // Create notifications for existing members about the new member
       try {
         if (club.members.length > 1) { // Only notify if there are other members
@@ -687,15 +933,33 @@ async function joinClub(req, res) {
         user: userId,
         club: clubId,
       });
-      if (existingRequest) {
+      if (existingRequest?.status === 'pending') {
         return res
           .status(400)
           .json({ message: 'You have already requested to join this club' });
       }
+      if (existingRequest) {
+        // A decided request left behind by older versions - the cooldown above already applied
+        await JoinRequest.deleteOne({ _id: existingRequest._id });
+        club.joinRequests = club.joinRequests.filter(
+          (reqId) => reqId.toString() !== existingRequest._id.toString()
+        );
+      }
+
+      // Private clubs screen applicants with their questionnaire
+      const screening = validateAnswers(club.joinQuestions, req.body?.answers);
+      if (screening.errors) {
+        return res.status(400).json({
+          message: 'Please answer the club\'s questions',
+          errors: screening.errors,
+        });
+      }
 
       const newJoinRequest = new JoinRequest({
         user: userId,
         club: clubId,
+        answers: screening.answers,
+        bylawsAccepted: acceptanceFor(bylaws),
       });
 
       await newJoinRequest.save();
@@ -703,11 +967,19 @@ async function joinClub(req, res) {
       club.joinRequests.push(newJoinRequest._id);
       await club.save();
 
-      // Create notifications for club admins about the join request
+      await recordMembershipEvent({
+        club,
+        user: userId,
+        actor: userId,
+        type: 'request_submitted',
+        data: { joinRequestId: newJoinRequest._id },
+      });
+
+      // Notify everyone who can review join requests
       try {
-        const clubAdmins = await getClubAdmins(clubId);
-        if (clubAdmins.length > 0) {
-          await createJoinRequestNotification(clubAdmins, user, club, newJoinRequest._id);
+        const reviewers = await getUsersWithPermission(clubId, 'members.approve');
+        if (reviewers.length > 0) {
+          await createJoinRequestNotification(reviewers, user, club, newJoinRequest._id);
         }
       } catch (notificationError) {
         console.error('Failed to create join request notifications:', notificationError);
@@ -745,6 +1017,13 @@ async function uploadClubLogo(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
+    const permissionCheck = await can(req.user._id, club, 'club.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
     // Convert buffer to data URI to avoid temp files
     const base64 = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
 
@@ -802,23 +1081,36 @@ async function getMembershipStatus(req, res) {
     // Check if user is a member of the club
     const member = await Member.findOne({ club: clubId, user: userId });
     console.log('Found member:', member);
+    const bylaws = await getCurrentBylaws(club._id);
     
     if (member) {
       // User is a member - check if they're admin
       const isAdmin = member.roles.includes('admin');
       const role = isAdmin ? 'admin' : 'member';
       
+      // Club permissions from the member's roles (see utils/clubPermissions.js)
+      const clubPermissions = getEffectivePermissions(club, member.roles);
+      const canManage = clubPermissions.some(
+        (permission) => !getMemberPermissions(club).includes(permission)
+      );
+
       // Define permissions based on role
       const permissions = isAdmin 
         ? ['view', 'post', 'manage', 'admin'] 
-        : ['view', 'post'];
+        : canManage
+          ? ['view', 'post', 'manage']
+          : ['view', 'post'];
       
       return res.status(200).json({
         status: role,
         role: role,
+        roles: member.roles,
         memberSince: member.joinedDate,
         permissions: permissions,
+        clubPermissions,
+        isOwner: isClubOwner(club, userId),
         memberId: member._id,
+        bylaws: formatBylawsStatus(bylaws, getLatestAcceptance(member)?.version),
       });
     }
 
@@ -834,12 +1126,14 @@ async function getMembershipStatus(req, res) {
         status: 'pending',
         joinRequestId: joinRequest._id,
         requestedAt: joinRequest.createdAt,
+        bylaws: formatBylawsStatus(bylaws, joinRequest.bylawsAccepted?.version),
       });
     }
 
     // User is not a member and has no pending request
     return res.status(200).json({
       status: 'not-member',
+      bylaws: formatBylawsStatus(bylaws),
     });
   } catch (error) {
     console.error('Error getting membership status:', error);
@@ -851,34 +1145,86 @@ async function getMembershipStatus(req, res) {
 }
 
 /**
- * Helper function to verify if user is admin of a specific club
+ * GET /api/club/:clubId/questionnaire - Questions applicants answer when joining
  */
-async function verifyClubAdmin(userId, clubId) {
+async function getJoinQuestionnaire(req, res) {
   try {
-    // Get user's email for Member lookup (consistent with existing logic)
-    const user = await User.findById(userId);
-    if (!user) {
-      return { isAdmin: false, error: 'User not found' };
+    const { clubId } = req.params;
+
+    if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid club ID format' });
     }
 
-    const member = await Member.findOne({ club: clubId, user: userId });
-    
-    if (!member) {
-      return { isAdmin: false, error: 'User is not a member of this club' };
+    const club = await Club.findById(clubId).select('joinQuestions isPrivate');
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
     }
-    
-    if (!member.roles.includes('admin')) {
-      return { isAdmin: false, error: 'User does not have admin privileges' };
+
+    return res.status(200).json({
+      questions: club.joinQuestions,
+      // Public clubs are joined instantly, so the questionnaire only applies to private ones
+      required: club.isPrivate && club.joinQuestions.length > 0,
+    });
+  } catch (error) {
+    console.error('Error getting join questionnaire:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * PUT /api/club/:clubId/questionnaire - Replace the join questionnaire (requires club.edit)
+ * Body: { questions: [{ key?, label, type?, options?, required? }] }
+ */
+async function updateJoinQuestionnaire(req, res) {
+  try {
+    const { clubId } = req.params;
+
+    if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid club ID format' });
+    }
+
+    const club = await Club.findById(clubId);
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
     }
 
-    return { isAdmin: true, member };
+    const permissionCheck = await can(req.user._id, club, 'club.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const parsed = parseQuestions(req.body?.questions);
+    if (parsed.errors) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: parsed.errors,
+      });
+    }
+
+    club.joinQuestions = parsed.questions;
+    await club.save();
+
+    return res.status(200).json({
+      message: 'Questionnaire updated successfully',
+      questions: club.joinQuestions,
+    });
   } catch (error) {
-    return { isAdmin: false, error: 'Database error verifying admin status' };
+    console.error('Error updating join questionnaire:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
   }
 }
 
 /**
- * GET /api/club/:clubId/join-requests - Get pending join requests (admin only)
+ * GET /api/club/:clubId/join-requests - Get pending join requests (requires members.approve)
+ * Includes questionnaire answers; supports ?search= and ?answers[questionKey]= filters
  */
 async function getJoinRequests(req, res) {
   try {
@@ -896,16 +1242,55 @@ async function getJoinRequests(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin of this club
-    const adminCheck = await verifyClubAdmin(userId, clubId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may review join requests
+    const permissionCheck = await can(userId, club, 'members.approve');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    // Optional search across applicants and answers, plus per-question filters
+    // e.g. ?search=honda&answers[riding_experience]=5
+    const { search = '', answers: answerFilters } = req.query;
+    const conditions = [];
+
+    if (typeof search === 'string' && search.trim().length > 0) {
+      const escapedSearch = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const searchRegex = new RegExp(escapedSearch, 'i');
+      const matchingUsers = await User.find({
+        $or: [
+          { username: searchRegex },
+          { email: searchRegex },
+          { firstName: searchRegex },
+          { lastName: searchRegex },
+        ],
+      }).select('_id');
+      conditions.push({
+        $or: [
+          { 'answers.answer': searchRegex },
+          { user: { $in: matchingUsers.map((u) => u._id) } },
+        ],
+      });
+    }
+
+    if (answerFilters && typeof answerFilters === 'object') {
+      for (const [key, value] of Object.entries(answerFilters)) {
+        const question = (club.joinQuestions || []).find((q) => q.key === key);
+        if (!question || typeof value !== 'string' || !value.trim()) continue;
+
+        const escapedValue = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // Choices match exactly, free text matches anywhere in the answer
+        const answerRegex = ['select', 'yes_no'].includes(question.type)
+          ? new RegExp(`^${escapedValue}$`, 'i')
+          : new RegExp(escapedValue, 'i');
+        conditions.push({ answers: { $elemMatch: { key, answer: answerRegex } } });
+      }
     }
 
     // Get pending join requests with user information populated
-    const joinRequests = await JoinRequest.find({ 
-      club: clubId, 
-      status: 'pending' 
+    const joinRequests = await JoinRequest.find({
+      club: clubId,
+      status: 'pending',
+      ...(conditions.length > 0 && { $and: conditions }),
     }).populate('user', 'username email firstName lastName profilePhoto');
 
     // Format response to match required structure
@@ -925,11 +1310,13 @@ async function getJoinRequests(req, res) {
       },
       club: request.club,
       status: request.status,
+      answers: request.answers,
       createdAt: request.createdAt,
     }));
 
     return res.status(200).json({
       joinRequests: formattedRequests,
+      questions: club.joinQuestions,
     });
   } catch (error) {
     console.error('Error getting join requests:', error);
@@ -959,12 +1346,14 @@ async function approveJoinRequest(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin of this club
-    const adminCheck = await verifyClubAdmin(userId, clubId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may review join requests
+    const permissionCheck = await can(userId, club, 'members.approve');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find the join request
     const joinRequest = await JoinRequest.findOne({
       _id: requestId,
@@ -982,11 +1371,22 @@ async function approveJoinRequest(req, res) {
       return res.status(400).json({ message: 'User is already a member of this club' });
     }
 
+    // Bylaws may have been published or revised since the request was made
+    const bylaws = await getCurrentBylaws(club._id);
+    const accepted = joinRequest.bylawsAccepted;
+    if (bylaws && accepted?.version !== bylaws.version) {
+      return res.status(400).json({
+        message: `The applicant has not accepted the current bylaws (version ${bylaws.version}) yet`,
+        bylaws: { _id: bylaws._id, version: bylaws.version, title: bylaws.title },
+      });
+    }
+
     // Create new member
     const newMember = new Member({
       user: joinRequest.user._id,
       club: clubId,
       roles: ['member'],
+      bylawsAcceptances: bylaws ? [{ version: accepted.version, acceptedAt: accepted.acceptedAt }] : [],
     });
 
     await newMember.save();
@@ -1004,6 +1404,31 @@ async function approveJoinRequest(req, res) {
     // Delete the join request
     await JoinRequest.findByIdAndDelete(requestId);
 
+    await recordMembershipEvent({
+      club,
+      user: joinRequest.user._id,
+      actor: userId,
+      type: 'request_approved',
+      data: { answers: joinRequest.answers, submittedAt: joinRequest.createdAt },
+    });
+    await recordMembershipEvent({
+      club,
+      user: joinRequest.user._id,
+      actor: userId,
+      type: 'joined',
+      data: { via: 'join_request' },
+    });
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'join_request.approved',
+      targetId: joinRequest._id,
+      targetLabel: joinRequest.user.username,
+      targetUser: joinRequest.user._id,
+      before: { status: 'pending' },
+      after: { status: 'accepted', memberId: newMember._id.toString() },
+    });
+
     // Create notifications for approval and new member
     try {
       // Get the admin user who approved the request
@@ -1053,12 +1478,14 @@ async function rejectJoinRequest(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin of this club
-    const adminCheck = await verifyClubAdmin(userId, clubId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may review join requests
+    const permissionCheck = await can(userId, club, 'members.approve');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find and validate the join request
     const joinRequest = await JoinRequest.findOne({
       _id: requestId,
@@ -1091,6 +1518,24 @@ async function rejectJoinRequest(req, res) {
     // Delete the join request
     await JoinRequest.findByIdAndDelete(requestId);
 
+    await recordMembershipEvent({
+      club,
+      user: joinRequest.user._id,
+      actor: userId,
+      type: 'request_rejected',
+      data: { answers: joinRequest.answers, submittedAt: joinRequest.createdAt },
+    });
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'join_request.rejected',
+      targetId: joinRequest._id,
+      targetLabel: joinRequest.user.username,
+      targetUser: joinRequest.user._id,
+      before: { status: 'pending' },
+      after: { status: 'rejected' },
+    });
+
     return res.status(200).json({
       message: 'Join request rejected successfully',
     });
@@ -1104,7 +1549,7 @@ async function rejectJoinRequest(req, res) {
 }
 
 /**
- * DELETE /api/club/:clubId/members/:memberId - Remove member from club (admin only)
+ * DELETE /api/club/:clubId/members/:memberId - Remove member from club (requires members.remove)
  */
 async function removeMember(req, res) {
   try {
@@ -1122,12 +1567,14 @@ async function removeMember(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin of this club
-    const adminCheck = await verifyClubAdmin(userId, clubId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may remove members
+    const permissionCheck = await can(userId, club, 'members.remove');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find the member to remove
     const memberToRemove = await Member.findOne({
       _id: memberId,
@@ -1138,18 +1585,10 @@ async function removeMember(req, res) {
       return res.status(404).json({ message: 'Member not found in this club' });
     }
 
-    // Prevent admin from removing themselves if they're the only admin
-    if (memberToRemove.roles.includes('admin')) {
-      const adminCount = await Member.countDocuments({
-        club: clubId,
-        roles: 'admin'
-      });
-      
-      if (adminCount <= 1) {
-        return res.status(400).json({ 
-          message: 'Cannot remove the only admin. Assign another admin first.' 
-        });
-      }
+    // The owner and the last admin always stay
+    const removalError = await getAdminRemovalError(club, memberToRemove, 'remove');
+    if (removalError) {
+      return res.status(400).json({ message: removalError });
     }
 
     // Remove member from club.members array
@@ -1161,6 +1600,22 @@ async function removeMember(req, res) {
     // Delete the member record
     await Member.findByIdAndDelete(memberId);
 
+    await recordMembershipEvent({
+      club,
+      user: memberToRemove.user,
+      actor: userId,
+      type: 'removed',
+      data: { roles: memberToRemove.roles },
+    });
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'member.removed',
+      targetId: memberToRemove._id,
+      targetUser: memberToRemove.user,
+      before: { roles: [...memberToRemove.roles] },
+    });
+
     return res.status(200).json({
       message: 'Member removed successfully',
     });
@@ -1192,12 +1647,19 @@ async function promoteToAdmin(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin of this club
-    const adminCheck = await verifyClubAdmin(userId, clubId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage roles
+    const permissionCheck = await can(userId, club, 'roles.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    // Only admins can hand out or take away the admin role
+    if (!permissionCheck.member.roles.includes('admin')) {
+      return res.status(403).json({ message: 'Only club admins can grant or revoke the admin role' });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find the member to promote
     const memberToPromote = await Member.findOne({
       _id: memberId,
@@ -1213,10 +1675,35 @@ async function promoteToAdmin(req, res) {
       return res.status(400).json({ message: 'Member is already an admin' });
     }
 
+    if (club.requireAdminTwoFactor && !(await meetsClubTwoFactorPolicy(clubId, memberToPromote.user._id))) {
+      return res.status(400).json({
+        message: 'Member must enable two-factor authentication before becoming an admin of this club',
+      });
+    }
+
     // Promote member to admin by adding 'admin' role
+    const rolesBefore = [...memberToPromote.roles];
     memberToPromote.roles.push('admin');
     await memberToPromote.save();
 
+    await recordMembershipEvent({
+      club,
+      user: memberToPromote.user._id,
+      actor: userId,
+      type: 'role_changed',
+      data: { added: ['admin'], removed: [] },
+    });
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'member.promoted',
+      targetId: memberToPromote._id,
+      targetLabel: memberToPromote.user.username,
+      targetUser: memberToPromote.user._id,
+      before: { roles: rolesBefore },
+      after: { roles: [...memberToPromote.roles] },
+    });
+
     // Format the response to match what the frontend expects
     const formattedMember = {
       _id: memberToPromote._id,
@@ -1266,12 +1753,19 @@ async function demoteToMember(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin of this club
-    const adminCheck = await verifyClubAdmin(userId, clubId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage roles
+    const permissionCheck = await can(userId, club, 'roles.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    // Only admins can hand out or take away the admin role
+    if (!permissionCheck.member.roles.includes('admin')) {
+      return res.status(403).json({ message: 'Only club admins can grant or revoke the admin role' });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find the member to demote
     const memberToDemote = await Member.findOne({
       _id: memberId,
@@ -1292,22 +1786,35 @@ async function demoteToMember(req, res) {
       return res.status(400).json({ message: 'You cannot demote yourself' });
     }
 
-    // Check if this is the only admin
-    const adminCount = await Member.countDocuments({
-      club: clubId,
-      roles: 'admin'
-    });
-
-    if (adminCount <= 1) {
-      return res.status(400).json({ 
-        message: 'Cannot demote the only admin. There must be at least one admin in the club.' 
-      });
+    // The owner and the last admin always stay
+    const demotionError = await getAdminRemovalError(club, memberToDemote, 'demote');
+    if (demotionError) {
+      return res.status(400).json({ message: demotionError });
     }
 
     // Demote admin to member by removing 'admin' role
+    const rolesBefore = [...memberToDemote.roles];
     memberToDemote.roles = memberToDemote.roles.filter(role => role !== 'admin');
     await memberToDemote.save();
 
+    await recordMembershipEvent({
+      club,
+      user: memberToDemote.user._id,
+      actor: userId,
+      type: 'role_changed',
+      data: { added: [], removed: ['admin'] },
+    });
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'member.demoted',
+      targetId: memberToDemote._id,
+      targetLabel: memberToDemote.user.username,
+      targetUser: memberToDemote.user._id,
+      before: { roles: rolesBefore },
+      after: { roles: [...memberToDemote.roles] },
+    });
+
     // Format the response to match what the frontend expects
     const formattedMember = {
       _id: memberToDemote._id,
@@ -1338,6 +1845,133 @@ async function demoteToMember(req, res) {
   }
 }
 
+/**
+ * POST /api/club/:clubId/leave - Leave a club
+ * The owner and the last admin have to hand over first.
+ */
+async function leaveClub(req, res) {
+  try {
+    const { clubId } = req.params;
+    const userId = req.user._id;
+
+    if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid club ID format' });
+    }
+
+    const club = await Club.findById(clubId);
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
+    }
+
+    const member = await Member.findOne({ club: clubId, user: userId });
+    if (!member) {
+      return res.status(400).json({ message: 'You are not a member of this club' });
+    }
+
+    const leaveError = await getAdminRemovalError(club, member, 'leave');
+    if (leaveError) {
+      return res.status(400).json({ message: leaveError });
+    }
+
+    club.members = club.members.filter(
+      memId => memId.toString() !== member._id.toString()
+    );
+    // A pending ownership offer goes with the member
+    if (club.ownershipTransfer?.to?.toString() === userId.toString()) {
+      club.ownershipTransfer = undefined;
+    }
+    await club.save();
+    await Member.findByIdAndDelete(member._id);
+
+    await recordMembershipEvent({
+      club,
+      user: userId,
+      actor: userId,
+      type: 'left',
+      data: { roles: member.roles },
+    });
+
+    const cooldownDays = getRejoinCooldownDays(club).left;
+    return res.status(200).json({
+      message: 'You have left the club',
+      canRejoinAt: new Date(Date.now() + cooldownDays * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    console.error('Error leaving club:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * GET /api/club/:clubId/history/:userId - Membership history of one person (requires members.remove)
+ * Works for former members too. Supports ?page= and ?limit=
+ */
+async function getMemberHistory(req, res) {
+  try {
+    const { clubId, userId: subjectId } = req.params;
+
+    if (!clubId.match(/^[0-9a-fA-F]{24}$/) || !subjectId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const club = await Club.findById(clubId);
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
+    }
+
+    const permissionCheck = await can(req.user._id, club, 'members.remove');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = { club: clubId, user: subjectId };
+    const [total, events, member, cooldown] = await Promise.all([
+      MembershipEvent.countDocuments(filter),
+      MembershipEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('actor', 'username firstName lastName'),
+      Member.findOne({ club: clubId, user: subjectId }).select('roles joinedDate invite'),
+      getRejoinCooldown(club, subjectId),
+    ]);
+
+    return res.status(200).json({
+      history: events.map((event) => ({
+        _id: event._id,
+        type: event.type,
+        data: event.data,
+        actor: event.actor
+          ? {
+            _id: event.actor._id,
+            username: event.actor.username,
+            firstName: event.actor.firstName,
+            lastName: event.actor.lastName,
+          }
+          : null,
+        createdAt: event.createdAt,
+      })),
+      currentMembership: member,
+      canReapplyAt: cooldown?.canReapplyAt ?? null,
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    console.error('Error getting member history:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
 /**
  * GET /api/club/check-name/:name - Check if a club name is available
  */
@@ -1358,17 +1992,33 @@ async function checkClubNameAvailability(req, res) {
     const query = { clubName: name.trim() };
 
     // If excludeId is provided, exclude that club from the search (for editing)
-    if (excludeId && excludeId.match(/^[0-9a-fA-F]{24}$/)) {
-      query._id = { $ne: excludeId };
+    const excludedClubId = excludeId && excludeId.match(/^[0-9a-fA-F]{24}$/) ? excludeId : undefined;
+    if (excludedClubId) {
+      query._id = { $ne: excludedClubId };
     }
 
     // Check if club with the same name already exists
     const existingClub = await Club.findOne(query);
+    if (existingClub) {
+      return res.status(200).json({
+        available: false,
+        message: 'A club with this name already exists',
+      });
+    }
+
+    // Names that only differ in case or punctuation would share a URL slug
+    if (await isNameSlugTaken(name.trim(), excludedClubId)) {
+      return res.status(200).json({
+        available: false,
+        message: 'This name is too close to an existing club\'s name or web address',
+      });
+    }
 
-    // Return availability status
+    // Return availability status with the web address the club would get
     return res.status(200).json({
-      available: !existingClub,
-      message: existingClub ? 'A club with this name already exists' : 'Club name is available',
+      available: true,
+      slug: await generateUniqueSlug(name.trim(), excludedClubId),
+      message: 'Club name is available',
     });
   } catch (error) {
     console.error('Error checking club name availability:', error);
@@ -1382,11 +2032,22 @@ async function checkClubNameAvailability(req, res) {
 
 /**
  * GET /api/club/nearby - Get nearby clubs based on user's coordinates using MongoDB geospatial queries
+ * Query: latitude, longitude, radius, limit, includePrivate, verified ('true'|'false'),
+ * ridingStyle, brand, displacement, tag,
+ * sort ('distance' by default, or 'verified' for verified clubs first)
  */
 async function getNearbyClubs(req, res) {
   try {
     // Extract and validate query parameters
-    const { latitude, longitude, radius = 50, limit = 20, includePrivate = 'false' } = req.query;
+    const {
+      latitude,
+      longitude,
+      radius = 50,
+      limit = 20,
+      includePrivate = 'false',
+      verified,
+      sort = 'distance',
+    } = req.query;
 
     console.log('Getting nearby clubs with params:', { latitude, longitude, radius, limit, includePrivate });
 
@@ -1420,6 +2081,17 @@ async function getNearbyClubs(req, res) {
       validationErrors.push({ field: 'limit', message: 'Limit must be a number between 1 and 100' });
     }
 
+    if (!['distance', 'verified'].includes(sort)) {
+      validationErrors.push({ field: 'sort', message: 'Sort must be one of: distance, verified' });
+    }
+
+    if (verified !== undefined && verified !== 'true' && verified !== 'false') {
+      validationErrors.push({ field: 'verified', message: "Verified must be 'true' or 'false'" });
+    }
+
+    const taxonomy = buildTaxonomyFilter(req.query);
+    validationErrors.push(...taxonomy.errors);
+
     // Return validation errors if any
     if (validationErrors.length > 0) {
       return res.status(400).json({
@@ -1430,29 +2102,59 @@ async function getNearbyClubs(req, res) {
 
     // Parse includePrivate flag
     const includePrivateClubs = includePrivate === 'true';
+    const verifiedFilter = verified === undefined
+      ? {}
+      : { verified: verified === 'true' ? true : { $ne: true } };
 
     // Convert radius from kilometers to meters for MongoDB geospatial query
     const maxDistanceMeters = kmToMeters(searchRadius);
 
-    // Build the geospatial query using MongoDB's native $near operator
-    const geoQuery = buildNearQuery(lat, lng, maxDistanceMeters);
-
     // Build the match criteria
     const matchCriteria = {
-      geoPoint: geoQuery,
       // Include private club filter
-      ...(includePrivateClubs ? {} : { isPrivate: { $ne: true } })
+      ...(includePrivateClubs ? {} : { isPrivate: { $ne: true } }),
+      ...verifiedFilter,
+      ...taxonomy.filter,
+      ...NOT_ARCHIVED,
     };
 
     console.log('Geospatial query:', JSON.stringify(matchCriteria, null, 2));
 
     try {
-      // Primary query: Use MongoDB's native geospatial capabilities
-      const clubs = await Club.find(matchCriteria)
-        .limit(resultLimit)
-        .select('_id clubName description location geolocation geoPoint isPrivate logoUrl members createdAt')
-        .lean()
-        .maxTimeMS(10000);
+      // Primary query: $geoNear returns the nearest clubs first. Verified clubs are
+      // moved up before the limit so a page of nearer unverified clubs can't hide them.
+      const clubs = await Club.aggregate([
+        {
+          $geoNear: {
+            near: toGeoJSONPoint(lat, lng),
+            key: 'geoPoint',
+            distanceField: 'geoDistance',
+            maxDistance: maxDistanceMeters,
+            spherical: true,
+            query: matchCriteria,
+          }
+        },
+        ...(sort === 'verified' ? [{ $sort: { verified: -1, geoDistance: 1 } }] : []),
+        { $limit: resultLimit },
+        {
+          $project: {
+            clubName: 1,
+            description: 1,
+            location: 1,
+            geolocation: 1,
+            geoPoint: 1,
+            isPrivate: 1,
+            logoUrl: 1,
+            members: 1,
+            verified: 1,
+            ridingStyles: 1,
+            brands: 1,
+            displacementClasses: 1,
+            tags: 1,
+            createdAt: 1,
+          }
+        },
+      ]).option({ maxTimeMS: 10000 });
 
       console.log(`Found ${clubs.length} clubs using native geospatial query`);
 
@@ -1489,15 +2191,14 @@ async function getNearbyClubs(req, res) {
           geolocation: club.geolocation,
           isPrivate: club.isPrivate || false,
           logoUrl: club.logoUrl || null,
+          verified: !!club.verified,
+          ...formatClubTaxonomy(club),
           memberCount: memberCount,
           distance: Math.round(distance * 100) / 100, // Round to 2 decimal places
           createdAt: club.createdAt,
         };
       });
 
-      // Sort by distance (closest first) since $near should already do this, but ensure it
-      clubsWithDistance.sort((a, b) => a.distance - b.distance);
-
       // Prepare response
       const response = {
         message: 'Nearby clubs retrieved successfully',
@@ -1524,48 +2225,16 @@ async function getNearbyClubs(req, res) {
             geolocation: { $exists: true, $ne: null },
             'geolocation.latitude': { $exists: true, $ne: null },
             'geolocation.longitude': { $exists: true, $ne: null },
-            ...(includePrivateClubs ? {} : { isPrivate: { $ne: true } })
+            ...(includePrivateClubs ? {} : { isPrivate: { $ne: true } }),
+            ...verifiedFilter,
+            ...taxonomy.filter,
+            ...NOT_ARCHIVED,
           }
         },
         // Add accurate distance calculation using Haversine formula
         {
           $addFields: {
-            distance: {
-              $let: {
-                vars: {
-                  dLat: { $degreesToRadians: { $subtract: ['$geolocation.latitude', lat] } },
-                  dLng: { $degreesToRadians: { $subtract: ['$geolocation.longitude', lng] } },
-                  lat1: { $degreesToRadians: lat },
-                  lat2: { $degreesToRadians: '$geolocation.latitude' }
-                },
-                in: {
-                  $multiply: [
-                    6371, // Earth's radius in kilometers
-                    {
-                      $multiply: [
-                        2,
-                        {
-                          $asin: {
-                            $sqrt: {
-                              $add: [
-                                { $pow: [{ $sin: { $divide: ['$$dLat', 2] } }, 2] },
-                                {
-                                  $multiply: [
-                                    { $cos: '$$lat1' },
-                                    { $cos: '$$lat2' },
-                                    { $pow: [{ $sin: { $divide: ['$$dLng', 2] } }, 2] }
-                                  ]
-                                }
-                              ]
-                            }
-                          }
-                        }
-                      ]
-                    }
-                  ]
-                }
-              }
-            },
+            distance: buildDistanceExpression(lat, lng, '$geolocation.latitude', '$geolocation.longitude'),
             memberCount: { $size: '$members' }
           }
         },
@@ -1575,9 +2244,9 @@ async function getNearbyClubs(req, res) {
             distance: { $lte: searchRadius }
           }
         },
-        // Sort by distance (closest first)
+        // Sort by distance (closest first), verified clubs first when asked
         {
-          $sort: { distance: 1 }
+          $sort: sort === 'verified' ? { verified: -1, distance: 1 } : { distance: 1 }
         },
         // Limit results
         { $limit: resultLimit },
@@ -1591,6 +2260,11 @@ async function getNearbyClubs(req, res) {
             geolocation: 1,
             isPrivate: 1,
             logoUrl: 1,
+            verified: 1,
+            ridingStyles: 1,
+            brands: 1,
+            displacementClasses: 1,
+            tags: 1,
             memberCount: 1,
             distance: 1,
             createdAt: 1,
@@ -1612,6 +2286,8 @@ async function getNearbyClubs(req, res) {
           geolocation: club.geolocation,
           isPrivate: club.isPrivate || false,
           logoUrl: club.logoUrl || null,
+          verified: !!club.verified,
+          ...formatClubTaxonomy(club),
           memberCount: club.memberCount || 0,
           distance: Math.round(club.distance * 100) / 100,
           createdAt: club.createdAt,
@@ -0,0 +1,462 @@
+import crypto from 'crypto';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import User from '../models/UserModel.js';
+import ClubInvite from '../models/ClubInviteModel.js';
+import { meetsClubTwoFactorPolicy } from '../utils/twoFactorService.js';
+import { can, checkGrantable } from '../utils/clubPermissions.js';
+import { getAppUrl } from '../utils/mailService.js';
+import { createNewMemberNotification } from '../utils/notificationService.js';
+import { recordMembershipEvent } from '../utils/membershipHistory.js';
+import { getActiveBan, banErrorBody } from '../utils/clubBans.js';
+import { getCurrentBylaws, checkBylawsAcceptance, acceptanceFor } from '../utils/clubBylaws.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
+
+export {
+  getClubInvites,
+  createClubInvite,
+  updateClubInvite,
+  revokeClubInvite,
+  getInviteByCode,
+  redeemInvite,
+};
+
+// No 0/O or 1/I so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+function serializeInvite(invite) {
+  return {
+    _id: invite._id,
+    code: invite.code,
+    url: `${getAppUrl()}/invite/${invite.code}`,
+    label: invite.label,
+    role: invite.role,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    expiresAt: invite.expiresAt,
+    revokedAt: invite.revokedAt,
+    status: invite.getStatus(),
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+  };
+}
+
+/**
+ * Validate role, maxUses and expiresAt from the request body
+ * Only the fields present in the body are returned.
+ * @returns {Object} { fields } or { status, error }
+ */
+function parseInviteFields(body, club, actorMember) {
+  const fields = {};
+
+  if (body.role !== undefined && body.role !== null && body.role !== '') {
+    const role = (club.customRoles || []).find((r) => r.key === body.role);
+    if (!role) {
+      return { status: 400, error: 'Invites can only pre-assign one of the club\'s custom roles' };
+    }
+    const grantError = checkGrantable(club, actorMember, role.permissions);
+    if (grantError) {
+      return { status: 403, error: grantError };
+    }
+    fields.role = role.key;
+  } else if (body.role !== undefined) {
+    fields.role = null;
+  }
+
+  if (body.maxUses !== undefined) {
+    if (body.maxUses === null) {
+      fields.maxUses = null;
+    } else {
+      const maxUses = Number(body.maxUses);
+      if (!Number.isInteger(maxUses) || maxUses < 1) {
+        return { status: 400, error: 'maxUses must be a positive whole number' };
+      }
+      fields.maxUses = maxUses;
+    }
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null) {
+      fields.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return { status: 400, error: 'expiresAt must be a date in the future' };
+      }
+      fields.expiresAt = expiresAt;
+    }
+  }
+
+  if (body.label !== undefined) {
+    fields.label = typeof body.label === 'string' ? body.label.trim() : undefined;
+  }
+
+  return { fields };
+}
+
+async function loadClub(clubId, res) {
+  if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid club ID format' });
+    return null;
+  }
+  const club = await Club.findById(clubId);
+  if (!club) {
+    res.status(404).json({ message: 'Club not found' });
+    return null;
+  }
+  return club;
+}
+
+/**
+ * GET /api/club/:clubId/invites - List the club's invites (requires members.invite)
+ */
+async function getClubInvites(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'members.invite');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const invites = await ClubInvite.find({ club: club._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({ invites: invites.map(serializeInvite) });
+  } catch (error) {
+    console.error('Error getting club invites:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/invites - Create an invite (requires members.invite)
+ * Body: { label?, role?, maxUses?, expiresAt? }
+ */
+async function createClubInvite(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'members.invite');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const parsed = parseInviteFields(req.body || {}, club, permissionCheck.member);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ message: parsed.error });
+    }
+
+    // Retry on the (unlikely) chance of a code collision
+    let invite;
+    for (let attempt = 0; !invite && attempt < 3; attempt++) {
+      try {
+        invite = await ClubInvite.create({
+          ...parsed.fields,
+          club: club._id,
+          code: generateInviteCode(),
+          createdBy: req.user._id,
+        });
+      } catch (error) {
+        if (error?.code !== 11000 || attempt === 2) throw error;
+      }
+    }
+
+    return res.status(201).json({
+      message: 'Invite created successfully',
+      invite: serializeInvite(invite),
+    });
+  } catch (error) {
+    console.error('Error creating club invite:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * PUT /api/club/:clubId/invites/:inviteId - Change an invite's label, role, limit or expiry (requires members.invite)
+ */
+async function updateClubInvite(req, res) {
+  try {
+    const { inviteId } = req.params;
+    if (!inviteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'members.invite');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const invite = await ClubInvite.findOne({ _id: inviteId, club: club._id });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+    if (invite.revokedAt) {
+      return res.status(400).json({ message: 'Revoked invites cannot be changed' });
+    }
+
+    const parsed = parseInviteFields(req.body || {}, club, permissionCheck.member);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ message: parsed.error });
+    }
+
+    Object.assign(invite, parsed.fields);
+    await invite.save();
+
+    return res.status(200).json({
+      message: 'Invite updated successfully',
+      invite: serializeInvite(invite),
+    });
+  } catch (error) {
+    console.error('Error updating club invite:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId/invites/:inviteId - Revoke an invite (requires members.invite)
+ * The record is kept so members who joined through it still point at it.
+ */
+async function revokeClubInvite(req, res) {
+  try {
+    const { inviteId } = req.params;
+    if (!inviteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'members.invite');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const invite = await ClubInvite.findOne({ _id: inviteId, club: club._id });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+
+    return res.status(200).json({
+      message: 'Invite revoked successfully',
+      invite: serializeInvite(invite),
+    });
+  } catch (error) {
+    console.error('Error revoking club invite:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * GET /api/club/invites/:code - Preview the club behind an invite (no auth, for invite landing pages)
+ */
+async function getInviteByCode(req, res) {
+  try {
+    const invite = await ClubInvite.findOne({ code: String(req.params.code).toUpperCase() });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    const club = await Club.findById(invite.club).select('clubName description location logoUrl isPrivate members deletion');
+    if (!club) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    // Invites to an archived club stop working along with it
+    const status = club.deletion?.scheduledFor ? 'revoked' : invite.getStatus();
+    const bylaws = await getCurrentBylaws(club._id);
+
+    return res.status(200).json({
+      status,
+      valid: status === 'active',
+      expiresAt: invite.expiresAt,
+      club: {
+        _id: club._id,
+        clubName: club.clubName,
+        description: club.description,
+        location: club.location || '',
+        logoUrl: club.logoUrl,
+        isPrivate: club.isPrivate,
+        memberCount: club.members?.length || 0,
+      },
+      // Redeeming needs acceptBylawsVersion set to this version
+      bylaws: bylaws ? { _id: bylaws._id, version: bylaws.version, title: bylaws.title } : null,
+    });
+  } catch (error) {
+    console.error('Error getting invite:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/invites/:code/redeem - Join a club through an invite
+ * Skips the join request review, including for private clubs.
+ * Body: acceptBylawsVersion (required when the club has bylaws)
+ */
+async function redeemInvite(req, res) {
+  try {
+    const userId = req.user._id;
+
+    const invite = await ClubInvite.findOne({ code: String(req.params.code).toUpperCase() });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    const status = invite.getStatus();
+    if (status !== 'active') {
+      return res.status(410).json({ message: `This invite is ${status}`, status });
+    }
+
+    const [club, user] = await Promise.all([Club.findById(invite.club), User.findById(userId)]);
+    if (!club) {
+      return res.status(404).json({ message: 'Club not found' });
+    }
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const ban = await getActiveBan(club, userId);
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
+    const existingMember = await Member.findOne({ club: club._id, user: userId });
+    if (existingMember) {
+      return res.status(400).json({ message: 'You are already a member of this club' });
+    }
+
+    if (club.requireVerifiedEmail && !user.emailVerified) {
+      return res.status(403).json({
+        message: 'This club requires a verified email address. Please verify your email before joining.',
+      });
+    }
+
+    const bylaws = await getCurrentBylaws(club._id);
+    const bylawsError = checkBylawsAcceptance(bylaws, req.body);
+    if (bylawsError) {
+      return res.status(400).json(bylawsError);
+    }
+
+    // The role may have been deleted since the invite was made
+    const role = invite.role && (club.customRoles || []).some((r) => r.key === invite.role)
+      ? invite.role
+      : null;
+
+    if (role && club.requireAdminTwoFactor && !(await meetsClubTwoFactorPolicy(club._id, userId))) {
+      return res.status(400).json({
+        message: 'This invite comes with a club role. Enable two-factor authentication before joining.',
+      });
+    }
+
+    // Claim a use atomically so concurrent redemptions can't exceed maxUses
+    const claimed = await ClubInvite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+        ],
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(410).json({ message: 'This invite is no longer valid' });
+    }
+
+    const newMember = new Member({
+      user: userId,
+      club: club._id,
+      roles: role ? ['member', role] : ['member'],
+      invite: invite._id,
+      bylawsAcceptances: bylaws ? [acceptanceFor(bylaws)] : [],
+    });
+    try {
+      await newMember.save();
+    } catch (error) {
+      await ClubInvite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+      throw error;
+    }
+
+    // An invite replaces any pending request to join
+    const pendingRequests = await JoinRequest.find({ club: club._id, user: userId }).select('_id');
+    const pendingIds = pendingRequests.map((r) => r._id.toString());
+    if (pendingIds.length > 0) {
+      await JoinRequest.deleteMany({ _id: { $in: pendingIds } });
+      club.joinRequests = club.joinRequests.filter((reqId) => !pendingIds.includes(reqId.toString()));
+    }
+
+    club.members.push(newMember._id);
+    await club.save();
+
+    await recordMembershipEvent({
+      club,
+      user: userId,
+      actor: invite.createdBy,
+      type: 'joined',
+      data: { via: 'invite', inviteId: invite._id, roles: newMember.roles },
+    });
+
+    try {
+      if (club.members.length > 1) {
+        await createNewMemberNotification(club.members, newMember, club);
+      }
+    } catch (notificationError) {
+      console.error('Failed to create new member notifications:', notificationError);
+      // Don't fail the request if notification fails
+    }
+
+    return res.status(201).json({
+      message: 'Successfully joined club',
+      membership: newMember,
+      club: { _id: club._id, clubName: club.clubName },
+      instant: true,
+    });
+  } catch (error) {
+    console.error('Error redeeming invite:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
@@ -0,0 +1,285 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import User from '../models/UserModel.js';
+import { meetsClubTwoFactorPolicy } from '../utils/twoFactorService.js';
+import { deleteClubCascade, getClubDeletionGraceDays, rejectIfArchived } from '../utils/clubCleanup.js';
+import {
+  createOwnershipTransferNotification,
+  createClubDeletionNotifications,
+} from '../utils/notificationService.js';
+import { recordMembershipEvent } from '../utils/membershipHistory.js';
+
+export {
+  transferOwnership,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer,
+  deleteClub,
+  cancelClubDeletion,
+};
+
+const TRANSFER_EXPIRY_DAYS = 7;
+
+function isSameUser(a, b) {
+  return !!a && !!b && a.toString() === b.toString();
+}
+
+async function loadClub(clubId, res) {
+  if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid club ID format' });
+    return null;
+  }
+  const club = await Club.findById(clubId);
+  if (!club) {
+    res.status(404).json({ message: 'Club not found' });
+    return null;
+  }
+  return club;
+}
+
+function hasPendingTransfer(club) {
+  return !!club.ownershipTransfer?.to && club.ownershipTransfer.expiresAt > new Date();
+}
+
+/**
+ * POST /api/club/:clubId/transfer-ownership - Offer ownership to another member (owner only)
+ * Body: { memberId } - nothing changes until the recipient accepts
+ */
+async function transferOwnership(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    if (!isSameUser(club.createdBy, req.user._id)) {
+      return res.status(403).json({ message: 'Only the club owner can transfer ownership' });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const { memberId } = req.body;
+    if (!memberId || !String(memberId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'A valid memberId is required' });
+    }
+
+    const recipient = await Member.findOne({ _id: memberId, club: club._id });
+    if (!recipient) {
+      return res.status(404).json({ message: 'Member not found in this club' });
+    }
+
+    if (isSameUser(recipient.user, req.user._id)) {
+      return res.status(400).json({ message: 'You already own this club' });
+    }
+
+    const now = new Date();
+    club.ownershipTransfer = {
+      to: recipient.user,
+      requestedBy: req.user._id,
+      requestedAt: now,
+      expiresAt: new Date(now.getTime() + TRANSFER_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+    };
+    await club.save();
+
+    try {
+      const owner = await User.findById(req.user._id);
+      await createOwnershipTransferNotification(recipient.user, club, owner);
+    } catch (notificationError) {
+      // Don't fail the request if notification fails
+      console.error('Failed to create ownership transfer notification:', notificationError);
+    }
+
+    return res.status(200).json({
+      message: 'Ownership transfer requested. It takes effect once the member accepts.',
+      ownershipTransfer: club.ownershipTransfer,
+    });
+  } catch (error) {
+    console.error('Error requesting ownership transfer:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/transfer-ownership/accept - Accept a pending transfer (recipient only)
+ * The new owner becomes an admin; the previous owner keeps their admin role.
+ */
+async function acceptOwnershipTransfer(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    if (rejectIfArchived(club, res)) return;
+
+    const userId = req.user._id;
+    if (!hasPendingTransfer(club) || !isSameUser(club.ownershipTransfer.to, userId)) {
+      return res.status(404).json({ message: 'No pending ownership transfer for you in this club' });
+    }
+
+    const member = await Member.findOne({ club: club._id, user: userId });
+    if (!member) {
+      return res.status(403).json({ message: 'User is not a member of this club' });
+    }
+
+    if (
+      club.requireAdminTwoFactor &&
+      !member.roles.includes('admin') &&
+      !(await meetsClubTwoFactorPolicy(club._id, userId))
+    ) {
+      return res.status(400).json({
+        message: 'Enable two-factor authentication before becoming an admin of this club',
+      });
+    }
+
+    if (!member.roles.includes('admin')) {
+      member.roles.push('admin');
+      await member.save();
+    }
+
+    const previousOwner = club.createdBy;
+    club.createdBy = userId;
+    club.ownershipTransfer = undefined;
+    await club.save();
+
+    await recordMembershipEvent({
+      club,
+      user: userId,
+      actor: previousOwner,
+      type: 'ownership_transferred',
+      data: { from: previousOwner },
+    });
+
+    return res.status(200).json({
+      message: 'You are now the owner of this club',
+      club: { _id: club._id, clubName: club.clubName, createdBy: club.createdBy },
+    });
+  } catch (error) {
+    console.error('Error accepting ownership transfer:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId/transfer-ownership - Withdraw (owner) or decline (recipient) a pending transfer
+ */
+async function cancelOwnershipTransfer(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const userId = req.user._id;
+    if (!club.ownershipTransfer?.to) {
+      return res.status(404).json({ message: 'No pending ownership transfer' });
+    }
+
+    const isOwner = isSameUser(club.createdBy, userId);
+    if (!isOwner && !isSameUser(club.ownershipTransfer.to, userId)) {
+      return res.status(403).json({ message: 'Only the owner or the recipient can cancel this transfer' });
+    }
+
+    club.ownershipTransfer = undefined;
+    await club.save();
+
+    return res.status(200).json({
+      message: isOwner ? 'Ownership transfer cancelled' : 'Ownership transfer declined',
+    });
+  } catch (error) {
+    console.error('Error cancelling ownership transfer:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId - Delete a club (owner only)
+ * The club is archived for CLUB_DELETION_GRACE_DAYS so the owner can change their mind,
+ * then purged together with its members, requests, events, collections, payments,
+ * official members, claims and Cloudinary assets.
+ */
+async function deleteClub(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    if (!isSameUser(club.createdBy, req.user._id)) {
+      return res.status(403).json({ message: 'Only the club owner can delete the club' });
+    }
+
+    if (club.deletion?.scheduledFor) {
+      return res.status(400).json({
+        message: 'Club deletion is already scheduled',
+        scheduledFor: club.deletion.scheduledFor,
+      });
+    }
+
+    const graceDays = getClubDeletionGraceDays();
+    if (graceDays === 0) {
+      const deleted = await deleteClubCascade(club);
+      return res.status(200).json({ message: 'Club deleted', deleted });
+    }
+
+    const now = new Date();
+    club.deletion = {
+      requestedBy: req.user._id,
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000),
+    };
+    club.ownershipTransfer = undefined;
+    await club.save();
+
+    try {
+      const [owner, members] = await Promise.all([
+        User.findById(req.user._id),
+        Member.find({ club: club._id }).select('user'),
+      ]);
+      await createClubDeletionNotifications(members.map((m) => m.user), club, owner);
+    } catch (notificationError) {
+      // Don't fail the request if notification fails
+      console.error('Failed to create club deletion notifications:', notificationError);
+    }
+
+    return res.status(200).json({
+      message: `The club will be deleted in ${graceDays} days. Cancel before then to keep it.`,
+      scheduledFor: club.deletion.scheduledFor,
+    });
+  } catch (error) {
+    console.error('Error deleting club:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/deletion/cancel - Restore a club during its archive period (owner only)
+ */
+async function cancelClubDeletion(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    if (!isSameUser(club.createdBy, req.user._id)) {
+      return res.status(403).json({ message: 'Only the club owner can restore the club' });
+    }
+
+    if (!club.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'Club deletion is not scheduled' });
+    }
+
+    club.deletion = undefined;
+    await club.save();
+
+    return res.status(200).json({ message: 'Club deletion cancelled' });
+  } catch (error) {
+    console.error('Error cancelling club deletion:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
@@ -0,0 +1,75 @@
+import Club from '../models/ClubModel.js';
+import Event from '../models/EventModel.js';
+import { NOT_ARCHIVED } from '../utils/clubCleanup.js';
+import { formatClubTaxonomy } from '../utils/clubTaxonomy.js';
+
+export {
+  getClubBySlug,
+};
+
+const UPCOMING_EVENTS_LIMIT = 5;
+
+/**
+ * GET /api/club/by-slug/:slug - Public club page data, no sign-in needed
+ * Everyone sees the club card (name, description, logo, badges, member count).
+ * Public clubs also show their chapters and upcoming public events; private
+ * clubs keep those to members. Old slugs from before a rename redirect to the current one.
+ */
+async function getClubBySlug(req, res) {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+
+    let club = await Club.findOne({ slug, ...NOT_ARCHIVED }).populate('parentClub', 'slug clubName logoUrl');
+    if (!club) {
+      const renamed = await Club.findOne({ slugHistory: slug, ...NOT_ARCHIVED }).select('slug');
+      if (renamed?.slug) {
+        res.set('Location', `${req.baseUrl}/by-slug/${renamed.slug}`);
+        return res.status(301).json({ message: 'This club has a new address', slug: renamed.slug });
+      }
+      return res.status(404).json({ message: 'Club not found' });
+    }
+
+    const profile = {
+      _id: club._id,
+      slug: club.slug,
+      clubName: club.clubName,
+      description: club.description,
+      location: club.location || '',
+      region: club.region || '',
+      ...formatClubTaxonomy(club),
+      logoUrl: club.logoUrl,
+      isPrivate: club.isPrivate,
+      verified: !!club.verified,
+      memberCount: club.members.length,
+      createdAt: club.createdAt,
+    };
+
+    if (!club.isPrivate) {
+      const [chapters, upcomingEvents] = await Promise.all([
+        Club.find({ parentClub: club._id, ...NOT_ARCHIVED })
+          .select('slug clubName logoUrl chapterNumber location')
+          .sort({ chapterNumber: 1 }),
+        Event.find({ club: club._id, isPrivate: { $ne: true }, startTime: { $gte: new Date() } })
+          .select('name startTime endTime location eventType attendeeCount')
+          .sort({ startTime: 1 })
+          .limit(UPCOMING_EVENTS_LIMIT),
+      ]);
+
+      Object.assign(profile, {
+        geolocation: club.geolocation,
+        parentClub: club.parentClub,
+        chapterNumber: club.chapterNumber,
+        chapters,
+        upcomingEvents,
+      });
+    }
+
+    return res.status(200).json({ club: profile });
+  } catch (error) {
+    console.error('Error getting club by slug:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
@@ -0,0 +1,411 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import ClubInvite from '../models/ClubInviteModel.js';
+import { meetsClubTwoFactorPolicy } from '../utils/twoFactorService.js';
+import { recordMembershipEvent } from '../utils/membershipHistory.js';
+import {
+  CLUB_PERMISSIONS,
+  BUILT_IN_ROLES,
+  can,
+  checkGrantable,
+  getEffectivePermissions,
+  getMemberPermissions,
+  isValidPermission,
+} from '../utils/clubPermissions.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
+
+export {
+  getClubRoles,
+  createClubRole,
+  updateClubRole,
+  deleteClubRole,
+  setMemberRoles,
+};
+
+const MAX_CUSTOM_ROLES = 20;
+
+function toRoleKey(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function serializeRoles(club) {
+  return [
+    {
+      key: 'admin',
+      name: 'Admin',
+      builtIn: true,
+      permissions: Object.keys(CLUB_PERMISSIONS),
+    },
+    {
+      key: 'member',
+      name: 'Member',
+      builtIn: true,
+      permissions: getMemberPermissions(club),
+    },
+    ...(club.customRoles || []).map((role) => ({
+      key: role.key,
+      name: role.name,
+      description: role.description,
+      builtIn: false,
+      permissions: role.permissions,
+    })),
+  ];
+}
+
+/**
+ * Validate a permission list from the request body
+ * @returns {Object} { permissions } or { error }
+ */
+function parsePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    return { error: 'permissions must be an array' };
+  }
+  const unknown = permissions.filter((permission) => !isValidPermission(permission));
+  if (unknown.length > 0) {
+    return { error: `Unknown permissions: ${unknown.join(', ')}` };
+  }
+  return { permissions: [...new Set(permissions)] };
+}
+
+async function loadClub(clubId, res) {
+  if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid club ID format' });
+    return null;
+  }
+  const club = await Club.findById(clubId);
+  if (!club) {
+    res.status(404).json({ message: 'Club not found' });
+    return null;
+  }
+  return club;
+}
+
+/**
+ * GET /api/club/:clubId/roles - Roles defined in the club and the permission catalog (members)
+ */
+async function getClubRoles(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const membership = await Member.findOne({ club: club._id, user: req.user._id });
+    if (!membership) {
+      return res.status(403).json({ message: 'User is not a member of this club' });
+    }
+
+    return res.status(200).json({
+      roles: serializeRoles(club),
+      permissions: Object.entries(CLUB_PERMISSIONS).map(([key, description]) => ({
+        key,
+        description,
+      })),
+    });
+  } catch (error) {
+    console.error('Error getting club roles:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/roles - Define a custom role (requires roles.manage)
+ * Body: { name, description?, permissions }
+ */
+async function createClubRole(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'roles.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 40) {
+      return res.status(400).json({ message: 'Role name must be between 2 and 40 characters' });
+    }
+
+    const key = toRoleKey(name);
+    if (!key || BUILT_IN_ROLES.includes(key)) {
+      return res.status(400).json({ message: 'This role name is reserved' });
+    }
+    if ((club.customRoles || []).some((role) => role.key === key)) {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+    if ((club.customRoles || []).length >= MAX_CUSTOM_ROLES) {
+      return res.status(400).json({ message: `Clubs can define up to ${MAX_CUSTOM_ROLES} roles` });
+    }
+
+    const parsed = parsePermissions(permissions);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const grantError = checkGrantable(club, permissionCheck.member, parsed.permissions);
+    if (grantError) {
+      return res.status(403).json({ message: grantError });
+    }
+
+    club.customRoles.push({
+      key,
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : undefined,
+      permissions: parsed.permissions,
+    });
+    await club.save();
+
+    return res.status(201).json({
+      message: 'Role created successfully',
+      roles: serializeRoles(club),
+    });
+  } catch (error) {
+    console.error('Error creating club role:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * PUT /api/club/:clubId/roles/:roleKey - Rename a role or change its permissions (requires roles.manage)
+ * The built-in 'member' role only accepts permissions; 'admin' can't be changed.
+ */
+async function updateClubRole(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'roles.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const { roleKey } = req.params;
+    const { name, description, permissions } = req.body;
+
+    if (roleKey === 'admin') {
+      return res.status(400).json({ message: 'The admin role always has every permission' });
+    }
+
+    let parsed;
+    if (permissions !== undefined) {
+      parsed = parsePermissions(permissions);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      const grantError = checkGrantable(club, permissionCheck.member, parsed.permissions);
+      if (grantError) {
+        return res.status(403).json({ message: grantError });
+      }
+    }
+
+    if (roleKey === 'member') {
+      if (parsed) {
+        club.memberPermissions = parsed.permissions;
+        await club.save();
+      }
+      return res.status(200).json({
+        message: 'Role updated successfully',
+        roles: serializeRoles(club),
+      });
+    }
+
+    const role = (club.customRoles || []).find((r) => r.key === roleKey);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    // Members who aren't admins can't change a role that holds more than they do
+    const roleGrantError = checkGrantable(club, permissionCheck.member, role.permissions);
+    if (roleGrantError) {
+      return res.status(403).json({ message: roleGrantError });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 40) {
+        return res.status(400).json({ message: 'Role name must be between 2 and 40 characters' });
+      }
+      // The key stays the same so existing assignments keep working
+      role.name = name.trim();
+    }
+    if (description !== undefined) {
+      role.description = typeof description === 'string' ? description.trim() : undefined;
+    }
+    if (parsed) {
+      role.permissions = parsed.permissions;
+    }
+    await club.save();
+
+    return res.status(200).json({
+      message: 'Role updated successfully',
+      roles: serializeRoles(club),
+    });
+  } catch (error) {
+    console.error('Error updating club role:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId/roles/:roleKey - Delete a custom role and unassign it (requires roles.manage)
+ */
+async function deleteClubRole(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'roles.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const { roleKey } = req.params;
+    if (BUILT_IN_ROLES.includes(roleKey)) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const role = (club.customRoles || []).find((r) => r.key === roleKey);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const grantError = checkGrantable(club, permissionCheck.member, role.permissions);
+    if (grantError) {
+      return res.status(403).json({ message: grantError });
+    }
+
+    club.customRoles = club.customRoles.filter((r) => r.key !== roleKey);
+    await club.save();
+    await Member.updateMany({ club: club._id }, { $pull: { roles: roleKey } });
+    await ClubInvite.updateMany({ club: club._id, role: roleKey }, { role: null });
+
+    return res.status(200).json({
+      message: 'Role deleted successfully',
+      roles: serializeRoles(club),
+    });
+  } catch (error) {
+    console.error('Error deleting club role:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * PUT /api/club/:clubId/members/:memberId/roles - Set a member's custom roles (requires roles.manage)
+ * Body: { roles: ['treasurer', ...] } - admin is granted through promote/demote
+ */
+async function setMemberRoles(req, res) {
+  try {
+    const { memberId } = req.params;
+    if (!memberId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'roles.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const { roles } = req.body;
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({ message: 'roles must be an array' });
+    }
+
+    const customRoles = club.customRoles || [];
+    const unknown = roles.filter((key) => !customRoles.some((role) => role.key === key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown roles: ${unknown.join(', ')}` });
+    }
+
+    const member = await Member.findOne({ _id: memberId, club: club._id });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found in this club' });
+    }
+
+    const requested = [...new Set(roles)];
+    const current = member.roles.filter((key) => !BUILT_IN_ROLES.includes(key));
+    const changed = [
+      ...requested.filter((key) => !current.includes(key)),
+      ...current.filter((key) => !requested.includes(key)),
+    ];
+
+    // Everything being added or taken away must be within the actor's own permissions
+    const changedPermissions = customRoles
+      .filter((role) => changed.includes(role.key))
+      .flatMap((role) => role.permissions);
+    const grantError = checkGrantable(club, permissionCheck.member, changedPermissions);
+    if (grantError) {
+      return res.status(403).json({ message: grantError });
+    }
+
+    if (
+      club.requireAdminTwoFactor &&
+      requested.some((key) => !current.includes(key)) &&
+      !(await meetsClubTwoFactorPolicy(club._id, member.user))
+    ) {
+      return res.status(400).json({
+        message: 'Member must enable two-factor authentication before taking on a role in this club',
+      });
+    }
+
+    member.roles = [
+      ...member.roles.filter((key) => BUILT_IN_ROLES.includes(key)),
+      ...requested,
+    ];
+    await member.save();
+
+    if (changed.length > 0) {
+      await recordMembershipEvent({
+        club,
+        user: member.user,
+        actor: req.user._id,
+        type: 'role_changed',
+        data: {
+          added: requested.filter((key) => !current.includes(key)),
+          removed: current.filter((key) => !requested.includes(key)),
+        },
+      });
+    }
+
+    return res.status(200).json({
+      message: 'Member roles updated successfully',
+      member: {
+        _id: member._id,
+        user: member.user,
+        roles: member.roles,
+        permissions: getEffectivePermissions(club, member.roles),
+      },
+    });
+  } catch (error) {
+    console.error('Error setting member roles:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
@@ -0,0 +1,85 @@
+import Club from '../models/ClubModel.js';
+import { NOT_ARCHIVED } from '../utils/clubCleanup.js';
+import {
+  RIDING_STYLES,
+  BIKE_BRANDS,
+  DISPLACEMENT_CLASSES,
+  MAX_CLUB_TAGS,
+  TAXONOMY_FIELDS,
+} from '../utils/clubTaxonomy.js';
+
+export {
+  getClubTaxonomy,
+  getPopularTags,
+};
+
+const LABELS = {
+  ridingStyles: new Map(RIDING_STYLES.map((s) => [s.value, s.label])),
+  brands: new Map(BIKE_BRANDS.map((b) => [b.value, b.label])),
+  displacementClasses: new Map(DISPLACEMENT_CLASSES.map((d) => [d.value, d.label])),
+};
+
+/**
+ * GET /api/club/taxonomy - The curated lists clubs pick from
+ */
+async function getClubTaxonomy(req, res) {
+  return res.status(200).json({
+    ridingStyles: RIDING_STYLES,
+    brands: BIKE_BRANDS,
+    displacementClasses: DISPLACEMENT_CLASSES,
+    maxTags: MAX_CLUB_TAGS,
+  });
+}
+
+/**
+ * GET /api/club/tags/popular - Most used tags and categories across active clubs
+ * Query: limit (1-50, default 20), field (ridingStyles|brands|displacementClasses|tags)
+ */
+async function getPopularTags(req, res) {
+  try {
+    const { field } = req.query;
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const fields = Object.keys(TAXONOMY_FIELDS);
+    if (field !== undefined && !fields.includes(field)) {
+      return res.status(400).json({ message: `field must be one of: ${fields.join(', ')}` });
+    }
+    const selected = field ? [field] : fields;
+
+    const [counts] = await Club.aggregate([
+      { $match: { ...NOT_ARCHIVED } },
+      {
+        $facet: Object.fromEntries(
+          selected.map((name) => [
+            name,
+            [
+              { $unwind: `$${name}` },
+              { $group: { _id: `$${name}`, count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: limit },
+            ],
+          ])
+        ),
+      },
+    ]);
+
+    const popular = Object.fromEntries(
+      selected.map((name) => [
+        name,
+        (counts?.[name] || []).map(({ _id, count }) => ({
+          value: _id,
+          label: LABELS[name]?.get(_id) || _id,
+          count,
+        })),
+      ])
+    );
+
+    return res.status(200).json(popular);
+  } catch (error) {
+    console.error('Error getting popular tags:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
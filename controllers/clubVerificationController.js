@@ -0,0 +1,187 @@
+import Club from '../models/ClubModel.js';
+import ClubVerificationRequest from '../models/ClubVerificationRequestModel.js';
+import { can } from '../utils/clubPermissions.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
+import { uploadVerificationDocument, destroyVerificationDocuments } from '../utils/clubVerification.js';
+
+export {
+  getVerificationStatus,
+  submitVerificationRequest,
+  withdrawVerificationRequest,
+  MAX_VERIFICATION_DOCUMENTS,
+};
+
+const MAX_VERIFICATION_DOCUMENTS = 5;
+
+const ALLOWED_DOCUMENT_TYPES = /^(image\/(jpeg|png|webp|heic)|application\/pdf)$/;
+
+async function loadClub(clubId, res) {
+  if (!clubId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid club ID format' });
+    return null;
+  }
+  const club = await Club.findById(clubId);
+  if (!club) {
+    res.status(404).json({ message: 'Club not found' });
+    return null;
+  }
+  return club;
+}
+
+function formatRequest(request) {
+  if (!request) return null;
+  return {
+    _id: request._id,
+    status: request.status,
+    note: request.note,
+    documents: request.documents.map(({ fileName, mimeType }) => ({ fileName, mimeType })),
+    requestedBy: request.requestedBy,
+    reviewedAt: request.reviewedAt,
+    reviewNote: request.reviewNote,
+    createdAt: request.createdAt,
+  };
+}
+
+/**
+ * GET /api/club/:clubId/verification - Badge status and the latest request (requires club.edit)
+ */
+async function getVerificationStatus(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'club.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const latest = await ClubVerificationRequest.findOne({ club: club._id })
+      .populate('requestedBy', 'username firstName lastName')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      verified: !!club.verified,
+      verifiedAt: club.verifiedAt,
+      request: formatRequest(latest),
+    });
+  } catch (error) {
+    console.error('Error getting verification status:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * POST /api/club/:clubId/verification - Ask platform admins to verify the club (requires club.edit)
+ * Multipart: documents (1-5 images or PDFs), note?
+ */
+async function submitVerificationRequest(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const userId = req.user._id;
+    const permissionCheck = await can(userId, club, 'club.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    if (club.verified) {
+      return res.status(400).json({ message: 'This club is already verified' });
+    }
+
+    if (rejectIfArchived(club, res)) return;
+
+    const pending = await ClubVerificationRequest.exists({ club: club._id, status: 'pending' });
+    if (pending) {
+      return res.status(400).json({ message: 'A verification request is already waiting for review' });
+    }
+
+    const files = req.files || [];
+    const { note = '' } = req.body;
+    const errors = [];
+
+    if (files.length === 0) {
+      errors.push({ field: 'documents', message: 'Attach at least one document' });
+    } else if (files.length > MAX_VERIFICATION_DOCUMENTS) {
+      errors.push({
+        field: 'documents',
+        message: `Attach at most ${MAX_VERIFICATION_DOCUMENTS} documents`,
+      });
+    } else if (files.some((file) => !ALLOWED_DOCUMENT_TYPES.test(file.mimetype))) {
+      errors.push({ field: 'documents', message: 'Documents must be images or PDF files' });
+    }
+
+    if (typeof note !== 'string' || note.trim().length > 1000) {
+      errors.push({ field: 'note', message: 'Note must be text of at most 1000 characters' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation errors', errors });
+    }
+
+    const documents = [];
+    try {
+      for (const file of files) {
+        documents.push(await uploadVerificationDocument(file));
+      }
+    } catch (uploadError) {
+      await destroyVerificationDocuments(documents);
+      throw uploadError;
+    }
+
+    const request = await ClubVerificationRequest.create({
+      club: club._id,
+      requestedBy: userId,
+      documents,
+      note: note.trim(),
+    });
+
+    return res.status(201).json({
+      message: 'Verification request submitted. A platform admin will review it.',
+      request: formatRequest(request),
+    });
+  } catch (error) {
+    console.error('Error submitting verification request:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
+
+/**
+ * DELETE /api/club/:clubId/verification - Withdraw the pending request (requires club.edit)
+ */
+async function withdrawVerificationRequest(req, res) {
+  try {
+    const club = await loadClub(req.params.clubId, res);
+    if (!club) return;
+
+    const permissionCheck = await can(req.user._id, club, 'club.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
+    }
+
+    const request = await ClubVerificationRequest.findOneAndUpdate(
+      { club: club._id, status: 'pending' },
+      { status: 'withdrawn' },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(404).json({ message: 'No pending verification request' });
+    }
+
+    await destroyVerificationDocuments(request.documents);
+
+    return res.status(200).json({ message: 'Verification request withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing verification request:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: error?.message || error,
+    });
+  }
+}
@@ -3,11 +3,9 @@ import Payment from '../models/PaymentModel.js';
 import Member from '../models/MemberModel.js';
 import Club from '../models/ClubModel.js';
 import cloudinary from '../utils/cloudinary.js';
-
-async function isClubAdmin(clubId, userId) {
-  const membership = await Member.findOne({ club: clubId, user: userId, roles: 'admin' });
-  return !!membership;
-}
+import { can } from '../utils/clubPermissions.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
+import { recordAuditEntry, snapshot, AUDITED_FIELDS } from '../utils/clubAudit.js';
 
 export async function getCollectionsByClub(req, res) {
   try {
@@ -59,10 +57,13 @@ export async function createCollection(req, res) {
       return res.status(400).json({ message: 'club and name are required' });
     }
 
-    if (!(await isClubAdmin(club, req.user._id))) {
-      return res.status(403).json({ message: 'Only club admins can create collections' });
+    const permissionCheck = await can(req.user._id, club, 'collections.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(permissionCheck.club, res)) return;
+
     const collection = new Collection({
       club,
       name,
@@ -74,6 +75,15 @@ export async function createCollection(req, res) {
 
     await collection.save();
 
+    await recordAuditEntry({
+      club: collection.club,
+      actor: req.user._id,
+      action: 'collection.created',
+      targetId: collection._id,
+      targetLabel: collection.name,
+      after: snapshot(collection, AUDITED_FIELDS.collection),
+    });
+
     // Return with computed fields
     const result = { ...collection.toObject(), paymentCount: 0, totalCollected: 0 };
     return res.status(201).json({ collection: result });
@@ -93,10 +103,14 @@ export async function updateCollection(req, res) {
       return res.status(404).json({ message: 'Collection not found' });
     }
 
-    if (!(await isClubAdmin(collection.club, req.user._id))) {
-      return res.status(403).json({ message: 'Only club admins can update collections' });
+    const permissionCheck = await can(req.user._id, collection.club, 'collections.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(permissionCheck.club, res)) return;
+
+    const before = snapshot(collection, AUDITED_FIELDS.collection);
     if (name !== undefined) collection.name = name;
     if (description !== undefined) collection.description = description;
     if (targetAmount !== undefined) collection.targetAmount = targetAmount;
@@ -104,6 +118,17 @@ export async function updateCollection(req, res) {
     if (visibility !== undefined) collection.visibility = visibility;
 
     await collection.save();
+
+    await recordAuditEntry({
+      club: collection.club,
+      actor: req.user._id,
+      action: 'collection.updated',
+      targetId: collection._id,
+      targetLabel: collection.name,
+      before,
+      after: snapshot(collection, AUDITED_FIELDS.collection),
+    });
+
     return res.status(200).json({ collection });
   } catch (err) {
     console.error('Error updating collection:', err.message);
@@ -120,10 +145,13 @@ export async function deleteCollection(req, res) {
       return res.status(404).json({ message: 'Collection not found' });
     }
 
-    if (!(await isClubAdmin(collection.club, req.user._id))) {
-      return res.status(403).json({ message: 'Only club admins can delete collections' });
+    const permissionCheck = await can(req.user._id, collection.club, 'collections.manage');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(permissionCheck.club, res)) return;
+
     // Cascade: delete all payments and their Cloudinary receipts
     const payments = await Payment.find({ collection: collectionId });
     await Promise.all(
@@ -140,6 +168,16 @@ export async function deleteCollection(req, res) {
     await Payment.deleteMany({ collection: collectionId });
     await collection.deleteOne();
 
+    await recordAuditEntry({
+      club: collection.club,
+      actor: req.user._id,
+      action: 'collection.deleted',
+      targetId: collection._id,
+      targetLabel: collection.name,
+      before: snapshot(collection, AUDITED_FIELDS.collection),
+      data: { paymentsDeleted: payments.length },
+    });
+
     return res.status(200).json({ message: 'Collection deleted' });
   } catch (err) {
     console.error('Error deleting collection:', err.message);
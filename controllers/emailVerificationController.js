@@ -0,0 +1,86 @@
+import User from '../models/UserModel.js';
+import {
+  verifyEmailVerificationToken,
+  sendVerificationEmail,
+} from '../utils/emailVerificationService.js';
+
+/**
+ * POST /api/auth/verify-email - Confirm an address from a signed verification link
+ */
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: 'Verification token is required' });
+  }
+
+  const result = verifyEmailVerificationToken(token);
+  if (result.error) {
+    return res.status(400).json({ message: result.error });
+  }
+
+  try {
+    const user = await User.findById(result.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.pendingEmail && user.pendingEmail === result.email) {
+      // Email change - swap the confirmed address in
+      const existingUser = await User.findOne({
+        email: result.email,
+        _id: { $ne: user._id },
+      });
+      if (existingUser) {
+        return res.status(409).json({ message: 'Email is already taken' });
+      }
+
+      user.email = result.email;
+      user.pendingEmail = undefined;
+    } else if (user.email !== result.email) {
+      // Link for an address the user no longer has or has since replaced
+      return res.status(400).json({ message: 'Invalid verification link' });
+    } else if (user.emailVerified) {
+      return res.status(200).json({ message: 'Email is already verified' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    return res.status(200).json({
+      message: 'Email verified successfully',
+      email: user.email,
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/auth/resend-verification - Send a new verification link to the
+ * pending address if there is one, otherwise to the current address
+ */
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const email = user.pendingEmail || user.email;
+    if (!user.pendingEmail && user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user, email);
+
+    return res.status(200).json({
+      message: `Verification email sent to ${email}`,
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    return res.status(500).json({ message: error.message });
+  }
+};
@@ -1,9 +1,15 @@
 import Event from '../models/EventModel.js';
 import Member from '../models/MemberModel.js';
+import Club from '../models/ClubModel.js';
 import Notification from '../models/NotificationModel.js';
 import { validationResult } from 'express-validator';
 import cloudinary from '../utils/cloudinary.js';
 import sharp from 'sharp';
+import { can } from '../utils/clubPermissions.js';
+import ClubBan from '../models/ClubBanModel.js';
+import { activeBanQuery, getActiveBan, banErrorBody } from '../utils/clubBans.js';
+import { getChapterIds } from '../utils/clubHierarchy.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
 
 function getUserDisplayName(user) {
   if (!user) return 'Unknown User';
@@ -87,6 +93,13 @@ export async function createEvent(req, res) {
       eventDoc.maxAttendees = normalizedMax;
       // ignore club for global events
     } else {
+      if (club) {
+        const permissionCheck = await can(req.user._id, club, 'events.create');
+        if (!permissionCheck.allowed) {
+          return res.status(403).json({ message: permissionCheck.error });
+        }
+        if (rejectIfArchived(permissionCheck.club, res)) return;
+      }
       eventDoc.club = club;
       if (isPrivate !== undefined) eventDoc.isPrivate = isPrivate;
       if (normalizedMax !== null) eventDoc.maxAttendees = normalizedMax;
@@ -103,7 +116,12 @@ export async function createEvent(req, res) {
 
 export async function getAllEvents(req, res) {
   try {
-    const events = await Event.find()
+    // Leave out events of clubs the user is banned from
+    const bannedClubs = await ClubBan.distinct('club', {
+      user: req.user._id,
+      ...activeBanQuery(),
+    });
+    const events = await Event.find({ club: { $nin: bannedClubs } })
       .populate('club', 'clubName')
       .populate('createdBy', 'username');
     res.status(200).json(events);
@@ -113,12 +131,38 @@ export async function getAllEvents(req, res) {
   }
 }
 
+/**
+ * GET /api/event/club/:clubId
+ * Query: includeChapters=true adds the events of every chapter below the club,
+ * each with its club's name and chapter number.
+ */
 export async function getEventsByClub(req, res) {
   try {
-    const events = await Event.find({ club: req.params.clubId }).populate(
-      'createdBy',
-      'username'
+    const { clubId } = req.params;
+    const ban = await getActiveBan(clubId, req.user._id);
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
+    if (req.query.includeChapters !== 'true') {
+      const events = await Event.find({ club: clubId }).populate(
+        'createdBy',
+        'username'
+      );
+      return res.status(200).json(events);
+    }
+
+    const bannedClubs = await ClubBan.distinct('club', {
+      user: req.user._id,
+      ...activeBanQuery(),
+    });
+    const chapterIds = (await getChapterIds(clubId)).filter(
+      (id) => !bannedClubs.some((banned) => banned.equals(id))
     );
+    const events = await Event.find({ club: { $in: [clubId, ...chapterIds] } })
+      .populate('club', 'clubName chapterNumber')
+      .populate('createdBy', 'username')
+      .sort({ startTime: 1 });
     res.status(200).json(events);
   } catch (err) {
     console.error(err.message);
@@ -240,6 +284,11 @@ export async function getEventById(req, res) {
     }
 
     const userId = req.user._id;
+    const ban = event.club && (await getActiveBan(event.club, userId));
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
     const isCreator =
       event.createdBy &&
       (event.createdBy._id
@@ -389,6 +438,11 @@ export async function joinEvent(req, res) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
+    const ban = event.club && (await getActiveBan(event.club, userId));
+    if (ban) {
+      return res.status(403).json(banErrorBody(ban));
+    }
+
     if (event.scope !== 'global') {
       return res
         .status(400)
@@ -534,6 +588,8 @@ export async function deleteEvent(req, res) {
         .json({ message: 'Only the event creator can delete this event' });
     }
 
+    if (event.club && rejectIfArchived(await Club.findById(event.club).select('deletion'), res)) return;
+
     // Best effort delete of any associated cloudinary image
     if (event.imagePublicId) {
       try {
@@ -576,6 +632,8 @@ export async function uploadEventImage(req, res) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
+    if (event.club && rejectIfArchived(await Club.findById(event.club).select('deletion'), res)) return;
+
     // Process image with sharp - limit to 1024x768, 85% quality JPEG
     const processedImageBuffer = await sharp(req.file.buffer)
       .resize(1024, 768, { 
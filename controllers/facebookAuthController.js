@@ -1,35 +1,8 @@
 import User from '../models/UserModel.js';
-import jwt from 'jsonwebtoken';
-import axios from 'axios';
 import { processFacebookProfilePicture, shouldUpdateProfilePicture } from '../utils/facebookImageUtils.js';
-
-// Create JWT token (reusing pattern from authController.js)
-const createToken = (_id) =>
-  jwt.sign(
-    {
-      _id,
-    },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: '30d',
-    }
-  );
-
-// Verify Facebook access token with Facebook Graph API
-const verifyFacebookToken = async (accessToken) => {
-  try {
-    const response = await axios.get(
-      `https://graph.facebook.com/me?access_token=${accessToken}&fields=id,email,first_name,last_name,picture.type(large)`
-    );
-    return response.data;
-  } catch (error) {
-    console.error(
-      'Facebook token verification failed:',
-      error.response?.data || error.message
-    );
-    throw new Error('Invalid Facebook access token');
-  }
-};
+import { issueAuthTokens } from '../utils/tokenService.js';
+import { createTwoFactorChallenge } from '../utils/twoFactorService.js';
+import { verifyOAuthToken } from '../utils/oauthProviders.js';
 
 // Facebook login endpoint
 export const facebookLogin = async (req, res) => {
@@ -43,15 +16,15 @@ export const facebookLogin = async (req, res) => {
 
   try {
     // Verify token with Facebook
-    const facebookUser = await verifyFacebookToken(accessToken);
+    const facebookProfile = await verifyOAuthToken('facebook', accessToken);
 
     const {
-      id: facebookId,
+      providerUserId: facebookId,
       email,
-      first_name,
-      last_name,
-      picture,
-    } = facebookUser;
+      firstName: first_name,
+      lastName: last_name,
+      pictureUrl,
+    } = facebookProfile;
 
     if (!email) {
       return res.status(400).json({
@@ -60,23 +33,28 @@ export const facebookLogin = async (req, res) => {
     }
 
     // Check if user exists with Facebook ID
-    let user = await User.findOne({ facebookId });
+    let user = await User.findByIdentity('facebook', facebookId);
     let isNewUser = false;
 
     if (!user) {
       // Check if user exists with email
       user = await User.findOne({ email });
 
-      if (user && !user.facebookId) {
-        // Link Facebook account to existing user
-        user.facebookId = facebookId;
-        user.facebookEmail = email;
+      if (user && !user.getIdentity('facebook') && !user.emailVerified) {
+        // Someone may have signed up with this address without owning it
+        return res.status(409).json({
+          message: 'An account with this email already exists. Log in and link Facebook from your settings.',
+        });
+      } else if (user && !user.getIdentity('facebook')) {
+        // Link Facebook account to existing user - Facebook confirmed this address,
+        // so it counts as verified
+        user.linkIdentity('facebook', facebookProfile);
         
         // Process Facebook profile picture and upload to Cloudinary
-        if (picture?.data?.url && shouldUpdateProfilePicture(user.profilePhoto, picture.data.url)) {
+        if (pictureUrl && shouldUpdateProfilePicture(user.profilePhoto, pictureUrl)) {
           try {
             const cloudinaryUrl = await processFacebookProfilePicture(
-              picture.data.url,
+              pictureUrl,
               user._id.toString(),
               user.profilePhoto
             );
@@ -85,32 +63,32 @@ export const facebookLogin = async (req, res) => {
             console.error('Failed to process Facebook profile picture during account linking:', error.message);
             // Keep existing profile photo or set Facebook URL as fallback
             if (!user.profilePhoto) {
-              user.profilePhoto = picture.data.url;
+              user.profilePhoto = pictureUrl;
             }
           }
         }
         
         await user.save();
-      } else if (user && user.facebookId && user.facebookId !== facebookId) {
+      } else if (user) {
         return res.status(400).json({
           message: 'Email already associated with a different Facebook account',
         });
       } else if (!user) {
         // Auto-register new user instead of returning error
         let profilePhotoUrl = null;
-        if (picture?.data?.url) {
+        if (pictureUrl) {
           try {
             // Create a temporary user ID for the image processing
             const tempUserId = `temp_${facebookId}_${Date.now()}`;
             profilePhotoUrl = await processFacebookProfilePicture(
-              picture.data.url,
+              pictureUrl,
               tempUserId,
               null // No existing image to cleanup for new registration
             );
           } catch (error) {
             console.error('Failed to process Facebook profile picture during auto-registration:', error.message);
             // Use original Facebook URL as fallback
-            profilePhotoUrl = picture.data.url;
+            profilePhotoUrl = pictureUrl;
           }
         }
 
@@ -129,7 +107,7 @@ export const facebookLogin = async (req, res) => {
         if (profilePhotoUrl && profilePhotoUrl.includes('cloudinary.com') && profilePhotoUrl.includes('temp_')) {
           try {
             const actualProfilePhotoUrl = await processFacebookProfilePicture(
-              picture.data.url,
+              pictureUrl,
               user._id.toString(),
               profilePhotoUrl // This will cleanup the temp image
             );
@@ -143,10 +121,10 @@ export const facebookLogin = async (req, res) => {
       }
     } else {
       // User found with Facebook ID - update profile photo from Facebook data if needed
-      if (picture?.data?.url && shouldUpdateProfilePicture(user.profilePhoto, picture.data.url)) {
+      if (pictureUrl && shouldUpdateProfilePicture(user.profilePhoto, pictureUrl)) {
         try {
           const cloudinaryUrl = await processFacebookProfilePicture(
-            picture.data.url,
+            pictureUrl,
             user._id.toString(),
             user.profilePhoto
           );
@@ -159,8 +137,23 @@ export const facebookLogin = async (req, res) => {
       }
     }
 
-    // Create JWT token
-    const token = createToken(user._id);
+    if (user.suspension?.isSuspended) {
+      return res.status(403).json({
+        message: 'This account has been suspended',
+      });
+    }
+
+    // Accounts with 2FA finish logging in through /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        twoFactorToken: createTwoFactorChallenge(user._id, 'facebook'),
+      });
+    }
+
+    // Create access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user._id, req, { loginMethod: 'facebook' });
     const userObject = user.toObject();
     delete userObject.password;
 
@@ -173,6 +166,7 @@ export const facebookLogin = async (req, res) => {
     res.status(200).json({
       message: `Facebook login successful. ${welcomeMessage}`,
       token,
+      refreshToken,
       user: userObject,
       isNewUser: isNewUser,
     });
@@ -196,15 +190,15 @@ export const facebookRegister = async (req, res) => {
 
   try {
     // Verify token with Facebook
-    const facebookUser = await verifyFacebookToken(accessToken);
+    const facebookProfile = await verifyOAuthToken('facebook', accessToken);
 
     const {
-      id: facebookId,
+      providerUserId: facebookId,
       email,
-      first_name,
-      last_name,
-      picture,
-    } = facebookUser;
+      firstName: first_name,
+      lastName: last_name,
+      pictureUrl,
+    } = facebookProfile;
 
     if (!email) {
       return res.status(400).json({
@@ -214,19 +208,19 @@ export const facebookRegister = async (req, res) => {
 
     // Process Facebook profile picture and upload to Cloudinary
     let profilePhotoUrl = null;
-    if (picture?.data?.url) {
+    if (pictureUrl) {
       try {
         // Create a temporary user ID for the image processing
         const tempUserId = `temp_${facebookId}_${Date.now()}`;
         profilePhotoUrl = await processFacebookProfilePicture(
-          picture.data.url,
+          pictureUrl,
           tempUserId,
           null // No existing image to cleanup for new registration
         );
       } catch (error) {
         console.error('Failed to process Facebook profile picture during registration:', error.message);
         // Use original Facebook URL as fallback
-        profilePhotoUrl = picture.data.url;
+        profilePhotoUrl = pictureUrl;
       }
     }
 
@@ -244,7 +238,7 @@ export const facebookRegister = async (req, res) => {
     if (profilePhotoUrl && profilePhotoUrl.includes('cloudinary.com') && profilePhotoUrl.includes('temp_')) {
       try {
         const actualProfilePhotoUrl = await processFacebookProfilePicture(
-          picture.data.url,
+          pictureUrl,
           user._id.toString(),
           profilePhotoUrl // This will cleanup the temp image
         );
@@ -256,8 +250,23 @@ export const facebookRegister = async (req, res) => {
       }
     }
 
-    // Create JWT token
-    const token = createToken(user._id);
+    if (user.suspension?.isSuspended) {
+      return res.status(403).json({
+        message: 'This account has been suspended',
+      });
+    }
+
+    // Accounts with 2FA finish logging in through /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        twoFactorToken: createTwoFactorChallenge(user._id, 'facebook'),
+      });
+    }
+
+    // Create access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user._id, req, { loginMethod: 'facebook' });
     const userObject = user.toObject();
     delete userObject.password;
 
@@ -267,6 +276,7 @@ export const facebookRegister = async (req, res) => {
     res.status(200).json({
       message: 'Facebook registration successful',
       token,
+      refreshToken,
       user: userObject,
     });
   } catch (error) {
@@ -0,0 +1,251 @@
+import User from '../models/UserModel.js';
+import { issueAuthTokens } from '../utils/tokenService.js';
+import { createTwoFactorChallenge } from '../utils/twoFactorService.js';
+import { createSecurityAlertNotification } from '../utils/notificationService.js';
+import {
+  getOAuthProvider,
+  listOAuthProviders,
+  verifyOAuthToken,
+} from '../utils/oauthProviders.js';
+
+function serializeIdentities(user) {
+  return user.getLinkedProviders().map((provider) => {
+    const identity = user.getIdentity(provider);
+    return {
+      provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt,
+    };
+  });
+}
+
+/**
+ * GET /api/auth/oauth/providers - Sign-in providers enabled on this server
+ */
+export const getOAuthProviders = async (req, res) => {
+  res.status(200).json({ providers: listOAuthProviders() });
+};
+
+/**
+ * POST /api/auth/oauth/:provider - Sign in (or sign up) with a provider credential
+ * Body: { token, username? } - token is the provider's access or ID token
+ */
+export const oauthLogin = async (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ message: 'Sign-in provider not supported' });
+  }
+
+  const { token, username } = req.body;
+  if (!token) {
+    return res.status(400).json({
+      message: `${provider.displayName} token is required`,
+    });
+  }
+
+  try {
+    const profile = await verifyOAuthToken(provider.name, token);
+
+    if (!profile.email) {
+      return res.status(400).json({
+        message: `Email permission required from ${provider.displayName}`,
+      });
+    }
+
+    let user = await User.findByIdentity(provider.name, profile.providerUserId);
+    let isNewUser = false;
+
+    if (!user) {
+      const existingUser = await User.findOne({ email: profile.email });
+      if (existingUser && existingUser.getIdentity(provider.name)) {
+        return res.status(400).json({
+          message: `Email already associated with a different ${provider.displayName} account`,
+        });
+      }
+      // Only merge when both the provider and this account have confirmed the address -
+      // otherwise whoever signed up with it first would share the account
+      if (existingUser && (!profile.emailVerified || !existingUser.emailVerified)) {
+        return res.status(409).json({
+          message: `An account with this email already exists. Log in and link ${provider.displayName} from your settings.`,
+        });
+      }
+
+      isNewUser = !existingUser;
+      user = await User.oauthSignup(provider.name, profile, username);
+    }
+
+    if (user.suspension?.isSuspended) {
+      return res.status(403).json({
+        message: 'This account has been suspended',
+      });
+    }
+
+    // Accounts with 2FA finish logging in through /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        twoFactorToken: createTwoFactorChallenge(user._id, provider.name),
+      });
+    }
+
+    const { token: accessToken, refreshToken } = await issueAuthTokens(user._id, req, {
+      loginMethod: provider.name,
+    });
+    const userObject = user.toObject();
+    delete userObject.password;
+
+    // Update session
+    req.session.userId = user._id;
+
+    const welcomeMessage = isNewUser ? 'Welcome to MotoClub Connect!' : 'Welcome back!';
+
+    res.status(200).json({
+      message: `${provider.displayName} login successful. ${welcomeMessage}`,
+      token: accessToken,
+      refreshToken,
+      user: userObject,
+      isNewUser,
+    });
+  } catch (error) {
+    console.error(`${provider.displayName} login error:`, error);
+    res.status(400).json({
+      message: error.message || `${provider.displayName} login failed`,
+    });
+  }
+};
+
+/**
+ * GET /api/user/me/identities - Providers linked to the current account
+ */
+export const getLinkedIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      identities: serializeIdentities(user),
+      availableProviders: listOAuthProviders(),
+      hasPassword: user.hasUsablePassword(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/user/me/identities/:provider - Link a provider to the current account
+ * Body: { token }
+ */
+export const linkIdentity = async (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ message: 'Sign-in provider not supported' });
+  }
+
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({
+      message: `${provider.displayName} token is required`,
+    });
+  }
+
+  try {
+    let profile;
+    try {
+      profile = await verifyOAuthToken(provider.name, token);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const owner = await User.findByIdentity(provider.name, profile.providerUserId);
+    if (owner && !owner._id.equals(user._id)) {
+      return res.status(409).json({
+        message: `This ${provider.displayName} account is already linked to another user`,
+      });
+    }
+
+    const current = user.getIdentity(provider.name);
+    if (current && current.providerUserId !== profile.providerUserId) {
+      return res.status(409).json({
+        message: `Unlink your current ${provider.displayName} account first`,
+      });
+    }
+
+    if (!current) {
+      user.linkIdentity(provider.name, profile);
+      await user.save();
+
+      try {
+        await createSecurityAlertNotification(
+          user._id,
+          `${provider.displayName} was linked to your account. If this wasn't you, unlink it and change your password.`,
+          { reason: 'identity_linked', provider: provider.name }
+        );
+      } catch (notificationError) {
+        console.error('Error sending identity link notification:', notificationError);
+        // Don't fail the request if notification fails
+      }
+    }
+
+    res.status(200).json({
+      message: `${provider.displayName} account linked`,
+      identities: serializeIdentities(user),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * DELETE /api/user/me/identities/:provider - Unlink a provider from the current account
+ */
+export const unlinkIdentity = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const providerName = req.params.provider;
+    if (!user.getIdentity(providerName)) {
+      return res.status(404).json({ message: 'Provider is not linked to this account' });
+    }
+
+    // Never leave the account without a way to sign in
+    const otherProviders = user.getLinkedProviders().filter((p) => p !== providerName);
+    if (!user.hasUsablePassword() && otherProviders.length === 0) {
+      return res.status(400).json({
+        message: 'Set a password or link another provider before unlinking your only sign-in method',
+      });
+    }
+
+    user.unlinkIdentity(providerName);
+    await user.save();
+
+    try {
+      await createSecurityAlertNotification(
+        user._id,
+        `A sign-in provider (${providerName}) was unlinked from your account.`,
+        { reason: 'identity_unlinked', provider: providerName }
+      );
+    } catch (notificationError) {
+      console.error('Error sending identity unlink notification:', notificationError);
+      // Don't fail the request if notification fails
+    }
+
+    res.status(200).json({
+      message: 'Provider unlinked',
+      identities: serializeIdentities(user),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -4,6 +4,9 @@ import Club from '../models/ClubModel.js';
 import Member from '../models/MemberModel.js';
 import User from '../models/UserModel.js';
 import CSVService from '../utils/csvService.js';
+import { can } from '../utils/clubPermissions.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
+import { recordAuditEntry, snapshot, officialMemberLabel, AUDITED_FIELDS } from '../utils/clubAudit.js';
 
 /**
  * Official Member Controller
@@ -13,30 +16,6 @@ import CSVService from '../utils/csvService.js';
 
 // ==================== HELPER FUNCTIONS ====================
 
-/**
- * Verify if user is admin of the club
- * @param {string} clubId - Club ID
- * @param {string} userId - User ID
- * @returns {Object} - { isAdmin: boolean, error?: string, member?: Object }
- */
-async function verifyClubAdmin(clubId, userId) {
-  try {
-    const member = await Member.findOne({ club: clubId, user: userId });
-
-    if (!member) {
-      return { isAdmin: false, error: 'User is not a member of this club' };
-    }
-
-    if (!member.roles.includes('admin')) {
-      return { isAdmin: false, error: 'User does not have admin privileges' };
-    }
-
-    return { isAdmin: true, member };
-  } catch (error) {
-    return { isAdmin: false, error: 'Database error verifying admin status' };
-  }
-}
-
 /**
  * Verify if user is member of the club
  * @param {string} clubId - Club ID
@@ -60,7 +39,7 @@ async function verifyClubMember(clubId, userId) {
 /**
  * Check if user can view official members based on visibility setting
  * @param {Object} club - Club document
- * @param {Object} userStatus - User's membership status
+ * @param {Object} userStatus - { isMember, canViewRestricted } for the requesting user
  * @returns {boolean} - Whether user can view official members
  */
 function checkVisibilityPermission(club, userStatus) {
@@ -72,7 +51,7 @@ function checkVisibilityPermission(club, userStatus) {
     case 'members':
       return userStatus.isMember;
     case 'admins':
-      return userStatus.isAdmin;
+      return userStatus.canViewRestricted;
     default:
       return false;
   }
@@ -82,7 +61,7 @@ function checkVisibilityPermission(club, userStatus) {
 
 /**
  * POST /api/official-members/:clubId/members
- * Create a new official member (admin only)
+ * Create a new official member (requires official_members.edit)
  */
 async function createOfficialMember(req, res) {
   try {
@@ -100,12 +79,14 @@ async function createOfficialMember(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Validate required fields - only firstName is required
     const { officialNumber, firstName, lastName, address, plateNumber, description, metadata, photoUrl } = req.body;
 
@@ -168,6 +149,15 @@ async function createOfficialMember(req, res) {
     club.officialMembers.push(officialMember._id);
     await club.save();
 
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'official_member.created',
+      targetId: officialMember._id,
+      targetLabel: officialMemberLabel(officialMember),
+      after: snapshot(officialMember, AUDITED_FIELDS.officialMember),
+    });
+
     // Populate references for response
     await officialMember.populate('club', 'clubName logoUrl');
 
@@ -216,11 +206,11 @@ async function getOfficialMembers(req, res) {
 
     // Check user's membership status
     const memberCheck = await verifyClubMember(clubId, userId);
-    const adminCheck = await verifyClubAdmin(clubId, userId);
+    const viewCheck = await can(userId, club, 'official_members.view');
 
     const userStatus = {
       isMember: memberCheck.isMember,
-      isAdmin: adminCheck.isAdmin,
+      canViewRestricted: viewCheck.allowed,
     };
 
     // Check visibility permission
@@ -279,11 +269,11 @@ async function getOfficialMemberById(req, res) {
 
     // Check user's membership status
     const memberCheck = await verifyClubMember(clubId, userId);
-    const adminCheck = await verifyClubAdmin(clubId, userId);
+    const viewCheck = await can(userId, club, 'official_members.view');
 
     const userStatus = {
       isMember: memberCheck.isMember,
-      isAdmin: adminCheck.isAdmin,
+      canViewRestricted: viewCheck.allowed,
     };
 
     // Check visibility permission
@@ -315,7 +305,7 @@ async function getOfficialMemberById(req, res) {
 
 /**
  * PUT /api/official-members/:clubId/members/:memberId
- * Update an official member (admin only)
+ * Update an official member (requires official_members.edit)
  */
 async function updateOfficialMember(req, res) {
   try {
@@ -333,12 +323,14 @@ async function updateOfficialMember(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find official member
     const officialMember = await OfficialMember.findOne({
       _id: memberId,
@@ -383,6 +375,7 @@ async function updateOfficialMember(req, res) {
     }
 
     // Update fields
+    const before = snapshot(officialMember, AUDITED_FIELDS.officialMember);
     if (officialNumber !== undefined) officialMember.officialNumber = officialNumber.trim();
     if (firstName !== undefined) officialMember.firstName = firstName.trim();
     if (lastName !== undefined) officialMember.lastName = lastName.trim();
@@ -395,6 +388,16 @@ async function updateOfficialMember(req, res) {
 
     await officialMember.save();
 
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'official_member.updated',
+      targetId: officialMember._id,
+      targetLabel: officialMemberLabel(officialMember),
+      before,
+      after: snapshot(officialMember, AUDITED_FIELDS.officialMember),
+    });
+
     // Populate references for response
     await officialMember.populate('club', 'clubName logoUrl');
     await officialMember.populate('claimedBy', 'username email firstName lastName profilePhoto');
@@ -414,7 +417,7 @@ async function updateOfficialMember(req, res) {
 
 /**
  * DELETE /api/official-members/:clubId/members/:memberId
- * Delete an official member (admin only)
+ * Delete an official member (requires official_members.edit)
  */
 async function deleteOfficialMember(req, res) {
   try {
@@ -432,12 +435,14 @@ async function deleteOfficialMember(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find official member
     const officialMember = await OfficialMember.findOne({
       _id: memberId,
@@ -458,6 +463,15 @@ async function deleteOfficialMember(req, res) {
     // Delete the official member
     await OfficialMember.findByIdAndDelete(memberId);
 
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'official_member.deleted',
+      targetId: officialMember._id,
+      targetLabel: officialMemberLabel(officialMember),
+      before: snapshot(officialMember, AUDITED_FIELDS.officialMember),
+    });
+
     return res.status(200).json({
       message: 'Official member deleted successfully',
     });
@@ -502,7 +516,7 @@ async function getNextOfficialNumber(clubId) {
 
 /**
  * POST /api/official-members/:clubId/import
- * Import official members from CSV (admin only)
+ * Import official members from CSV (requires official_members.edit)
  */
 async function importOfficialMembersFromCSV(req, res) {
   try {
@@ -520,12 +534,14 @@ async function importOfficialMembersFromCSV(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Check if file was uploaded
     if (!req.file) {
       return res.status(400).json({ message: 'CSV file is required' });
@@ -650,6 +666,20 @@ async function importOfficialMembersFromCSV(req, res) {
     // Save club with new members
     await club.save();
 
+    // One entry for the whole file rather than one per row
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'official_member.imported',
+      targetLabel: req.file.originalname || '',
+      data: {
+        successful: importResults.successful,
+        failed: importResults.failed,
+        duplicates: importResults.duplicates,
+        autoGenerated: importResults.autoGenerated,
+      },
+    });
+
     return res.status(200).json({
       message: 'CSV import completed',
       results: importResults,
@@ -665,7 +695,7 @@ async function importOfficialMembersFromCSV(req, res) {
 
 /**
  * GET /api/official-members/:clubId/export
- * Export official members to CSV (admin only)
+ * Export official members to CSV (requires official_members.edit)
  */
 async function exportOfficialMembersToCSV(req, res) {
   try {
@@ -683,10 +713,10 @@ async function exportOfficialMembersToCSV(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
     // Fetch all official members
@@ -745,11 +775,11 @@ async function searchOfficialMembers(req, res) {
 
     // Check user's membership status
     const memberCheck = await verifyClubMember(clubId, userId);
-    const adminCheck = await verifyClubAdmin(clubId, userId);
+    const viewCheck = await can(userId, club, 'official_members.view');
 
     const userStatus = {
       isMember: memberCheck.isMember,
-      isAdmin: adminCheck.isAdmin,
+      canViewRestricted: viewCheck.allowed,
     };
 
     // Check visibility permission
@@ -825,11 +855,11 @@ async function filterOfficialMembers(req, res) {
 
     // Check user's membership status
     const memberCheck = await verifyClubMember(clubId, userId);
-    const adminCheck = await verifyClubAdmin(clubId, userId);
+    const viewCheck = await can(userId, club, 'official_members.view');
 
     const userStatus = {
       isMember: memberCheck.isMember,
-      isAdmin: adminCheck.isAdmin,
+      canViewRestricted: viewCheck.allowed,
     };
 
     // Check visibility permission
@@ -914,6 +944,8 @@ async function createClaimRequest(req, res) {
       return res.status(403).json({ message: memberCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find official member
     const officialMember = await OfficialMember.findOne({
       _id: memberId,
@@ -969,7 +1001,7 @@ async function createClaimRequest(req, res) {
 
 /**
  * GET /api/official-members/:clubId/claims/pending
- * Get all pending claim requests (admin only)
+ * Get all pending claim requests (requires official_members.edit)
  */
 async function getPendingClaimRequests(req, res) {
   try {
@@ -987,10 +1019,10 @@ async function getPendingClaimRequests(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
     // Get pending claim requests
@@ -1014,7 +1046,7 @@ async function getPendingClaimRequests(req, res) {
 
 /**
  * POST /api/official-members/:clubId/claims/:claimId/approve
- * Approve a claim request (admin only)
+ * Approve a claim request (requires official_members.edit)
  */
 async function approveClaimRequest(req, res) {
   try {
@@ -1032,12 +1064,14 @@ async function approveClaimRequest(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find claim request
     const claimRequest = await ClaimRequest.findOne({
       _id: claimId,
@@ -1061,6 +1095,7 @@ async function approveClaimRequest(req, res) {
     }
 
     // Update official member with claim info
+    const before = snapshot(officialMember, ['claimedBy']);
     officialMember.claimedBy = claimRequest.user;
     officialMember.claimedAt = new Date();
     await officialMember.save();
@@ -1070,6 +1105,18 @@ async function approveClaimRequest(req, res) {
     claimRequest.processedAt = new Date();
     await claimRequest.save();
 
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'claim_request.approved',
+      targetId: claimRequest._id,
+      targetLabel: officialMemberLabel(officialMember),
+      targetUser: claimRequest.user,
+      before: { status: 'pending', ...before },
+      after: { status: 'approved', ...snapshot(officialMember, ['claimedBy']) },
+      data: { officialMember: officialMember._id.toString() },
+    });
+
     // Populate for response
     await officialMember.populate('claimedBy', 'username email firstName lastName profilePhoto');
 
@@ -1089,7 +1136,7 @@ async function approveClaimRequest(req, res) {
 
 /**
  * POST /api/official-members/:clubId/claims/:claimId/reject
- * Reject a claim request (admin only)
+ * Reject a claim request (requires official_members.edit)
  */
 async function rejectClaimRequest(req, res) {
   try {
@@ -1108,12 +1155,14 @@ async function rejectClaimRequest(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Find claim request
     const claimRequest = await ClaimRequest.findOne({
       _id: claimId,
@@ -1135,6 +1184,18 @@ async function rejectClaimRequest(req, res) {
     await claimRequest.populate('officialMember');
     await claimRequest.populate('user', 'username email firstName lastName');
 
+    await recordAuditEntry({
+      club,
+      actor: userId,
+      action: 'claim_request.rejected',
+      targetId: claimRequest._id,
+      targetLabel: claimRequest.officialMember ? officialMemberLabel(claimRequest.officialMember) : '',
+      targetUser: claimRequest.user,
+      before: { status: 'pending' },
+      after: { status: 'rejected', responseNotes: claimRequest.responseNotes || null },
+      data: { officialMember: claimRequest.officialMember?._id?.toString() ?? null },
+    });
+
     return res.status(200).json({
       message: 'Claim request rejected successfully',
       claimRequest,
@@ -1210,11 +1271,11 @@ async function generateIDCard(req, res) {
 
     // Check user's membership status
     const memberCheck = await verifyClubMember(clubId, userId);
-    const adminCheck = await verifyClubAdmin(clubId, userId);
+    const viewCheck = await can(userId, club, 'official_members.view');
 
     const userStatus = {
       isMember: memberCheck.isMember,
-      isAdmin: adminCheck.isAdmin,
+      canViewRestricted: viewCheck.allowed,
     };
 
     // Check visibility permission
@@ -1256,7 +1317,7 @@ async function generateIDCard(req, res) {
 
 /**
  * PUT /api/official-members/:clubId/visibility
- * Update official members visibility setting (admin only)
+ * Update official members visibility setting (requires official_members.edit)
  */
 async function updateOfficialMembersVisibility(req, res) {
   try {
@@ -1283,12 +1344,14 @@ async function updateOfficialMembersVisibility(req, res) {
       return res.status(404).json({ message: 'Club not found' });
     }
 
-    // Verify user is admin
-    const adminCheck = await verifyClubAdmin(clubId, userId);
-    if (!adminCheck.isAdmin) {
-      return res.status(403).json({ message: adminCheck.error });
+    // Verify user may manage official members
+    const permissionCheck = await can(userId, clubId, 'official_members.edit');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(club, res)) return;
+
     // Update visibility
     club.officialMembersVisibility = visibility;
     await club.save();
@@ -1341,7 +1404,6 @@ async function getOfficialMembersVisibility(req, res) {
 
 export {
   // Helper functions
-  verifyClubAdmin,
   verifyClubMember,
   checkVisibilityPermission,
 
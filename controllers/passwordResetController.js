@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import validator from 'validator';
+import User from '../models/UserModel.js';
+import PasswordResetToken from '../models/PasswordResetTokenModel.js';
+import { hashToken, revokeAllUserTokens } from '../utils/tokenService.js';
+import { sendPasswordResetEmail } from '../utils/mailService.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+
+const DEFAULT_RESET_TOKEN_TTL_MINUTES = 60;
+
+// Same response whether or not the account exists, so emails can't be enumerated
+const FORGOT_PASSWORD_RESPONSE = {
+  message: 'If an account exists for that email, a password reset link has been sent.',
+};
+
+function getResetTokenTtlMinutes() {
+  return (
+    parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) ||
+    DEFAULT_RESET_TOKEN_TTL_MINUTES
+  );
+}
+
+/**
+ * POST /api/auth/forgot-password - Email a single-use password reset link
+ */
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  const cleanEmail = email.trim();
+  if (!validator.isEmail(cleanEmail)) {
+    return res.status(400).json({ message: 'Invalid email format' });
+  }
+
+  try {
+    // Signup stores email as typed, so match case-insensitively
+    const user = await User.findOne({ email: cleanEmail }).collation({
+      locale: 'en',
+      strength: 2,
+    });
+    if (!user) {
+      return res.status(200).json(FORGOT_PASSWORD_RESPONSE);
+    }
+
+    // Only the most recent link should work
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const ttlMinutes = getResetTokenTtlMinutes();
+
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashToken(rawToken),
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      requestedByIp: req.ip,
+    });
+
+    try {
+      await sendPasswordResetEmail(user, rawToken, ttlMinutes);
+    } catch (mailError) {
+      console.error('Failed to send password reset email:', mailError);
+      // Don't reveal delivery failures to the caller
+    }
+
+    return res.status(200).json(FORGOT_PASSWORD_RESPONSE);
+  } catch (error) {
+    console.error('Error in forgotPassword:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * POST /api/auth/reset-password - Set a new password using a reset token
+ */
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ message: 'Token and new password are required' });
+  }
+
+  if (typeof token !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ message: 'Token and new password must be strings' });
+  }
+
+  try {
+    const tokenFilter = {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    };
+
+    // Check the new password before spending the token so the user can retry
+    const pendingToken = await PasswordResetToken.findOne(tokenFilter).select('user');
+    if (!pendingToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(pendingToken.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const passwordCheck = validatePassword(password, {
+      email: user.email,
+      username: user.username,
+    });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        message: passwordCheck.errors[0],
+        errors: passwordCheck.errors,
+      });
+    }
+
+    // Mark the token used atomically so it can only be redeemed once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      tokenFilter,
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    await user.save();
+
+    // Sign the user out everywhere - whoever had the old password loses access
+    await revokeAllUserTokens(user._id);
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+    return res.status(200).json({
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Error in resetPassword:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
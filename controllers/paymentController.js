@@ -1,7 +1,11 @@
 import Payment from '../models/PaymentModel.js';
 import Collection from '../models/CollectionModel.js';
 import Member from '../models/MemberModel.js';
+import Club from '../models/ClubModel.js';
 import cloudinary from '../utils/cloudinary.js';
+import { can } from '../utils/clubPermissions.js';
+import { recordAuditEntry } from '../utils/clubAudit.js';
+import { rejectIfArchived } from '../utils/clubCleanup.js';
 
 export async function getPaymentsByCollection(req, res) {
   try {
@@ -47,10 +51,12 @@ export async function createPayment(req, res) {
 
     if (collection.visibility !== 'public') {
       if (!req.user) return res.status(401).json({ message: 'Authentication required' });
-      const membership = await Member.findOne({ club: collection.club, user: req.user._id, roles: 'admin' });
-      if (!membership) return res.status(403).json({ message: 'Only club admins can add payments' });
+      const permissionCheck = await can(req.user._id, collection.club, 'payments.record');
+      if (!permissionCheck.allowed) return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(await Club.findById(collection.club).select('deletion'), res)) return;
+
     const duplicate = await Payment.findOne({ collection: collectionId, referenceNumber });
     if (duplicate) {
       return res.status(409).json({ message: `Reference number "${referenceNumber}" already exists in this collection.` });
@@ -107,14 +113,31 @@ export async function updatePaymentStatus(req, res) {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    const membership = await Member.findOne({ club: payment.club, user: req.user._id, roles: 'admin' });
-    if (!membership) {
-      return res.status(403).json({ message: 'Only club admins can update payment status' });
+    const permissionCheck = await can(req.user._id, payment.club, 'payments.confirm');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(permissionCheck.club, res)) return;
+
+    const previousStatus = payment.status;
     payment.status = status;
     await payment.save();
 
+    if (previousStatus !== status) {
+      await recordAuditEntry({
+        club: payment.club,
+        actor: req.user._id,
+        action: 'payment.status_changed',
+        targetId: payment._id,
+        targetLabel: `${payment.name} - ${payment.referenceNumber}`,
+        targetUser: payment.createdBy,
+        before: { status: previousStatus },
+        after: { status },
+        data: { collection: payment.collection.toString(), amount: payment.amount },
+      });
+    }
+
     return res.status(200).json({ payment });
   } catch (err) {
     console.error('Error updating payment status:', err.message);
@@ -131,16 +154,13 @@ export async function deletePayment(req, res) {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    const membership = await Member.findOne({
-      club: payment.club,
-      user: req.user._id,
-      roles: 'admin',
-    });
-
-    if (!membership) {
-      return res.status(403).json({ message: 'Only club admins can delete payments' });
+    const permissionCheck = await can(req.user._id, payment.club, 'payments.delete');
+    if (!permissionCheck.allowed) {
+      return res.status(403).json({ message: permissionCheck.error });
     }
 
+    if (rejectIfArchived(permissionCheck.club, res)) return;
+
     if (payment.receiptPublicId) {
       try {
         await cloudinary.uploader.destroy(payment.receiptPublicId);
@@ -151,6 +171,17 @@ export async function deletePayment(req, res) {
 
     await payment.deleteOne();
 
+    await recordAuditEntry({
+      club: payment.club,
+      actor: req.user._id,
+      action: 'payment.deleted',
+      targetId: payment._id,
+      targetLabel: `${payment.name} - ${payment.referenceNumber}`,
+      targetUser: payment.createdBy,
+      before: { status: payment.status, amount: payment.amount },
+      data: { collection: payment.collection.toString() },
+    });
+
     return res.status(200).json({ message: 'Payment deleted' });
   } catch (err) {
     console.error('Error deleting payment:', err.message);
@@ -0,0 +1,89 @@
+import Session from '../models/SessionModel.js';
+import { revokeTokenFamily, revokeAllUserTokens } from '../utils/tokenService.js';
+
+function serializeSession(session, currentFamily) {
+  return {
+    _id: session._id,
+    deviceName: session.deviceName,
+    device: session.device,
+    userAgent: session.userAgent,
+    loginMethod: session.loginMethod,
+    ipAddress: session.ipAddress,
+    lastIpAddress: session.lastIpAddress,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: session.family === currentFamily,
+  };
+}
+
+/**
+ * GET /api/user/me/sessions - Active sessions for the current user, most recent first
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      sessions: sessions.map((session) => serializeSession(session, req.user.fam)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * DELETE /api/user/me/sessions/:sessionId - Log out a single session (may be the current one)
+ */
+export const revokeSession = async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({ message: 'Invalid session ID' });
+  }
+
+  try {
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeTokenFamily(session.family, 'logout');
+
+    res.status(200).json({
+      message: 'Session logged out',
+      current: session.family === req.user.fam,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/user/me/sessions/logout-others - Log out every session except the current one
+ */
+export const revokeOtherSessions = async (req, res) => {
+  if (!req.user.fam) {
+    return res.status(400).json({ message: 'Current session could not be identified. Please log in again.' });
+  }
+
+  try {
+    const sessionsRevoked = await revokeAllUserTokens(req.user._id, 'logout', {
+      exceptFamily: req.user.fam,
+    });
+
+    res.status(200).json({
+      message: 'Logged out of all other sessions',
+      sessionsRevoked,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
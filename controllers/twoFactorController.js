@@ -0,0 +1,273 @@
+import bcrypt from 'bcrypt';
+import User from '../models/UserModel.js';
+import Member from '../models/MemberModel.js';
+import Club from '../models/ClubModel.js';
+import { generateSecret, verifyTOTP, buildOtpauthUri } from '../utils/totp.js';
+import {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifyTwoFactorChallenge,
+  findUserWithTwoFactorSecrets,
+  verifySecondFactor,
+} from '../utils/twoFactorService.js';
+import { issueAuthTokens } from '../utils/tokenService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../utils/loginThrottleService.js';
+
+/**
+ * GET /api/user/me/2fa - Two-factor status for the current user
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactorSecrets(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/user/me/2fa/setup - Start enrollment and return the provisioning URI
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/user/me/2fa/enable - Confirm enrollment with a code from the authenticator app
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await findUserWithTwoFactorSecrets(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTOTP(secret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/user/me/2fa/disable - Turn off 2FA (requires password and a current code)
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { currentPassword, code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await findUserWithTwoFactorSecrets(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // Verify current password (skip for accounts that only sign in through a provider)
+    if (user.hasUsablePassword()) {
+      if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required' });
+      }
+      const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+      if (!isValidPassword) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+    }
+
+    // Admins and role holders in clubs that enforce 2FA must keep it on
+    const privilegedMemberships = await Member.find({
+      user: user._id,
+      roles: { $elemMatch: { $ne: 'member' } },
+    }).select('club');
+    const enforcingClub = await Club.findOne({
+      _id: { $in: privilegedMemberships.map((m) => m.club) },
+      requireAdminTwoFactor: true,
+    }).select('clubName');
+    if (enforcingClub) {
+      return res.status(400).json({
+        message: `${enforcingClub.clubName} requires admins to use two-factor authentication`,
+      });
+    }
+
+    const result = await verifySecondFactor(user, code);
+    if (!result.valid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/user/me/2fa/recovery-codes - Replace all recovery codes
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const user = await findUserWithTwoFactorSecrets(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await verifySecondFactor(user, code);
+    if (!result.valid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.status(200).json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/auth/2fa/verify - Second login step for accounts with 2FA enabled
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  const { twoFactorToken, code } = req.body;
+
+  if (!twoFactorToken || !code) {
+    return res.status(400).json({ message: 'Two-factor token and code are required' });
+  }
+
+  const challenge = verifyTwoFactorChallenge(twoFactorToken);
+  if (challenge.error) {
+    return res.status(401).json({ message: challenge.error });
+  }
+
+  try {
+    const user = await findUserWithTwoFactorSecrets(challenge.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Codes share the password step's counters so they can't be brute-forced either
+    const throttle = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({ message: 'Too many attempts. Please try again later.' });
+    }
+
+    const result = await verifySecondFactor(user, code);
+    if (!result.valid) {
+      await recordLoginFailure({ email: user.email, ip: req.ip, user });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    if (user.suspension?.isSuspended) {
+      return res.status(403).json({ message: 'This account has been suspended' });
+    }
+
+    await recordLoginSuccess({ email: user.email });
+
+    req.session.userId = user._id;
+    const { token, refreshToken } = await issueAuthTokens(user._id, req, {
+      loginMethod: challenge.loginMethod,
+    });
+
+    const userObject = (await User.findById(user._id).select('-password')).toObject();
+
+    res.status(200).json({
+      message: 'Logged in successfully',
+      token,
+      refreshToken,
+      user: userObject,
+      recoveryCodeUsed: result.method === 'recovery_code',
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
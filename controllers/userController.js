@@ -3,6 +3,16 @@ import cloudinary from '../utils/cloudinary.js';
 import sharp from 'sharp';
 import bcrypt from 'bcrypt';
 import validator from 'validator';
+import { sendVerificationEmail } from '../utils/emailVerificationService.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+import { revokeAllUserTokens } from '../utils/tokenService.js';
+import { createSecurityAlertNotification } from '../utils/notificationService.js';
+import {
+  getDeletionGraceDays,
+  findClubsBlockingDeletion,
+  purgeUserAccount,
+} from '../utils/accountDeletionService.js';
+import { buildUserDataExport } from '../utils/dataExportService.js';
 
 export const getUser = async (req, res) => {
   try {
@@ -61,11 +71,15 @@ export const uploadProfilePhoto = async (req, res) => {
 // Get current authenticated user's profile
 export const getCurrentUser = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('-password');
+    const user = await User.findById(req.user._id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.status(200).json(user);
+    const userObject = user.toObject();
+    delete userObject.password;
+    // Provider-only accounts have no password until they set one
+    userObject.hasPassword = user.hasUsablePassword();
+    res.status(200).json(userObject);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -132,8 +146,8 @@ export const updateUsername = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Verify current password (skip for Facebook users)
-    if (!user.facebookId) {
+    // Verify current password (skip for accounts that only sign in through a provider)
+    if (user.hasUsablePassword()) {
       const isValidPassword = await bcrypt.compare(currentPassword, user.password);
       if (!isValidPassword) {
         return res.status(400).json({ message: 'Current password is incorrect' });
@@ -157,7 +171,7 @@ export const updateUsername = async (req, res) => {
   }
 };
 
-// Update email with password confirmation
+// Request an email change with password confirmation (applied once verified)
 export const updateEmail = async (req, res) => {
   try {
     const { email, currentPassword } = req.body;
@@ -179,24 +193,30 @@ export const updateEmail = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Verify current password (skip for Facebook users)
-    if (!user.facebookId) {
+    // Verify current password (skip for accounts that only sign in through a provider)
+    if (user.hasUsablePassword()) {
       const isValidPassword = await bcrypt.compare(currentPassword, user.password);
       if (!isValidPassword) {
         return res.status(400).json({ message: 'Current password is incorrect' });
       }
     }
 
+    if (cleanEmail === user.email) {
+      return res.status(400).json({ message: 'New email must be different from your current email' });
+    }
+
     // Check if email is already taken by another user
     const existingUser = await User.findOne({ email: cleanEmail, _id: { $ne: req.user._id } });
     if (existingUser) {
       return res.status(409).json({ message: 'Email is already taken' });
     }
 
-    // Update email
-    user.email = cleanEmail;
+    // Keep the current email active until the new address is confirmed
+    user.pendingEmail = cleanEmail;
     await user.save();
 
+    await sendVerificationEmail(user, cleanEmail);
+
     const updatedUser = await User.findById(user._id).select('-password');
     res.status(200).json(updatedUser);
   } catch (error) {
@@ -204,6 +224,179 @@ export const updateEmail = async (req, res) => {
   }
 };
 
+// Change password, or set a first password for provider-only accounts
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || typeof newPassword !== 'string') {
+      return res.status(400).json({ message: 'New password is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isFirstPassword = !user.hasUsablePassword();
+
+    if (!isFirstPassword) {
+      if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required' });
+      }
+      const isValidPassword = await bcrypt.compare(String(currentPassword), user.password);
+      if (!isValidPassword) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+      if (await bcrypt.compare(newPassword, user.password)) {
+        return res.status(400).json({ message: 'New password must be different from your current password' });
+      }
+    }
+
+    const passwordCheck = validatePassword(newPassword, {
+      email: user.email,
+      username: user.username,
+    });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        message: passwordCheck.errors[0],
+        errors: passwordCheck.errors,
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Keep this session, sign out everywhere else
+    const sessionsRevoked = isFirstPassword
+      ? 0
+      : await revokeAllUserTokens(user._id, 'revoked', { exceptFamily: req.user.fam });
+
+    try {
+      await createSecurityAlertNotification(
+        user._id,
+        isFirstPassword
+          ? 'A password was added to your account. You can now log in with your email.'
+          : 'Your password was changed. If this wasn\'t you, reset your password immediately.',
+        { reason: isFirstPassword ? 'password_set' : 'password_changed' }
+      );
+    } catch (notificationError) {
+      console.error('Error sending password change notification:', notificationError);
+      // Don't fail the request if notification fails
+    }
+
+    res.status(200).json({
+      message: isFirstPassword ? 'Password set successfully' : 'Password changed successfully',
+      sessionsRevoked,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Schedule the current user's account for deletion after the grace period
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { currentPassword } = req.body || {};
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        message: 'Account deletion is already scheduled',
+        scheduledFor: user.deletion.scheduledFor,
+      });
+    }
+
+    // Verify current password (skip for accounts without one)
+    if (user.hasUsablePassword()) {
+      if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required' });
+      }
+      const isValidPassword = await bcrypt.compare(String(currentPassword), user.password);
+      if (!isValidPassword) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+    }
+
+    const blockingClubs = await findClubsBlockingDeletion(user._id);
+    if (blockingClubs.length > 0) {
+      return res.status(409).json({
+        message: 'You are the only admin of clubs that still have members. Promote another admin first.',
+        clubs: blockingClubs,
+      });
+    }
+
+    const graceDays = getDeletionGraceDays();
+    if (graceDays === 0) {
+      await purgeUserAccount(user._id);
+      return res.status(200).json({ message: 'Account deleted' });
+    }
+
+    const now = new Date();
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000),
+    };
+    await user.save();
+
+    // Signed out everywhere - logging back in is how the user cancels
+    await revokeAllUserTokens(user._id, 'revoked');
+
+    res.status(200).json({
+      message: `Your account will be deleted in ${graceDays} days. Log in and cancel before then to keep it.`,
+      scheduledFor: user.deletion.scheduledFor,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Cancel a pending account deletion
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is not scheduled' });
+    }
+
+    user.deletion = undefined;
+    await user.save();
+
+    res.status(200).json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Download everything the platform holds about the current user as a ZIP
+export const exportUserData = async (req, res) => {
+  try {
+    const archive = await buildUserDataExport(req.user._id);
+    if (!archive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="motoclub-data-export-${date}.zip"`,
+      'Content-Length': archive.length,
+    });
+    res.status(200).send(archive);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Check if username is available
 export const checkUsernameAvailability = async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
+import { isAccessTokenRevoked, touchSession } from '../utils/tokenService.js';
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.headers['authorization']?.split(' ')[1]; // Expected format: "Bearer <token>"
 
   if (!token) {
@@ -9,24 +10,43 @@ const authMiddleware = (req, res, next) => {
       .json({ message: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach decoded payload to req.user
-    next(); // Proceed to the next middleware/route handler
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token.' });
+  }
+
+  try {
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({ message: 'Token has been revoked.' });
+    }
   } catch (error) {
-    res.status(403).json({ message: 'Invalid token.' });
+    console.error('Error checking token revocation:', error);
+    return res.status(500).json({ message: 'Error verifying token.' });
   }
+
+  // Last-seen tracking is best effort and shouldn't delay the request
+  touchSession(decoded.fam, req).catch((error) => {
+    console.error('Error updating session last-seen time:', error);
+  });
+
+  req.user = decoded; // Attach decoded payload to req.user
+  next(); // Proceed to the next middleware/route handler
 };
 
 export default authMiddleware;
 
-export const optionalAuthMiddleware = (req, res, next) => {
+export const optionalAuthMiddleware = async (req, res, next) => {
   const token = req.headers['authorization']?.split(' ')[1];
   if (!token) return next();
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isAccessTokenRevoked(decoded))) {
+      req.user = decoded;
+    }
   } catch (_) {
-    // Invalid token — treat as unauthenticated
+    // Invalid or revoked token — treat as unauthenticated
   }
   next();
 };
@@ -0,0 +1,22 @@
+import User from '../models/UserModel.js';
+
+/**
+ * Allow the request through only for platform admins (User.role === 'admin').
+ * Must run after authMiddleware.
+ */
+const requirePlatformAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?._id).select('role suspension');
+
+    if (!user || user.role !== 'admin' || user.suspension?.isSuspended) {
+      return res.status(403).json({ message: 'Platform admin access required.' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking platform admin role:', error);
+    return res.status(500).json({ message: 'Error verifying permissions.' });
+  }
+};
+
+export default requirePlatformAdmin;
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Club Audit Entry Schema
+ * One admin action in a club: who did it, when, to what, and the fields it
+ * changed. Append-only - entries are never edited one at a time. The only bulk
+ * writes are the account purge clearing the actor and the club purge removing
+ * the log along with the club.
+ */
+const clubAuditEntrySchema = new Schema(
+  {
+    club: {
+      type: Schema.Types.ObjectId,
+      ref: 'Club',
+      required: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // '<target type>.<what happened>'
+    action: {
+      type: String,
+      enum: [
+        'club.updated',
+        'join_request.approved',
+        'join_request.rejected',
+        'member.removed',
+        'member.promoted',
+        'member.demoted',
+        'official_member.created',
+        'official_member.updated',
+        'official_member.deleted',
+        'official_member.imported',
+        'claim_request.approved',
+        'claim_request.rejected',
+        'collection.created',
+        'collection.updated',
+        'collection.deleted',
+        'payment.status_changed',
+        'payment.deleted',
+      ],
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ['club', 'join_request', 'member', 'official_member', 'claim_request', 'collection', 'payment'],
+      required: true,
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    // Readable name of the target, kept for after it's deleted (e.g. '#001 Juan Cruz')
+    targetLabel: {
+      type: String,
+      default: '',
+    },
+    // The person the action was about, for member and join request entries
+    targetUser: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Field-level before/after values; empty for actions summarised in data (e.g. imports)
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: Schema.Types.Mixed, default: null },
+        after: { type: Schema.Types.Mixed, default: null },
+      },
+    ],
+    data: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+clubAuditEntrySchema.index({ club: 1, createdAt: -1 });
+clubAuditEntrySchema.index({ club: 1, action: 1, createdAt: -1 });
+clubAuditEntrySchema.index({ club: 1, actor: 1, createdAt: -1 });
+
+clubAuditEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit entries cannot be changed'));
+  }
+  next();
+});
+
+clubAuditEntrySchema.pre(
+  ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'],
+  function (next) {
+    next(new Error('Audit entries cannot be changed'));
+  }
+);
+
+export default mongoose.model('ClubAuditEntry', clubAuditEntrySchema);
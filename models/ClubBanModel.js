@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Club Ban Schema
+ * Keeps a user out of a club - they can't join, redeem invites, join the club's
+ * events or see its member-only content. Lifted bans are kept for the record.
+ */
+const clubBanSchema = new Schema(
+  {
+    club: {
+      type: Schema.Types.ObjectId,
+      ref: 'Club',
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    // null means the ban is permanent
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    bannedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    liftedAt: {
+      type: Date,
+      default: null,
+    },
+    liftedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+clubBanSchema.index({ club: 1, user: 1, liftedAt: 1 });
+
+/**
+ * 'active', 'expired' or 'lifted'
+ */
+clubBanSchema.methods.getStatus = function (now = new Date()) {
+  if (this.liftedAt) return 'lifted';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  return 'active';
+};
+
+export default mongoose.model('ClubBan', clubBanSchema);
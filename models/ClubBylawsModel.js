@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Club Bylaws Schema
+ * One published version of a club's house rules and riding safety guidelines.
+ * Versions are never edited - publishing again creates the next version, and
+ * members accept versions (Member.bylawsAcceptances).
+ */
+const clubBylawsSchema = new Schema(
+  {
+    club: {
+      type: Schema.Types.ObjectId,
+      ref: 'Club',
+      required: true,
+    },
+    // 1, 2, 3, ... per club
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 20000,
+    },
+    // What changed since the previous version, shown when members are asked to accept again
+    changeNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    publishedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+clubBylawsSchema.index({ club: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('ClubBylaws', clubBylawsSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Club Invite Schema
+ * Shareable code (and link) that adds the redeemer to a club straight away,
+ * skipping the join request review.
+ */
+const clubInviteSchema = new Schema(
+  {
+    club: {
+      type: Schema.Types.ObjectId,
+      ref: 'Club',
+      required: true,
+      index: true,
+    },
+    // Stored upper-case; redemption is case-insensitive
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+    },
+    // Custom role key (Club.customRoles) given on top of 'member'
+    role: {
+      type: String,
+      default: null,
+    },
+    // null means unlimited
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    // null means the invite never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * 'active', 'revoked', 'expired' or 'exhausted'
+ */
+clubInviteSchema.methods.getStatus = function (now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  if (this.maxUses !== null && this.maxUses !== undefined && this.uses >= this.maxUses) {
+    return 'exhausted';
+  }
+  return 'active';
+};
+
+export default mongoose.model('ClubInvite', clubInviteSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { TAXONOMY_FIELDS, MAX_CLUB_TAGS } from '../utils/clubTaxonomy.js';
 const { Schema } = mongoose;
 
 /**
@@ -13,6 +14,19 @@ const clubSchema = new Schema(
       trim: true, // Removes whitespace from both ends
       unique: true, // Ensures club names are unique
     },
+    // Public URL name (utils/clubSlug.js); earlier slugs stay in slugHistory so old links still work
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true,
+    },
+    slugHistory: {
+      type: [String],
+      default: [],
+      index: true,
+    },
     // Standardized to lowercase 'description' to match controller
     description: {
       type: String,
@@ -24,6 +38,39 @@ const clubSchema = new Schema(
       type: String,
       trim: true,
     },
+    // Province / state the club rides in - grouped into region facets in club search
+    region: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: undefined,
+      index: true,
+    },
+    // Curated taxonomy (utils/clubTaxonomy.js) and free tags, stored as lowercase slugs
+    ridingStyles: {
+      type: [{ type: String, enum: TAXONOMY_FIELDS.ridingStyles }],
+      default: [],
+      index: true,
+    },
+    brands: {
+      type: [{ type: String, enum: TAXONOMY_FIELDS.brands }],
+      default: [],
+      index: true,
+    },
+    displacementClasses: {
+      type: [{ type: String, enum: TAXONOMY_FIELDS.displacementClasses }],
+      default: [],
+      index: true,
+    },
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+      default: [],
+      validate: {
+        validator: (tags) => tags.length <= MAX_CLUB_TAGS,
+        message: `A club can have at most ${MAX_CLUB_TAGS} tags`,
+      },
+      index: true,
+    },
     // Legacy geolocation format (kept for backward compatibility)
     geolocation: {
       latitude: {
@@ -64,11 +111,141 @@ const clubSchema = new Schema(
       type: Boolean,
       default: true,
     },
+    // Only users with a verified email address can join
+    requireVerifiedEmail: {
+      type: Boolean,
+      default: false,
+    },
+    // Members acting through the admin role or a custom role must have two-factor authentication enabled
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    // Club-defined roles (president, treasurer, road captain, ...) - see utils/clubPermissions.js
+    customRoles: [
+      {
+        _id: false,
+        key: {
+          type: String,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        description: {
+          type: String,
+          trim: true,
+        },
+        permissions: {
+          type: [String],
+          default: [],
+        },
+      },
+    ],
+    // Days before someone who left, was removed or was rejected can ask to join again
+    // (unset values fall back to DEFAULT_REJOIN_COOLDOWN_DAYS in utils/membershipHistory.js)
+    rejoinCooldownDays: {
+      left: { type: Number, min: 0 },
+      removed: { type: Number, min: 0 },
+      rejected: { type: Number, min: 0 },
+    },
+    // Questions applicants answer when asking to join a private club - see utils/joinQuestionnaire.js
+    joinQuestions: [
+      {
+        _id: false,
+        key: {
+          type: String,
+          required: true,
+        },
+        label: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        type: {
+          type: String,
+          enum: ['text', 'longtext', 'number', 'select', 'yes_no'],
+          default: 'text',
+        },
+        options: {
+          type: [String],
+          default: undefined,
+        },
+        required: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    ],
+    // Permissions held by every member (the built-in 'member' role)
+    memberPermissions: {
+      type: [String],
+      default: () => ['events.create'],
+    },
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: 'User', // References the User who created the club
       required: true,
     },
+    // Pending handover of createdBy - takes effect once the recipient accepts
+    ownershipTransfer: {
+      to: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedAt: {
+        type: Date,
+      },
+      expiresAt: {
+        type: Date,
+      },
+    },
+    // Set by platform admins after reviewing a ClubVerificationRequest; cleared when the club is renamed
+    verified: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when this club is a chapter of a larger organization - see utils/clubHierarchy.js
+    parentClub: {
+      type: Schema.Types.ObjectId,
+      ref: 'Club',
+      default: null,
+      index: true,
+    },
+    // Unique among the parent's chapters; same format as OfficialMember.officialNumber
+    // so national rosters can prefix member numbers with it (e.g. '7' + '042')
+    chapterNumber: {
+      type: String,
+      trim: true,
+      minlength: 1,
+      maxlength: 20,
+      default: undefined,
+    },
+    // Deletion requested by the owner - the club is archived until scheduledFor passes, then purged
+    deletion: {
+      requestedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedAt: {
+        type: Date,
+      },
+      scheduledFor: {
+        type: Date,
+        index: true,
+      },
+    },
     // The members array now stores references to documents in the 'Member' collection.
     members: [
       {
@@ -181,6 +358,16 @@ clubSchema.index({
   'geoPoint': '2dsphere'
 });
 
+// Full-text search over the club directory - a name match outranks a location
+// match, which outranks a mention in the description
+clubSchema.index(
+  { clubName: 'text', location: 'text', region: 'text', description: 'text' },
+  {
+    name: 'club_text_search',
+    weights: { clubName: 10, location: 5, region: 5, description: 1 },
+  }
+);
+
 // Note: Legacy 'geolocation' field is NOT indexed as 2dsphere because it's not in GeoJSON format.
 // The geoPoint field is used for all geospatial queries and is properly indexed.
 // The legacy geolocation field is kept only for backward compatibility.
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Club Verification Request Schema
+ * Documents a club's admins submit to prove the club is genuine. Platform
+ * admins approve (setting Club.verified) or reject them.
+ */
+const clubVerificationRequestSchema = new Schema(
+  {
+    club: {
+      type: Schema.Types.ObjectId,
+      ref: 'Club',
+      required: true,
+      index: true,
+    },
+    requestedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Authenticated Cloudinary assets (registration papers, charter, official letters, ...)
+    // that reviewers open through signed links
+    documents: [
+      {
+        _id: false,
+        publicId: {
+          type: String,
+          required: true,
+        },
+        format: {
+          type: String,
+        },
+        fileName: {
+          type: String,
+          trim: true,
+        },
+        mimeType: {
+          type: String,
+        },
+      },
+    ],
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+      default: 'pending',
+      index: true,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    // Shown to the club's admins - required when rejecting
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('ClubVerificationRequest', clubVerificationRequestSchema);
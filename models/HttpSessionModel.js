@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * HTTP Session Schema
+ * Backing store for express-session cookies (see utils/mongoSessionStore.js).
+ * Not to be confused with Session, which tracks signed-in devices.
+ */
+const httpSessionSchema = new Schema(
+  {
+    // express-session's session ID
+    _id: {
+      type: String,
+    },
+    // Serialized session data - kept as JSON so keys are never interpreted by MongoDB
+    data: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // TTL index for auto-deletion
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'http_sessions',
+  }
+);
+
+export default mongoose.model('HttpSession', httpSessionSchema);
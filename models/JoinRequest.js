@@ -18,10 +18,26 @@ const joinRequestSchema = new Schema(
       enum: ['pending', 'accepted', 'rejected'],
       default: 'pending',
     },
+    // Answers to the club's questionnaire; the question text is copied so later edits don't change it
+    answers: [
+      {
+        _id: false,
+        key: String,
+        question: String,
+        answer: String,
+      },
+    ],
+    // Bylaws version the applicant accepted - copied to the Member on approval
+    bylawsAccepted: {
+      version: { type: Number, default: undefined },
+      acceptedAt: { type: Date, default: undefined },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+joinRequestSchema.index({ club: 1, status: 1 });
+
 export default mongoose.model('JoinRequest', joinRequestSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Login Attempt Schema
+ * Failed login counters used for backoff and lockout. One document per
+ * account (keyed by normalized email) and one per client IP.
+ */
+const loginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true, // 'account:<email>' or 'ip:<address>'
+    },
+    type: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // When the account owner was last told about a lockout
+    notifiedAt: {
+      type: Date,
+    },
+    // Counters reset after a quiet period
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -4,12 +4,22 @@ const { Schema } = mongoose;
 const memberSchema = new Schema({
   user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   club: { type: Schema.Types.ObjectId, ref: 'Club', required: true },
+  // 'member', 'admin' or keys of the club's custom roles (Club.customRoles)
   roles: {
     type: [String],
-    enum: ['member', 'admin'],
     default: ['member'],
   },
   joinedDate: { type: Date, default: Date.now },
+  // Invite the member joined through, if any
+  invite: { type: Schema.Types.ObjectId, ref: 'ClubInvite', default: null },
+  // Bylaws versions the member accepted (ClubBylaws.version), oldest first
+  bylawsAcceptances: [
+    {
+      _id: false,
+      version: { type: Number, required: true },
+      acceptedAt: { type: Date, default: Date.now },
+    },
+  ],
 });
 
 // Add a compound index to ensure a user can only be a member of a club once
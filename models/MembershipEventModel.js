@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Membership Event Schema
+ * One entry per change to someone's membership of a club - kept after the
+ * Member document is gone so admins can see a person's full history.
+ */
+const membershipEventSchema = new Schema(
+  {
+    club: {
+      type: Schema.Types.ObjectId,
+      ref: 'Club',
+      required: true,
+    },
+    // The person whose membership changed
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Who made the change (the user themselves for joins and leaves)
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: [
+        'joined',
+        'left',
+        'removed',
+        'request_submitted',
+        'request_approved',
+        'request_rejected',
+        'role_changed',
+        'ownership_transferred',
+        'banned',
+        'unbanned',
+      ],
+      required: true,
+    },
+    // Type-specific details, e.g. { via: 'invite' } or { added: ['admin'], removed: [] }
+    data: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+membershipEventSchema.index({ club: 1, user: 1, createdAt: -1 });
+
+export default mongoose.model('MembershipEvent', membershipEventSchema);
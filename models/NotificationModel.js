@@ -3,7 +3,7 @@ const { Schema } = mongoose;
 
 /**
  * Notification Schema for tracking user notifications
- * Handles join requests, approvals, rejections, new members, and role changes
+ * Handles join requests, approvals, rejections, new members, role changes and security alerts
  */
 const notificationSchema = new Schema(
   {
@@ -16,7 +16,12 @@ const notificationSchema = new Schema(
         'request_rejected',
         'new_member',
         'role_change',
-        'event_join'
+        'event_join',
+        'security_alert',
+        'ownership_transfer',
+        'club_deletion',
+        'club_verification',
+        'club_bylaws'
       ],
     },
     recipient: {
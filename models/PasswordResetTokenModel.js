@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Password Reset Token Schema
+ * Stores hashed, single-use password reset tokens.
+ */
+const passwordResetTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the raw token - the raw value is only ever emailed
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // TTL index for auto-deletion
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    requestedByIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Refresh Token Schema
+ * Stores hashed refresh tokens. Every rotation creates a new document in the
+ * same family so reuse of an already-rotated token can be detected.
+ */
+const refreshTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the raw token - the raw value is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Shared by every token issued from the same login
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 }, // TTL index for auto-deletion
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'reuse_detected', 'revoked'],
+    },
+    replacedByHash: {
+      type: String,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Revoked Token Schema
+ * Deny-list for access tokens that were revoked before they expired.
+ * An entry matches either a single token (jti) or every token issued
+ * from a refresh token family.
+ */
+const revokedTokenSchema = new Schema(
+  {
+    jti: {
+      type: String,
+      index: true,
+      sparse: true,
+    },
+    family: {
+      type: String,
+      index: true,
+      sparse: true,
+    },
+    // Entries only need to live as long as the access tokens they block
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Session Schema
+ * One document per login. A session owns a refresh token family, and every
+ * access token carries that family in its 'fam' claim.
+ */
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    loginMethod: {
+      type: String, // 'password', 'facebook', 'signup', ...
+    },
+    // Optional name the client sent at login, e.g. "Work laptop"
+    deviceName: {
+      type: String,
+      trim: true,
+    },
+    device: {
+      browser: { type: String },
+      os: { type: String },
+      deviceType: {
+        type: String,
+        enum: ['mobile', 'tablet', 'desktop', 'unknown'],
+        default: 'unknown',
+      },
+    },
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastIpAddress: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'reuse_detected', 'revoked'],
+    },
+    // Matches the refresh token lifetime and is pushed back on every refresh
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+export default mongoose.model('Session', sessionSchema);
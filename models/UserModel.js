@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import validator from 'validator';
 import crypto from 'crypto';
+import { validatePassword } from '../utils/passwordPolicy.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -10,10 +11,22 @@ const userSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // New address awaiting confirmation - 'email' stays active until it is verified
+    pendingEmail: {
+      type: String,
+    },
     password: {
       type: String,
       required: function () {
-        return !this.facebookId; // Password not required if user has Facebook ID
+        // Password not required if user signs in with a linked provider
+        return !this.facebookId && !(this.identities && this.identities.length);
       },
     },
     username: {
@@ -44,6 +57,87 @@ const userSchema = new mongoose.Schema(
       type: String,
       sparse: true,
     },
+    // Linked sign-in providers (see utils/oauthProviders.js) - facebookId/facebookEmail
+    // are kept in sync for the Facebook identity
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        providerUserId: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // TOTP two-factor authentication - secrets and recovery codes are never selected by default
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Set by platform admins - suspended accounts can't sign in
+    suspension: {
+      isSuspended: {
+        type: Boolean,
+        default: false,
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      suspendedAt: {
+        type: Date,
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    // Set when every session is revoked. Access tokens from before session tracking
+    // (no fam claim) can't be revoked one by one, so those issued earlier are rejected.
+    tokensValidAfter: {
+      type: Date,
+    },
+    // Account deletion requested by the user - purged once scheduledFor passes
+    deletion: {
+      requestedAt: {
+        type: Date,
+      },
+      scheduledFor: {
+        type: Date,
+        index: true,
+      },
+    },
     lastLocation: {
       latitude: {
         type: Number,
@@ -61,6 +155,87 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// A provider account can only be linked to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerUserId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerUserId': { $exists: true } } }
+);
+
+const providerLabel = (provider) => provider.charAt(0).toUpperCase() + provider.slice(1);
+
+// Accounts created through a provider have no password (older Facebook accounts hold an unusable placeholder)
+userSchema.methods.hasUsablePassword = function () {
+  return typeof this.password === 'string' && /^\$2[aby]\$/.test(this.password);
+};
+
+// Linked identity for a provider - falls back to the legacy Facebook fields
+userSchema.methods.getIdentity = function (provider) {
+  const identity = (this.identities || []).find((i) => i.provider === provider);
+  if (identity) {
+    return identity;
+  }
+  if (provider === 'facebook' && this.facebookId) {
+    return { provider, providerUserId: this.facebookId, email: this.facebookEmail };
+  }
+  return null;
+};
+
+userSchema.methods.getLinkedProviders = function () {
+  const linked = new Set((this.identities || []).map((i) => i.provider));
+  if (this.facebookId) {
+    linked.add('facebook');
+  }
+  return [...linked];
+};
+
+/**
+ * Link a provider account (caller saves)
+ * @param {String} provider - Provider key
+ * @param {Object} profile - Normalized profile from verifyOAuthToken
+ */
+userSchema.methods.linkIdentity = function (provider, profile) {
+  this.identities = (this.identities || []).filter((i) => i.provider !== provider);
+  this.identities.push({
+    provider,
+    providerUserId: profile.providerUserId,
+    email: profile.email,
+    linkedAt: new Date(),
+  });
+
+  if (provider === 'facebook') {
+    this.facebookId = profile.providerUserId;
+    this.facebookEmail = profile.email;
+  }
+
+  // The provider vouches for this address
+  if (
+    profile.emailVerified &&
+    profile.email &&
+    profile.email.toLowerCase() === this.email.toLowerCase() &&
+    !this.emailVerified
+  ) {
+    this.emailVerified = true;
+    this.emailVerifiedAt = new Date();
+  }
+};
+
+userSchema.methods.unlinkIdentity = function (provider) {
+  this.identities = (this.identities || []).filter((i) => i.provider !== provider);
+  if (provider === 'facebook') {
+    this.facebookId = undefined;
+    this.facebookEmail = undefined;
+  }
+};
+
+// Find the user linked to a provider account
+userSchema.static('findByIdentity', function (provider, providerUserId) {
+  const conditions = [{ identities: { $elemMatch: { provider, providerUserId } } }];
+  if (provider === 'facebook') {
+    conditions.push({ facebookId: providerUserId });
+  }
+  return this.findOne({ $or: conditions });
+});
+
 // Static signup method (must use function to have correct 'this')
 userSchema.static(
   'signup',
@@ -75,10 +250,10 @@ userSchema.static(
       throw new Error('Email is not valid');
     }
 
-    //enable in prod
-    /*  if(!validator.isStrongPassword(password)){
-     throw new Error('Password not strong enough')
-   } */
+    const passwordCheck = validatePassword(password, { email, username });
+    if (!passwordCheck.valid) {
+      throw new Error(passwordCheck.errors[0]);
+    }
 
     const exists = await this.findOne({
       email,
@@ -103,6 +278,82 @@ userSchema.static(
   }
 );
 
+/**
+ * Sign in through a provider, creating the account on first use
+ * @param {String} provider - Provider key
+ * @param {Object} profile - Normalized profile from verifyOAuthToken
+ * @param {String} username - Optional explicit username
+ */
+userSchema.static('oauthSignup', async function (provider, profile, username) {
+  const { providerUserId, email, firstName, lastName, pictureUrl } = profile;
+
+  // Check if user exists with this provider account
+  let user = await this.findByIdentity(provider, providerUserId);
+
+  if (user) {
+    return user;
+  }
+
+  // Check if user exists with email (for potential account merging)
+  const existingUser = await this.findOne({ email });
+  if (existingUser && !existingUser.getIdentity(provider)) {
+    if (!profile.emailVerified) {
+      throw new Error(`Email address is not verified with ${providerLabel(provider)}`);
+    }
+    // Anyone can sign up with someone else's address - only merge once the owner confirmed it
+    if (!existingUser.emailVerified) {
+      throw new Error(
+        `An account with this email already exists. Log in and link ${providerLabel(provider)} from your settings.`
+      );
+    }
+    // Merge accounts - link the provider to the existing user
+    existingUser.linkIdentity(provider, profile);
+    if (pictureUrl) {
+      existingUser.profilePhoto = pictureUrl;
+    }
+    await existingUser.save();
+    return existingUser;
+  } else if (existingUser) {
+    throw new Error(`${providerLabel(provider)} account already linked to another user`);
+  }
+
+  // Create new user with provider data
+  let generatedUsername = username;
+
+  if (!generatedUsername) {
+    // Generate username using improved strategy
+    generatedUsername = await this.generateUniqueUsername(firstName, lastName);
+  }
+
+  // Check if username already exists
+  const existingUsernameUser = await this.findOne({
+    username: generatedUsername,
+  });
+  if (existingUsernameUser) {
+    if (username) {
+      // If username was explicitly provided and already exists, throw error
+      throw new Error('Username already exists');
+    } else {
+      // If username was auto-generated but still conflicts, regenerate
+      generatedUsername = await this.generateUniqueUsername(firstName, lastName);
+    }
+  }
+
+  user = new this({
+    email,
+    emailVerified: !!profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+    firstName: firstName || '',
+    lastName: lastName || '',
+    username: generatedUsername,
+    profilePhoto: pictureUrl || null,
+  });
+  user.linkIdentity(provider, profile);
+  await user.save();
+
+  return user;
+});
+
 // Static method for Facebook signup
 userSchema.static(
   'facebookSignup',
@@ -114,62 +365,19 @@ userSchema.static(
     profilePhoto,
     username
   ) {
-    // Check if user exists with Facebook ID
-    let user = await this.findOne({ facebookId });
-
-    if (user) {
-      return user;
-    }
-
-    // Check if user exists with email (for potential account merging)
-    const existingUser = await this.findOne({ email });
-    if (existingUser && !existingUser.facebookId) {
-      // Merge accounts - add Facebook ID to existing user
-      existingUser.facebookId = facebookId;
-      existingUser.facebookEmail = email;
-      if (profilePhoto) {
-        existingUser.profilePhoto = profilePhoto;
-      }
-      await existingUser.save();
-      return existingUser;
-    } else if (existingUser && existingUser.facebookId) {
-      throw new Error('Facebook account already linked to another user');
-    }
-
-    // Create new user with Facebook data
-    let generatedUsername = username;
-
-    if (!generatedUsername) {
-      // Generate username using improved strategy
-      generatedUsername = await this.generateUniqueUsername(firstName, lastName);
-    }
-
-    // Check if username already exists
-    const existingUsernameUser = await this.findOne({
-      username: generatedUsername,
-    });
-    if (existingUsernameUser) {
-      if (username) {
-        // If username was explicitly provided and already exists, throw error
-        throw new Error('Username already exists');
-      } else {
-        // If username was auto-generated but still conflicts, regenerate
-        generatedUsername = await this.generateUniqueUsername(firstName, lastName);
-      }
-    }
-
-    user = await this.create({
-      facebookId,
-      email,
-      facebookEmail: email,
-      firstName: firstName || '',
-      lastName: lastName || '',
-      username: generatedUsername,
-      password: 'facebook_auth_' + Math.random().toString(36), // Random password for Facebook users
-      profilePhoto: profilePhoto || null,
-    });
-
-    return user;
+    return this.oauthSignup(
+      'facebook',
+      {
+        providerUserId: facebookId,
+        email,
+        // Facebook only shares addresses it has already confirmed
+        emailVerified: true,
+        firstName,
+        lastName,
+        pictureUrl: profilePhoto,
+      },
+      username
+    );
   }
 );
 
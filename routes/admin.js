@@ -0,0 +1,48 @@
+import express from 'express';
+import {
+  listUsers,
+  getUserDetails,
+  suspendUser,
+  reinstateUser,
+  forceLogoutUser,
+  unlockUser,
+  listClubs,
+  removeClub,
+  removeEvent,
+  getPlatformStats,
+  listVerificationRequests,
+  approveVerificationRequest,
+  rejectVerificationRequest,
+  revokeClubVerification,
+} from '../controllers/adminController.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import requirePlatformAdmin from '../middlewares/requirePlatformAdmin.js';
+
+const router = express.Router();
+
+// Every admin route requires a signed-in platform admin
+router.use(authMiddleware, requirePlatformAdmin);
+
+// GET /api/admin/stats - Platform-wide counts
+router.get('/stats', getPlatformStats);
+
+// Users
+router.get('/users', listUsers);
+router.get('/users/:userId', getUserDetails);
+router.post('/users/:userId/suspend', suspendUser);
+router.post('/users/:userId/reinstate', reinstateUser);
+router.post('/users/:userId/force-logout', forceLogoutUser);
+router.post('/users/:userId/unlock', unlockUser);
+
+// Clubs and events
+router.get('/clubs', listClubs);
+router.delete('/clubs/:clubId', removeClub);
+router.delete('/events/:eventId', removeEvent);
+
+// Club verification badges
+router.get('/verification-requests', listVerificationRequests);
+router.post('/verification-requests/:requestId/approve', approveVerificationRequest);
+router.post('/verification-requests/:requestId/reject', rejectVerificationRequest);
+router.delete('/clubs/:clubId/verification', revokeClubVerification);
+
+export default router;
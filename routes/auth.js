@@ -3,11 +3,24 @@ import {
   loginUser,
   signupUser,
   logout,
+  refreshAccessToken,
+  getPasswordPolicyRules,
 } from '../controllers/authController.js';
 import {
   facebookLogin,
   facebookRegister,
 } from '../controllers/facebookAuthController.js';
+import { getOAuthProviders, oauthLogin } from '../controllers/oauthController.js';
+import {
+  forgotPassword,
+  resetPassword,
+} from '../controllers/passwordResetController.js';
+import {
+  verifyEmail,
+  resendVerificationEmail,
+} from '../controllers/emailVerificationController.js';
+import { verifyTwoFactorLogin } from '../controllers/twoFactorController.js';
+import authMiddleware from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
@@ -15,9 +28,24 @@ const router = express.Router();
 router.post('/signup', signupUser);
 router.post('/login', loginUser);
 router.post('/logout', logout);
+router.post('/refresh', refreshAccessToken);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// Password reset routes
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.get('/password-policy', getPasswordPolicyRules);
+
+// Email verification routes
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', authMiddleware, resendVerificationEmail);
 
 // Facebook authentication routes
 router.post('/facebook', facebookLogin);
 router.post('/facebook/register', facebookRegister);
 
+// Other sign-in providers (see utils/oauthProviders.js)
+router.get('/oauth/providers', getOAuthProviders);
+router.post('/oauth/:provider', oauthLogin);
+
 export default router;
@@ -19,7 +19,59 @@ import {
   checkClubNameAvailability,
   getMyClubs,
   getNearbyClubs,
+  getJoinQuestionnaire,
+  updateJoinQuestionnaire,
+  leaveClub,
+  getMemberHistory,
 } from '../controllers/clubController.js';
+import {
+  getClubRoles,
+  createClubRole,
+  updateClubRole,
+  deleteClubRole,
+  setMemberRoles,
+} from '../controllers/clubRoleController.js';
+import {
+  transferOwnership,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer,
+  deleteClub,
+  cancelClubDeletion,
+} from '../controllers/clubOwnershipController.js';
+import {
+  getClubInvites,
+  createClubInvite,
+  updateClubInvite,
+  revokeClubInvite,
+  getInviteByCode,
+  redeemInvite,
+} from '../controllers/clubInviteController.js';
+import { getClubBans, banUser, liftBan } from '../controllers/clubBanController.js';
+import {
+  getChapters,
+  addChapter,
+  updateChapter,
+  removeChapter,
+  addChapterAdmin,
+  removeChapterAdmin,
+} from '../controllers/clubChapterController.js';
+import {
+  getVerificationStatus,
+  submitVerificationRequest,
+  withdrawVerificationRequest,
+  MAX_VERIFICATION_DOCUMENTS,
+} from '../controllers/clubVerificationController.js';
+import { getClubAnalytics } from '../controllers/clubAnalyticsController.js';
+import { getClubTaxonomy, getPopularTags } from '../controllers/clubTaxonomyController.js';
+import {
+  getBylaws,
+  getBylawsVersions,
+  publishBylaws,
+  acceptBylaws,
+  getBylawsAcceptance,
+} from '../controllers/clubBylawsController.js';
+import { getClubAuditLog } from '../controllers/clubAuditController.js';
+import { getClubBySlug } from '../controllers/clubProfileController.js';
 import authMiddleware from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
@@ -30,10 +82,29 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
 });
 
+// Multer stops reading once the document limit is hit, so extra files never
+// reach memory; its errors become a 400 like the controller's own validation
+function uploadVerificationDocuments(req, res, next) {
+  upload.array('documents', MAX_VERIFICATION_DOCUMENTS)(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) {
+      return next(error);
+    }
+    const message =
+      error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'documents'
+        ? `Attach at most ${MAX_VERIFICATION_DOCUMENTS} documents`
+        : error.message;
+    return res.status(400).json({
+      message: 'Validation errors',
+      errors: [{ field: error.field || 'documents', message }],
+    });
+  });
+}
+
 router.post('/addMember', authMiddleware, addMember);
 router.post('/create', authMiddleware, createClub);
 router.put('/:clubId/update', authMiddleware, upload.single('logo'), updateClub);
 router.post('/:clubId/join', authMiddleware, joinClub);
+router.post('/:clubId/leave', authMiddleware, leaveClub);
 router.post(
   '/:clubId/logo',
   authMiddleware,
@@ -44,19 +115,86 @@ router.post(
 router.get('/', getAllClubs);
 router.get('/my', authMiddleware, getMyClubs);
 router.get('/nearby', getNearbyClubs);
+router.get('/taxonomy', getClubTaxonomy);
+router.get('/tags/popular', getPopularTags);
 router.get('/check-name/:name', checkClubNameAvailability);
+// Public club page; old slugs redirect after a rename
+router.get('/by-slug/:slug', getClubBySlug);
+router.get('/invites/:code', getInviteByCode);
+router.post('/invites/:code/redeem', authMiddleware, redeemInvite);
 router.get('/:id', authMiddleware, getClubById);
 router.get('/:clubId/membership-status', authMiddleware, getMembershipStatus);
 
-// Join request management endpoints (admin only)
+// Ownership and deletion (owner only; the recipient accepts or declines a transfer)
+router.post('/:clubId/transfer-ownership', authMiddleware, transferOwnership);
+router.post('/:clubId/transfer-ownership/accept', authMiddleware, acceptOwnershipTransfer);
+router.delete('/:clubId/transfer-ownership', authMiddleware, cancelOwnershipTransfer);
+router.delete('/:clubId', authMiddleware, deleteClub);
+router.post('/:clubId/deletion/cancel', authMiddleware, cancelClubDeletion);
+
+// Join questionnaire (anyone signed in can read it; editing requires club.edit)
+router.get('/:clubId/questionnaire', authMiddleware, getJoinQuestionnaire);
+router.put('/:clubId/questionnaire', authMiddleware, updateJoinQuestionnaire);
+
+// Join request management endpoints (members.approve)
 router.get('/:clubId/join-requests', authMiddleware, getJoinRequests);
 router.post('/:clubId/join-requests/:requestId/approve', authMiddleware, approveJoinRequest);
 router.post('/:clubId/join-requests/:requestId/reject', authMiddleware, rejectJoinRequest);
 
-// Member management endpoints (admin only)
+// Member management endpoints (members.remove, roles.manage)
 router.get('/:clubId/members', authMiddleware, getClubMembers);
 router.delete('/:clubId/members/:memberId', authMiddleware, removeMember);
 router.post('/:clubId/members/:memberId/promote', authMiddleware, promoteToAdmin);
 router.post('/:clubId/members/:memberId/demote', authMiddleware, demoteToMember);
+router.put('/:clubId/members/:memberId/roles', authMiddleware, setMemberRoles);
+router.get('/:clubId/history/:userId', authMiddleware, getMemberHistory);
+
+// Custom roles and their permissions
+router.get('/:clubId/roles', authMiddleware, getClubRoles);
+router.post('/:clubId/roles', authMiddleware, createClubRole);
+router.put('/:clubId/roles/:roleKey', authMiddleware, updateClubRole);
+router.delete('/:clubId/roles/:roleKey', authMiddleware, deleteClubRole);
+
+// Invite links and codes (members.invite)
+router.get('/:clubId/invites', authMiddleware, getClubInvites);
+router.post('/:clubId/invites', authMiddleware, createClubInvite);
+router.put('/:clubId/invites/:inviteId', authMiddleware, updateClubInvite);
+router.delete('/:clubId/invites/:inviteId', authMiddleware, revokeClubInvite);
+
+// Ban list (members.remove)
+router.get('/:clubId/bans', authMiddleware, getClubBans);
+router.post('/:clubId/bans', authMiddleware, banUser);
+router.delete('/:clubId/bans/:userId', authMiddleware, liftBan);
+
+// Chapters of national organizations (admins of parent clubs manage chapter admins)
+router.get('/:clubId/chapters', authMiddleware, getChapters);
+router.post('/:clubId/chapters', authMiddleware, addChapter);
+router.put('/:clubId/chapters/:chapterId', authMiddleware, updateChapter);
+router.delete('/:clubId/chapters/:chapterId', authMiddleware, removeChapter);
+router.post('/:clubId/chapters/:chapterId/admins', authMiddleware, addChapterAdmin);
+router.delete('/:clubId/chapters/:chapterId/admins/:userId', authMiddleware, removeChapterAdmin);
+
+// Verification badge requests (club.edit); platform admins review them under /api/admin
+router.get('/:clubId/verification', authMiddleware, getVerificationStatus);
+router.post(
+  '/:clubId/verification',
+  authMiddleware,
+  uploadVerificationDocuments,
+  submitVerificationRequest
+);
+router.delete('/:clubId/verification', authMiddleware, withdrawVerificationRequest);
+
+// Analytics dashboard and CSV report (analytics.view)
+router.get('/:clubId/analytics', authMiddleware, getClubAnalytics);
+
+// Versioned bylaws; publishing and the acceptance report need bylaws.manage
+router.get('/:clubId/bylaws', authMiddleware, getBylaws);
+router.post('/:clubId/bylaws', authMiddleware, publishBylaws);
+router.get('/:clubId/bylaws/versions', authMiddleware, getBylawsVersions);
+router.post('/:clubId/bylaws/accept', authMiddleware, acceptBylaws);
+router.get('/:clubId/bylaws/acceptance', authMiddleware, getBylawsAcceptance);
+
+// Append-only log of admin actions (audit.view)
+router.get('/:clubId/audit', authMiddleware, getClubAuditLog);
 
 export default router;
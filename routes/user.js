@@ -5,6 +5,10 @@ import {
   updateProfile,
   updateUsername,
   updateEmail,
+  changePassword,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  exportUserData,
   checkUsernameAvailability,
   checkEmailAvailability,
   uploadProfilePhoto,
@@ -12,18 +16,43 @@ import {
   updateUserLocation,
   updateUser, // Legacy - deprecated
 } from '../controllers/userController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from '../controllers/sessionController.js';
+import {
+  getLinkedIdentities,
+  linkIdentity,
+  unlinkIdentity,
+} from '../controllers/oauthController.js';
 import User from '../models/UserModel.js';
 import upload from '../middlewares/upload.js';
 import authMiddleware from '../middlewares/authMiddleware.js';
+import requirePlatformAdmin from '../middlewares/requirePlatformAdmin.js';
 
 const router = express.Router();
 
-// Get all users (admin functionality)
-router.get('/', authMiddleware, getUser);
+// Get all users (platform admins only)
+router.get('/', authMiddleware, requirePlatformAdmin, getUser);
 
 // Get current authenticated user's profile
 router.get('/me', authMiddleware, getCurrentUser);
 
+// Delete account (after a grace period) or cancel a pending deletion
+router.delete('/me', authMiddleware, requestAccountDeletion);
+router.post('/me/deletion/cancel', authMiddleware, cancelAccountDeletion);
+
+// Download a ZIP of all personal data
+router.get('/me/export', authMiddleware, exportUserData);
+
 // Update non-sensitive profile fields
 router.put('/me/profile', authMiddleware, updateProfile);
 
@@ -33,6 +62,26 @@ router.put('/me/username', authMiddleware, updateUsername);
 // Update email with password confirmation
 router.put('/me/email', authMiddleware, updateEmail);
 
+// Change password (or set a first password for provider-only accounts)
+router.put('/me/password', authMiddleware, changePassword);
+
+// Active sessions (devices the user is logged in on)
+router.get('/me/sessions', authMiddleware, getSessions);
+router.post('/me/sessions/logout-others', authMiddleware, revokeOtherSessions);
+router.delete('/me/sessions/:sessionId', authMiddleware, revokeSession);
+
+// Linked sign-in providers (Facebook, Google, ...)
+router.get('/me/identities', authMiddleware, getLinkedIdentities);
+router.post('/me/identities/:provider', authMiddleware, linkIdentity);
+router.delete('/me/identities/:provider', authMiddleware, unlinkIdentity);
+
+// Two-factor authentication (TOTP)
+router.get('/me/2fa', authMiddleware, getTwoFactorStatus);
+router.post('/me/2fa/setup', authMiddleware, setupTwoFactor);
+router.post('/me/2fa/enable', authMiddleware, enableTwoFactor);
+router.post('/me/2fa/disable', authMiddleware, disableTwoFactor);
+router.post('/me/2fa/recovery-codes', authMiddleware, regenerateRecoveryCodes);
+
 // Check username availability
 router.get('/check-username/:username', authMiddleware, checkUsernameAvailability);
 
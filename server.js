@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import express from 'express';
 import session from 'express-session';
@@ -10,10 +11,25 @@ import notificationRoutes from './routes/notification.js';
 import officialMemberRouter from './routes/official-member.js';
 import paymentRoutes from './routes/payment.js';
 import collectionRoutes from './routes/collection.js';
+import adminRoutes from './routes/admin.js';
 import cors from 'cors';
+import { startScheduledJobs } from './utils/scheduledJobs.js';
+import { loadConfig } from './utils/config.js';
+import MongoSessionStore from './utils/mongoSessionStore.js';
 
 dotenv.config();
 
+// Fail fast on a misconfigured environment (tests set up their own)
+let config;
+if (process.env.NODE_ENV !== 'test') {
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
 //express app
 const app = express();
 
@@ -38,12 +54,15 @@ app.use((req, res, next) => {
   next();
 });
 
-// Configure session middleware
+// Configure session middleware - stored in MongoDB so sessions survive restarts
 app.use(
   session({
-    secret: 'mysecretkey',
+    // Tests run without a .env, so any secret will do there
+    secret: config?.sessionSecret || crypto.randomBytes(32).toString('hex'),
+    store: new MongoSessionStore(),
     resave: false,
-    saveUninitialized: true,
+    // Only persist sessions that hold something (e.g. after login)
+    saveUninitialized: false,
   })
 );
 
@@ -56,6 +75,7 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/official-member', officialMemberRouter);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/collection', collectionRoutes);
+app.use('/api/admin', adminRoutes);
 app.get('/api/wakeup', (req, res) => {
   res.json({ message: 'Server is awake and ready.' });
 });
@@ -75,10 +95,11 @@ if (process.env.NODE_ENV === 'test') {
 // Development environment
 else if (process.env.NODE_ENV === 'development') {
   mongoose
-    .connect(process.env.MONGO_LOCAL_URI)
+    .connect(config.mongoUri)
     .then(() => {
+      startScheduledJobs();
       // listen for requests
-      server = app.listen(process.env.PORT, () => {
+      server = app.listen(config.port, () => {
         console.log(
           `connected to db & listening on  ,${process.env.PROTOCOL}://${process.env.HOST}:${process.env.PORT}`
         );
@@ -91,11 +112,11 @@ else if (process.env.NODE_ENV === 'development') {
 // Production environment
 else {
   mongoose
-    //.connect(process.env.MONGO_LOCAL_URI)
-    .connect(process.env.MONGO_URI)
+    .connect(config.mongoUri)
     .then(() => {
+      startScheduledJobs();
       // listen for requests
-      server = app.listen(process.env.PORT, () => {
+      server = app.listen(config.port, () => {
         console.log(
           `connected to db & listening on  ,${process.env.PROTOCOL}://${process.env.HOST}:${process.env.PORT}`
         );
@@ -0,0 +1,193 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, tokenFor, removeTestUsers } from './setup.js';
+import User from '../models/UserModel.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Event from '../models/EventModel.js';
+import Notification from '../models/NotificationModel.js';
+import { createZip } from '../utils/zipWriter.js';
+import { purgeDueAccountDeletions } from '../utils/accountDeletionService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Account deletion and data export', function () {
+  describe('createZip', function () {
+    it('should produce a ZIP archive listing every file', function () {
+      const zip = createZip([
+        { name: 'profile.json', content: '{"a":1}' },
+        { name: 'README.txt', content: 'hello' },
+      ]);
+      expect(zip.subarray(0, 4).toString('hex')).to.equal('504b0304');
+      // End of central directory records the entry count
+      expect(zip.readUInt16LE(zip.length - 12)).to.equal(2);
+      expect(zip.includes(Buffer.from('profile.json'))).to.equal(true);
+    });
+  });
+
+  describe('Authentication', function () {
+    it('DELETE /api/user/me should require authentication', async function () {
+      const res = await request(app).delete('/api/user/me');
+      expect(res.status).to.equal(401);
+    });
+
+    it('GET /api/user/me/export should require authentication', async function () {
+      const res = await request(app).get('/api/user/me/export');
+      expect(res.status).to.equal(401);
+    });
+  });
+
+  describe('Deletion flow', function () {
+    const stamp = Date.now();
+    const email = `delete_${stamp}@example.com`;
+    const password = 'Password123!';
+    let userId;
+    let token;
+    let otherUser;
+    let club;
+    let event;
+
+    before(async function () {
+      await ensureConnection();
+      const signup = await request(app)
+        .post('/api/auth/signup')
+        .send({ email, password, username: `delete_${stamp}` });
+      userId = signup.body.user._id;
+      token = signup.body.token;
+
+      [otherUser] = await createTestUsers('delete', ['other'], stamp);
+      club = await Club.create({
+        clubName: `Deletion Club ${stamp}`,
+        description: 'Shared club',
+        createdBy: otherUser._id,
+      });
+      const members = await Member.create([
+        { user: otherUser._id, club: club._id, roles: ['admin'] },
+        { user: userId, club: club._id, roles: ['member'] },
+      ]);
+      club.members = members.map((m) => m._id);
+      await club.save();
+
+      event = await Event.create({
+        name: 'Sunday ride',
+        description: 'Ride',
+        startTime: new Date(Date.now() + 86400000),
+        club: club._id,
+        createdBy: otherUser._id,
+        attendees: [otherUser._id, userId],
+        attendeeCount: 2,
+      });
+      await Notification.create({
+        type: 'new_member',
+        recipient: userId,
+        club: club._id,
+        message: 'Welcome',
+      });
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await Event.deleteOne({ _id: event?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteOne({ _id: club?._id });
+      await removeTestUsers('delete', stamp);
+      await User.deleteOne({ _id: userId });
+    });
+
+    it('should export personal data as a ZIP', async function () {
+      const res = await request(app)
+        .get('/api/user/me/export')
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse(binaryParser);
+      expect(res.status).to.equal(200);
+      expect(res.headers['content-type']).to.include('application/zip');
+      expect(res.body.subarray(0, 2).toString()).to.equal('PK');
+      expect(res.body.includes(Buffer.from('memberships.json'))).to.equal(true);
+    });
+
+    it('should require the current password', async function () {
+      const res = await request(app)
+        .delete('/api/user/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+      expect(res.status).to.equal(400);
+    });
+
+    it('should schedule deletion and sign the user out', async function () {
+      const res = await request(app)
+        .delete('/api/user/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: password });
+      expect(res.status).to.equal(200);
+      expect(new Date(res.body.scheduledFor)).to.be.above(new Date());
+
+      const session = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${token}`);
+      expect(session.status).to.equal(401);
+    });
+
+    it('should let the user cancel by logging back in', async function () {
+      const login = await request(app).post('/api/auth/login').send({ email, password });
+      expect(login.status).to.equal(200);
+      token = login.body.token;
+
+      const res = await request(app)
+        .post('/api/user/me/deletion/cancel')
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.status).to.equal(200);
+
+      const user = await User.findById(userId);
+      expect(user.deletion?.scheduledFor).to.be.undefined;
+    });
+
+    it('should purge the account once the grace period ends', async function () {
+      await User.updateOne(
+        { _id: userId },
+        { deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() - 1000) } }
+      );
+
+      const purged = await purgeDueAccountDeletions();
+      expect(purged).to.be.at.least(1);
+
+      expect(await User.findById(userId)).to.be.null;
+      expect(await Member.countDocuments({ user: userId })).to.equal(0);
+      expect(await Notification.countDocuments({ recipient: userId })).to.equal(0);
+
+      const updatedEvent = await Event.findById(event._id);
+      expect(updatedEvent.attendees.map(String)).to.not.include(String(userId));
+      expect(updatedEvent.attendeeCount).to.equal(1);
+
+      const updatedClub = await Club.findById(club._id);
+      expect(updatedClub.members).to.have.length(1);
+    });
+
+    it('should not ask Facebook-only users for a password they never set', async function () {
+      const [facebookUser] = await createTestUsers('delete', ['fb'], stamp, {
+        facebookId: `fb_delete_${stamp}`,
+        password: `facebook_auth_${stamp.toString(36)}`,
+      });
+      try {
+        const fbToken = await tokenFor(facebookUser, 'facebook');
+        const res = await request(app)
+          .delete('/api/user/me')
+          .set('Authorization', `Bearer ${fbToken}`)
+          .send({});
+        expect(res.status).to.equal(200);
+        expect(new Date(res.body.scheduledFor)).to.be.above(new Date());
+      } finally {
+        await User.deleteOne({ _id: facebookUser._id });
+      }
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, tokenFor, removeTestUsers } from './setup.js';
+import User from '../models/UserModel.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Platform admin API', function () {
+  describe('Access control', function () {
+    it('should require authentication', async function () {
+      const res = await request(app).get('/api/admin/stats');
+      expect(res.status).to.equal(401);
+    });
+
+    it('should reject invalid tokens', async function () {
+      const res = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', 'Bearer invalid_token');
+      expect(res.status).to.equal(403);
+    });
+  });
+
+  describe('Moderation', function () {
+    const stamp = Date.now();
+    const email = `admin_target_${stamp}@example.com`;
+    const password = 'Password123!';
+    let admin;
+    let adminToken;
+    let targetId;
+    let targetToken;
+
+    before(async function () {
+      await ensureConnection();
+
+      [admin] = await createTestUsers('platform', ['admin'], stamp, { role: 'admin' });
+      adminToken = await tokenFor(admin);
+
+      const signup = await request(app)
+        .post('/api/auth/signup')
+        .send({ email, password, username: `admin_target_${stamp}` });
+      targetId = signup.body.user._id;
+      targetToken = signup.body.token;
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await removeTestUsers('platform', stamp);
+      await User.deleteOne({ _id: targetId });
+    });
+
+    it('should not let regular users in', async function () {
+      const res = await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${targetToken}`);
+      expect(res.status).to.equal(403);
+    });
+
+    it('should search users', async function () {
+      const res = await request(app)
+        .get('/api/admin/users')
+        .query({ search: `admin_target_${stamp}` })
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.total).to.equal(1);
+      expect(res.body.users[0]).to.not.have.property('password');
+    });
+
+    it('should reject a repeated search parameter', async function () {
+      for (const path of ['/api/admin/users', '/api/admin/clubs']) {
+        const res = await request(app)
+          .get(`${path}?search=a&search=b`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).to.equal(400);
+      }
+    });
+
+    it('should suspend a user and end their sessions', async function () {
+      const res = await request(app)
+        .post(`/api/admin/users/${targetId}/suspend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Spam' });
+      expect(res.status).to.equal(200);
+
+      const session = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${targetToken}`);
+      expect(session.status).to.equal(401);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+      expect(login.status).to.equal(403);
+    });
+
+    it('should reinstate a suspended user', async function () {
+      const res = await request(app)
+        .post(`/api/admin/users/${targetId}/reinstate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.status).to.equal(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+      expect(login.status).to.equal(200);
+    });
+
+    it('should remove a club with its memberships', async function () {
+      const club = await Club.create({
+        clubName: `Abusive Club ${stamp}`,
+        description: 'To be removed',
+        createdBy: targetId,
+      });
+      await Member.create({ user: targetId, club: club._id, roles: ['admin'] });
+
+      const res = await request(app)
+        .delete(`/api/admin/clubs/${club._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.deleted.members).to.equal(1);
+      expect(await Club.findById(club._id)).to.be.null;
+    });
+
+    it('should return platform stats', async function () {
+      const res = await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.users.total).to.be.a('number');
+      expect(res.body.clubs.total).to.be.a('number');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Event from '../models/EventModel.js';
+import Collection from '../models/CollectionModel.js';
+import Payment from '../models/PaymentModel.js';
+import OfficialMember from '../models/OfficialMemberModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import { parseDateRange, monthKeys, analyticsToCSV } from '../utils/clubAnalytics.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club analytics', function () {
+  describe('Date ranges', function () {
+    it('should default to the last 12 calendar months', function () {
+      const now = new Date('2026-03-15T10:00:00Z');
+      const { from, to } = parseDateRange({}, now);
+      expect(from.toISOString()).to.equal('2025-04-01T00:00:00.000Z');
+      expect(to).to.equal(now);
+      expect(monthKeys(from, to)).to.have.length(12);
+    });
+
+    it('should reject invalid and reversed ranges', function () {
+      expect(parseDateRange({ from: 'yesterday' }).error).to.be.a('string');
+      expect(parseDateRange({ from: '2026-02-01', to: '2026-01-01' }).error).to.be.a('string');
+      expect(parseDateRange({ from: '2015-01-01', to: '2026-01-01' }).error).to.be.a('string');
+    });
+  });
+
+  describe('analyticsToCSV', function () {
+    it('should flatten the report into section,item,metric,value rows', function () {
+      const csv = analyticsToCSV({
+        members: { growth: [{ month: '2026-01', joined: 2, total: 5 }] },
+        joinRequests: { approved: 1, approvalRate: null },
+        events: { byType: [{ eventType: 'ride', count: 3, attendees: 0 }] },
+        collections: { items: [{ name: 'Fuel, tolls', targetAmount: 100, confirmedAmount: 40, pendingAmount: 0 }] },
+        officialMembers: { claimed: 1 },
+        activeMembers: [{ month: '2026-01', count: 4 }],
+      });
+      const lines = csv.split('\n');
+      expect(lines[0]).to.equal('section,item,metric,value');
+      expect(lines).to.include('member_growth,2026-01,total,5');
+      expect(lines).to.include('join_requests,,approvalRate,');
+      expect(lines).to.include('collections,"Fuel, tolls",confirmed,40');
+      expect(lines).to.include('active_members,2026-01,count,4');
+    });
+  });
+
+  describe('Club report', function () {
+    const stamp = Date.now();
+    let admin;
+    let rider;
+    let club;
+    const tokens = {};
+    const from = '2026-01-01';
+    const to = '2026-03-31T23:59:59Z';
+
+    before(async function () {
+      await ensureConnection();
+      [admin, rider] = await createTestUsers('stats', ['admin', 'rider'], stamp);
+      ({ club } = await createTestClub(
+        { user: admin, joinedDate: new Date('2025-12-10') },
+        { clubName: `Analytics Club ${stamp}`, description: 'Club for analytics tests' },
+        [{ user: rider, joinedDate: new Date('2026-02-05') }]
+      ));
+
+      await Event.create([
+        { name: 'Ride 1', description: 'x', eventType: 'ride', startTime: new Date('2026-01-20'), club: club._id, createdBy: admin._id },
+        { name: 'Ride 2', description: 'x', eventType: 'ride', startTime: new Date('2026-02-20'), club: club._id, createdBy: rider._id },
+        { name: 'AGM', description: 'x', eventType: 'meeting', startTime: new Date('2026-03-01'), club: club._id, createdBy: admin._id },
+      ]);
+      // Timestamps normally come from the clock - backdate them through the driver
+      await Event.collection.updateOne({ club: club._id, name: 'Ride 2' }, { $set: { createdAt: new Date('2026-02-10') } });
+
+      const collection = await Collection.create({
+        club: club._id,
+        name: 'Track day fund',
+        targetAmount: 1000,
+        createdBy: admin._id,
+      });
+      await Collection.collection.updateOne({ _id: collection._id }, { $set: { createdAt: new Date('2026-01-05') } });
+      await Payment.create([
+        { collection: collection._id, club: club._id, name: 'A', amount: 300, referenceNumber: `A${stamp}`, status: 'confirmed' },
+        { collection: collection._id, club: club._id, name: 'B', amount: 200, referenceNumber: `B${stamp}`, status: 'pending' },
+      ]);
+
+      await OfficialMember.create([
+        { club: club._id, officialNumber: '001', firstName: 'Claimed', claimedBy: rider._id, claimedAt: new Date() },
+        { club: club._id, officialNumber: '002', firstName: 'Unclaimed' },
+      ]);
+
+      await MembershipEvent.collection.insertMany([
+        {
+          club: club._id,
+          user: rider._id,
+          actor: rider._id,
+          type: 'request_submitted',
+          data: {},
+          createdAt: new Date('2026-02-01'),
+        },
+        {
+          club: club._id,
+          user: rider._id,
+          actor: admin._id,
+          type: 'request_approved',
+          data: { submittedAt: new Date('2026-02-01') },
+          createdAt: new Date('2026-02-03'),
+        },
+      ]);
+
+      tokens.admin = await tokenFor(admin);
+      tokens.rider = await tokenFor(rider);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await MembershipEvent.deleteMany({ club: club?._id });
+      await OfficialMember.deleteMany({ club: club?._id });
+      await Payment.deleteMany({ club: club?._id });
+      await Collection.deleteMany({ club: club?._id });
+      await Event.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteMany({ _id: club?._id });
+      await removeTestUsers('stats', stamp);
+    });
+
+    it('should be limited to members with analytics.view', async function () {
+      const res = await request(app)
+        .get(`/api/club/${club._id}/analytics`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(res.status).to.equal(403);
+    });
+
+    it('should report the club health for the range', async function () {
+      const res = await request(app)
+        .get(`/api/club/${club._id}/analytics?from=${from}&to=${to}`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(res.status).to.equal(200);
+
+      expect(res.body.members.startingTotal).to.equal(1);
+      expect(res.body.members.growth).to.deep.equal([
+        { month: '2026-01', joined: 0, total: 1 },
+        { month: '2026-02', joined: 1, total: 2 },
+        { month: '2026-03', joined: 0, total: 2 },
+      ]);
+
+      expect(res.body.joinRequests.approved).to.equal(1);
+      expect(res.body.joinRequests.approvalRate).to.equal(1);
+      expect(res.body.joinRequests.averageDecisionHours).to.equal(48);
+
+      expect(res.body.events.total).to.equal(3);
+      expect(res.body.events.byType[0]).to.include({ eventType: 'ride', count: 2 });
+
+      expect(res.body.collections.items[0]).to.include({
+        targetAmount: 1000,
+        confirmedAmount: 300,
+        pendingAmount: 200,
+        progress: 0.3,
+      });
+
+      expect(res.body.officialMembers).to.deep.equal({ total: 2, claimed: 1, unclaimed: 1, active: 2 });
+
+      const february = res.body.activeMembers.find((m) => m.month === '2026-02');
+      expect(february.count).to.equal(2);
+    });
+
+    it('should download the report as CSV', async function () {
+      const res = await request(app)
+        .get(`/api/club/${club._id}/analytics?from=${from}&to=${to}&format=csv`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(res.status).to.equal(200);
+      expect(res.headers['content-type']).to.include('text/csv');
+      expect(res.headers['content-disposition']).to.include('club-analytics-');
+      expect(res.text).to.include('events,meeting,count,1');
+    });
+  });
+});
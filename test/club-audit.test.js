@@ -0,0 +1,152 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Collection from '../models/CollectionModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import ClubAuditEntry from '../models/ClubAuditEntryModel.js';
+import { snapshot, diffSnapshots, buildAuditLogFilter } from '../utils/clubAudit.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club audit log', function () {
+  describe('Diff helpers', function () {
+    it('should record only the fields that changed', function () {
+      const before = snapshot({ clubName: 'Old', isPrivate: false, tags: ['a'] }, ['clubName', 'isPrivate', 'tags']);
+      const after = snapshot({ clubName: 'New', isPrivate: false, tags: ['a'] }, ['clubName', 'isPrivate', 'tags']);
+      expect(diffSnapshots(before, after)).to.deep.equal([{ field: 'clubName', before: 'Old', after: 'New' }]);
+    });
+
+    it('should keep ids and dates as plain values', function () {
+      const id = new mongoose.Types.ObjectId();
+      const values = snapshot({ claimedBy: id, createdAt: new Date('2026-01-02T00:00:00Z') }, ['claimedBy', 'createdAt']);
+      expect(values).to.deep.equal({ claimedBy: id.toString(), createdAt: '2026-01-02T00:00:00.000Z' });
+      expect(diffSnapshots(null, { status: 'open' })).to.deep.equal([{ field: 'status', before: null, after: 'open' }]);
+    });
+
+    it('should expand target types and reject unknown filters', function () {
+      const clubId = new mongoose.Types.ObjectId();
+      const { filter } = buildAuditLogFilter(clubId, { action: 'member,club.updated', from: '2026-01-01' });
+      expect(filter.action.$in).to.have.members(['member.removed', 'member.promoted', 'member.demoted', 'club.updated']);
+      expect(filter.createdAt.$gte).to.be.instanceOf(Date);
+
+      const { errors } = buildAuditLogFilter(clubId, { action: 'club.exploded', actor: 'nope', to: 'someday' });
+      expect(errors.map((error) => error.field)).to.have.members(['action', 'actor', 'to']);
+    });
+  });
+
+  describe('Recording admin actions', function () {
+    const stamp = Date.now();
+    let admin;
+    let rider;
+    let club;
+    let riderMember;
+    const tokens = {};
+
+    const auditLog = (query = {}, token = tokens.admin) =>
+      request(app)
+        .get(`/api/club/${club._id}/audit`)
+        .query(query)
+        .set('Authorization', `Bearer ${token}`);
+
+    before(async function () {
+      await ensureConnection();
+      [admin, rider] = await createTestUsers('audit', ['admin', 'rider'], stamp);
+      ({ club, members: [, riderMember] } = await createTestClub(
+        admin,
+        { clubName: `Audit Club ${stamp}`, description: 'Club for audit tests' },
+        [rider]
+      ));
+
+      tokens.admin = await tokenFor(admin);
+      tokens.rider = await tokenFor(rider);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await ClubAuditEntry.deleteMany({ club: club?._id });
+      await MembershipEvent.deleteMany({ club: club?._id });
+      await Collection.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteMany({ _id: club?._id });
+      await removeTestUsers('audit', stamp);
+    });
+
+    it('should log club edits with a before/after diff', async function () {
+      await request(app)
+        .put(`/api/club/${club._id}/update`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ description: 'Sunday rides only' })
+        .expect(200);
+
+      const res = await auditLog({ action: 'club.updated' });
+      expect(res.status).to.equal(200);
+      expect(res.body.total).to.equal(1);
+      const [entry] = res.body.entries;
+      expect(entry.actor._id).to.equal(admin._id.toString());
+      expect(entry.changes).to.deep.equal([
+        { field: 'description', before: 'Club for audit tests', after: 'Sunday rides only' },
+      ]);
+    });
+
+    it('should log role changes and collection edits, filterable by target', async function () {
+      await request(app)
+        .post(`/api/club/${club._id}/members/${riderMember._id}/promote`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .expect(200);
+
+      const created = await request(app)
+        .post('/api/collection/create')
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ club: club._id, name: 'Rally fund', targetAmount: 500 });
+      expect(created.status).to.equal(201);
+      await request(app)
+        .put(`/api/collection/${created.body.collection._id}`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ targetAmount: 750 })
+        .expect(200);
+
+      const promoted = await auditLog({ targetUser: rider._id.toString() });
+      expect(promoted.body.entries[0]).to.include({ action: 'member.promoted' });
+      expect(promoted.body.entries[0].changes[0].after).to.include('admin');
+
+      const collections = await auditLog({ action: 'collection', limit: 1 });
+      expect(collections.body).to.include({ total: 2, totalPages: 2 });
+      expect(collections.body.entries[0].changes).to.deep.equal([{ field: 'targetAmount', before: 500, after: 750 }]);
+    });
+
+    it('should be hidden from members without audit.view', async function () {
+      await request(app)
+        .post(`/api/club/${club._id}/members/${riderMember._id}/demote`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .expect(200);
+
+      const res = await auditLog({}, tokens.rider);
+      expect(res.status).to.equal(403);
+    });
+
+    it('should not allow entries to be edited', async function () {
+      const entry = await ClubAuditEntry.findOne({ club: club._id });
+      entry.targetLabel = 'tampered';
+      let saveError;
+      try {
+        await entry.save();
+      } catch (error) {
+        saveError = error;
+      }
+      expect(saveError).to.be.instanceOf(Error);
+
+      let deleteError;
+      try {
+        await ClubAuditEntry.deleteOne({ _id: entry._id });
+      } catch (error) {
+        deleteError = error;
+      }
+      expect(deleteError).to.be.instanceOf(Error);
+    });
+  });
+});
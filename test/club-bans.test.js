@@ -0,0 +1,173 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Event from '../models/EventModel.js';
+import ClubBan from '../models/ClubBanModel.js';
+import ClubInvite from '../models/ClubInviteModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club bans', function () {
+  describe('ClubBan status', function () {
+    it('should report active, expired and lifted bans', function () {
+      const club = new mongoose.Types.ObjectId();
+      const user = new mongoose.Types.ObjectId();
+      expect(new ClubBan({ club, user }).getStatus()).to.equal('active');
+      expect(new ClubBan({ club, user, expiresAt: new Date(Date.now() + 60000) }).getStatus()).to.equal('active');
+      expect(new ClubBan({ club, user, expiresAt: new Date(Date.now() - 60000) }).getStatus()).to.equal('expired');
+      expect(new ClubBan({ club, user, liftedAt: new Date() }).getStatus()).to.equal('lifted');
+    });
+  });
+
+  describe('Banning, enforcement and lifting', function () {
+    const stamp = Date.now();
+    let admin;
+    let rider;
+    let club;
+    let riderMember;
+    let event;
+    const tokens = {};
+
+    before(async function () {
+      await ensureConnection();
+      [admin, rider] = await createTestUsers('ban', ['admin', 'rider'], stamp);
+      ({ club, members: [, riderMember] } = await createTestClub(
+        admin,
+        { clubName: `Ban Club ${stamp}`, description: 'Club for ban tests', isPrivate: false },
+        [rider]
+      ));
+      event = await Event.create({
+        name: 'Members ride',
+        description: 'Monthly members-only ride',
+        startTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        club: club._id,
+        createdBy: admin._id,
+      });
+
+      tokens.admin = await tokenFor(admin);
+      tokens.rider = await tokenFor(rider);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await ClubBan.deleteMany({ club: club?._id });
+      await ClubInvite.deleteMany({ club: club?._id });
+      await MembershipEvent.deleteMany({ club: club?._id });
+      await Event.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteMany({ _id: club?._id });
+      await removeTestUsers('ban', stamp);
+    });
+
+    it('should not ban the club owner', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/bans`)
+        .set('Authorization', `Bearer ${tokens.rider}`)
+        .send({ userId: admin._id });
+      expect(res.status).to.equal(403);
+
+      const owner = await Member.findOne({ club: club._id, user: admin._id });
+      await Member.updateOne({ _id: riderMember._id }, { roles: ['member', 'admin'] });
+      const asAdmin = await request(app)
+        .post(`/api/club/${club._id}/bans`)
+        .set('Authorization', `Bearer ${tokens.rider}`)
+        .send({ userId: owner.user });
+      expect(asAdmin.status).to.equal(400);
+      expect(asAdmin.body.message).to.include('owner');
+      await Member.updateOne({ _id: riderMember._id }, { roles: ['member'] });
+    });
+
+    it('should remove a banned member and record who banned them', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/bans`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ userId: rider._id, reason: 'Reckless riding on group rides' });
+      expect(res.status).to.equal(201);
+      expect(res.body.ban.status).to.equal('active');
+      expect(res.body.ban.expiresAt).to.equal(null);
+      expect(res.body.ban.bannedBy.username).to.equal(admin.username);
+      expect(await Member.countDocuments({ club: club._id, user: rider._id })).to.equal(0);
+
+      const list = await request(app)
+        .get(`/api/club/${club._id}/bans`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(list.status).to.equal(200);
+      expect(list.body.bans).to.have.length(1);
+      expect(list.body.bans[0].reason).to.equal('Reckless riding on group rides');
+    });
+
+    it('should keep a banned user out of the club and its content', async function () {
+      const join = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(join.status).to.equal(403);
+      expect(join.body.reason).to.equal('Reckless riding on group rides');
+
+      const invite = await ClubInvite.create({ club: club._id, code: `B${stamp}`.slice(0, 8), createdBy: admin._id });
+      const redeem = await request(app)
+        .post(`/api/club/invites/${invite.code}/redeem`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(redeem.status).to.equal(403);
+
+      const page = await request(app)
+        .get(`/api/club/${club._id}`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(page.status).to.equal(403);
+
+      const events = await request(app)
+        .get(`/api/event/club/${club._id}`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(events.status).to.equal(403);
+
+      const joinEvent = await request(app)
+        .post(`/api/event/${event._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(joinEvent.status).to.equal(403);
+    });
+
+    it('should let the user back in once the ban is lifted', async function () {
+      const lift = await request(app)
+        .delete(`/api/club/${club._id}/bans/${rider._id}`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(lift.status).to.equal(200);
+      expect(lift.body.ban.status).to.equal('lifted');
+
+      const active = await request(app)
+        .get(`/api/club/${club._id}/bans`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(active.body.bans).to.have.length(0);
+
+      const all = await request(app)
+        .get(`/api/club/${club._id}/bans?status=all`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(all.body.bans).to.have.length(1);
+
+      const join = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(join.status).to.equal(201);
+    });
+
+    it('should stop enforcing a ban once it expires', async function () {
+      await Member.deleteOne({ club: club._id, user: rider._id });
+      await ClubBan.create({
+        club: club._id,
+        user: rider._id,
+        reason: 'Cooling off',
+        expiresAt: new Date(Date.now() - 1000),
+        bannedBy: admin._id,
+      });
+
+      const join = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(join.status).to.equal(201);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import Notification from '../models/NotificationModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import ClubBylaws from '../models/ClubBylawsModel.js';
+import {
+  checkBylawsAcceptance,
+  getLatestAcceptance,
+  formatBylawsStatus,
+} from '../utils/clubBylaws.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club bylaws', function () {
+  describe('Acceptance helpers', function () {
+    const bylaws = { _id: 'b2', version: 2, title: 'House rules' };
+
+    it('should only let people in who accepted the current version', function () {
+      expect(checkBylawsAcceptance(null, {})).to.equal(null);
+      expect(checkBylawsAcceptance(bylaws, { acceptBylawsVersion: '2' })).to.equal(null);
+      expect(checkBylawsAcceptance(bylaws, { acceptBylawsVersion: 1 }).bylaws.version).to.equal(2);
+      expect(checkBylawsAcceptance(bylaws, undefined)).to.have.property('message');
+    });
+
+    it('should report the latest accepted version', function () {
+      const member = { bylawsAcceptances: [{ version: 1 }, { version: 3 }, { version: 2 }] };
+      expect(getLatestAcceptance(member).version).to.equal(3);
+      expect(getLatestAcceptance({})).to.equal(null);
+      expect(formatBylawsStatus(bylaws, 1)).to.include({ currentVersion: 2, needsAcceptance: true });
+      expect(formatBylawsStatus(bylaws, 2).needsAcceptance).to.equal(false);
+    });
+  });
+
+  describe('Publishing and accepting', function () {
+    const stamp = Date.now();
+    let admin;
+    let rider;
+    let applicant;
+    let club;
+    const tokens = {};
+
+    const publish = (version) =>
+      request(app)
+        .post(`/api/club/${club._id}/bylaws`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({
+          title: `House rules v${version}`,
+          content: 'Helmets on, lights on, no overtaking the road captain.',
+          changeNote: version > 1 ? 'Added the sweep rider rule' : '',
+        });
+
+    before(async function () {
+      await ensureConnection();
+      [admin, rider, applicant] = await createTestUsers('bylaws', ['admin', 'rider', 'applicant'], stamp);
+      ({ club } = await createTestClub(admin, { clubName: `Bylaws Club ${stamp}`, description: 'Club for bylaws tests' }));
+
+      tokens.admin = await tokenFor(admin);
+      tokens.rider = await tokenFor(rider);
+      tokens.applicant = await tokenFor(applicant);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await Notification.deleteMany({ club: club?._id });
+      await MembershipEvent.deleteMany({ club: club?._id });
+      await JoinRequest.deleteMany({ club: club?._id });
+      await ClubBylaws.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteMany({ _id: club?._id });
+      await removeTestUsers('bylaws', stamp);
+    });
+
+    it('should let only bylaws managers publish', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/bylaws`)
+        .set('Authorization', `Bearer ${tokens.rider}`)
+        .send({ title: 'Mine', content: 'My rules' });
+      expect(res.status).to.equal(403);
+
+      const published = await publish(1);
+      expect(published.status).to.equal(201);
+      expect(published.body.bylaws.version).to.equal(1);
+    });
+
+    it('should require accepting the current version to join', async function () {
+      const refused = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`)
+        .send({});
+      expect(refused.status).to.equal(400);
+      expect(refused.body.bylaws.version).to.equal(1);
+
+      const joined = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`)
+        .send({ acceptBylawsVersion: 1 });
+      expect(joined.status).to.equal(201);
+      expect(joined.body.membership.bylawsAcceptances[0].version).to.equal(1);
+    });
+
+    it('should ask members to accept a new version and report who has not', async function () {
+      const published = await publish(2);
+      expect(published.status).to.equal(201);
+
+      const notification = await Notification.findOne({ club: club._id, type: 'club_bylaws', recipient: rider._id });
+      expect(notification.data.version).to.equal(2);
+
+      const report = await request(app)
+        .get(`/api/club/${club._id}/bylaws/acceptance`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(report.status).to.equal(200);
+      expect(report.body).to.include({ totalMembers: 2, acceptedCount: 1, pendingCount: 1 });
+      expect(report.body.pending[0]).to.include({ lastAcceptedVersion: 1 });
+      expect(report.body.pending[0].user._id).to.equal(rider._id.toString());
+
+      const accepted = await request(app)
+        .post(`/api/club/${club._id}/bylaws/accept`)
+        .set('Authorization', `Bearer ${tokens.rider}`)
+        .send({ version: 2 });
+      expect(accepted.status).to.equal(200);
+
+      const refreshed = await request(app)
+        .get(`/api/club/${club._id}/bylaws/acceptance`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(refreshed.body.pendingCount).to.equal(0);
+    });
+
+    it('should hold approval until the applicant accepts the latest version', async function () {
+      await Club.updateOne({ _id: club._id }, { isPrivate: true });
+
+      const applied = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.applicant}`)
+        .send({ acceptBylawsVersion: 2 });
+      expect(applied.status).to.equal(201);
+      const requestId = applied.body.joinRequest._id;
+
+      await publish(3);
+
+      const held = await request(app)
+        .post(`/api/club/${club._id}/join-requests/${requestId}/approve`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(held.status).to.equal(400);
+
+      await request(app)
+        .post(`/api/club/${club._id}/bylaws/accept`)
+        .set('Authorization', `Bearer ${tokens.applicant}`)
+        .send({ version: 3 })
+        .expect(200);
+
+      const approved = await request(app)
+        .post(`/api/club/${club._id}/join-requests/${requestId}/approve`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(approved.status).to.equal(200);
+      expect(approved.body.membership.bylawsAcceptances[0].version).to.equal(3);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Event from '../models/EventModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import { validateChapterNumber } from '../utils/clubHierarchy.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club chapters', function () {
+  describe('validateChapterNumber', function () {
+    it('should accept the same values as official numbers', function () {
+      expect(validateChapterNumber('007')).to.equal(null);
+      expect(validateChapterNumber(12)).to.equal(null);
+      expect(validateChapterNumber('NCR-1')).to.equal(null);
+      expect(validateChapterNumber('  ')).to.be.a('string');
+      expect(validateChapterNumber('x'.repeat(21))).to.be.a('string');
+      expect(validateChapterNumber(null)).to.be.a('string');
+    });
+  });
+
+  describe('Linking chapters and managing chapter admins', function () {
+    const stamp = Date.now();
+    let national;
+    let chapterLead;
+    let rider;
+    let nationalClub;
+    let northChapter;
+    let southChapter;
+    const tokens = {};
+
+    const createClub = async (name, admin, others = []) => {
+      const { club } = await createTestClub(admin, { clubName: `${name} ${stamp}`, description: 'Club for chapter tests' }, others);
+      return club;
+    };
+
+    before(async function () {
+      await ensureConnection();
+      [national, chapterLead, rider] = await createTestUsers('chap', ['national', 'lead', 'rider'], stamp);
+      nationalClub = await createClub('National Riders', national);
+      northChapter = await createClub('North Chapter', national, [rider]);
+      southChapter = await createClub('South Chapter', chapterLead);
+
+      await Event.create({
+        name: 'North ride',
+        description: 'Chapter ride',
+        startTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        club: northChapter._id,
+        createdBy: national._id,
+      });
+
+      tokens.national = await tokenFor(national);
+      tokens.lead = await tokenFor(chapterLead);
+      tokens.rider = await tokenFor(rider);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      const clubIds = [nationalClub?._id, northChapter?._id, southChapter?._id];
+      await MembershipEvent.deleteMany({ club: { $in: clubIds } });
+      await Event.deleteMany({ club: { $in: clubIds } });
+      await Member.deleteMany({ club: { $in: clubIds } });
+      await Club.deleteMany({ _id: { $in: clubIds } });
+      await removeTestUsers('chap', stamp);
+    });
+
+    it('should number chapters like official members', async function () {
+      const first = await request(app)
+        .post(`/api/club/${nationalClub._id}/chapters`)
+        .set('Authorization', `Bearer ${tokens.national}`)
+        .send({ chapterId: northChapter._id, chapterNumber: '007' });
+      expect(first.status).to.equal(201);
+      expect(first.body.chapter.chapterNumber).to.equal('007');
+
+      // Linking needs an admin of both clubs
+      const notChapterAdmin = await request(app)
+        .post(`/api/club/${nationalClub._id}/chapters`)
+        .set('Authorization', `Bearer ${tokens.national}`)
+        .send({ chapterId: southChapter._id });
+      expect(notChapterAdmin.status).to.equal(403);
+
+      await Member.create({ user: national._id, club: southChapter._id, roles: ['member', 'admin'] });
+      const second = await request(app)
+        .post(`/api/club/${nationalClub._id}/chapters`)
+        .set('Authorization', `Bearer ${tokens.national}`)
+        .send({ chapterId: southChapter._id });
+      expect(second.status).to.equal(201);
+      expect(second.body.chapter.chapterNumber).to.equal('8');
+      await Member.deleteOne({ user: national._id, club: southChapter._id });
+
+      const list = await request(app)
+        .get(`/api/club/${nationalClub._id}/chapters`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(list.status).to.equal(200);
+      expect(list.body.chapters.map((c) => c.chapterNumber)).to.deep.equal(['007', '8']);
+    });
+
+    it('should not let a club become a chapter of its own chapter', async function () {
+      const res = await request(app)
+        .post(`/api/club/${northChapter._id}/chapters`)
+        .set('Authorization', `Bearer ${tokens.national}`)
+        .send({ chapterId: nationalClub._id });
+      expect(res.status).to.equal(400);
+    });
+
+    it('should let national admins manage chapter admins', async function () {
+      const promote = await request(app)
+        .post(`/api/club/${nationalClub._id}/chapters/${northChapter._id}/admins`)
+        .set('Authorization', `Bearer ${tokens.national}`)
+        .send({ userId: rider._id });
+      expect(promote.status).to.equal(200);
+      expect(promote.body.member.roles).to.include('admin');
+
+      const notNational = await request(app)
+        .delete(`/api/club/${nationalClub._id}/chapters/${northChapter._id}/admins/${rider._id}`)
+        .set('Authorization', `Bearer ${tokens.lead}`);
+      expect(notNational.status).to.equal(403);
+
+      const demote = await request(app)
+        .delete(`/api/club/${nationalClub._id}/chapters/${northChapter._id}/admins/${rider._id}`)
+        .set('Authorization', `Bearer ${tokens.national}`);
+      expect(demote.status).to.equal(200);
+      expect(demote.body.member.roles).to.not.include('admin');
+
+      // National admins can see a chapter's roster without joining it
+      const roster = await request(app)
+        .get(`/api/club/${southChapter._id}/members`)
+        .set('Authorization', `Bearer ${tokens.national}`);
+      expect(roster.status).to.equal(200);
+    });
+
+    it('should list members and events across chapters', async function () {
+      const members = await request(app)
+        .get(`/api/club/${nationalClub._id}/members?includeChapters=true`)
+        .set('Authorization', `Bearer ${tokens.national}`);
+      expect(members.status).to.equal(200);
+      const riderEntry = members.body.find((m) => m.user._id === rider._id.toString());
+      expect(riderEntry.chapter.chapterNumber).to.equal('007');
+      expect(riderEntry.user).to.not.have.property('email');
+      const ownEntry = members.body.find((m) => m.club === nationalClub._id.toString());
+      expect(ownEntry.user.email).to.equal(national.email);
+      expect(members.body.some((m) => m.user._id === chapterLead._id.toString())).to.equal(true);
+
+      const notAdmin = await request(app)
+        .get(`/api/club/${northChapter._id}/members?includeChapters=true`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(notAdmin.status).to.equal(403);
+
+      await Club.updateOne({ _id: southChapter._id }, { 'deletion.scheduledFor': new Date(Date.now() + 86400000) });
+      const withoutArchived = await request(app)
+        .get(`/api/club/${nationalClub._id}/members?includeChapters=true`)
+        .set('Authorization', `Bearer ${tokens.national}`);
+      await Club.updateOne({ _id: southChapter._id }, { $unset: { deletion: 1 } });
+      expect(withoutArchived.body.some((m) => m.user._id === chapterLead._id.toString())).to.equal(false);
+
+      const events = await request(app)
+        .get(`/api/event/club/${nationalClub._id}?includeChapters=true`)
+        .set('Authorization', `Bearer ${tokens.national}`);
+      expect(events.status).to.equal(200);
+      expect(events.body).to.have.length(1);
+      expect(events.body[0].club.clubName).to.equal(northChapter.clubName);
+    });
+
+    it('should let a chapter leave the organization', async function () {
+      const res = await request(app)
+        .delete(`/api/club/${nationalClub._id}/chapters/${southChapter._id}`)
+        .set('Authorization', `Bearer ${tokens.lead}`);
+      expect(res.status).to.equal(200);
+
+      const south = await Club.findById(southChapter._id);
+      expect(south.parentClub).to.equal(null);
+      expect(south.chapterNumber).to.equal(undefined);
+    });
+  });
+});
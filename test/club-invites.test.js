@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import ClubInvite from '../models/ClubInviteModel.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club invites', function () {
+  describe('ClubInvite.getStatus', function () {
+    const base = { club: new mongoose.Types.ObjectId(), code: 'ABCD2345', createdBy: new mongoose.Types.ObjectId() };
+
+    it('should report active, expired, exhausted and revoked invites', function () {
+      expect(new ClubInvite(base).getStatus()).to.equal('active');
+      expect(new ClubInvite({ ...base, expiresAt: new Date(Date.now() - 1000) }).getStatus()).to.equal('expired');
+      expect(new ClubInvite({ ...base, maxUses: 2, uses: 2 }).getStatus()).to.equal('exhausted');
+      expect(new ClubInvite({ ...base, maxUses: 2, uses: 1 }).getStatus()).to.equal('active');
+      expect(new ClubInvite({ ...base, revokedAt: new Date() }).getStatus()).to.equal('revoked');
+    });
+  });
+
+  describe('Invite flow', function () {
+    const stamp = Date.now();
+    let admin;
+    let rider;
+    let guest;
+    let club;
+    let invite;
+    const tokens = {};
+
+    before(async function () {
+      await ensureConnection();
+      [admin, rider, guest] = await createTestUsers('inv', ['admin', 'rider', 'guest'], stamp);
+      ({ club } = await createTestClub(admin, {
+        clubName: `Invite Club ${stamp}`,
+        description: 'Private club with invites',
+        isPrivate: true,
+        customRoles: [{ key: 'road_captain', name: 'Road Captain', permissions: ['events.create'] }],
+      }));
+
+      tokens.admin = await tokenFor(admin);
+      tokens.rider = await tokenFor(rider);
+      tokens.guest = await tokenFor(guest);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await ClubInvite.deleteMany({ club: club?._id });
+      await JoinRequest.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteOne({ _id: club?._id });
+      await removeTestUsers('inv', stamp);
+    });
+
+    it('should let admins create an invite with a role and a usage limit', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/invites`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ role: 'road_captain', maxUses: 1, label: 'Spring rally' });
+      expect(res.status).to.equal(201);
+      expect(res.body.invite.code).to.match(/^[A-Z2-9]{8}$/);
+      expect(res.body.invite.url).to.include(`/invite/${res.body.invite.code}`);
+      expect(res.body.invite.status).to.equal('active');
+      invite = res.body.invite;
+    });
+
+    it('should reject unknown roles and past expiry dates', async function () {
+      const role = await request(app)
+        .post(`/api/club/${club._id}/invites`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ role: 'admin' });
+      expect(role.status).to.equal(400);
+
+      const expiry = await request(app)
+        .post(`/api/club/${club._id}/invites`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+      expect(expiry.status).to.equal(400);
+    });
+
+    it('should preview the club without signing in', async function () {
+      const res = await request(app).get(`/api/club/invites/${invite.code.toLowerCase()}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.valid).to.equal(true);
+      expect(res.body.club.clubName).to.equal(club.clubName);
+    });
+
+    it('should add the redeemer straight away and replace a pending request', async function () {
+      const join = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(join.status).to.equal(201);
+      expect(join.body.instant).to.equal(false);
+
+      const res = await request(app)
+        .post(`/api/club/invites/${invite.code}/redeem`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(res.status).to.equal(201);
+      expect(res.body.membership.roles).to.have.members(['member', 'road_captain']);
+      expect(res.body.membership.invite).to.equal(invite._id);
+
+      expect(await JoinRequest.countDocuments({ club: club._id, user: rider._id })).to.equal(0);
+    });
+
+    it('should stop working once the usage limit is reached', async function () {
+      const res = await request(app)
+        .post(`/api/club/invites/${invite.code}/redeem`)
+        .set('Authorization', `Bearer ${tokens.guest}`);
+      expect(res.status).to.equal(410);
+      expect(res.body.status).to.equal('exhausted');
+    });
+
+    it('should not accept revoked invites', async function () {
+      const created = await request(app)
+        .post(`/api/club/${club._id}/invites`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({});
+      const revoke = await request(app)
+        .delete(`/api/club/${club._id}/invites/${created.body.invite._id}`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(revoke.status).to.equal(200);
+      expect(revoke.body.invite.status).to.equal('revoked');
+
+      const res = await request(app)
+        .post(`/api/club/invites/${created.body.invite.code}/redeem`)
+        .set('Authorization', `Bearer ${tokens.guest}`);
+      expect(res.status).to.equal(410);
+    });
+
+    it('should not let regular members manage invites', async function () {
+      const res = await request(app)
+        .get(`/api/club/${club._id}/invites`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(res.status).to.equal(403);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Event from '../models/EventModel.js';
+import Notification from '../models/NotificationModel.js';
+import Collection from '../models/CollectionModel.js';
+import Payment from '../models/PaymentModel.js';
+import { getClubDeletionGraceDays } from '../utils/clubCleanup.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club ownership and deletion', function () {
+  describe('getClubDeletionGraceDays', function () {
+    const original = process.env.CLUB_DELETION_GRACE_DAYS;
+
+    afterEach(function () {
+      if (original === undefined) {
+        delete process.env.CLUB_DELETION_GRACE_DAYS;
+      } else {
+        process.env.CLUB_DELETION_GRACE_DAYS = original;
+      }
+    });
+
+    it('should default to 14 days and accept overrides', function () {
+      delete process.env.CLUB_DELETION_GRACE_DAYS;
+      expect(getClubDeletionGraceDays()).to.equal(14);
+      process.env.CLUB_DELETION_GRACE_DAYS = '0';
+      expect(getClubDeletionGraceDays()).to.equal(0);
+      process.env.CLUB_DELETION_GRACE_DAYS = 'soon';
+      expect(getClubDeletionGraceDays()).to.equal(14);
+    });
+  });
+
+  describe('Routes without a token', function () {
+    it('should reject transfer and delete requests', async function () {
+      const clubId = new mongoose.Types.ObjectId();
+      const transfer = await request(app).post(`/api/club/${clubId}/transfer-ownership`);
+      expect(transfer.status).to.equal(401);
+      const del = await request(app).delete(`/api/club/${clubId}`);
+      expect(del.status).to.equal(401);
+    });
+  });
+
+  describe('Transfer and delete flow', function () {
+    const stamp = Date.now();
+    let owner;
+    let coAdmin;
+    let rider;
+    let club;
+    let ownerMember;
+    let riderMember;
+    let payment;
+    const tokens = {};
+
+    before(async function () {
+      await ensureConnection();
+      [owner, coAdmin, rider] = await createTestUsers('own', ['owner', 'coadmin', 'rider'], stamp);
+      ({ club, members: [ownerMember, , riderMember] } = await createTestClub(
+        owner,
+        { clubName: `Ownership Club ${stamp}`, description: 'Club changing hands', isPrivate: false },
+        [{ user: coAdmin, roles: ['member', 'admin'] }, rider]
+      ));
+
+      await Event.create({
+        name: 'Farewell ride',
+        description: 'Last ride',
+        startTime: new Date(Date.now() + 86400000),
+        endTime: new Date(Date.now() + 90000000),
+        location: 'Clubhouse',
+        club: club._id,
+        createdBy: owner._id,
+      });
+
+      const dues = await Collection.create({ club: club._id, name: 'Dues', visibility: 'public', createdBy: owner._id });
+      payment = await Payment.create({
+        collection: dues._id,
+        club: club._id,
+        name: 'Rider',
+        amount: 50,
+        referenceNumber: `REF${stamp}`,
+      });
+
+      tokens.owner = await tokenFor(owner);
+      tokens.coAdmin = await tokenFor(coAdmin);
+      tokens.rider = await tokenFor(rider);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      delete process.env.CLUB_DELETION_GRACE_DAYS;
+      await Event.deleteMany({ club: club?._id });
+      await Notification.deleteMany({ club: club?._id });
+      await Payment.deleteMany({ club: club?._id });
+      await Collection.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteOne({ _id: club?._id });
+      await removeTestUsers('own', stamp);
+    });
+
+    it('should not let the owner be demoted or removed', async function () {
+      const demote = await request(app)
+        .post(`/api/club/${club._id}/members/${ownerMember._id}/demote`)
+        .set('Authorization', `Bearer ${tokens.coAdmin}`);
+      expect(demote.status).to.equal(400);
+      expect(demote.body.message).to.include('club owner');
+
+      const remove = await request(app)
+        .delete(`/api/club/${club._id}/members/${ownerMember._id}`)
+        .set('Authorization', `Bearer ${tokens.coAdmin}`);
+      expect(remove.status).to.equal(400);
+    });
+
+    it('should only let the owner offer ownership', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/transfer-ownership`)
+        .set('Authorization', `Bearer ${tokens.coAdmin}`)
+        .send({ memberId: riderMember._id });
+      expect(res.status).to.equal(403);
+    });
+
+    it('should transfer ownership once the recipient accepts', async function () {
+      const offer = await request(app)
+        .post(`/api/club/${club._id}/transfer-ownership`)
+        .set('Authorization', `Bearer ${tokens.owner}`)
+        .send({ memberId: riderMember._id });
+      expect(offer.status).to.equal(200);
+
+      let current = await Club.findById(club._id);
+      expect(current.createdBy.toString()).to.equal(owner._id.toString());
+
+      const wrongUser = await request(app)
+        .post(`/api/club/${club._id}/transfer-ownership/accept`)
+        .set('Authorization', `Bearer ${tokens.coAdmin}`);
+      expect(wrongUser.status).to.equal(404);
+
+      const accept = await request(app)
+        .post(`/api/club/${club._id}/transfer-ownership/accept`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(accept.status).to.equal(200);
+
+      current = await Club.findById(club._id);
+      expect(current.createdBy.toString()).to.equal(rider._id.toString());
+      expect(current.ownershipTransfer?.to).to.equal(undefined);
+
+      const newOwner = await Member.findById(riderMember._id);
+      expect(newOwner.roles).to.include('admin');
+    });
+
+    it('should archive the club instead of deleting it straight away', async function () {
+      const notOwner = await request(app)
+        .delete(`/api/club/${club._id}`)
+        .set('Authorization', `Bearer ${tokens.owner}`);
+      expect(notOwner.status).to.equal(403);
+
+      const res = await request(app)
+        .delete(`/api/club/${club._id}`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.scheduledFor).to.be.a('string');
+
+      const list = await request(app).get('/api/club').query({ search: `Ownership Club ${stamp}` });
+      expect(list.body.clubs).to.have.length(0);
+
+      // An archived club is read-only until the deletion is cancelled
+      const blocked = await Promise.all([
+        request(app)
+          .put(`/api/club/${club._id}/update`)
+          .set('Authorization', `Bearer ${tokens.rider}`)
+          .send({ description: 'Still riding, apparently' }),
+        request(app)
+          .post(`/api/club/${club._id}/logo`)
+          .set('Authorization', `Bearer ${tokens.rider}`)
+          .attach('logo', Buffer.from('not really a png'), 'logo.png'),
+        request(app)
+          .post('/api/event/create')
+          .set('Authorization', `Bearer ${tokens.rider}`)
+          .send({ name: 'Ghost ride', description: 'x', startTime: new Date(Date.now() + 86400000), club: club._id }),
+        request(app)
+          .post('/api/collection/create')
+          .set('Authorization', `Bearer ${tokens.rider}`)
+          .send({ club: club._id, name: 'Ghost fund' }),
+        request(app)
+          .post('/api/payment/create')
+          .send({ collection: payment.collection, name: 'Late rider', amount: 50, referenceNumber: `LATE${stamp}` }),
+        request(app)
+          .patch(`/api/payment/${payment._id}/status`)
+          .set('Authorization', `Bearer ${tokens.rider}`)
+          .send({ status: 'confirmed' }),
+        request(app)
+          .post(`/api/official-member/${club._id}/members`)
+          .set('Authorization', `Bearer ${tokens.rider}`)
+          .send({ firstName: 'Ghost' }),
+        request(app)
+          .delete(`/api/club/${club._id}/members/${ownerMember._id}`)
+          .set('Authorization', `Bearer ${tokens.rider}`),
+        request(app)
+          .post(`/api/club/${club._id}/members/${ownerMember._id}/demote`)
+          .set('Authorization', `Bearer ${tokens.rider}`),
+      ]);
+      for (const attempt of blocked) {
+        expect(attempt.status).to.equal(400);
+        expect(attempt.body.message).to.equal('This club is scheduled for deletion');
+      }
+      expect((await Payment.findById(payment._id)).status).to.equal('pending');
+      expect(await Member.exists({ _id: ownerMember._id })).to.not.equal(null);
+
+      const restore = await request(app)
+        .post(`/api/club/${club._id}/deletion/cancel`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(restore.status).to.equal(200);
+    });
+
+    it('should cascade when there is no archive period', async function () {
+      process.env.CLUB_DELETION_GRACE_DAYS = '0';
+
+      const res = await request(app)
+        .delete(`/api/club/${club._id}`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.deleted.members).to.equal(3);
+      expect(res.body.deleted.events).to.equal(1);
+
+      expect(await Club.findById(club._id)).to.equal(null);
+      expect(await Member.countDocuments({ club: club._id })).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Collection from '../models/CollectionModel.js';
+import {
+  CLUB_PERMISSIONS,
+  getEffectivePermissions,
+} from '../utils/clubPermissions.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club roles and permissions', function () {
+  describe('getEffectivePermissions', function () {
+    const club = {
+      memberPermissions: ['events.create'],
+      customRoles: [
+        { key: 'treasurer', name: 'Treasurer', permissions: ['payments.confirm', 'collections.manage'] },
+        { key: 'road_captain', name: 'Road Captain', permissions: ['events.create'] },
+      ],
+    };
+
+    it('should give admins every permission', function () {
+      expect(getEffectivePermissions(club, ['member', 'admin'])).to.have.members(
+        Object.keys(CLUB_PERMISSIONS)
+      );
+    });
+
+    it('should combine member permissions with custom roles', function () {
+      expect(getEffectivePermissions(club, ['member', 'treasurer'])).to.have.members([
+        'events.create',
+        'payments.confirm',
+        'collections.manage',
+      ]);
+      expect(getEffectivePermissions(club, ['member'])).to.deep.equal(['events.create']);
+    });
+  });
+
+  describe('Role management', function () {
+    const stamp = Date.now();
+    let club;
+    let admin;
+    let treasurer;
+    let rider;
+    let treasurerMember;
+    let riderMember;
+    const tokens = {};
+
+    before(async function () {
+      await ensureConnection();
+      [admin, treasurer, rider] = await createTestUsers('roles', ['admin', 'treasurer', 'rider'], stamp);
+      ({ club, members: [, treasurerMember, riderMember] } = await createTestClub(
+        admin,
+        { clubName: `Roles Club ${stamp}`, description: 'Club with custom roles', isPrivate: false },
+        [treasurer, rider]
+      ));
+
+      tokens.admin = await tokenFor(admin);
+      tokens.treasurer = await tokenFor(treasurer);
+      tokens.rider = await tokenFor(rider);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await Collection.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteOne({ _id: club?._id });
+      await removeTestUsers('roles', stamp);
+    });
+
+    it('should let admins define a role', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/roles`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ name: 'Treasurer', permissions: ['collections.manage', 'payments.confirm', 'roles.manage'] });
+      expect(res.status).to.equal(201);
+      expect(res.body.roles.map((r) => r.key)).to.include('treasurer');
+    });
+
+    it('should reject unknown permissions', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/roles`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ name: 'Marshal', permissions: ['club.delete_everything'] });
+      expect(res.status).to.equal(400);
+    });
+
+    it('should not let regular members manage roles', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/roles`)
+        .set('Authorization', `Bearer ${tokens.rider}`)
+        .send({ name: 'Marshal', permissions: [] });
+      expect(res.status).to.equal(403);
+    });
+
+    it('should grant permissions through an assigned role', async function () {
+      const before = await request(app)
+        .post('/api/collection/create')
+        .set('Authorization', `Bearer ${tokens.treasurer}`)
+        .send({ club: club._id, name: 'Dues' });
+      expect(before.status).to.equal(403);
+
+      const assign = await request(app)
+        .put(`/api/club/${club._id}/members/${treasurerMember._id}/roles`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ roles: ['treasurer'] });
+      expect(assign.status).to.equal(200);
+      expect(assign.body.member.roles).to.have.members(['member', 'treasurer']);
+
+      const after = await request(app)
+        .post('/api/collection/create')
+        .set('Authorization', `Bearer ${tokens.treasurer}`)
+        .send({ club: club._id, name: 'Dues' });
+      expect(after.status).to.equal(201);
+    });
+
+    it('should not let a role edit club details it was not given', async function () {
+      const res = await request(app)
+        .put(`/api/club/${club._id}/update`)
+        .set('Authorization', `Bearer ${tokens.treasurer}`)
+        .send({ description: 'Taken over by the treasurer' });
+      expect(res.status).to.equal(403);
+    });
+
+    it('should stop role managers granting permissions they lack', async function () {
+      const create = await request(app)
+        .post(`/api/club/${club._id}/roles`)
+        .set('Authorization', `Bearer ${tokens.treasurer}`)
+        .send({ name: 'Co-admin', permissions: ['club.edit'] });
+      expect(create.status).to.equal(403);
+
+      const promote = await request(app)
+        .post(`/api/club/${club._id}/members/${riderMember._id}/promote`)
+        .set('Authorization', `Bearer ${tokens.treasurer}`);
+      expect(promote.status).to.equal(403);
+    });
+
+    it('should report roles and permissions in membership status', async function () {
+      const res = await request(app)
+        .get(`/api/club/${club._id}/membership-status`)
+        .set('Authorization', `Bearer ${tokens.treasurer}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.role).to.equal('member');
+      expect(res.body.roles).to.include('treasurer');
+      expect(res.body.clubPermissions).to.include('payments.confirm');
+    });
+
+    it('should unassign a role when it is deleted', async function () {
+      const res = await request(app)
+        .delete(`/api/club/${club._id}/roles/treasurer`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(res.status).to.equal(200);
+
+      const member = await Member.findById(treasurerMember._id);
+      expect(member.roles).to.deep.equal(['member']);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import {
+  parseClubSearchQuery,
+  buildFuzzyPattern,
+  formatSearchResult,
+} from '../utils/clubSearch.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club search', function () {
+  describe('Query parsing', function () {
+    it('should rank by relevance when searching and by members otherwise', function () {
+      expect(parseClubSearchQuery({ search: ' ducati ' })).to.include({ search: 'ducati', sort: 'relevance' });
+      expect(parseClubSearchQuery({}).sort).to.equal('members');
+    });
+
+    it('should combine text, distance and badge filters', function () {
+      const query = parseClubSearchQuery({
+        search: 'touring',
+        latitude: '14.6',
+        longitude: '121.0',
+        radius: '25',
+        verified: 'true',
+        isPrivate: 'false',
+        region: 'Metro Manila',
+      });
+      expect(query.point).to.deep.equal({ latitude: 14.6, longitude: 121, radius: 25 });
+      expect(query.filter.geoPoint).to.have.property('$geoWithin');
+      expect(query.filter).to.include({ verified: true, region: 'Metro Manila' });
+      expect(query.filter.isPrivate).to.deep.equal({ $ne: true });
+    });
+
+    it('should reject bad coordinates, member ranges and sorts', function () {
+      const fields = (query) => parseClubSearchQuery(query).errors.map((e) => e.field);
+      expect(fields({ latitude: '95', longitude: '10' })).to.include('coordinates');
+      expect(fields({ minMembers: '20', maxMembers: '5' })).to.include('minMembers');
+      expect(fields({ sort: 'distance' })).to.include('sort');
+      expect(fields({ sort: 'random' })).to.include('sort');
+    });
+  });
+
+  describe('Typo tolerance', function () {
+    it('should allow one wrong, missing, extra or swapped character', function () {
+      for (const typo of ['harlye', 'harly', 'harrley', 'hurley', 'HARLEY']) {
+        expect(buildFuzzyPattern(typo).test('Harley Owners'), typo).to.equal(true);
+      }
+      expect(buildFuzzyPattern('yamaha').test('Harley Owners')).to.equal(false);
+    });
+
+    it('should match short words as plain substrings', function () {
+      expect(buildFuzzyPattern('bmw').test('BMW Riders')).to.equal(true);
+      expect(buildFuzzyPattern('bmx').test('BMW Riders')).to.equal(false);
+    });
+  });
+
+  describe('Facets', function () {
+    it('should fill in empty member-count buckets', function () {
+      const { total, facets } = formatSearchResult({
+        total: [{ count: 3 }],
+        privacy: [{ _id: true, count: 1 }, { _id: false, count: 2 }],
+        regions: [{ _id: 'Cebu', count: 2 }],
+        memberCounts: [{ _id: 0, count: 2 }, { _id: 'more', count: 1 }],
+      });
+      expect(total).to.equal(3);
+      expect(facets.privacy).to.deep.equal({ public: 2, private: 1 });
+      expect(facets.regions).to.deep.equal([{ region: 'Cebu', count: 2 }]);
+      expect(facets.memberCounts.map((b) => [b.label, b.count])).to.deep.equal([
+        ['0-9', 2],
+        ['10-24', 0],
+        ['25-49', 0],
+        ['50-99', 0],
+        ['100+', 1],
+      ]);
+    });
+
+    it('should report invalid filters before touching the database', async function () {
+      const res = await request(app).get('/api/club?sort=distance');
+      expect(res.status).to.equal(400);
+      expect(res.body.errors[0].field).to.equal('sort');
+    });
+  });
+
+  describe('Searching the directory', function () {
+    const stamp = Date.now();
+    let owner;
+    let clubs;
+
+    before(async function () {
+      await ensureConnection();
+      // $text needs the index in place
+      await Club.init();
+      [owner] = await createTestUsers('search', ['owner'], stamp);
+      clubs = await Club.create([
+        {
+          clubName: `Zephyrwing Touring ${stamp}`,
+          description: 'Weekend touring around the bay',
+          location: 'Makati',
+          region: `Region ${stamp}`,
+          geolocation: { latitude: 14.55, longitude: 121.02 },
+          verified: true,
+          createdBy: owner._id,
+        },
+        {
+          clubName: `Bay Cruisers ${stamp}`,
+          description: 'We ride to Zephyrwing meetups sometimes',
+          location: 'Cebu City',
+          region: `Region ${stamp}`,
+          geolocation: { latitude: 10.31, longitude: 123.89 },
+          isPrivate: true,
+          createdBy: owner._id,
+        },
+      ]);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await Club.deleteMany({ _id: { $in: (clubs || []).map((c) => c._id) } });
+      await removeTestUsers('search', stamp);
+    });
+
+    it('should rank name matches above description matches', async function () {
+      const res = await request(app).get('/api/club?search=zephyrwing');
+      expect(res.status).to.equal(200);
+      expect(res.body.searchMode).to.equal('text');
+      const names = res.body.clubs.map((c) => c.clubName);
+      expect(names.indexOf(clubs[0].clubName)).to.be.below(names.indexOf(clubs[1].clubName));
+    });
+
+    it('should fall back to a typo-tolerant search', async function () {
+      const res = await request(app).get('/api/club?search=zephyrwnig');
+      expect(res.status).to.equal(200);
+      expect(res.body.searchMode).to.equal('fuzzy');
+      expect(res.body.clubs.map((c) => c.clubName)).to.include(clubs[0].clubName);
+    });
+
+    it('should combine search, distance and verified filters with facets', async function () {
+      const res = await request(app).get(
+        `/api/club?search=zephyrwing&latitude=14.6&longitude=121.0&radius=50&verified=true&sort=distance`
+      );
+      expect(res.status).to.equal(200);
+      expect(res.body.clubs).to.have.length(1);
+      expect(res.body.clubs[0].clubName).to.equal(clubs[0].clubName);
+      expect(res.body.clubs[0].distance).to.be.below(50);
+
+      const byRegion = await request(app).get(`/api/club?region=${encodeURIComponent(`Region ${stamp}`)}`);
+      expect(byRegion.body.total).to.equal(2);
+      expect(byRegion.body.facets.privacy).to.deep.equal({ public: 1, private: 1 });
+      expect(byRegion.body.facets.regions).to.deep.equal([{ region: `Region ${stamp}`, count: 2 }]);
+      expect(byRegion.body.facets.memberCounts[0].count).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import ClubAuditEntry from '../models/ClubAuditEntryModel.js';
+import { slugify } from '../utils/clubSlug.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club slugs', function () {
+  describe('slugify', function () {
+    it('should turn names into lowercase URL-safe slugs', function () {
+      expect(slugify('Los Búhos MC – Cebu')).to.equal('los-buhos-mc-cebu');
+      expect(slugify('  Rock & Roll Riders!! ')).to.equal('rock-and-roll-riders');
+      expect(slugify('Iron Riders')).to.equal(slugify('iron-riders'));
+    });
+
+    it('should cap the length and give up on names with nothing usable', function () {
+      expect(slugify('a'.repeat(80))).to.have.lengthOf(60);
+      expect(slugify('ライダーズ')).to.equal('');
+    });
+  });
+
+  describe('Name check without a database round trip', function () {
+    it('should reject names too short to check', async function () {
+      const res = await request(app).get('/api/club/check-name/a');
+      expect(res.status).to.equal(400);
+      expect(res.body.available).to.equal(false);
+    });
+  });
+
+  describe('Public profile and renames', function () {
+    const stamp = Date.now();
+    let admin;
+    let club;
+    let token;
+
+    before(async function () {
+      await ensureConnection();
+      [admin] = await createTestUsers('slug', ['admin'], stamp);
+      token = await tokenFor(admin);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      const clubs = await Club.find({ createdBy: admin?._id }).select('_id');
+      const clubIds = clubs.map((c) => c._id);
+      await ClubAuditEntry.deleteMany({ club: { $in: clubIds } });
+      await MembershipEvent.deleteMany({ club: { $in: clubIds } });
+      await Member.deleteMany({ club: { $in: clubIds } });
+      await Club.deleteMany({ _id: { $in: clubIds } });
+      await removeTestUsers('slug', stamp);
+    });
+
+    it('should give new clubs a slug and serve their public page without a token', async function () {
+      const created = await request(app)
+        .post('/api/club/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ clubName: `Slug Riders ${stamp}`, description: 'Weekend rides around the bay', isPrivate: false });
+      expect(created.status).to.equal(201);
+      club = created.body;
+      expect(club.slug).to.equal(`slug-riders-${stamp}`);
+
+      const res = await request(app).get(`/api/club/by-slug/${club.slug}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.club).to.include({ clubName: `Slug Riders ${stamp}`, memberCount: 1 });
+      expect(res.body.club).to.have.property('upcomingEvents');
+      expect(res.body.club).to.not.have.property('members');
+    });
+
+    it('should treat names that share a slug as taken', async function () {
+      const res = await request(app).get(`/api/club/check-name/${encodeURIComponent(`slug RIDERS ${stamp}!`)}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.available).to.equal(false);
+
+      const free = await request(app).get(`/api/club/check-name/${encodeURIComponent(`Other Riders ${stamp}`)}`);
+      expect(free.body).to.include({ available: true, slug: `other-riders-${stamp}` });
+    });
+
+    it('should keep old links working after a rename and hide details of private clubs', async function () {
+      const renamed = await request(app)
+        .put(`/api/club/${club._id}/update`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ clubName: `Bay Riders ${stamp}`, isPrivate: true });
+      expect(renamed.status).to.equal(200);
+      expect(renamed.body.slug).to.equal(`bay-riders-${stamp}`);
+
+      const old = await request(app).get(`/api/club/by-slug/slug-riders-${stamp}`).redirects(0);
+      expect(old.status).to.equal(301);
+      expect(old.headers.location).to.equal(`/api/club/by-slug/bay-riders-${stamp}`);
+
+      const current = await request(app).get(`/api/club/by-slug/bay-riders-${stamp}`);
+      expect(current.status).to.equal(200);
+      expect(current.body.club).to.include({ isPrivate: true });
+      expect(current.body.club).to.not.have.any.keys('chapters', 'upcomingEvents', 'geolocation');
+
+      // The old name stays reserved for the club that used it
+      const taken = await request(app).get(`/api/club/check-name/${encodeURIComponent(`Slug Riders ${stamp}`)}`);
+      expect(taken.body.available).to.equal(false);
+    });
+
+    it('should 404 for unknown slugs', async function () {
+      const res = await request(app).get(`/api/club/by-slug/no-such-club-${stamp}`);
+      expect(res.status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import { parseClubTaxonomy, buildTaxonomyFilter } from '../utils/clubTaxonomy.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club taxonomy and tags', function () {
+  describe('Parsing club fields', function () {
+    it('should normalise lists sent as JSON, FormData strings or arrays', function () {
+      const { values, errors } = parseClubTaxonomy({
+        ridingStyles: '["Adventure", "touring", "adventure"]',
+        brands: 'bmw, ktm',
+        tags: ['Women  Riders', 'Sunday rides'],
+      });
+      expect(errors).to.be.empty;
+      expect(values).to.deep.equal({
+        ridingStyles: ['adventure', 'touring'],
+        brands: ['bmw', 'ktm'],
+        tags: ['women riders', 'sunday rides'],
+      });
+      expect(values).to.not.have.property('displacementClasses');
+    });
+
+    it('should reject values outside the taxonomy and bad tags', function () {
+      const fields = (body) => parseClubTaxonomy(body).errors.map((e) => e.field);
+      expect(fields({ brands: ['yamaha', 'unicorn'] })).to.deep.equal(['brands']);
+      expect(fields({ tags: ['x'] })).to.deep.equal(['tags']);
+      expect(fields({ tags: Array.from({ length: 11 }, (_, i) => `tag ${i}`) })).to.deep.equal(['tags']);
+      expect(fields({ displacementClasses: 42 })).to.deep.equal(['displacementClasses']);
+    });
+
+    it('should build listing filters that match any listed value', function () {
+      const { filter, errors } = buildTaxonomyFilter({ ridingStyle: 'adventure,scooter', tag: 'Vintage' });
+      expect(errors).to.be.empty;
+      expect(filter).to.deep.equal({
+        ridingStyles: { $in: ['adventure', 'scooter'] },
+        tags: { $in: ['vintage'] },
+      });
+      expect(buildTaxonomyFilter({ displacement: '2000cc' }).errors[0].field).to.equal('displacement');
+    });
+  });
+
+  describe('Routes without a database', function () {
+    it('should list the curated taxonomy', async function () {
+      const res = await request(app).get('/api/club/taxonomy');
+      expect(res.status).to.equal(200);
+      expect(res.body.brands.map((b) => b.value)).to.include('harley-davidson');
+      expect(res.body.ridingStyles.map((s) => s.value)).to.include('scooter');
+    });
+
+    it('should reject unknown filters and stats fields', async function () {
+      const listing = await request(app).get('/api/club?brand=unicorn');
+      expect(listing.status).to.equal(400);
+
+      const stats = await request(app).get('/api/club/tags/popular?field=colors');
+      expect(stats.status).to.equal(400);
+    });
+  });
+
+  describe('Tagged clubs', function () {
+    const stamp = Date.now();
+    const tag = `tagtest ${stamp}`.slice(0, 30);
+    let owner;
+    let club;
+    let token;
+
+    before(async function () {
+      await ensureConnection();
+      [owner] = await createTestUsers('taxonomy', ['owner'], stamp);
+      token = await tokenFor(owner);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await MembershipEvent.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteMany({ _id: club?._id });
+      await removeTestUsers('taxonomy', stamp);
+    });
+
+    it('should save the taxonomy when creating a club', async function () {
+      const res = await request(app)
+        .post('/api/club/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          clubName: `Taxonomy Riders ${stamp}`,
+          description: 'Club for taxonomy tests',
+          geolocation: { latitude: 14.55, longitude: 121.02 },
+          ridingStyles: ['vintage'],
+          brands: ['harley-davidson'],
+          displacementClasses: ['over-1000'],
+          tags: [tag],
+        });
+      expect(res.status).to.equal(201);
+      club = res.body;
+      expect(club.brands).to.deep.equal(['harley-davidson']);
+    });
+
+    it('should update only the fields that are sent', async function () {
+      const res = await request(app)
+        .put(`/api/club/${club._id}/update`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ridingStyles: ['vintage', 'cruiser'] });
+      expect(res.status).to.equal(200);
+      expect(res.body.ridingStyles).to.deep.equal(['vintage', 'cruiser']);
+      expect(res.body.tags).to.deep.equal([tag]);
+    });
+
+    it('should filter every club listing', async function () {
+      const all = await request(app).get(`/api/club?brand=harley-davidson&tag=${encodeURIComponent(tag)}`);
+      expect(all.body.clubs.map((c) => c._id)).to.deep.equal([club._id]);
+
+      const mine = await request(app)
+        .get('/api/club/my?ridingStyle=cruiser')
+        .set('Authorization', `Bearer ${token}`);
+      expect(mine.body.clubs.map((c) => c._id)).to.deep.equal([club._id]);
+
+      const nearby = await request(app).get(
+        `/api/club/nearby?latitude=14.55&longitude=121.02&radius=5&tag=${encodeURIComponent(tag)}`
+      );
+      expect(nearby.body.clubs.map((c) => c._id)).to.deep.equal([club._id]);
+
+      const otherStyle = await request(app)
+        .get('/api/club/my?ridingStyle=scooter')
+        .set('Authorization', `Bearer ${token}`);
+      expect(otherStyle.body.clubs).to.have.length(0);
+    });
+
+    it('should count the tag in the popular tags stats', async function () {
+      const res = await request(app).get('/api/club/tags/popular?field=brands&limit=50');
+      expect(res.status).to.equal(200);
+      const harley = res.body.brands.find((b) => b.value === 'harley-davidson');
+      expect(harley).to.include({ label: 'Harley-Davidson' });
+      expect(harley.count).to.be.at.least(1);
+    });
+  });
+});
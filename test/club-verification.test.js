@@ -0,0 +1,159 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Notification from '../models/NotificationModel.js';
+import ClubVerificationRequest from '../models/ClubVerificationRequestModel.js';
+import cloudinary from '../utils/cloudinary.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Club verification badges', function () {
+  describe('Nearby clubs query', function () {
+    it('should reject unknown sort and verified values', async function () {
+      const res = await request(app)
+        .get('/api/club/nearby')
+        .query({ latitude: 14.6, longitude: 121, sort: 'members', verified: 'yes' });
+      expect(res.status).to.equal(400);
+      expect(res.body.errors).to.deep.equal([
+        { field: 'sort', message: 'Sort must be one of: distance, verified' },
+        { field: 'verified', message: "Verified must be 'true' or 'false'" },
+      ]);
+    });
+  });
+
+  describe('Requesting and reviewing verification', function () {
+    const stamp = Date.now();
+    let platformAdmin;
+    let clubAdmin;
+    let club;
+    let verificationRequest;
+    const tokens = {};
+
+    before(async function () {
+      await ensureConnection();
+      [platformAdmin] = await createTestUsers('verify', ['platform'], stamp, { role: 'admin' });
+      [clubAdmin] = await createTestUsers('verify', ['club'], stamp);
+      ({ club } = await createTestClub(clubAdmin, {
+        clubName: `Verified Riders ${stamp}`,
+        description: 'Club for verification tests',
+      }));
+
+      // Documents normally go through Cloudinary on submission. Signing their links
+      // happens locally, so placeholder credentials do when none are configured.
+      if (!cloudinary.config().api_secret) {
+        cloudinary.config({ cloud_name: 'test', api_key: 'test', api_secret: 'test' });
+      }
+      verificationRequest = await ClubVerificationRequest.create({
+        club: club._id,
+        requestedBy: clubAdmin._id,
+        documents: [
+          { publicId: `club-verification/charter_${stamp}`, format: 'pdf', fileName: 'charter.pdf', mimeType: 'application/pdf' },
+        ],
+        note: 'Registered with the national federation',
+      });
+
+      tokens.platform = await tokenFor(platformAdmin);
+      tokens.club = await tokenFor(clubAdmin);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await Notification.deleteMany({ club: club?._id });
+      await ClubVerificationRequest.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteMany({ _id: club?._id });
+      await removeTestUsers('verify', stamp);
+    });
+
+    it('should allow only one pending request at a time', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/verification`)
+        .set('Authorization', `Bearer ${tokens.club}`);
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.include('already waiting');
+    });
+
+    it('should stop reading uploads past the document limit', async function () {
+      let upload = request(app)
+        .post(`/api/club/${club._id}/verification`)
+        .set('Authorization', `Bearer ${tokens.club}`);
+      for (let i = 1; i <= 6; i++) {
+        upload = upload.attach('documents', Buffer.from('%PDF-1.4'), { filename: `page${i}.pdf`, contentType: 'application/pdf' });
+      }
+      const res = await upload;
+      expect(res.status).to.equal(400);
+      expect(res.body.errors).to.deep.equal([{ field: 'documents', message: 'Attach at most 5 documents' }]);
+    });
+
+    it('should keep club admins out of the review queue', async function () {
+      const res = await request(app)
+        .post(`/api/admin/verification-requests/${verificationRequest._id}/approve`)
+        .set('Authorization', `Bearer ${tokens.club}`);
+      expect(res.status).to.equal(403);
+    });
+
+    it('should require a note to reject', async function () {
+      const res = await request(app)
+        .post(`/api/admin/verification-requests/${verificationRequest._id}/reject`)
+        .set('Authorization', `Bearer ${tokens.platform}`)
+        .send({});
+      expect(res.status).to.equal(400);
+    });
+
+    it('should verify the club on approval and notify its admins', async function () {
+      const queue = await request(app)
+        .get('/api/admin/verification-requests')
+        .set('Authorization', `Bearer ${tokens.platform}`);
+      expect(queue.status).to.equal(200);
+      const queued = queue.body.requests.find((r) => r._id === verificationRequest._id.toString());
+      expect(queued.documents).to.have.length(1);
+      expect(queued.documents[0]).to.not.have.property('publicId');
+      expect(queued.documents[0].url).to.include('expires_at=');
+      expect(new Date(queued.documents[0].expiresAt).getTime()).to.be.above(Date.now());
+
+      const res = await request(app)
+        .post(`/api/admin/verification-requests/${verificationRequest._id}/approve`)
+        .set('Authorization', `Bearer ${tokens.platform}`);
+      expect(res.status).to.equal(200);
+
+      const details = await request(app)
+        .get(`/api/club/${club._id}`)
+        .set('Authorization', `Bearer ${tokens.club}`);
+      expect(details.body.club.verified).to.equal(true);
+
+      const notification = await Notification.findOne({ club: club._id, type: 'club_verification' });
+      expect(notification.recipient.toString()).to.equal(clubAdmin._id.toString());
+    });
+
+    it('should filter and sort club listings by the badge', async function () {
+      const verifiedOnly = await request(app).get(
+        `/api/club?verified=true&search=${encodeURIComponent(club.clubName)}`
+      );
+      expect(verifiedOnly.status).to.equal(200);
+      expect(verifiedOnly.body.clubs).to.have.length(1);
+      expect(verifiedOnly.body.clubs[0].verified).to.equal(true);
+
+      const unverifiedOnly = await request(app).get(
+        `/api/club?verified=false&search=${encodeURIComponent(club.clubName)}`
+      );
+      expect(unverifiedOnly.body.clubs).to.have.length(0);
+
+      const sorted = await request(app).get('/api/club?sort=verified&limit=1');
+      expect(sorted.body.clubs[0].verified).to.equal(true);
+    });
+
+    it('should drop the badge when the club is renamed', async function () {
+      const res = await request(app)
+        .put(`/api/club/${club._id}/update`)
+        .set('Authorization', `Bearer ${tokens.club}`)
+        .send({ clubName: `Renamed Riders ${stamp}` });
+      expect(res.status).to.equal(200);
+      expect(res.body.verified).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, tokenFor, removeTestUsers } from './setup.js';
+import User from '../models/UserModel.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import {
+  createEmailVerificationToken,
+  verifyEmailVerificationToken,
+} from '../utils/emailVerificationService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Email verification', function () {
+  describe('Verification tokens', function () {
+    const userId = '507f1f77bcf86cd799439011';
+
+    it('should round-trip the user and address', function () {
+      const token = createEmailVerificationToken(userId, 'rider@example.com');
+      const result = verifyEmailVerificationToken(token);
+
+      expect(result.error).to.be.undefined;
+      expect(result.userId).to.equal(userId);
+      expect(result.email).to.equal('rider@example.com');
+    });
+
+    it('should reject access tokens signed with the JWT secret', function () {
+      const accessToken = jwt.sign(
+        { _id: userId, email: 'rider@example.com', purpose: 'email_verification' },
+        process.env.JWT_SECRET || 'test-secret'
+      );
+      const result = verifyEmailVerificationToken(accessToken);
+
+      expect(result.error).to.equal('Invalid verification link');
+    });
+
+    it('POST /api/auth/verify-email should require a token', async function () {
+      const res = await request(app).post('/api/auth/verify-email').send({});
+      expect(res.status).to.equal(400);
+    });
+  });
+
+  describe('Email change and club requirements', function () {
+    const stamp = Date.now();
+    let user, club, token;
+
+    before(async function () {
+      await ensureConnection();
+
+      [user] = await createTestUsers('emailverify', ['rider'], stamp);
+
+      club = await Club.create({
+        clubName: `Verified Only ${stamp}`,
+        description: 'Club that requires verified email',
+        isPrivate: false,
+        requireVerifiedEmail: true,
+        createdBy: user._id,
+      });
+
+      token = await tokenFor(user);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await Member.deleteMany({ club: club._id });
+      await Club.deleteOne({ _id: club._id });
+      await removeTestUsers('emailverify', stamp);
+    });
+
+    it('should block unverified users from joining the club', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).to.equal(403);
+    });
+
+    it('should allow joining once the email is verified', async function () {
+      const verification = createEmailVerificationToken(user._id.toString(), user.email);
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verification })
+        .expect(200);
+
+      const res = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).to.equal(201);
+    });
+
+    it('should keep the old email until the new one is confirmed', async function () {
+      const newEmail = `emailverify_changed_${stamp}@example.com`;
+      await User.updateOne({ _id: user._id }, { pendingEmail: newEmail });
+
+      let current = await User.findById(user._id);
+      expect(current.email).to.equal(user.email);
+
+      const verification = createEmailVerificationToken(user._id.toString(), newEmail);
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verification })
+        .expect(200);
+
+      current = await User.findById(user._id);
+      expect(current.email).to.equal(newEmail);
+      expect(current.pendingEmail).to.be.undefined;
+    });
+  });
+});
@@ -112,6 +112,7 @@ describe('Facebook Authentication', function () {
         email: 'linkme@test.com',
         password: 'password123',
         username: 'linkuser',
+        emailVerified: true,
       });
 
       const facebookResponse = {
@@ -148,6 +149,27 @@ describe('Facebook Authentication', function () {
       );
     });
 
+    it('should not link Facebook to an account whose email was never verified', async function () {
+      const user = await User.create({
+        email: 'squatter@test.com',
+        password: 'password123',
+        username: 'squatter',
+      });
+
+      axiosStub.resolves({
+        data: { id: 'fb_victim123', email: 'squatter@test.com', first_name: 'Real', last_name: 'Owner' },
+      });
+
+      const response = await request(app)
+        .post('/api/auth/facebook')
+        .send({ accessToken: 'valid_facebook_token' })
+        .expect(409);
+
+      expect(response.body.message).to.include('link Facebook from your settings');
+      const unchanged = await User.findById(user._id);
+      expect(unchanged.getIdentity('facebook')).to.equal(null);
+    });
+
     it('should reject registration without access token', async function () {
       const response = await request(app)
         .post('/api/auth/facebook/register')
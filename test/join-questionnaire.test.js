@@ -0,0 +1,164 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import { parseQuestions, validateAnswers } from '../utils/joinQuestionnaire.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const QUESTIONS = [
+  { label: 'Bike model' },
+  { label: 'Years riding', type: 'number' },
+  { label: 'Riding style', type: 'select', options: ['Touring', 'Sport', 'Adventure'] },
+  { key: 'referrer', label: 'Who referred you?', required: false },
+];
+
+describe('Join questionnaires', function () {
+  describe('parseQuestions', function () {
+    it('should derive keys and defaults', function () {
+      const { questions, errors } = parseQuestions(QUESTIONS);
+      expect(errors).to.equal(undefined);
+      expect(questions.map((q) => q.key)).to.deep.equal(['bike_model', 'years_riding', 'riding_style', 'referrer']);
+      expect(questions[0]).to.include({ type: 'text', required: true });
+      expect(questions[3].required).to.equal(false);
+    });
+
+    it('should reject duplicate keys, bad types and selects without options', function () {
+      const { errors } = parseQuestions([
+        { label: 'Bike model' },
+        { label: 'Bike  model' },
+        { label: 'Plate', type: 'photo' },
+        { label: 'Style', type: 'select', options: ['Touring'] },
+      ]);
+      expect(errors.map((e) => e.field)).to.deep.equal([
+        'questions[1].key',
+        'questions[2].type',
+        'questions[3].options',
+      ]);
+    });
+  });
+
+  describe('validateAnswers', function () {
+    const { questions } = parseQuestions(QUESTIONS);
+
+    it('should keep valid answers with the question text', function () {
+      const { answers, errors } = validateAnswers(questions, {
+        bike_model: ' Honda CB500X ',
+        years_riding: 4,
+        riding_style: 'Adventure',
+      });
+      expect(errors).to.equal(undefined);
+      expect(answers).to.deep.equal([
+        { key: 'bike_model', question: 'Bike model', answer: 'Honda CB500X' },
+        { key: 'years_riding', question: 'Years riding', answer: '4' },
+        { key: 'riding_style', question: 'Riding style', answer: 'Adventure' },
+      ]);
+    });
+
+    it('should report missing and invalid answers', function () {
+      const { errors } = validateAnswers(questions, { years_riding: 'lots', riding_style: 'Cruiser' });
+      expect(errors.map((e) => e.field)).to.deep.equal([
+        'answers.bike_model',
+        'answers.years_riding',
+        'answers.riding_style',
+      ]);
+    });
+  });
+
+  describe('Applying to a private club', function () {
+    const stamp = Date.now();
+    let admin;
+    let applicant;
+    let other;
+    let club;
+    const tokens = {};
+
+    before(async function () {
+      await ensureConnection();
+      [admin, applicant, other] = await createTestUsers('jq', ['admin', 'applicant', 'other'], stamp);
+      ({ club } = await createTestClub(admin, {
+        clubName: `Questionnaire Club ${stamp}`,
+        description: 'Private club that screens applicants',
+        isPrivate: true,
+      }));
+
+      tokens.admin = await tokenFor(admin);
+      tokens.applicant = await tokenFor(applicant);
+      tokens.other = await tokenFor(other);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await JoinRequest.deleteMany({ club: club?._id });
+      await Member.deleteMany({ club: club?._id });
+      await Club.deleteOne({ _id: club?._id });
+      await removeTestUsers('jq', stamp);
+    });
+
+    it('should let admins set the questionnaire', async function () {
+      const res = await request(app)
+        .put(`/api/club/${club._id}/questionnaire`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ questions: QUESTIONS });
+      expect(res.status).to.equal(200);
+      expect(res.body.questions).to.have.length(4);
+
+      const forbidden = await request(app)
+        .put(`/api/club/${club._id}/questionnaire`)
+        .set('Authorization', `Bearer ${tokens.applicant}`)
+        .send({ questions: [] });
+      expect(forbidden.status).to.equal(403);
+    });
+
+    it('should require answers to join', async function () {
+      const res = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.applicant}`)
+        .send({});
+      expect(res.status).to.equal(400);
+      expect(res.body.errors).to.have.length(3);
+    });
+
+    it('should store answers on the join request', async function () {
+      const first = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.applicant}`)
+        .send({ answers: { bike_model: 'Honda CB500X', years_riding: 4, riding_style: 'Adventure' } });
+      expect(first.status).to.equal(201);
+      expect(first.body.joinRequest.answers).to.have.length(3);
+
+      const second = await request(app)
+        .post(`/api/club/${club._id}/join`)
+        .set('Authorization', `Bearer ${tokens.other}`)
+        .send({ answers: { bike_model: 'Yamaha MT-07', years_riding: 1, riding_style: 'Sport', referrer: 'Honda dealer' } });
+      expect(second.status).to.equal(201);
+    });
+
+    it('should return, search and filter answers for reviewers', async function () {
+      const all = await request(app)
+        .get(`/api/club/${club._id}/join-requests`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(all.status).to.equal(200);
+      expect(all.body.joinRequests).to.have.length(2);
+      expect(all.body.joinRequests[0].answers).to.be.an('array');
+
+      const search = await request(app)
+        .get(`/api/club/${club._id}/join-requests`)
+        .query({ search: 'honda' })
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(search.body.joinRequests).to.have.length(2);
+
+      const filtered = await request(app)
+        .get(`/api/club/${club._id}/join-requests`)
+        .query({ 'answers[riding_style]': 'sport', 'answers[bike_model]': 'yamaha' })
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(filtered.body.joinRequests).to.have.length(1);
+      expect(filtered.body.joinRequests[0].user.username).to.equal(other.username);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, tokenFor, removeTestUsers } from './setup.js';
+import User from '../models/UserModel.js';
+import LoginAttempt from '../models/LoginAttemptModel.js';
+import Notification from '../models/NotificationModel.js';
+import {
+  accountKey,
+  getBackoffSeconds,
+  getRetryAfterSeconds,
+} from '../utils/loginThrottleService.js';
+import { encryptSecret } from '../utils/twoFactorService.js';
+import { generateSecret, generateTOTP } from '../utils/totp.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Login throttling', function () {
+  describe('Backoff', function () {
+    it('should normalize account keys', function () {
+      expect(accountKey('  Rider@Example.com ')).to.equal('account:rider@example.com');
+    });
+
+    it('should double the delay after the backoff threshold', function () {
+      expect(getBackoffSeconds(2, 3)).to.equal(0);
+      expect(getBackoffSeconds(3, 3)).to.equal(1);
+      expect(getBackoffSeconds(6, 3)).to.equal(8);
+      expect(getBackoffSeconds(50, 3)).to.equal(300);
+    });
+
+    it('should report time remaining on a lockout', function () {
+      const now = new Date();
+      const attempt = {
+        type: 'account',
+        failures: 10,
+        lastFailureAt: now,
+        lockedUntil: new Date(now.getTime() + 60 * 1000),
+      };
+      expect(getRetryAfterSeconds(attempt, now)).to.equal(60);
+      expect(getRetryAfterSeconds(null, now)).to.equal(0);
+    });
+  });
+
+  describe('POST /api/admin/users/:userId/unlock', function () {
+    it('should require authentication', async function () {
+      const res = await request(app).post('/api/admin/users/507f1f77bcf86cd799439011/unlock');
+      expect(res.status).to.equal(401);
+    });
+  });
+
+  describe('Lockout flow', function () {
+    const stamp = Date.now();
+    const email = `throttle_${stamp}@example.com`;
+    const password = 'Password123!';
+    let userId;
+    let adminToken;
+
+    before(async function () {
+      await ensureConnection();
+      process.env.LOGIN_ACCOUNT_BACKOFF_AFTER = '100';
+      process.env.LOGIN_ACCOUNT_LOCK_AFTER = '3';
+      await LoginAttempt.deleteMany({});
+
+      const signup = await request(app)
+        .post('/api/auth/signup')
+        .send({ email, password, username: `throttle_${stamp}` });
+      userId = signup.body.user._id;
+
+      const [admin] = await createTestUsers('throttle', ['admin'], stamp, { role: 'admin' });
+      adminToken = await tokenFor(admin);
+    });
+
+    after(async function () {
+      delete process.env.LOGIN_ACCOUNT_BACKOFF_AFTER;
+      delete process.env.LOGIN_ACCOUNT_LOCK_AFTER;
+      if (mongoose.connection.readyState !== 1) return;
+      await LoginAttempt.deleteMany({});
+      await Notification.deleteMany({ recipient: userId });
+      await removeTestUsers('throttle', stamp);
+      await User.deleteMany({ email });
+    });
+
+    it('should lock the account without changing the error response', async function () {
+      let lastFailure;
+      for (let i = 0; i < 3; i++) {
+        lastFailure = await request(app)
+          .post('/api/auth/login')
+          .send({ email, password: 'WrongPassword1!' });
+      }
+
+      const locked = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+      expect(locked.status).to.equal(400);
+      expect(locked.body).to.deep.equal(lastFailure.body);
+
+      const alert = await Notification.findOne({ recipient: userId, type: 'security_alert' });
+      expect(alert).to.not.be.null;
+    });
+
+    it('should let platform admins unlock the account', async function () {
+      const res = await request(app)
+        .post(`/api/admin/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.status).to.equal(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+      expect(login.status).to.equal(200);
+    });
+
+    it('should not let regular users unlock accounts', async function () {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+      const res = await request(app)
+        .post(`/api/admin/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${login.body.token}`);
+      expect(res.status).to.equal(403);
+    });
+
+    it('should keep counting wrong 2FA codes when the password is entered again', async function () {
+      const secret = generateSecret();
+      await User.updateOne(
+        { _id: userId },
+        { 'twoFactor.enabled': true, 'twoFactor.secret': encryptSecret(secret) }
+      );
+      const wrongCode = String((Number(generateTOTP(secret)) + 500000) % 1000000).padStart(6, '0');
+
+      for (let i = 0; i < 3; i++) {
+        const login = await request(app)
+          .post('/api/auth/login')
+          .send({ email, password });
+        expect(login.status).to.equal(200);
+        expect(login.body.twoFactorRequired).to.equal(true);
+
+        const verify = await request(app)
+          .post('/api/auth/2fa/verify')
+          .send({ twoFactorToken: login.body.twoFactorToken, code: wrongCode });
+        expect(verify.status).to.equal(400);
+      }
+
+      const locked = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+      expect(locked.status).to.equal(400);
+      expect(locked.body.twoFactorRequired).to.equal(undefined);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, createTestClub, tokenFor, removeTestUsers } from './setup.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import { getRejoinCooldownDays, DEFAULT_REJOIN_COOLDOWN_DAYS } from '../utils/membershipHistory.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Leaving clubs and membership history', function () {
+  describe('getRejoinCooldownDays', function () {
+    it('should fall back to the defaults for unset values', function () {
+      expect(getRejoinCooldownDays({})).to.deep.equal(DEFAULT_REJOIN_COOLDOWN_DAYS);
+      expect(getRejoinCooldownDays({ rejoinCooldownDays: { left: 3 } })).to.deep.equal({
+        ...DEFAULT_REJOIN_COOLDOWN_DAYS,
+        left: 3,
+      });
+    });
+  });
+
+  describe('Leave, rejoin and review history', function () {
+    const stamp = Date.now();
+    let admin;
+    let rider;
+    let publicClub;
+    let privateClub;
+    const tokens = {};
+
+    const createClub = async (name, isPrivate) => {
+      const { club } = await createTestClub(admin, {
+        clubName: `${name} ${stamp}`,
+        description: 'Club for membership history tests',
+        isPrivate,
+      });
+      return club;
+    };
+
+    before(async function () {
+      await ensureConnection();
+      [admin, rider] = await createTestUsers('mh', ['admin', 'rider'], stamp);
+      publicClub = await createClub('History Public', false);
+      privateClub = await createClub('History Private', true);
+
+      tokens.admin = await tokenFor(admin);
+      tokens.rider = await tokenFor(rider);
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      const clubIds = [publicClub?._id, privateClub?._id];
+      await MembershipEvent.deleteMany({ club: { $in: clubIds } });
+      await JoinRequest.deleteMany({ club: { $in: clubIds } });
+      await Member.deleteMany({ club: { $in: clubIds } });
+      await Club.deleteMany({ _id: { $in: clubIds } });
+      await removeTestUsers('mh', stamp);
+    });
+
+    it('should let members leave and rejoin when there is no cooldown', async function () {
+      const join = await request(app)
+        .post(`/api/club/${publicClub._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(join.status).to.equal(201);
+
+      const leave = await request(app)
+        .post(`/api/club/${publicClub._id}/leave`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(leave.status).to.equal(200);
+      expect(await Member.countDocuments({ club: publicClub._id, user: rider._id })).to.equal(0);
+
+      const rejoin = await request(app)
+        .post(`/api/club/${publicClub._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(rejoin.status).to.equal(201);
+    });
+
+    it('should not let the owner leave', async function () {
+      const res = await request(app)
+        .post(`/api/club/${publicClub._id}/leave`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.include('owner');
+    });
+
+    it('should apply the club cooldown after leaving', async function () {
+      const update = await request(app)
+        .put(`/api/club/${publicClub._id}/update`)
+        .set('Authorization', `Bearer ${tokens.admin}`)
+        .send({ rejoinCooldownDays: { left: 7 } });
+      expect(update.status).to.equal(200);
+      expect(update.body.rejoinCooldownDays.left).to.equal(7);
+
+      await request(app)
+        .post(`/api/club/${publicClub._id}/leave`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+
+      const rejoin = await request(app)
+        .post(`/api/club/${publicClub._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(rejoin.status).to.equal(400);
+      expect(rejoin.body.reason).to.equal('left');
+      expect(new Date(rejoin.body.canReapplyAt)).to.be.above(new Date());
+    });
+
+    it('should let rejected applicants apply again after the cooldown', async function () {
+      await Club.updateOne({ _id: privateClub._id }, { 'rejoinCooldownDays.rejected': 0 });
+
+      await request(app)
+        .post(`/api/club/${privateClub._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      const pending = await JoinRequest.findOne({ club: privateClub._id, user: rider._id });
+
+      const reject = await request(app)
+        .post(`/api/club/${privateClub._id}/join-requests/${pending._id}/reject`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(reject.status).to.equal(200);
+
+      const again = await request(app)
+        .post(`/api/club/${privateClub._id}/join`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(again.status).to.equal(201);
+    });
+
+    it('should show admins the history with who made each change', async function () {
+      const res = await request(app)
+        .get(`/api/club/${publicClub._id}/history/${rider._id}`)
+        .set('Authorization', `Bearer ${tokens.admin}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.history.map((e) => e.type)).to.deep.equal(['left', 'joined', 'left', 'joined']);
+      expect(res.body.history[0].actor.username).to.equal(rider.username);
+      expect(res.body.currentMembership).to.equal(null);
+
+      const forbidden = await request(app)
+        .get(`/api/club/${privateClub._id}/history/${admin._id}`)
+        .set('Authorization', `Bearer ${tokens.rider}`);
+      expect(forbidden.status).to.equal(403);
+    });
+  });
+});
@@ -28,7 +28,7 @@ describe('Club Membership Status API', () => {
     const uniqueId = Date.now();
     const userData = {
       email: `membership_test_${uniqueId}@example.com`,
-      password: 'password123',
+      password: 'Password123!',
       username: `membership_user_${uniqueId}`,
     };
     
@@ -97,7 +97,7 @@ describe('Club Membership Status API', () => {
       const uniqueId = Date.now();
       const userData = {
         email: `non_member_${uniqueId}@example.com`,
-        password: 'password123',
+        password: 'Password123!',
         username: `non_member_${uniqueId}`,
       };
       
@@ -123,7 +123,7 @@ describe('Club Membership Status API', () => {
       const uniqueId = Date.now();
       const userData = {
         email: `regular_member_${uniqueId}@example.com`,
-        password: 'password123',
+        password: 'Password123!',
         username: `regular_member_${uniqueId}`,
       };
       
@@ -186,7 +186,7 @@ describe('Club Membership Status API', () => {
       // Create another user
       const pendingUserData = {
         email: `pending_user_${uniqueId}@example.com`,
-        password: 'password123',
+        password: 'Password123!',
         username: `pending_user_${uniqueId}`,
       };
       
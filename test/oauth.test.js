@@ -0,0 +1,265 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { app } from '../server.js';
+import { ensureConnection } from './setup.js';
+import User from '../models/UserModel.js';
+import {
+  createGoogleIdTokenVerifier,
+  setOAuthTokenVerifier,
+} from '../utils/oauthProviders.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+
+describe('OAuth providers', function () {
+  describe('createGoogleIdTokenVerifier', function () {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256' };
+    const verify = createGoogleIdTokenVerifier({
+      fetchSigningKeys: async () => [jwk],
+      getClientIds: () => [CLIENT_ID],
+    });
+
+    function signIdToken(overrides = {}, keyid = 'test-key') {
+      return jwt.sign(
+        {
+          sub: 'google-123',
+          email: 'rider@example.com',
+          email_verified: true,
+          given_name: 'Road',
+          family_name: 'Rider',
+          ...overrides,
+        },
+        privateKey,
+        { algorithm: 'RS256', keyid, audience: CLIENT_ID, issuer: 'https://accounts.google.com' }
+      );
+    }
+
+    it('should return a normalized profile for a valid ID token', async function () {
+      const profile = await verify(signIdToken());
+      expect(profile).to.include({
+        providerUserId: 'google-123',
+        email: 'rider@example.com',
+        emailVerified: true,
+        firstName: 'Road',
+        lastName: 'Rider',
+      });
+    });
+
+    it('should reject tokens for another audience', async function () {
+      const token = jwt.sign({ sub: 'google-123' }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'test-key',
+        audience: 'someone-else',
+        issuer: 'accounts.google.com',
+      });
+      try {
+        await verify(token);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid Google ID token');
+      }
+    });
+
+    it('should reject tokens signed with an unknown key', async function () {
+      try {
+        await verify(signIdToken({}, 'rotated-away'));
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid Google ID token');
+      }
+    });
+
+    it('should refuse to verify when no client ID is configured', async function () {
+      const unconfigured = createGoogleIdTokenVerifier({
+        fetchSigningKeys: async () => [jwk],
+        getClientIds: () => [],
+      });
+      try {
+        await unconfigured(signIdToken());
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Google sign-in is not configured');
+      }
+    });
+  });
+
+  describe('Routes', function () {
+    it('should list enabled providers', async function () {
+      const res = await request(app).get('/api/auth/oauth/providers');
+      expect(res.status).to.equal(200);
+      expect(res.body.providers.map((p) => p.name)).to.include('facebook');
+    });
+
+    it('should return 404 for unknown providers', async function () {
+      const res = await request(app).post('/api/auth/oauth/myspace').send({ token: 'abc' });
+      expect(res.status).to.equal(404);
+    });
+
+    it('should require a token', async function () {
+      const res = await request(app).post('/api/auth/oauth/facebook').send({});
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.equal('Facebook token is required');
+    });
+
+    it('GET /api/user/me/identities should require authentication', async function () {
+      const res = await request(app).get('/api/user/me/identities');
+      expect(res.status).to.equal(401);
+    });
+  });
+
+  describe('Sign in, link and unlink', function () {
+    const stamp = Date.now();
+    const googleEmail = `google_${stamp}@example.com`;
+    const passwordEmail = `oauth_pw_${stamp}@example.com`;
+    const verifiedEmail = `oauth_verified_${stamp}@example.com`;
+    const password = 'Password123!';
+    let previousClientId;
+    let passwordUserToken;
+
+    const fakeProfiles = {
+      'google-new': {
+        providerUserId: `g_new_${stamp}`,
+        email: googleEmail,
+        emailVerified: true,
+        firstName: 'Gina',
+        lastName: 'Google',
+      },
+      'google-squatted': {
+        providerUserId: `g_owner_${stamp}`,
+        email: passwordEmail,
+        emailVerified: true,
+      },
+      'google-verified': {
+        providerUserId: `g_verified_${stamp}`,
+        email: verifiedEmail,
+        emailVerified: true,
+      },
+      'google-link': {
+        providerUserId: `g_link_${stamp}`,
+        email: `other_${stamp}@example.com`,
+        emailVerified: true,
+      },
+    };
+
+    before(async function () {
+      previousClientId = process.env.GOOGLE_CLIENT_ID;
+      process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+      setOAuthTokenVerifier('google', async (token) => {
+        if (!fakeProfiles[token]) {
+          throw new Error('Invalid Google ID token');
+        }
+        return fakeProfiles[token];
+      });
+
+      await ensureConnection();
+      const signup = await request(app)
+        .post('/api/auth/signup')
+        .send({ email: passwordEmail, password, username: `oauth_pw_${stamp}` });
+      passwordUserToken = signup.body.token;
+    });
+
+    after(async function () {
+      setOAuthTokenVerifier('google', null);
+      if (previousClientId === undefined) {
+        delete process.env.GOOGLE_CLIENT_ID;
+      } else {
+        process.env.GOOGLE_CLIENT_ID = previousClientId;
+      }
+      if (mongoose.connection.readyState !== 1) return;
+      await User.deleteMany({ email: { $in: [googleEmail, passwordEmail, verifiedEmail] } });
+    });
+
+    it('should create an account on first Google sign-in', async function () {
+      const res = await request(app).post('/api/auth/oauth/google').send({ token: 'google-new' });
+      expect(res.status).to.equal(200);
+      expect(res.body.isNewUser).to.equal(true);
+      expect(res.body.token).to.be.a('string');
+      expect(res.body.user.identities[0]).to.include({ provider: 'google' });
+      expect(res.body.user.emailVerified).to.equal(true);
+    });
+
+    it('should sign the same account in again', async function () {
+      const res = await request(app).post('/api/auth/oauth/google').send({ token: 'google-new' });
+      expect(res.status).to.equal(200);
+      expect(res.body.isNewUser).to.equal(false);
+      expect(res.body.message).to.equal('Google login successful. Welcome back!');
+    });
+
+    it('should reject invalid tokens', async function () {
+      const res = await request(app).post('/api/auth/oauth/google').send({ token: 'forged' });
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.equal('Invalid Google ID token');
+    });
+
+    it('should not sign in to an account whose email was never verified', async function () {
+      const res = await request(app).post('/api/auth/oauth/google').send({ token: 'google-squatted' });
+      expect(res.status).to.equal(409);
+      expect(res.body.token).to.be.undefined;
+
+      const user = await User.findOne({ email: passwordEmail });
+      expect(user.getIdentity('google')).to.not.be.ok;
+    });
+
+    it('should merge into an account with a verified email', async function () {
+      const user = await User.create({
+        email: verifiedEmail,
+        password: 'hashed',
+        username: `oauth_verified_${stamp}`,
+        emailVerified: true,
+      });
+      const res = await request(app).post('/api/auth/oauth/google').send({ token: 'google-verified' });
+      expect(res.status).to.equal(200);
+      expect(res.body.isNewUser).to.equal(false);
+      expect(res.body.user._id).to.equal(user._id.toString());
+    });
+
+    it('should link Google to an existing account', async function () {
+      const res = await request(app)
+        .post('/api/user/me/identities/google')
+        .set('Authorization', `Bearer ${passwordUserToken}`)
+        .send({ token: 'google-link' });
+      expect(res.status).to.equal(200);
+      expect(res.body.identities.map((i) => i.provider)).to.deep.equal(['google']);
+
+      const login = await request(app).post('/api/auth/oauth/google').send({ token: 'google-link' });
+      expect(login.status).to.equal(200);
+      expect(login.body.user.email).to.equal(passwordEmail);
+    });
+
+    it('should not link a provider account owned by someone else', async function () {
+      const res = await request(app)
+        .post('/api/user/me/identities/google')
+        .set('Authorization', `Bearer ${passwordUserToken}`)
+        .send({ token: 'google-new' });
+      expect(res.status).to.equal(409);
+    });
+
+    it('should unlink a provider when a password remains', async function () {
+      const res = await request(app)
+        .delete('/api/user/me/identities/google')
+        .set('Authorization', `Bearer ${passwordUserToken}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.identities).to.have.length(0);
+    });
+
+    it('should refuse to unlink the only sign-in method', async function () {
+      const login = await request(app).post('/api/auth/oauth/google').send({ token: 'google-new' });
+      const res = await request(app)
+        .delete('/api/user/me/identities/google')
+        .set('Authorization', `Bearer ${login.body.token}`);
+      expect(res.status).to.equal(400);
+
+      const identities = await request(app)
+        .get('/api/user/me/identities')
+        .set('Authorization', `Bearer ${login.body.token}`);
+      expect(identities.body.hasPassword).to.equal(false);
+      expect(identities.body.identities[0].provider).to.equal('google');
+    });
+  });
+});
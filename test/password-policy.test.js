@@ -0,0 +1,160 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection, createTestUsers, tokenFor, removeTestUsers } from './setup.js';
+import User from '../models/UserModel.js';
+import { validatePassword, getPasswordPolicy } from '../utils/passwordPolicy.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Password policy', function () {
+  describe('validatePassword', function () {
+    afterEach(function () {
+      delete process.env.PASSWORD_MIN_LENGTH;
+      delete process.env.PASSWORD_REQUIRE_SYMBOL;
+    });
+
+    it('should accept a password that meets the default policy', function () {
+      expect(validatePassword('Ride0nTheRoad').valid).to.equal(true);
+    });
+
+    it('should report every failed rule', function () {
+      const { valid, errors } = validatePassword('abc');
+      expect(valid).to.equal(false);
+      expect(errors).to.include('Password must be at least 8 characters long');
+      expect(errors).to.include('Password must contain an uppercase letter');
+      expect(errors).to.include('Password must contain a number');
+    });
+
+    it('should reject common passwords regardless of case', function () {
+      const { errors } = validatePassword('Password123');
+      expect(errors).to.include('This password is too common. Please choose a different one');
+    });
+
+    it('should reject passwords containing the username or email', function () {
+      const { valid } = validatePassword('Throttle99Rider', {
+        email: 'rider@example.com',
+        username: 'someone',
+      });
+      expect(valid).to.equal(false);
+    });
+
+    it('should read the policy from the environment', function () {
+      process.env.PASSWORD_MIN_LENGTH = '12';
+      process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+      expect(getPasswordPolicy()).to.include({ minLength: 12, requireSymbol: true });
+      expect(validatePassword('Ride0nTheRoad').errors).to.deep.equal([
+        'Password must contain a symbol',
+      ]);
+    });
+  });
+
+  describe('hasUsablePassword', function () {
+    it('should not count the Facebook sign-up placeholder as a password', function () {
+      expect(new User({ password: 'facebook_auth_k2j4h5' }).hasUsablePassword()).to.equal(false);
+      expect(new User({}).hasUsablePassword()).to.equal(false);
+      expect(new User({ password: '$2b$10$abcdefghijklmnopqrstuv' }).hasUsablePassword()).to.equal(true);
+    });
+  });
+
+  describe('GET /api/auth/password-policy', function () {
+    it('should return the current rules', async function () {
+      const res = await request(app).get('/api/auth/password-policy');
+      expect(res.status).to.equal(200);
+      expect(res.body.minLength).to.be.a('number');
+    });
+  });
+
+  describe('PUT /api/user/me/password', function () {
+    it('should require authentication', async function () {
+      const res = await request(app)
+        .put('/api/user/me/password')
+        .send({ currentPassword: 'x', newPassword: 'y' });
+      expect(res.status).to.equal(401);
+    });
+  });
+
+  describe('Change password flow', function () {
+    const stamp = Date.now();
+    const email = `pwchange_${stamp}@example.com`;
+    const password = 'Password123!';
+    const newPassword = 'Str0ngerRide!';
+    let token;
+    let facebookUser;
+
+    before(async function () {
+      await ensureConnection();
+      const signup = await request(app)
+        .post('/api/auth/signup')
+        .send({ email, password, username: `pwchange_${stamp}` });
+      token = signup.body.token;
+
+      // Facebook sign-ups store a random placeholder instead of a password
+      [facebookUser] = await createTestUsers('pwchange', ['fb'], stamp, {
+        facebookId: `fb_${stamp}`,
+        password: `facebook_auth_${stamp.toString(36)}`,
+      });
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await removeTestUsers('pwchange', stamp);
+      await User.deleteOne({ email });
+    });
+
+    it('should reject weak passwords at signup', async function () {
+      const res = await request(app)
+        .post('/api/auth/signup')
+        .send({ email: `weak_${stamp}@example.com`, password: 'password', username: `weak_${stamp}` });
+      expect(res.status).to.equal(400);
+    });
+
+    it('should require the current password', async function () {
+      const res = await request(app)
+        .put('/api/user/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'WrongPassword1!', newPassword });
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.equal('Current password is incorrect');
+    });
+
+    it('should enforce the policy on the new password', async function () {
+      const res = await request(app)
+        .put('/api/user/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: password, newPassword: 'short' });
+      expect(res.status).to.equal(400);
+      expect(res.body.errors).to.be.an('array').that.is.not.empty;
+    });
+
+    it('should change the password', async function () {
+      const res = await request(app)
+        .put('/api/user/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: password, newPassword });
+      expect(res.status).to.equal(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: newPassword });
+      expect(login.status).to.equal(200);
+    });
+
+    it('should let Facebook-only users set a first password', async function () {
+      const fbToken = await tokenFor(facebookUser, 'facebook');
+      const res = await request(app)
+        .put('/api/user/me/password')
+        .set('Authorization', `Bearer ${fbToken}`)
+        .send({ newPassword });
+      expect(res.status).to.equal(200);
+      expect(res.body.message).to.equal('Password set successfully');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: facebookUser.email, password: newPassword });
+      expect(login.status).to.equal(200);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { app } from '../server.js';
+import { ensureConnection } from './setup.js';
+import User from '../models/UserModel.js';
+import PasswordResetToken from '../models/PasswordResetTokenModel.js';
+import { createFileTransport, setMailTransport } from '../utils/mailService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function readResetToken(outbox, email) {
+  const files = await fs.readdir(outbox);
+  for (const file of files.sort().reverse()) {
+    const message = JSON.parse(await fs.readFile(path.join(outbox, file), 'utf8'));
+    if (message.to === email) {
+      return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    }
+  }
+  return null;
+}
+
+describe('Password reset', function () {
+  const outbox = path.join(os.tmpdir(), `motoclub-mail-test-${Date.now()}`);
+
+  before(function () {
+    setMailTransport(createFileTransport(outbox));
+  });
+
+  after(async function () {
+    setMailTransport(null);
+    await fs.rm(outbox, { recursive: true, force: true });
+  });
+
+  describe('Validation', function () {
+    it('POST /api/auth/forgot-password should require an email', async function () {
+      const res = await request(app).post('/api/auth/forgot-password').send({});
+      expect(res.status).to.equal(400);
+    });
+
+    it('POST /api/auth/reset-password should require token and password', async function () {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'abc' });
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.equal('Token and new password are required');
+    });
+  });
+
+  describe('Reset flow', function () {
+    const email = `reset_${Date.now()}@example.com`;
+    const password = 'Password123!';
+    const newPassword = 'NewPassword456!';
+
+    before(async function () {
+      await ensureConnection();
+      await request(app)
+        .post('/api/auth/signup')
+        .send({ email, password, username: `reset_${Date.now()}` });
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      const user = await User.findOne({ email });
+      if (user) {
+        await PasswordResetToken.deleteMany({ user: user._id });
+        await User.deleteOne({ _id: user._id });
+      }
+    });
+
+    it('should respond identically for unknown emails', async function () {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email });
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: `nobody_${Date.now()}@example.com` });
+
+      expect(known.status).to.equal(200);
+      expect(unknown.status).to.equal(200);
+      expect(unknown.body).to.deep.equal(known.body);
+    });
+
+    it('should reset the password once and revoke existing sessions', async function () {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+
+      await request(app).post('/api/auth/forgot-password').send({ email });
+      const token = await readResetToken(outbox, email);
+      expect(token).to.be.a('string');
+
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: newPassword });
+      expect(reset.status).to.equal(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'Another789!' });
+      expect(reuse.status).to.equal(400);
+
+      const oldSession = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${login.body.token}`);
+      expect(oldSession.status).to.equal(401);
+
+      const newLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password: newPassword });
+      expect(newLogin.status).to.equal(200);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { app } from '../server.js';
+import { ensureConnection } from './setup.js';
+import User from '../models/UserModel.js';
+import RefreshToken from '../models/RefreshTokenModel.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+describe('Refresh tokens and revocation', function () {
+  describe('Validation', function () {
+    it('POST /api/auth/refresh should require a refresh token', async function () {
+      const res = await request(app).post('/api/auth/refresh').send({});
+
+      expect(res.status).to.equal(400);
+      expect(res.body.message).to.equal('Refresh token is required');
+    });
+  });
+
+  describe('Token lifecycle', function () {
+    const email = `refresh_${Date.now()}@example.com`;
+    const password = 'Password123!';
+    let login;
+
+    before(async function () {
+      await ensureConnection();
+      await request(app)
+        .post('/api/auth/signup')
+        .send({ email, password, username: `refresh_${Date.now()}` });
+      login = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      const user = await User.findOne({ email });
+      if (user) {
+        await RefreshToken.deleteMany({ user: user._id });
+        await User.deleteOne({ _id: user._id });
+      }
+    });
+
+    it('login should return an access token and a refresh token', function () {
+      expect(login.status).to.equal(200);
+      expect(login.body.token).to.be.a('string');
+      expect(login.body.refreshToken).to.be.a('string');
+    });
+
+    it('should rotate the refresh token and kill the family on reuse', async function () {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+
+      expect(first.status).to.equal(200);
+      expect(first.body.refreshToken).to.not.equal(login.body.refreshToken);
+
+      // Replaying the original token is treated as theft
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(replay.status).to.equal(401);
+
+      // ...which revokes the token issued by the legitimate rotation too
+      const afterReuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken });
+      expect(afterReuse.status).to.equal(401);
+
+      const me = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${first.body.token}`);
+      expect(me.status).to.equal(401);
+    });
+
+    it('logout should revoke the access token', async function () {
+      const fresh = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password });
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${fresh.body.token}`)
+        .send({ refreshToken: fresh.body.refreshToken })
+        .expect(200);
+
+      const me = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${fresh.body.token}`);
+      expect(me.status).to.equal(401);
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: fresh.body.refreshToken });
+      expect(refresh.status).to.equal(401);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { app } from '../server.js';
+import { ensureConnection } from './setup.js';
+import User from '../models/UserModel.js';
+import Session from '../models/SessionModel.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const IPHONE_UA =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const DESKTOP_UA =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+describe('Active sessions', function () {
+  describe('parseUserAgent', function () {
+    it('should recognise common devices', function () {
+      expect(parseUserAgent(IPHONE_UA)).to.include({
+        browser: 'Safari',
+        os: 'iOS',
+        deviceType: 'mobile',
+      });
+      expect(parseUserAgent(DESKTOP_UA).label).to.equal('Chrome on Windows');
+      expect(parseUserAgent(undefined).label).to.equal('Unknown device');
+    });
+  });
+
+  describe('GET /api/user/me/sessions', function () {
+    it('should require authentication', async function () {
+      const res = await request(app).get('/api/user/me/sessions');
+      expect(res.status).to.equal(401);
+    });
+  });
+
+  describe('Session management', function () {
+    const stamp = Date.now();
+    const email = `sessions_${stamp}@example.com`;
+    const password = 'Password123!';
+    let userId;
+
+    function login(userAgent, deviceName) {
+      return request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email, password, deviceName });
+    }
+
+    before(async function () {
+      await ensureConnection();
+      const signup = await request(app)
+        .post('/api/auth/signup')
+        .send({ email, password, username: `sessions_${stamp}` });
+      userId = signup.body.user._id;
+    });
+
+    after(async function () {
+      if (mongoose.connection.readyState !== 1) return;
+      await Session.deleteMany({ user: userId });
+      await User.deleteOne({ _id: userId });
+    });
+
+    it('should list each login with its device', async function () {
+      const phone = await login(IPHONE_UA, 'My phone');
+      await login(DESKTOP_UA);
+
+      const res = await request(app)
+        .get('/api/user/me/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+      expect(res.status).to.equal(200);
+
+      const current = res.body.sessions.find((s) => s.current);
+      expect(current.deviceName).to.equal('My phone');
+      expect(current.device.os).to.equal('iOS');
+      expect(current.loginMethod).to.equal('password');
+      expect(res.body.sessions.some((s) => s.device.os === 'Windows')).to.equal(true);
+    });
+
+    it('should revoke a single session and reject its tokens', async function () {
+      const phone = await login(IPHONE_UA);
+      const desktop = await login(DESKTOP_UA);
+
+      const list = await request(app)
+        .get('/api/user/me/sessions')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+      const desktopSession = list.body.sessions.find(
+        (s) => !s.current && s.device.os === 'Windows'
+      );
+
+      const res = await request(app)
+        .delete(`/api/user/me/sessions/${desktopSession._id}`)
+        .set('Authorization', `Bearer ${phone.body.token}`);
+      expect(res.status).to.equal(200);
+
+      const revoked = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${desktop.body.token}`);
+      expect(revoked.status).to.equal(401);
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: desktop.body.refreshToken });
+      expect(refresh.status).to.equal(401);
+    });
+
+    it('should log out everywhere else', async function () {
+      const other = await login(DESKTOP_UA);
+      const current = await login(IPHONE_UA);
+      // Issued before session tracking: no jti or fam claim
+      const legacyToken = jwt.sign({ _id: userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
+      const legacyBefore = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${legacyToken}`);
+      expect(legacyBefore.status).to.equal(200);
+
+      const res = await request(app)
+        .post('/api/user/me/sessions/logout-others')
+        .set('Authorization', `Bearer ${current.body.token}`);
+      expect(res.status).to.equal(200);
+
+      const otherCheck = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${other.body.token}`);
+      expect(otherCheck.status).to.equal(401);
+
+      const legacyCheck = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${legacyToken}`);
+      expect(legacyCheck.status).to.equal(401);
+
+      const list = await request(app)
+        .get('/api/user/me/sessions')
+        .set('Authorization', `Bearer ${current.body.token}`);
+      expect(list.status).to.equal(200);
+      expect(list.body.sessions).to.have.length(1);
+      expect(list.body.sessions[0].current).to.equal(true);
+    });
+  });
+});
@@ -1,5 +1,11 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import User from '../models/UserModel.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import Session from '../models/SessionModel.js';
+import RefreshToken from '../models/RefreshTokenModel.js';
+import { issueAuthTokens } from '../utils/tokenService.js';
 
 dotenv.config();
 
@@ -21,6 +27,52 @@ export const ensureConnection = async () => {
   return mongoose.connection;
 };
 
+// Shared user fixtures. Users are named <prefix>_<name>_<stamp> so a suite can
+// remove everything it created with removeTestUsers(prefix, stamp).
+export const createTestUsers = (prefix, names, stamp, fields = {}) =>
+  User.create(
+    names.map((name) => ({
+      email: `${prefix}_${name}_${stamp}@example.com`,
+      password: 'hashed',
+      username: `${prefix}_${name}_${stamp}`,
+      ...fields,
+    }))
+  );
+
+// Anyone passed to createTestClub can be a user or { user, ...memberFields }
+const membership = (entry, roles) =>
+  entry.user ? { roles, ...entry, user: entry.user._id } : { user: entry._id, roles };
+
+// A club run by `admin`, with `members` joined as plain members
+export const createTestClub = async (admin, fields, members = []) => {
+  const adminEntry = membership(admin, ['member', 'admin']);
+  const club = await Club.create({ createdBy: adminEntry.user, ...fields });
+  const memberships = await Member.create(
+    [adminEntry, ...members.map((entry) => membership(entry, ['member']))].map((entry) => ({
+      ...entry,
+      club: club._id,
+    }))
+  );
+  club.members = memberships.map((m) => m._id);
+  await club.save();
+  return { club, members: memberships };
+};
+
+// Sign a user in the way the login routes do, so the token has a session
+// behind it and goes through the same revocation checks
+export const tokenFor = async (user, loginMethod = 'password') => {
+  const { token } = await issueAuthTokens(user._id, null, { loginMethod });
+  return token;
+};
+
+export const removeTestUsers = async (prefix, stamp) => {
+  const users = await User.find({ email: new RegExp(`^${prefix}_.*_${stamp}@`) }).select('_id');
+  const ids = users.map((user) => user._id);
+  await Session.deleteMany({ user: { $in: ids } });
+  await RefreshToken.deleteMany({ user: { $in: ids } });
+  await User.deleteMany({ _id: { $in: ids } });
+};
+
 // Graceful cleanup on process exit
 process.on('exit', async () => {
   if (mongoose.connection.readyState === 1) {
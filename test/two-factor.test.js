@@ -0,0 +1,88 @@
+import { expect } from 'chai';
+import request from 'supertest';
+import { app } from '../server.js';
+import {
+  base32Encode,
+  base32Decode,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+} from '../utils/totp.js';
+import {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from '../utils/twoFactorService.js';
+
+describe('Two-factor authentication', function () {
+  // RFC 6238 appendix B test secret ("12345678901234567890")
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('TOTP', function () {
+    it('should round-trip base32', function () {
+      expect(rfcSecret).to.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(base32Decode(rfcSecret).toString()).to.equal('12345678901234567890');
+    });
+
+    it('should match the RFC 6238 test vectors', function () {
+      expect(generateTOTP(rfcSecret, 59 * 1000)).to.equal('287082');
+      expect(generateTOTP(rfcSecret, 1111111109 * 1000)).to.equal('081804');
+    });
+
+    it('should accept codes from the adjacent time step only', function () {
+      const now = 1111111109 * 1000;
+      const previous = generateTOTP(rfcSecret, now - 30 * 1000);
+      const stale = generateTOTP(rfcSecret, now - 90 * 1000);
+
+      expect(verifyTOTP(rfcSecret, previous, { timestampMs: now })).to.be.a('number');
+      expect(verifyTOTP(rfcSecret, stale, { timestampMs: now })).to.be.null;
+      expect(verifyTOTP(rfcSecret, 'abcdef', { timestampMs: now })).to.be.null;
+    });
+
+    it('should build an otpauth provisioning URI', function () {
+      const uri = buildOtpauthUri(rfcSecret, 'rider@example.com');
+      expect(uri).to.match(/^otpauth:\/\/totp\/MotoClub%20Connect%3Arider%40example\.com\?/);
+      expect(uri).to.include(`secret=${rfcSecret}`);
+    });
+  });
+
+  describe('Secrets and recovery codes', function () {
+    it('should encrypt secrets at rest', function () {
+      const encrypted = encryptSecret(rfcSecret);
+      expect(encrypted).to.not.include(rfcSecret);
+      expect(decryptSecret(encrypted)).to.equal(rfcSecret);
+    });
+
+    it('should only store hashes of recovery codes', function () {
+      const { codes, hashes } = generateRecoveryCodes();
+      expect(codes).to.have.length(10);
+      expect(hashes).to.not.include(codes[0]);
+      // Codes are matched regardless of case and dashes
+      expect(hashRecoveryCode(codes[0].toUpperCase().replace(/-/g, ''))).to.equal(hashes[0]);
+    });
+
+    it('should round-trip login challenge tokens', function () {
+      const userId = '507f1f77bcf86cd799439011';
+      const result = verifyTwoFactorChallenge(createTwoFactorChallenge(userId));
+      expect(result.userId).to.equal(userId);
+      expect(verifyTwoFactorChallenge('not-a-token').error).to.be.a('string');
+    });
+  });
+
+  describe('POST /api/auth/2fa/verify', function () {
+    it('should require a challenge token and code', async function () {
+      const res = await request(app).post('/api/auth/2fa/verify').send({});
+      expect(res.status).to.equal(400);
+    });
+
+    it('should reject an invalid challenge token', async function () {
+      const res = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ twoFactorToken: 'invalid', code: '123456' });
+      expect(res.status).to.equal(401);
+    });
+  });
+});
@@ -6,13 +6,16 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-async function createUserAndGetToken() {
+async function createUserAndGetToken(role = 'user') {
   const email = `user_${Date.now()}@example.com`;
   const password = 'Password123!';
   const username = `user_${Date.now()}`;
   await request(app)
     .post('/api/auth/signup')
     .send({ email, password, username });
+  if (role !== 'user') {
+    await User.updateOne({ email }, { role });
+  }
   const login = await request(app)
     .post('/api/auth/login')
     .send({ email, password });
@@ -21,26 +24,37 @@ async function createUserAndGetToken() {
 
 describe('User routes', () => {
   let token;
+  let adminToken;
 
   before(async () => {
     await ensureConnection();
     token = await createUserAndGetToken();
+    adminToken = await createUserAndGetToken('admin');
   });
 
   after(async () => {
     if (server) server.close();
   });
 
-  it('GET /api/user should return users array with valid token', async () => {
+  it('GET /api/user should return users array for platform admins', async () => {
     const res = await request(app)
       .get('/api/user')
-      .set('Authorization', `Bearer ${token}`);
+      .set('Authorization', `Bearer ${adminToken}`);
     if (res.status !== 200) {
       console.error('Get users response:', res.status, res.body);
     }
     if (!Array.isArray(res.body)) throw new Error('Expected array of users');
   });
 
+  it('GET /api/user should return 403 for regular users', async () => {
+    const res = await request(app)
+      .get('/api/user')
+      .set('Authorization', `Bearer ${token}`);
+    if (res.status !== 403) {
+      throw new Error(`Expected 403 for non-admin request, got ${res.status}`);
+    }
+  });
+
   it('GET /api/user should return 401 without valid token', async () => {
     const res = await request(app).get('/api/user');
     if (res.status !== 401) {
@@ -0,0 +1,199 @@
+import User from '../models/UserModel.js';
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import ClaimRequest from '../models/ClaimRequestModel.js';
+import OfficialMember from '../models/OfficialMemberModel.js';
+import Notification from '../models/NotificationModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import ClubBan from '../models/ClubBanModel.js';
+import ClubVerificationRequest from '../models/ClubVerificationRequestModel.js';
+import ClubBylaws from '../models/ClubBylawsModel.js';
+import ClubAuditEntry from '../models/ClubAuditEntryModel.js';
+import Payment from '../models/PaymentModel.js';
+import Event from '../models/EventModel.js';
+import Session from '../models/SessionModel.js';
+import RefreshToken from '../models/RefreshTokenModel.js';
+import PasswordResetToken from '../models/PasswordResetTokenModel.js';
+import LoginAttempt from '../models/LoginAttemptModel.js';
+import { accountKey } from './loginThrottleService.js';
+import { cleanupCloudinaryImage } from './facebookImageUtils.js';
+import { deleteClubCascade } from './clubCleanup.js';
+
+/**
+ * Account Deletion Service
+ * Deletion is requested by the user, held for a grace period (so it can be
+ * cancelled) and then purged: personal records are deleted and shared club
+ * records are anonymized.
+ */
+
+const DEFAULT_GRACE_DAYS = 30;
+
+// Read lazily - dotenv is configured after module imports are evaluated
+export function getDeletionGraceDays() {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+/**
+ * Clubs that would be left without an admin if this user disappeared
+ * @param {String} userId - User ID
+ * @returns {Array} Clubs ({ _id, clubName }) where the user is the only admin and other members remain
+ */
+export async function findClubsBlockingDeletion(userId) {
+  const adminMemberships = await Member.find({ user: userId, roles: 'admin' }).select('club');
+  const blocking = [];
+
+  for (const membership of adminMemberships) {
+    const [otherAdmins, otherMembers] = await Promise.all([
+      Member.countDocuments({ club: membership.club, roles: 'admin', user: { $ne: userId } }),
+      Member.countDocuments({ club: membership.club, user: { $ne: userId } }),
+    ]);
+    if (otherAdmins === 0 && otherMembers > 0) {
+      const club = await Club.findById(membership.club).select('clubName');
+      if (club) {
+        blocking.push({ _id: club._id, clubName: club.clubName });
+      }
+    }
+  }
+
+  return blocking;
+}
+
+/**
+ * Permanently remove a user and everything that identifies them
+ * @param {String} userId - User ID
+ */
+export async function purgeUserAccount(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    return;
+  }
+
+  // Clubs where the user is the only member go with them
+  const memberships = await Member.find({ user: userId });
+  for (const membership of memberships) {
+    const others = await Member.countDocuments({ club: membership.club, user: { $ne: userId } });
+    if (others === 0) {
+      const club = await Club.findById(membership.club);
+      if (club) {
+        await deleteClubCascade(club);
+      }
+    }
+  }
+
+  // Clubs must keep an admin - hand the role to the longest-standing member
+  for (const membership of memberships.filter((m) => m.roles.includes('admin'))) {
+    const otherAdmins = await Member.countDocuments({
+      club: membership.club,
+      roles: 'admin',
+      user: { $ne: userId },
+    });
+    if (otherAdmins === 0) {
+      await Member.findOneAndUpdate(
+        { club: membership.club, user: { $ne: userId } },
+        { $addToSet: { roles: 'admin' } },
+        { sort: { joinedDate: 1 } }
+      );
+    }
+  }
+
+  // Owned clubs pass to the longest-standing remaining admin
+  const ownedClubs = await Club.find({ createdBy: userId });
+  for (const club of ownedClubs) {
+    const nextOwner = await Member.findOne(
+      { club: club._id, roles: 'admin', user: { $ne: userId } },
+      null,
+      { sort: { joinedDate: 1 } }
+    );
+    if (nextOwner) {
+      club.createdBy = nextOwner.user;
+      club.ownershipTransfer = undefined;
+      await club.save();
+    }
+  }
+  await Club.updateMany({ 'ownershipTransfer.to': userId }, { $unset: { ownershipTransfer: 1 } });
+
+  const remainingMemberships = await Member.find({ user: userId }).select('_id');
+  const memberIds = remainingMemberships.map((m) => m._id);
+  if (memberIds.length > 0) {
+    await Club.updateMany(
+      { members: { $in: memberIds } },
+      { $pull: { members: { $in: memberIds } } }
+    );
+    await Member.deleteMany({ _id: { $in: memberIds } });
+  }
+
+  const joinRequests = await JoinRequest.find({ user: userId }).select('_id');
+  const joinRequestIds = joinRequests.map((r) => r._id);
+  if (joinRequestIds.length > 0) {
+    await Club.updateMany(
+      { joinRequests: { $in: joinRequestIds } },
+      { $pull: { joinRequests: { $in: joinRequestIds } } }
+    );
+    await JoinRequest.deleteMany({ _id: { $in: joinRequestIds } });
+  }
+
+  await Promise.all([
+    ClaimRequest.deleteMany({ user: userId }),
+    // Official member records belong to the club - only the link to the account goes
+    OfficialMember.updateMany(
+      { claimedBy: userId },
+      { $unset: { claimedBy: 1, claimedAt: 1 } }
+    ),
+    Notification.deleteMany({ recipient: userId }),
+    // Other people's history keeps the entry without naming who made the change
+    MembershipEvent.deleteMany({ user: userId }),
+    MembershipEvent.updateMany({ actor: userId }, { actor: null }),
+    ClubBan.deleteMany({ user: userId }),
+    ClubBan.updateMany({ bannedBy: userId }, { bannedBy: null }),
+    ClubBan.updateMany({ liftedBy: userId }, { liftedBy: null }),
+    ClubVerificationRequest.updateMany({ requestedBy: userId }, { requestedBy: null }),
+    ClubVerificationRequest.updateMany({ reviewedBy: userId }, { reviewedBy: null }),
+    ClubBylaws.updateMany({ publishedBy: userId }, { publishedBy: null }),
+    // Club audit logs keep the entry without naming who made or received the change
+    ClubAuditEntry.updateMany({ actor: userId }, { actor: null }),
+    ClubAuditEntry.updateMany({ targetUser: userId }, { targetUser: null, targetLabel: '' }),
+    Notification.updateMany({ sender: userId }, { sender: null }),
+    // Payments stay in the club's books without the submitter
+    Payment.updateMany({ createdBy: userId }, { $unset: { createdBy: 1 } }),
+    Event.updateMany(
+      { attendees: userId },
+      { $pull: { attendees: userId }, $inc: { attendeeCount: -1 } }
+    ),
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    PasswordResetToken.deleteMany({ user: userId }),
+    LoginAttempt.deleteOne({ key: accountKey(user.email) }),
+  ]);
+
+  if (user.profilePhoto && user.profilePhoto.includes('cloudinary.com')) {
+    try {
+      await cleanupCloudinaryImage(user.profilePhoto);
+    } catch (error) {
+      console.warn('Failed to delete profile photo from cloudinary:', error.message);
+    }
+  }
+
+  await User.deleteOne({ _id: userId });
+}
+
+/**
+ * Purge every account whose grace period has ended
+ * @returns {Number} Number of accounts purged
+ */
+export async function purgeDueAccountDeletions() {
+  const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } }).select('_id');
+
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      await purgeUserAccount(_id);
+      purged++;
+    } catch (error) {
+      console.error(`Failed to purge account ${_id}:`, error);
+    }
+  }
+
+  return purged;
+}
@@ -0,0 +1,312 @@
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import Event from '../models/EventModel.js';
+import Collection from '../models/CollectionModel.js';
+import Payment from '../models/PaymentModel.js';
+import OfficialMember from '../models/OfficialMemberModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import CSVService from './csvService.js';
+
+/**
+ * Club Analytics
+ * Aggregations behind GET /api/club/:clubId/analytics. Monthly figures are
+ * bucketed by UTC calendar month ('YYYY-MM').
+ */
+
+const DEFAULT_RANGE_MONTHS = 12;
+const MAX_RANGE_DAYS = 5 * 366;
+const HOUR_MS = 60 * 60 * 1000;
+
+const MONTH_BUCKET = (field) => ({ $dateToString: { format: '%Y-%m', date: field } });
+
+/**
+ * Read ?from= and ?to= (ISO dates). Defaults to the last 12 calendar months up to now.
+ * @param {Object} query - req.query
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} { from, to } or { error }
+ */
+export function parseDateRange(query = {}, now = new Date()) {
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - (DEFAULT_RANGE_MONTHS - 1), 1));
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+  if (to - from > MAX_RANGE_DAYS * 24 * HOUR_MS) {
+    return { error: 'The date range can be at most 5 years' };
+  }
+  return { from, to };
+}
+
+/**
+ * Every month touched by a date range
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<String>} 'YYYY-MM' keys, oldest first
+ */
+export function monthKeys(from, to) {
+  const keys = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (cursor <= to) {
+    keys.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return keys;
+}
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+async function getMemberGrowth(clubId, from, to) {
+  const buckets = await Member.aggregate([
+    { $match: { club: clubId, joinedDate: { $lte: to } } },
+    {
+      $group: {
+        _id: { $cond: [{ $lt: ['$joinedDate', from] }, 'before', MONTH_BUCKET('$joinedDate')] },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = new Map(buckets.map((b) => [b._id, b.count]));
+  let total = counts.get('before') || 0;
+  const growth = monthKeys(from, to).map((month) => {
+    const joined = counts.get(month) || 0;
+    total += joined;
+    return { month, joined, total };
+  });
+
+  return { startingTotal: counts.get('before') || 0, total, growth };
+}
+
+async function getJoinRequestStats(clubId, from, to) {
+  const [byType, pending] = await Promise.all([
+    MembershipEvent.aggregate([
+      {
+        $match: {
+          club: clubId,
+          type: { $in: ['request_submitted', 'request_approved', 'request_rejected'] },
+          createdAt: { $gte: from, $lte: to },
+        },
+      },
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          // Decisions record when the request was submitted; older entries don't and are skipped
+          averageLatencyMs: { $avg: { $subtract: ['$createdAt', '$data.submittedAt'] } },
+        },
+      },
+    ]),
+    JoinRequest.countDocuments({ club: clubId, status: 'pending' }),
+  ]);
+
+  const stats = Object.fromEntries(byType.map((b) => [b._id, b]));
+  const approved = stats.request_approved?.count || 0;
+  const rejected = stats.request_rejected?.count || 0;
+  const decided = approved + rejected;
+
+  const latencies = [stats.request_approved, stats.request_rejected].filter(
+    (s) => s && s.averageLatencyMs !== null
+  );
+  const latencyMs = latencies.length > 0
+    ? latencies.reduce((sum, s) => sum + s.averageLatencyMs * s.count, 0) /
+      latencies.reduce((sum, s) => sum + s.count, 0)
+    : null;
+
+  return {
+    submitted: stats.request_submitted?.count || 0,
+    approved,
+    rejected,
+    pending,
+    approvalRate: decided > 0 ? round(approved / decided, 4) : null,
+    averageDecisionHours: latencyMs === null ? null : round(latencyMs / HOUR_MS, 1),
+  };
+}
+
+async function getEventStats(clubId, from, to) {
+  const byType = await Event.aggregate([
+    { $match: { club: clubId, startTime: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$eventType', 'event'] },
+        count: { $sum: 1 },
+        attendees: { $sum: { $ifNull: ['$attendeeCount', 0] } },
+      },
+    },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+
+  return {
+    total: byType.reduce((sum, b) => sum + b.count, 0),
+    byType: byType.map((b) => ({
+      eventType: b._id,
+      count: b.count,
+      attendees: b.attendees,
+      averageAttendees: round(b.attendees / b.count, 1),
+    })),
+  };
+}
+
+async function getCollectionStats(clubId, from, to) {
+  const collections = await Collection.find({ club: clubId, createdAt: { $gte: from, $lte: to } })
+    .select('name status targetAmount createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const totals = await Payment.aggregate([
+    {
+      $match: {
+        collection: { $in: collections.map((c) => c._id) },
+        status: { $in: ['confirmed', 'pending'] },
+      },
+    },
+    { $group: { _id: { collection: '$collection', status: '$status' }, amount: { $sum: '$amount' } } },
+  ]);
+
+  const amountFor = (collectionId, status) =>
+    totals.find((t) => t._id.collection.equals(collectionId) && t._id.status === status)?.amount || 0;
+
+  const items = collections.map((collection) => {
+    const confirmedAmount = amountFor(collection._id, 'confirmed');
+    return {
+      _id: collection._id,
+      name: collection.name,
+      status: collection.status,
+      targetAmount: collection.targetAmount ?? null,
+      confirmedAmount,
+      pendingAmount: amountFor(collection._id, 'pending'),
+      progress: collection.targetAmount > 0 ? round(confirmedAmount / collection.targetAmount, 4) : null,
+    };
+  });
+
+  return {
+    targetTotal: items.reduce((sum, c) => sum + (c.targetAmount || 0), 0),
+    confirmedTotal: items.reduce((sum, c) => sum + c.confirmedAmount, 0),
+    pendingTotal: items.reduce((sum, c) => sum + c.pendingAmount, 0),
+    items,
+  };
+}
+
+async function getOfficialMemberStats(clubId) {
+  const [stats] = await OfficialMember.aggregate([
+    { $match: { club: clubId } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        claimed: { $sum: { $cond: [{ $ifNull: ['$claimedBy', false] }, 1, 0] } },
+        active: { $sum: { $cond: [{ $eq: ['$isActive', false] }, 0, 1] } },
+      },
+    },
+  ]);
+
+  const total = stats?.total || 0;
+  const claimed = stats?.claimed || 0;
+  return { total, claimed, unclaimed: total - claimed, active: stats?.active || 0 };
+}
+
+/**
+ * Current members who did something in the club each month: created an event,
+ * submitted a payment, or joined / reviewed / managed members
+ */
+async function getActiveMembersByMonth(clubId, from, to) {
+  const memberUserIds = (await Member.find({ club: clubId }).select('user').lean()).map((m) => m.user);
+  const inRange = { club: clubId, createdAt: { $gte: from, $lte: to } };
+
+  const buckets = await Event.aggregate([
+    { $match: inRange },
+    { $project: { user: '$createdBy', at: '$createdAt' } },
+    {
+      $unionWith: {
+        coll: Payment.collection.collectionName,
+        pipeline: [{ $match: inRange }, { $project: { user: '$createdBy', at: '$createdAt' } }],
+      },
+    },
+    {
+      $unionWith: {
+        coll: MembershipEvent.collection.collectionName,
+        pipeline: [{ $match: inRange }, { $project: { user: '$actor', at: '$createdAt' } }],
+      },
+    },
+    { $match: { user: { $in: memberUserIds } } },
+    { $group: { _id: MONTH_BUCKET('$at'), users: { $addToSet: '$user' } } },
+    { $project: { count: { $size: '$users' } } },
+  ]);
+
+  const counts = new Map(buckets.map((b) => [b._id, b.count]));
+  return monthKeys(from, to).map((month) => ({ month, count: counts.get(month) || 0 }));
+}
+
+/**
+ * Everything the analytics dashboard shows for a club
+ * @param {Object} club - Club document
+ * @param {Object} range - { from, to } from parseDateRange
+ * @returns {Object} Report
+ */
+export async function buildClubAnalytics(club, { from, to }) {
+  const clubId = club._id;
+  const [members, joinRequests, events, collections, officialMembers, activeMembers] = await Promise.all([
+    getMemberGrowth(clubId, from, to),
+    getJoinRequestStats(clubId, from, to),
+    getEventStats(clubId, from, to),
+    getCollectionStats(clubId, from, to),
+    getOfficialMemberStats(clubId),
+    getActiveMembersByMonth(clubId, from, to),
+  ]);
+
+  return {
+    club: { _id: club._id, clubName: club.clubName },
+    range: { from, to },
+    members,
+    joinRequests,
+    events,
+    collections,
+    officialMembers,
+    activeMembers,
+  };
+}
+
+/**
+ * Flatten a report into one CSV table: section,item,metric,value
+ * @param {Object} report - From buildClubAnalytics
+ * @returns {String} CSV
+ */
+export function analyticsToCSV(report) {
+  const rows = [];
+  const add = (section, item, metric, value) => rows.push([section, item, metric, value ?? '']);
+
+  for (const { month, joined, total } of report.members.growth) {
+    add('member_growth', month, 'joined', joined);
+    add('member_growth', month, 'total', total);
+  }
+  for (const [metric, value] of Object.entries(report.joinRequests)) {
+    add('join_requests', '', metric, value);
+  }
+  for (const { eventType, count, attendees } of report.events.byType) {
+    add('events', eventType, 'count', count);
+    add('events', eventType, 'attendees', attendees);
+  }
+  for (const { name, targetAmount, confirmedAmount, pendingAmount } of report.collections.items) {
+    add('collections', name, 'target', targetAmount);
+    add('collections', name, 'confirmed', confirmedAmount);
+    add('collections', name, 'pending', pendingAmount);
+  }
+  for (const [metric, value] of Object.entries(report.officialMembers)) {
+    add('official_members', '', metric, value);
+  }
+  for (const { month, count } of report.activeMembers) {
+    add('active_members', month, 'count', count);
+  }
+
+  return [
+    'section,item,metric,value',
+    ...rows.map((row) => row.map((field) => CSVService.escapeCSVField(field)).join(',')),
+  ].join('\n');
+}
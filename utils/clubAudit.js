@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import ClubAuditEntry from '../models/ClubAuditEntryModel.js';
+
+/**
+ * Club Audit Log
+ * Records admin actions with a field-level before/after diff. Take a snapshot
+ * of the fields an action may touch before changing the document, another one
+ * after, and hand both to recordAuditEntry.
+ */
+
+// Fields worth auditing on each kind of target
+export const AUDITED_FIELDS = {
+  club: [
+    'clubName', 'slug', 'description', 'location', 'region', 'isPrivate', 'requireVerifiedEmail',
+    'requireAdminTwoFactor', 'rejoinCooldownDays', 'geolocation', 'logoUrl', 'verified',
+    'ridingStyles', 'brands', 'displacementClasses', 'tags',
+  ],
+  officialMember: [
+    'officialNumber', 'firstName', 'lastName', 'address', 'plateNumber', 'description',
+    'metadata', 'photoUrl', 'isActive', 'claimedBy',
+  ],
+  collection: ['name', 'description', 'targetAmount', 'status', 'visibility'],
+};
+
+/**
+ * Plain JSON-friendly copy of a value so diffs compare and store cleanly
+ * @param {*} value
+ * @returns {*}
+ */
+function toAuditValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Map) return toAuditValue(Object.fromEntries(value));
+  if (typeof value.toObject === 'function') return toAuditValue(value.toObject());
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== '_id')
+        .map(([key, item]) => [key, toAuditValue(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Copy the given fields of a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Array<String>} fields
+ * @returns {Object} { field: value }
+ */
+export function snapshot(doc, fields) {
+  return Object.fromEntries(fields.map((field) => [field, toAuditValue(doc?.get?.(field) ?? doc?.[field])]));
+}
+
+/**
+ * Fields whose value differs between two snapshots
+ * @param {Object|null} before - null for created targets
+ * @param {Object|null} after - null for deleted targets
+ * @returns {Array} [{ field, before, after }]
+ */
+export function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const field of fields) {
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Add an entry to a club's audit log. Auditing is best effort - a failed
+ * write never fails the request. Updates that changed nothing are skipped.
+ * @param {Object} entry - { club, actor, action, targetId?, targetLabel?, targetUser?, before?, after?, data? }
+ */
+export async function recordAuditEntry({
+  club,
+  actor = null,
+  action,
+  targetId = null,
+  targetLabel = '',
+  targetUser = null,
+  before = null,
+  after = null,
+  data = {},
+}) {
+  try {
+    const changes = diffSnapshots(before, after);
+    if (action.endsWith('.updated') && changes.length === 0) return;
+
+    await ClubAuditEntry.create({
+      club: club?._id ?? club,
+      actor: actor?._id ?? actor,
+      action,
+      targetType: action.split('.')[0],
+      targetId: targetId?._id ?? targetId,
+      targetLabel,
+      targetUser: targetUser?._id ?? targetUser,
+      changes,
+      data,
+    });
+  } catch (error) {
+    console.error(`Failed to record audit entry ${action}:`, error);
+  }
+}
+
+/**
+ * Turn the audit log query string into a find filter
+ * Query: action (comma list; 'member' matches every member.* action), actor,
+ * targetType, targetId, targetUser, from, to (ISO dates)
+ * @param {ObjectId} clubId
+ * @param {Object} query - req.query
+ * @returns {Object} { filter } or { errors: [{ field, message }] }
+ */
+export function buildAuditLogFilter(clubId, query = {}) {
+  const filter = { club: clubId };
+  const errors = [];
+  const actions = ClubAuditEntry.schema.path('action').enumValues;
+  const targetTypes = ClubAuditEntry.schema.path('targetType').enumValues;
+
+  if (query.action) {
+    const requested = String(query.action).split(',').map((action) => action.trim()).filter(Boolean);
+    const matched = actions.filter((action) =>
+      requested.some((item) => action === item || (!item.includes('.') && action.startsWith(`${item}.`)))
+    );
+    if (matched.length === 0) {
+      errors.push({ field: 'action', message: `action must be one of ${actions.join(', ')} or a target type` });
+    }
+    filter.action = { $in: matched };
+  }
+
+  if (query.targetType) {
+    if (!targetTypes.includes(query.targetType)) {
+      errors.push({ field: 'targetType', message: `targetType must be one of ${targetTypes.join(', ')}` });
+    }
+    filter.targetType = query.targetType;
+  }
+
+  for (const field of ['actor', 'targetId', 'targetUser']) {
+    if (query[field] === undefined) continue;
+    if (!mongoose.Types.ObjectId.isValid(query[field])) {
+      errors.push({ field, message: `${field} must be a valid ID` });
+      continue;
+    }
+    filter[field] = new mongoose.Types.ObjectId(String(query[field]));
+  }
+
+  for (const [field, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[field]) continue;
+    const date = new Date(query[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field, message: `${field} must be a valid date` });
+      continue;
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+  if (filter.createdAt?.$gte > filter.createdAt?.$lte) {
+    errors.push({ field: 'from', message: 'from must be before to' });
+  }
+
+  return errors.length > 0 ? { errors } : { filter };
+}
+
+/**
+ * Display label for an official member
+ * @param {Object} officialMember
+ * @returns {String} e.g. '#001 Juan Cruz'
+ */
+export function officialMemberLabel(officialMember) {
+  const name = [officialMember.firstName, officialMember.lastName].filter(Boolean).join(' ');
+  return `#${officialMember.officialNumber} ${name}`.trim();
+}
@@ -0,0 +1,46 @@
+import ClubBan from '../models/ClubBanModel.js';
+
+/**
+ * Club Bans
+ * Looking up whether someone is currently banned from a club.
+ */
+
+export const CLUB_BANNED_MESSAGE = 'You are banned from this club';
+
+// Unlifted bans that are permanent or haven't run out yet
+export function activeBanQuery(now = new Date()) {
+  return {
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+}
+
+/**
+ * The ban currently keeping a user out of a club
+ * @param {Object|String} club - Club document or ID
+ * @param {Object|String} user - User document or ID
+ * @returns {Object|null} ClubBan document
+ */
+export async function getActiveBan(club, user) {
+  if (!club || !user) {
+    return null;
+  }
+  return ClubBan.findOne({
+    club: club._id ?? club,
+    user: user._id ?? user,
+    ...activeBanQuery(),
+  });
+}
+
+/**
+ * Error body for a request refused because of a ban
+ * @param {Object} ban - ClubBan document
+ * @returns {Object} { message, reason, expiresAt }
+ */
+export function banErrorBody(ban) {
+  return {
+    message: CLUB_BANNED_MESSAGE,
+    reason: ban.reason || undefined,
+    expiresAt: ban.expiresAt,
+  };
+}
@@ -0,0 +1,70 @@
+import ClubBylaws from '../models/ClubBylawsModel.js';
+
+/**
+ * Club Bylaws
+ * Members accept the current bylaws version when they join (joinClub, invites)
+ * or apply (approveJoinRequest copies the applicant's acceptance).
+ */
+
+/**
+ * The latest published version, or null when the club has no bylaws
+ * @param {ObjectId|String} clubId
+ * @returns {Object|null} ClubBylaws document
+ */
+export async function getCurrentBylaws(clubId) {
+  return ClubBylaws.findOne({ club: clubId }).sort({ version: -1 });
+}
+
+/**
+ * Latest version a member accepted
+ * @param {Object} member - Member document
+ * @returns {Object|null} { version, acceptedAt }
+ */
+export function getLatestAcceptance(member) {
+  const acceptances = member?.bylawsAcceptances || [];
+  return acceptances.reduce(
+    (latest, acceptance) => (!latest || acceptance.version > latest.version ? acceptance : latest),
+    null
+  );
+}
+
+/**
+ * Check the acceptBylawsVersion sent with a join, application or invite redemption
+ * @param {Object|null} bylaws - From getCurrentBylaws
+ * @param {Object} body - req.body
+ * @returns {Object|null} Error body for a 400 response, or null when nothing is missing
+ */
+export function checkBylawsAcceptance(bylaws, body = {}) {
+  if (!bylaws) return null;
+  if (Number(body?.acceptBylawsVersion) === bylaws.version) return null;
+
+  return {
+    message: `Please read and accept the club's bylaws (version ${bylaws.version}) to join`,
+    bylaws: { _id: bylaws._id, version: bylaws.version, title: bylaws.title },
+  };
+}
+
+/**
+ * Acceptance entry to store on a Member or JoinRequest
+ * @param {Object|null} bylaws - From getCurrentBylaws
+ * @returns {Object|undefined} { version, acceptedAt }
+ */
+export function acceptanceFor(bylaws) {
+  return bylaws ? { version: bylaws.version, acceptedAt: new Date() } : undefined;
+}
+
+/**
+ * Bylaws part of the membership status response
+ * @param {Object|null} bylaws - From getCurrentBylaws
+ * @param {Number|undefined} acceptedVersion - Latest version the user accepted
+ * @returns {Object|null}
+ */
+export function formatBylawsStatus(bylaws, acceptedVersion) {
+  if (!bylaws) return null;
+  return {
+    currentVersion: bylaws.version,
+    title: bylaws.title,
+    acceptedVersion: acceptedVersion ?? null,
+    needsAcceptance: acceptedVersion !== bylaws.version,
+  };
+}
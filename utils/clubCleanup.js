@@ -0,0 +1,166 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import Event from '../models/EventModel.js';
+import OfficialMember from '../models/OfficialMemberModel.js';
+import ClaimRequest from '../models/ClaimRequestModel.js';
+import Collection from '../models/CollectionModel.js';
+import Payment from '../models/PaymentModel.js';
+import Notification from '../models/NotificationModel.js';
+import ClubInvite from '../models/ClubInviteModel.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import ClubBan from '../models/ClubBanModel.js';
+import ClubVerificationRequest from '../models/ClubVerificationRequestModel.js';
+import ClubBylaws from '../models/ClubBylawsModel.js';
+import ClubAuditEntry from '../models/ClubAuditEntryModel.js';
+import cloudinary from './cloudinary.js';
+import { destroyVerificationDocuments } from './clubVerification.js';
+
+/**
+ * Club Cleanup
+ * Removing a club or event together with everything that hangs off it.
+ */
+
+const DEFAULT_CLUB_DELETION_GRACE_DAYS = 14;
+
+// Read lazily - dotenv is configured after module imports are evaluated
+export function getClubDeletionGraceDays() {
+  const days = parseInt(process.env.CLUB_DELETION_GRACE_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_CLUB_DELETION_GRACE_DAYS;
+}
+
+// Archived clubs are left out of listings and can't be joined
+export const NOT_ARCHIVED = { 'deletion.scheduledFor': { $exists: false } };
+
+/**
+ * Keep an archived club read-only until its deletion is cancelled
+ * @param {Object} club - Club document
+ * @param {Object} res - Express response
+ * @returns {Boolean} True when a 400 was sent and the handler should stop
+ */
+export function rejectIfArchived(club, res) {
+  if (!club?.deletion?.scheduledFor) return false;
+  res.status(400).json({ message: 'This club is scheduled for deletion' });
+  return true;
+}
+
+/**
+ * Best effort delete of Cloudinary assets - a failed delete never blocks removal
+ * @param {Array<String>} publicIds - Cloudinary public IDs (falsy entries are skipped)
+ */
+export async function destroyCloudinaryAssets(publicIds) {
+  for (const publicId of publicIds.filter(Boolean)) {
+    try {
+      await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+      console.warn(`Failed to delete Cloudinary asset ${publicId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Delete an event and its image
+ * @param {Object} event - Event document
+ */
+export async function deleteEventCascade(event) {
+  await destroyCloudinaryAssets([event.imagePublicId]);
+  await Event.deleteOne({ _id: event._id });
+}
+
+/**
+ * Delete a club and every document that belongs to it, including Cloudinary assets
+ * @param {Object} club - Club document
+ * @returns {Object} Number of deleted documents per collection
+ */
+export async function deleteClubCascade(club) {
+  const clubId = club._id;
+
+  const [events, officialMembers, payments, verificationRequests] = await Promise.all([
+    Event.find({ club: clubId }).select('imagePublicId'),
+    OfficialMember.find({ club: clubId }).select('photoPublicId'),
+    Payment.find({ club: clubId }).select('receiptPublicId'),
+    ClubVerificationRequest.find({ club: clubId }).select('documents'),
+  ]);
+
+  await destroyCloudinaryAssets([
+    club.logoPublicId,
+    ...events.map((e) => e.imagePublicId),
+    ...officialMembers.map((m) => m.photoPublicId),
+    ...payments.map((p) => p.receiptPublicId),
+  ]);
+  await destroyVerificationDocuments(verificationRequests.flatMap((r) => r.documents));
+
+  const [
+    memberResult,
+    joinRequestResult,
+    eventResult,
+    officialMemberResult,
+    claimRequestResult,
+    collectionResult,
+    paymentResult,
+    notificationResult,
+    inviteResult,
+    membershipEventResult,
+    banResult,
+    verificationRequestResult,
+    bylawsResult,
+    auditEntryResult,
+  ] = await Promise.all([
+    Member.deleteMany({ club: clubId }),
+    JoinRequest.deleteMany({ club: clubId }),
+    Event.deleteMany({ club: clubId }),
+    OfficialMember.deleteMany({ club: clubId }),
+    ClaimRequest.deleteMany({ club: clubId }),
+    Collection.deleteMany({ club: clubId }),
+    Payment.deleteMany({ club: clubId }),
+    Notification.deleteMany({ club: clubId }),
+    ClubInvite.deleteMany({ club: clubId }),
+    MembershipEvent.deleteMany({ club: clubId }),
+    ClubBan.deleteMany({ club: clubId }),
+    ClubVerificationRequest.deleteMany({ club: clubId }),
+    ClubBylaws.deleteMany({ club: clubId }),
+    ClubAuditEntry.deleteMany({ club: clubId }),
+  ]);
+
+  // Chapters carry on as independent clubs
+  await Club.updateMany({ parentClub: clubId }, { parentClub: null, $unset: { chapterNumber: 1 } });
+
+  await Club.deleteOne({ _id: clubId });
+
+  return {
+    members: memberResult.deletedCount,
+    joinRequests: joinRequestResult.deletedCount,
+    events: eventResult.deletedCount,
+    officialMembers: officialMemberResult.deletedCount,
+    claimRequests: claimRequestResult.deletedCount,
+    collections: collectionResult.deletedCount,
+    payments: paymentResult.deletedCount,
+    notifications: notificationResult.deletedCount,
+    invites: inviteResult.deletedCount,
+    membershipEvents: membershipEventResult.deletedCount,
+    bans: banResult.deletedCount,
+    verificationRequests: verificationRequestResult.deletedCount,
+    bylaws: bylawsResult.deletedCount,
+    auditEntries: auditEntryResult.deletedCount,
+  };
+}
+
+/**
+ * Purge every club whose archive period has ended
+ * @returns {Number} Number of clubs purged
+ */
+export async function purgeDueClubDeletions() {
+  const due = await Club.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+
+  let purged = 0;
+  for (const club of due) {
+    try {
+      await deleteClubCascade(club);
+      purged++;
+    } catch (error) {
+      console.error(`Failed to purge club ${club._id}:`, error);
+    }
+  }
+
+  return purged;
+}
@@ -0,0 +1,148 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import { NOT_ARCHIVED } from './clubCleanup.js';
+import {
+  meetsClubTwoFactorPolicy,
+  CLUB_TWO_FACTOR_REQUIRED_MESSAGE,
+} from './twoFactorService.js';
+
+/**
+ * Club Hierarchy
+ * National organizations link their regional clubs as chapters through
+ * Club.parentClub. Chapters can have chapters of their own, up to
+ * MAX_HIERARCHY_DEPTH levels. Admins of any club above a chapter are its
+ * national admins and can manage the chapter's admins.
+ */
+
+export const MAX_HIERARCHY_DEPTH = 4;
+
+/**
+ * Clubs above a club, nearest first
+ * @param {Object} club - Club document (parentClub)
+ * @returns {Array} Club IDs
+ */
+export async function getAncestorIds(club) {
+  const ancestors = [];
+  let parentId = club.parentClub;
+  while (parentId && ancestors.length < MAX_HIERARCHY_DEPTH) {
+    ancestors.push(parentId);
+    const parent = await Club.findById(parentId).select('parentClub');
+    parentId = parent?.parentClub;
+  }
+  return ancestors;
+}
+
+/**
+ * Every chapter below a club, at any depth. Chapters scheduled for deletion
+ * are left out, along with the chapters below them.
+ * @param {String} clubId - Club ID
+ * @returns {Array} Club IDs (not including clubId)
+ */
+export async function getChapterIds(clubId) {
+  const chapterIds = [];
+  let frontier = [clubId];
+  for (let depth = 0; depth < MAX_HIERARCHY_DEPTH && frontier.length > 0; depth++) {
+    const chapters = await Club.find({ parentClub: { $in: frontier }, ...NOT_ARCHIVED }).select('_id');
+    frontier = chapters.map((c) => c._id);
+    chapterIds.push(...frontier);
+  }
+  return chapterIds;
+}
+
+/**
+ * Levels of chapters below a club (0 when it has none)
+ * @param {String} clubId - Club ID
+ * @returns {Number}
+ */
+export async function getHierarchyHeight(clubId) {
+  let height = 0;
+  let frontier = [clubId];
+  while (height < MAX_HIERARCHY_DEPTH) {
+    const chapters = await Club.find({ parentClub: { $in: frontier } }).select('_id');
+    if (chapters.length === 0) break;
+    frontier = chapters.map((c) => c._id);
+    height++;
+  }
+  return height;
+}
+
+/**
+ * Whether a user is an admin of a club above this one. The club that makes them
+ * a national admin must also be satisfied with their two-factor setup.
+ * @param {Object|String} user - User document or ID
+ * @param {Object} club - Club document (parentClub)
+ * @returns {Object} { allowed, error?, member? } - member is their admin membership above
+ */
+export async function checkNationalAdmin(user, club) {
+  const userId = user?._id ?? user;
+  const ancestorIds = await getAncestorIds(club);
+  if (ancestorIds.length === 0) {
+    return { allowed: false, error: 'This club is not a chapter of another club' };
+  }
+
+  const memberships = await Member.find({
+    user: userId,
+    club: { $in: ancestorIds },
+    roles: 'admin',
+  });
+  if (memberships.length === 0) {
+    return { allowed: false, error: 'Only admins of a parent club can do this' };
+  }
+
+  for (const membership of memberships) {
+    if (await meetsClubTwoFactorPolicy(membership.club, userId)) {
+      return { allowed: true, member: membership };
+    }
+  }
+  return { allowed: false, error: CLUB_TWO_FACTOR_REQUIRED_MESSAGE };
+}
+
+/**
+ * Chapter numbers follow the rules for official numbers: 1-20 characters
+ * @param {*} value - Proposed chapter number
+ * @returns {String|null} Error message
+ */
+export function validateChapterNumber(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return 'Chapter number must be text or a number';
+  }
+  const trimmed = String(value).trim();
+  if (trimmed.length < 1 || trimmed.length > 20) {
+    return 'Chapter number must be between 1 and 20 characters';
+  }
+  return null;
+}
+
+/**
+ * Whether a chapter number is free under a parent club
+ * @param {String} parentId - Parent club ID
+ * @param {String} chapterNumber - Chapter number
+ * @param {String} excludeId - Chapter to ignore (when renumbering)
+ * @returns {Boolean}
+ */
+export async function isChapterNumberAvailable(parentId, chapterNumber, excludeId = null) {
+  const query = { parentClub: parentId, chapterNumber };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return !(await Club.exists(query));
+}
+
+/**
+ * Next chapter number under a parent club, numbered like official members
+ * (highest numeric value + 1, so "001", "7" and "12" give "13")
+ * @param {String} parentId - Parent club ID
+ * @returns {String}
+ */
+export async function getNextChapterNumber(parentId) {
+  const chapters = await Club.find({ parentClub: parentId }).select('chapterNumber').lean();
+
+  let maxNumber = 0;
+  for (const chapter of chapters) {
+    const numericValue = parseInt(chapter.chapterNumber, 10);
+    if (!isNaN(numericValue) && numericValue > maxNumber) {
+      maxNumber = numericValue;
+    }
+  }
+  return String(maxNumber + 1);
+}
@@ -0,0 +1,184 @@
+import Club from '../models/ClubModel.js';
+import Member from '../models/MemberModel.js';
+import {
+  meetsClubTwoFactorPolicy,
+  CLUB_TWO_FACTOR_REQUIRED_MESSAGE,
+} from './twoFactorService.js';
+
+/**
+ * Club Permissions
+ * Every member holds the built-in 'member' role and 'admin' grants everything.
+ * Clubs define their own roles (president, treasurer, road captain, ...) as named
+ * permission sets on Club.customRoles and assign them through Member.roles.
+ */
+
+export const CLUB_PERMISSIONS = {
+  'club.edit': 'Edit club details and logo',
+  'members.approve': 'Review join requests',
+  'members.remove': 'Remove and ban members',
+  'members.invite': 'Create and revoke invite links and codes',
+  'roles.manage': 'Create roles and assign them to members',
+  'analytics.view': 'View club analytics and download reports',
+  'bylaws.manage': 'Publish bylaws and see who has not accepted them',
+  'audit.view': 'See the log of admin actions',
+  'events.create': 'Create club events',
+  'official_members.view': 'View the official roster when it is restricted to admins',
+  'official_members.edit': 'Add, edit, import and export official members and review claims',
+  'collections.manage': 'Create, edit and delete collections',
+  'payments.record': 'Record payments in members-only collections',
+  'payments.confirm': 'Confirm or reject payments',
+  'payments.delete': 'Delete payments',
+};
+
+export const BUILT_IN_ROLES = ['member', 'admin'];
+
+// What the built-in 'member' role can do until a club changes it
+export const DEFAULT_MEMBER_PERMISSIONS = ['events.create'];
+
+export function isValidPermission(permission) {
+  return Object.prototype.hasOwnProperty.call(CLUB_PERMISSIONS, permission);
+}
+
+export function getMemberPermissions(club) {
+  return club.memberPermissions ?? DEFAULT_MEMBER_PERMISSIONS;
+}
+
+/**
+ * Every permission a set of roles grants in a club
+ * @param {Object} club - Club document (customRoles, memberPermissions)
+ * @param {Array<String>} roles - Member.roles
+ * @returns {Array<String>} Permission keys
+ */
+export function getEffectivePermissions(club, roles = []) {
+  if (roles.includes('admin')) {
+    return Object.keys(CLUB_PERMISSIONS);
+  }
+
+  const granted = new Set(getMemberPermissions(club));
+  for (const role of club.customRoles || []) {
+    if (roles.includes(role.key)) {
+      role.permissions.forEach((permission) => granted.add(permission));
+    }
+  }
+  return [...granted];
+}
+
+/**
+ * Members who aren't admins can only hand out permissions they hold themselves
+ * @param {Object} club - Club document
+ * @param {Object} actorMember - Member doing the granting
+ * @param {Array<String>} permissions - Permissions being granted or changed
+ * @returns {String|null} Error message
+ */
+export function checkGrantable(club, actorMember, permissions) {
+  if (actorMember.roles.includes('admin')) {
+    return null;
+  }
+  const own = getEffectivePermissions(club, actorMember.roles);
+  const missing = permissions.filter((permission) => !own.includes(permission));
+  return missing.length > 0
+    ? `You can't grant permissions you don't have: ${missing.join(', ')}`
+    : null;
+}
+
+export function isClubOwner(club, userId) {
+  return !!club.createdBy && club.createdBy.toString() === userId.toString();
+}
+
+/**
+ * Every club keeps its owner and at least one admin
+ * @param {Object} club - Club document
+ * @param {Object} member - Member losing the admin role or leaving the club
+ * @param {String} action - 'remove', 'ban', 'demote' or 'leave' (used in the error message)
+ * @returns {String|null} Error message
+ */
+export async function getAdminRemovalError(club, member, action) {
+  const memberUserId = member.user?._id ?? member.user;
+  if (isClubOwner(club, memberUserId)) {
+    return action === 'leave'
+      ? 'The club owner cannot leave. Transfer ownership or delete the club instead.'
+      : `Cannot ${action} the club owner. Transfer ownership first.`;
+  }
+
+  if (member.roles.includes('admin')) {
+    const otherAdmins = await Member.countDocuments({
+      club: club._id,
+      roles: 'admin',
+      _id: { $ne: member._id },
+    });
+    if (otherAdmins === 0) {
+      const messages = {
+        remove: 'Cannot remove the only admin. Assign another admin first.',
+        ban: 'Cannot ban the only admin. Assign another admin first.',
+        demote: 'Cannot demote the only admin. There must be at least one admin in the club.',
+        leave: 'You are the only admin. Assign another admin before leaving.',
+      };
+      return messages[action];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a user may perform an action in a club.
+ * Permissions that come from admin or a custom role are subject to the club's
+ * two-factor policy; those every member has are not.
+ * @param {Object|String} user - User document or ID
+ * @param {Object|String} club - Club document or ID
+ * @param {String} permission - Key from CLUB_PERMISSIONS
+ * @returns {Object} { allowed, error?, member?, club? }
+ */
+export async function can(user, club, permission) {
+  try {
+    const userId = user?._id ?? user;
+    const clubDoc = club instanceof Club ? club : await Club.findById(club);
+    if (!clubDoc) {
+      return { allowed: false, error: 'Club not found' };
+    }
+
+    const member = await Member.findOne({ club: clubDoc._id, user: userId });
+    if (!member) {
+      return { allowed: false, error: 'User is not a member of this club' };
+    }
+
+    if (getMemberPermissions(clubDoc).includes(permission)) {
+      return { allowed: true, member, club: clubDoc };
+    }
+
+    if (!getEffectivePermissions(clubDoc, member.roles).includes(permission)) {
+      return {
+        allowed: false,
+        error: `You do not have permission to do this (requires ${permission})`,
+      };
+    }
+
+    if (!(await meetsClubTwoFactorPolicy(clubDoc._id, userId))) {
+      return { allowed: false, error: CLUB_TWO_FACTOR_REQUIRED_MESSAGE };
+    }
+
+    return { allowed: true, member, club: clubDoc };
+  } catch (error) {
+    return { allowed: false, error: 'Database error verifying permissions' };
+  }
+}
+
+/**
+ * Users holding a permission in a club through admin or a custom role
+ * @param {String} clubId - Club ID
+ * @param {String} permission - Key from CLUB_PERMISSIONS
+ * @returns {Array} User IDs
+ */
+export async function getUsersWithPermission(clubId, permission) {
+  const club = await Club.findById(clubId).select('customRoles');
+  if (!club) {
+    return [];
+  }
+
+  const roles = ['admin', ...(club.customRoles || [])
+    .filter((role) => role.permissions.includes(permission))
+    .map((role) => role.key)];
+
+  const members = await Member.find({ club: clubId, roles: { $in: roles } }).select('user');
+  return members.map((member) => member.user);
+}
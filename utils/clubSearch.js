@@ -0,0 +1,273 @@
+import { NOT_ARCHIVED } from './clubCleanup.js';
+import { buildTaxonomyFilter } from './clubTaxonomy.js';
+import {
+  buildGeoWithinQuery,
+  buildDistanceExpression,
+  isValidCoordinates,
+  kmToMeters,
+} from './geospatialUtils.js';
+
+/**
+ * Club Search
+ * Query building behind GET /api/club: full-text search over the 'club_text_search'
+ * index, combinable filters, and facet counts for the directory sidebar.
+ */
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_FUZZY_TERMS = 5;
+const FUZZY_MIN_TERM_LENGTH = 4;
+const MAX_FUZZY_TERM_LENGTH = 30;
+const MAX_RADIUS_KM = 500;
+const MAX_REGION_FACETS = 20;
+
+// Lower bounds of the member-count facet buckets; the last one is open-ended
+export const MEMBER_COUNT_BUCKETS = [0, 10, 25, 50, 100];
+
+const SORTS = ['relevance', 'distance', 'members', 'newest', 'name', 'verified'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+/**
+ * Validate the search and filter query parameters of the club directory
+ * @param {Object} query - req.query
+ * @returns {Object} { errors } or { search, filter, point, memberRange, sort }
+ */
+export function parseClubSearchQuery(query = {}) {
+  const errors = [];
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  if (search.length > MAX_SEARCH_LENGTH) {
+    errors.push({ field: 'search', message: `Search must be at most ${MAX_SEARCH_LENGTH} characters` });
+  }
+
+  const filter = { ...NOT_ARCHIVED };
+
+  // verified=true shows only verified clubs, verified=false only unverified ones
+  const verified = parseBoolean(query.verified);
+  if (verified !== undefined) {
+    filter.verified = verified ? true : { $ne: true };
+  }
+
+  const isPrivate = parseBoolean(query.isPrivate);
+  if (isPrivate !== undefined) {
+    filter.isPrivate = isPrivate ? true : { $ne: true };
+  }
+
+  if (typeof query.region === 'string' && query.region.trim()) {
+    filter.region = query.region.trim();
+  }
+
+  // ridingStyle, brand, displacement and tag
+  const taxonomy = buildTaxonomyFilter(query);
+  errors.push(...taxonomy.errors);
+  Object.assign(filter, taxonomy.filter);
+
+  let point = null;
+  if (query.latitude !== undefined || query.longitude !== undefined) {
+    const latitude = parseFloat(query.latitude);
+    const longitude = parseFloat(query.longitude);
+    const radius = query.radius === undefined ? 50 : parseFloat(query.radius);
+
+    if (!isValidCoordinates(latitude, longitude)) {
+      errors.push({ field: 'coordinates', message: 'Both latitude and longitude are required and must be valid' });
+    } else if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      errors.push({ field: 'radius', message: `Radius must be a number between 0 and ${MAX_RADIUS_KM} km` });
+    } else {
+      point = { latitude, longitude, radius };
+      // $near can't be combined with $text, so the radius is a $geoWithin filter
+      filter.geoPoint = buildGeoWithinQuery(latitude, longitude, kmToMeters(radius));
+    }
+  }
+
+  const memberRange = {};
+  for (const [param, operator] of [['minMembers', '$gte'], ['maxMembers', '$lte']]) {
+    if (query[param] === undefined) continue;
+    const value = Number(query[param]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push({ field: param, message: `${param} must be a non-negative whole number` });
+    } else {
+      memberRange[operator] = value;
+    }
+  }
+  if (memberRange.$gte !== undefined && memberRange.$lte !== undefined && memberRange.$gte > memberRange.$lte) {
+    errors.push({ field: 'minMembers', message: 'minMembers cannot be greater than maxMembers' });
+  }
+
+  // Best matches first when searching, biggest clubs first otherwise
+  const sort = query.sort || (search ? 'relevance' : 'members');
+  if (!SORTS.includes(sort)) {
+    errors.push({ field: 'sort', message: `Sort must be one of: ${SORTS.join(', ')}` });
+  } else if (sort === 'distance' && !point) {
+    errors.push({ field: 'sort', message: 'Sorting by distance needs latitude and longitude' });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { search, filter, point, memberRange, sort };
+}
+
+/**
+ * A pattern matching the term with at most one typo: a wrong, missing or extra
+ * character, or two neighbouring characters swapped. Short terms match as substrings.
+ * @param {String} term - One search word
+ * @returns {RegExp} Case-insensitive pattern
+ */
+export function buildFuzzyPattern(term) {
+  const chars = [...term.toLowerCase()];
+  if (chars.length < FUZZY_MIN_TERM_LENGTH || chars.length > MAX_FUZZY_TERM_LENGTH) {
+    return new RegExp(escapeRegex(term), 'i');
+  }
+
+  const part = (from, to) => escapeRegex(chars.slice(from, to).join(''));
+  const variants = new Set();
+  for (let i = 0; i <= chars.length; i++) {
+    // Missing character at position i
+    variants.add(`${part(0, i)}.${part(i)}`);
+    if (i < chars.length) {
+      // Wrong or extra character at position i
+      variants.add(`${part(0, i)}.?${part(i + 1)}`);
+    }
+    if (i < chars.length - 1) {
+      variants.add(`${part(0, i)}${escapeRegex(chars[i + 1] + chars[i])}${part(i + 2)}`);
+    }
+  }
+  return new RegExp(`(${[...variants].join('|')})`, 'i');
+}
+
+/**
+ * Typo-tolerant fallback for searches the text index finds nothing for. Every
+ * word must roughly match the club's name, location or region. Unindexed, so it
+ * only runs when the text search comes back empty.
+ * @param {String} search - Trimmed search text
+ * @returns {Object} Filter to merge into the match stage
+ */
+export function buildFuzzySearchFilter(search) {
+  const terms = search.split(/\s+/).filter(Boolean).slice(0, MAX_FUZZY_TERMS);
+  return {
+    $and: terms.map((term) => {
+      const pattern = buildFuzzyPattern(term);
+      return { $or: [{ clubName: pattern }, { location: pattern }, { region: pattern }] };
+    }),
+  };
+}
+
+function sortStage(sort, textSearch) {
+  switch (sort) {
+    case 'relevance':
+      // The fuzzy fallback has no score - rank it like the default listing
+      return textSearch
+        ? { score: -1, memberCount: -1, createdAt: -1 }
+        : { memberCount: -1, createdAt: -1 };
+    case 'distance':
+      return { distance: 1, memberCount: -1 };
+    case 'newest':
+      return { createdAt: -1 };
+    case 'name':
+      return { clubName: 1 };
+    case 'verified':
+      // Verified clubs first, then by most members
+      return { verified: -1, memberCount: -1, createdAt: -1 };
+    default:
+      return { memberCount: -1, createdAt: -1 };
+  }
+}
+
+/**
+ * One aggregation returning a page of clubs, the total, and facet counts
+ * @param {Object} search - From parseClubSearchQuery
+ * @param {Object} options - { mode: 'text' | 'fuzzy' | null, skip, limit }
+ * @returns {Array} Aggregation pipeline
+ */
+export function buildClubSearchPipeline({ search, filter, point, memberRange, sort }, { mode, skip, limit }) {
+  const match = { ...filter };
+  if (mode === 'text') {
+    match.$text = { $search: search };
+  } else if (mode === 'fuzzy') {
+    Object.assign(match, buildFuzzySearchFilter(search));
+  }
+
+  const computed = { memberCount: { $size: { $ifNull: ['$members', []] } } };
+  if (mode === 'text') {
+    computed.score = { $meta: 'textScore' };
+  }
+  if (point) {
+    computed.distance = buildDistanceExpression(
+      point.latitude,
+      point.longitude,
+      { $arrayElemAt: ['$geoPoint.coordinates', 1] },
+      { $arrayElemAt: ['$geoPoint.coordinates', 0] }
+    );
+  }
+
+  const pipeline = [{ $match: match }, { $addFields: computed }];
+  if (Object.keys(memberRange).length > 0) {
+    pipeline.push({ $match: { memberCount: memberRange } });
+  }
+
+  pipeline.push({
+    $facet: {
+      clubs: [{ $sort: sortStage(sort, mode === 'text') }, { $skip: skip }, { $limit: limit }],
+      total: [{ $count: 'count' }],
+      privacy: [{ $group: { _id: { $eq: ['$isPrivate', true] }, count: { $sum: 1 } } }],
+      regions: [
+        { $match: { region: { $nin: [null, ''] } } },
+        { $group: { _id: '$region', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_REGION_FACETS },
+      ],
+      memberCounts: [
+        {
+          $bucket: {
+            groupBy: '$memberCount',
+            boundaries: MEMBER_COUNT_BUCKETS,
+            // Anything past the last boundary
+            default: 'more',
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+    },
+  });
+
+  return pipeline;
+}
+
+/**
+ * Shape the raw $facet output for the response
+ * @param {Object} result - The single document the search pipeline returns
+ * @returns {Object} { total, clubs, facets }
+ */
+export function formatSearchResult(result = {}) {
+  const privacy = { public: 0, private: 0 };
+  for (const { _id, count } of result.privacy || []) {
+    privacy[_id ? 'private' : 'public'] = count;
+  }
+
+  const bucketCounts = new Map((result.memberCounts || []).map((b) => [b._id, b.count]));
+  const memberCounts = MEMBER_COUNT_BUCKETS.map((min, i) => {
+    const next = MEMBER_COUNT_BUCKETS[i + 1];
+    const max = next === undefined ? null : next - 1;
+    return {
+      label: max === null ? `${min}+` : `${min}-${max}`,
+      min,
+      max,
+      count: (max === null ? bucketCounts.get('more') : bucketCounts.get(min)) || 0,
+    };
+  });
+
+  return {
+    total: result.total?.[0]?.count || 0,
+    clubs: result.clubs || [],
+    facets: {
+      privacy,
+      regions: (result.regions || []).map(({ _id, count }) => ({ region: _id, count })),
+      memberCounts,
+    },
+  };
+}
@@ -0,0 +1,102 @@
+import Club from '../models/ClubModel.js';
+
+/**
+ * Club URL slugs
+ * Every club gets a unique slug from its name. A rename gives the club a new
+ * slug and moves the old one to slugHistory, so shared links keep resolving
+ * (GET /api/club/by-slug/:slug redirects them). A slug stays reserved while
+ * any club holds it, current or past.
+ */
+
+const MAX_SLUG_LENGTH = 60;
+
+/**
+ * URL-safe version of a club name
+ * @param {String} name - e.g. 'Los Búhos MC – Cebu'
+ * @returns {String} e.g. 'los-buhos-mc-cebu', or '' when nothing usable is left (e.g. non-Latin names)
+ */
+export function slugify(name) {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+  return slug;
+}
+
+/**
+ * Whether another club holds a slug, now or in its history
+ * @param {String} slug
+ * @param {ObjectId|String} [excludeId] - The club being renamed
+ * @returns {Boolean}
+ */
+export async function isSlugTaken(slug, excludeId) {
+  const query = { $or: [{ slug }, { slugHistory: slug }] };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return !!(await Club.exists(query));
+}
+
+/**
+ * Whether a name would collide with another club's slug. Names that differ
+ * only in case, accents or punctuation ('Iron Riders' and 'iron-riders') count
+ * as taken, and so do names a club used before a rename.
+ * @param {String} name
+ * @param {ObjectId|String} [excludeId] - The club being renamed
+ * @returns {Boolean}
+ */
+export async function isNameSlugTaken(name, excludeId) {
+  const slug = slugify(name);
+  return !!slug && isSlugTaken(slug, excludeId);
+}
+
+/**
+ * First free slug for a name: 'iron-riders', then 'iron-riders-2', 'iron-riders-3', ...
+ * @param {String} name - Club name
+ * @param {ObjectId|String} [excludeId] - The club being renamed, which may take back one of its old slugs
+ * @returns {String}
+ */
+export async function generateUniqueSlug(name, excludeId) {
+  const base = slugify(name) || 'club';
+  let candidate = base;
+  for (let suffix = 2; await isSlugTaken(candidate, excludeId); suffix++) {
+    const ending = `-${suffix}`;
+    candidate = `${base.slice(0, MAX_SLUG_LENGTH - ending.length).replace(/-+$/, '')}${ending}`;
+  }
+  return candidate;
+}
+
+/**
+ * Slug fields to save when a club is renamed
+ * @param {Object} club - Club document before the rename
+ * @param {String} newName
+ * @returns {Object} { slug, slugHistory } for the update, or {} when the slug stays the same
+ */
+export async function slugUpdateForRename(club, newName) {
+  const slug = await generateUniqueSlug(newName, club._id);
+  if (slug === club.slug) return {};
+
+  const history = (club.slugHistory || []).filter((old) => old !== slug);
+  if (club.slug) {
+    history.push(club.slug);
+  }
+  return { slug, slugHistory: history };
+}
+
+/**
+ * Give clubs created before slugs existed their first slug
+ * @returns {Number} How many clubs got one
+ */
+export async function backfillClubSlugs() {
+  const clubs = await Club.find({ slug: { $exists: false } }).select('clubName').sort({ createdAt: 1 });
+  for (const club of clubs) {
+    club.slug = await generateUniqueSlug(club.clubName, club._id);
+    await club.save({ validateBeforeSave: false });
+  }
+  return clubs.length;
+}
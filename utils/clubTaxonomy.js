@@ -0,0 +1,184 @@
+/**
+ * Club Taxonomy
+ * Curated riding styles, bike brands and displacement classes clubs can pick,
+ * plus free-form tags. Values are stored as slugs; labels are for display.
+ */
+
+export const RIDING_STYLES = [
+  { value: 'adventure', label: 'Adventure' },
+  { value: 'touring', label: 'Touring' },
+  { value: 'sport', label: 'Sport' },
+  { value: 'cruiser', label: 'Cruiser' },
+  { value: 'cafe-racer', label: 'Café racer' },
+  { value: 'vintage', label: 'Vintage & classic' },
+  { value: 'scooter', label: 'Scooter' },
+  { value: 'dual-sport', label: 'Dual sport' },
+  { value: 'off-road', label: 'Off-road & enduro' },
+  { value: 'track', label: 'Track days' },
+  { value: 'custom', label: 'Custom & choppers' },
+  { value: 'commuter', label: 'Commuting' },
+  { value: 'electric', label: 'Electric' },
+];
+
+export const BIKE_BRANDS = [
+  { value: 'aprilia', label: 'Aprilia' },
+  { value: 'benelli', label: 'Benelli' },
+  { value: 'bmw', label: 'BMW' },
+  { value: 'cfmoto', label: 'CFMoto' },
+  { value: 'ducati', label: 'Ducati' },
+  { value: 'harley-davidson', label: 'Harley-Davidson' },
+  { value: 'honda', label: 'Honda' },
+  { value: 'husqvarna', label: 'Husqvarna' },
+  { value: 'indian', label: 'Indian' },
+  { value: 'kawasaki', label: 'Kawasaki' },
+  { value: 'ktm', label: 'KTM' },
+  { value: 'kymco', label: 'Kymco' },
+  { value: 'moto-guzzi', label: 'Moto Guzzi' },
+  { value: 'mv-agusta', label: 'MV Agusta' },
+  { value: 'piaggio', label: 'Piaggio' },
+  { value: 'royal-enfield', label: 'Royal Enfield' },
+  { value: 'suzuki', label: 'Suzuki' },
+  { value: 'sym', label: 'SYM' },
+  { value: 'triumph', label: 'Triumph' },
+  { value: 'vespa', label: 'Vespa' },
+  { value: 'yamaha', label: 'Yamaha' },
+  { value: 'other', label: 'Other brands' },
+];
+
+export const DISPLACEMENT_CLASSES = [
+  { value: 'up-to-150', label: 'Up to 150cc' },
+  { value: '151-400', label: '151-400cc' },
+  { value: '401-750', label: '401-750cc' },
+  { value: '751-1000', label: '751-1000cc' },
+  { value: 'over-1000', label: 'Over 1000cc' },
+];
+
+export const MAX_CLUB_TAGS = 10;
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} &'-]{1,29}$/u;
+
+// Club field -> allowed values; tags have no fixed list
+export const TAXONOMY_FIELDS = {
+  ridingStyles: RIDING_STYLES.map((s) => s.value),
+  brands: BIKE_BRANDS.map((b) => b.value),
+  displacementClasses: DISPLACEMENT_CLASSES.map((d) => d.value),
+  tags: null,
+};
+
+// Listing query parameter -> club field
+const FILTER_PARAMS = {
+  ridingStyle: 'ridingStyles',
+  brand: 'brands',
+  displacement: 'displacementClasses',
+  tag: 'tags',
+};
+
+/**
+ * Accept an array, a JSON array string (FormData) or a comma-separated string
+ * @param {*} value
+ * @returns {Array|null} Array of strings, or null when the shape is wrong
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  return trimmed ? trimmed.split(',') : [];
+}
+
+/**
+ * Normalise a free tag: lowercase, single spaces
+ * @param {String} tag
+ * @returns {String}
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate the taxonomy fields of a create / update body. Fields left out of
+ * the body are left out of the result so updates don't clear them.
+ * @param {Object} body - req.body
+ * @returns {Object} { values, errors }
+ */
+export function parseClubTaxonomy(body = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const [field, allowed] of Object.entries(TAXONOMY_FIELDS)) {
+    if (body[field] === undefined) continue;
+
+    const list = body[field] === null ? [] : toList(body[field]);
+    if (!list || list.some((item) => typeof item !== 'string')) {
+      errors.push({ field, message: `${field} must be a list of strings` });
+      continue;
+    }
+
+    const normalized = [...new Set(list.map(normalizeTag).filter(Boolean))];
+    if (allowed) {
+      const unknown = normalized.filter((value) => !allowed.includes(value));
+      if (unknown.length > 0) {
+        errors.push({ field, message: `Unknown ${field}: ${unknown.join(', ')}` });
+        continue;
+      }
+    } else {
+      if (normalized.length > MAX_CLUB_TAGS) {
+        errors.push({ field, message: `A club can have at most ${MAX_CLUB_TAGS} tags` });
+        continue;
+      }
+      if (normalized.some((tag) => !TAG_PATTERN.test(tag))) {
+        errors.push({
+          field,
+          message: 'Tags must be 2-30 letters, numbers, spaces, hyphens, apostrophes or ampersands',
+        });
+        continue;
+      }
+    }
+    values[field] = normalized;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Listing filters: ?ridingStyle=adventure,touring&brand=bmw&displacement=over-1000&tag=women riders
+ * A club matches a parameter when it has any of the listed values; parameters combine with AND.
+ * @param {Object} query - req.query
+ * @returns {Object} { filter, errors }
+ */
+export function buildTaxonomyFilter(query = {}) {
+  const filter = {};
+  const errors = [];
+
+  for (const [param, field] of Object.entries(FILTER_PARAMS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+
+    const list = toList(Array.isArray(query[param]) ? query[param].join(',') : query[param]);
+    const values = [...new Set((list || []).map(normalizeTag).filter(Boolean))];
+    const allowed = TAXONOMY_FIELDS[field];
+    const unknown = allowed ? values.filter((value) => !allowed.includes(value)) : [];
+
+    if (values.length === 0 || unknown.length > 0) {
+      errors.push({ field: param, message: `Unknown ${param}: ${unknown.join(', ') || query[param]}` });
+    } else {
+      filter[field] = { $in: values };
+    }
+  }
+
+  return { filter, errors };
+}
+
+/**
+ * Taxonomy fields of a club for API responses
+ * @param {Object} club - Club document or lean object
+ * @returns {Object}
+ */
+export function formatClubTaxonomy(club) {
+  return Object.fromEntries(Object.keys(TAXONOMY_FIELDS).map((field) => [field, club[field] || []]));
+}
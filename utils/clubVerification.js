@@ -0,0 +1,64 @@
+import cloudinary from './cloudinary.js';
+
+/**
+ * Club Verification
+ * Verification documents are registration papers and charters, so they are stored
+ * as authenticated Cloudinary assets and only ever handed out as expiring links.
+ */
+
+// PDFs are image assets in Cloudinary too
+const DOCUMENT_ASSET = { type: 'authenticated', resource_type: 'image' };
+
+// How long a reviewer's download link keeps working
+const DOCUMENT_LINK_TTL_SECONDS = 15 * 60;
+
+/**
+ * Upload one document from a multer memory file
+ * @param {Object} file - multer file
+ * @returns {Object} Document entry for ClubVerificationRequest.documents
+ */
+export async function uploadVerificationDocument(file) {
+  const base64 = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+  const uploadResult = await cloudinary.uploader.upload(base64, {
+    ...DOCUMENT_ASSET,
+    folder: 'club-verification',
+  });
+  return {
+    publicId: uploadResult.public_id,
+    format: uploadResult.format,
+    fileName: file.originalname,
+    mimeType: file.mimetype,
+  };
+}
+
+/**
+ * Best effort delete of uploaded documents
+ * @param {Array<Object>} documents - Document entries
+ */
+export async function destroyVerificationDocuments(documents) {
+  for (const { publicId } of documents.filter((document) => document.publicId)) {
+    try {
+      await cloudinary.uploader.destroy(publicId, DOCUMENT_ASSET);
+    } catch (error) {
+      console.warn(`Failed to delete verification document ${publicId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Documents with short-lived signed download links, for platform admins reviewing a request
+ * @param {Array<Object>} documents - Document entries
+ * @returns {Array<Object>} { fileName, mimeType, url, expiresAt }
+ */
+export function signVerificationDocuments(documents) {
+  const expiresAt = Math.floor(Date.now() / 1000) + DOCUMENT_LINK_TTL_SECONDS;
+  return documents.map((document) => ({
+    fileName: document.fileName,
+    mimeType: document.mimeType,
+    url: cloudinary.utils.private_download_url(document.publicId, document.format, {
+      ...DOCUMENT_ASSET,
+      expires_at: expiresAt,
+    }),
+    expiresAt: new Date(expiresAt * 1000),
+  }));
+}
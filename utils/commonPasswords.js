@@ -0,0 +1,92 @@
+/**
+ * Common passwords that are always rejected, regardless of the configured policy.
+ * Compared case-insensitively. Sourced from published breach frequency lists,
+ * plus a few that are specific to this app.
+ */
+const COMMON_PASSWORDS = [
+  '123456',
+  '123456789',
+  '12345678',
+  '1234567890',
+  '12345',
+  '1234567',
+  '111111',
+  '123123',
+  '000000',
+  '654321',
+  '666666',
+  '121212',
+  '112233',
+  '987654321',
+  '1q2w3e4r',
+  '1q2w3e4r5t',
+  '1qaz2wsx',
+  'qwerty',
+  'qwerty123',
+  'qwerty1!',
+  'qwertyuiop',
+  'asdfghjkl',
+  'asdf1234',
+  'zxcvbnm',
+  'password',
+  'password1',
+  'password12',
+  'password123',
+  'password1!',
+  'passw0rd',
+  'p@ssw0rd',
+  'p@ssword1',
+  'letmein',
+  'letmein1',
+  'welcome',
+  'welcome1',
+  'welcome123',
+  'iloveyou',
+  'admin',
+  'admin123',
+  'administrator',
+  'abc123',
+  'abcd1234',
+  'aa123456',
+  'monkey',
+  'dragon',
+  'master',
+  'sunshine',
+  'princess',
+  'football',
+  'baseball',
+  'superman',
+  'batman',
+  'trustno1',
+  'starwars',
+  'shadow',
+  'michael',
+  'jennifer',
+  'computer',
+  'freedom',
+  'whatever',
+  'changeme',
+  'secret',
+  'secret123',
+  'test1234',
+  'testtest',
+  'login123',
+  'access',
+  'hello123',
+  'charlie',
+  'mustang',
+  'harley',
+  'harleydavidson',
+  'motorcycle',
+  'motorbike',
+  'yamaha',
+  'kawasaki',
+  'ducati',
+  'suzuki',
+  'honda123',
+  'motoclub',
+  'motoclub1',
+  'motoclub123',
+];
+
+export default new Set(COMMON_PASSWORDS);
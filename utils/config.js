@@ -0,0 +1,225 @@
+/**
+ * Environment configuration
+ * Validated once at boot so a misconfigured deploy fails immediately with a
+ * list of what is wrong, instead of on the first request that needs the value.
+ */
+
+// Database connection string each NODE_ENV connects to
+const MONGO_URI_VARS = {
+  production: 'MONGO_URI',
+  development: 'MONGO_LOCAL_URI',
+  test: 'MONGO_LOCAL_URI_TEST',
+};
+
+/**
+ * Name of the Mongo URI variable for an environment - anything that isn't
+ * development or test runs as production (see server.js)
+ * @param {String} nodeEnv - NODE_ENV value
+ */
+export function getMongoUriVar(nodeEnv) {
+  return MONGO_URI_VARS[nodeEnv] || MONGO_URI_VARS.production;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Whether an environment runs as production - anything that isn't development
+ * or test does (see server.js)
+ * @param {String} nodeEnv - NODE_ENV value
+ */
+export function isProductionEnv(nodeEnv) {
+  return !['development', 'test'].includes(nodeEnv);
+}
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+/**
+ * Check the mail transport settings (see utils/mailService.js). Outside
+ * development and test, mail has to really go out - the console and file
+ * transports would leave password reset links in logs or on disk.
+ * @param {Object} env - Variables to check
+ * @returns {String|null} What is wrong, or null
+ */
+export function getMailConfigError(env = process.env) {
+  const transport = isBlank(env.MAIL_TRANSPORT) ? undefined : env.MAIL_TRANSPORT.trim();
+  if (transport && !MAIL_TRANSPORTS.includes(transport)) {
+    return `MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')}`;
+  }
+  if (transport === 'smtp' && isBlank(env.SMTP_HOST)) {
+    return 'SMTP_HOST is required when MAIL_TRANSPORT is smtp';
+  }
+  const sendsRealMail = transport === 'smtp' || (!transport && !isBlank(env.SMTP_HOST));
+  if (isProductionEnv(env.NODE_ENV || 'production') && !sendsRealMail) {
+    return 'Mail is not configured for production: set SMTP_HOST (and MAIL_TRANSPORT=smtp if MAIL_TRANSPORT is set)';
+  }
+  return null;
+}
+
+// Optional tuning values, read with parseInt by the services that use them.
+// Those services quietly fall back to a default on bad input, so a typo
+// would otherwise go unnoticed.
+const POSITIVE_INTEGER_VARS = [
+  'SMTP_PORT',
+  'ACCESS_TOKEN_TTL_SECONDS',
+  'REFRESH_TOKEN_TTL_DAYS',
+  'PASSWORD_RESET_TTL_MINUTES',
+  'PASSWORD_MIN_LENGTH',
+  'PASSWORD_MAX_LENGTH',
+  'LOGIN_ACCOUNT_BACKOFF_AFTER',
+  'LOGIN_ACCOUNT_LOCK_AFTER',
+  'LOGIN_IP_BACKOFF_AFTER',
+  'LOGIN_IP_LOCK_AFTER',
+  'LOGIN_LOCK_MINUTES',
+  'LOGIN_MAX_BACKOFF_SECONDS',
+  'LOGIN_ATTEMPT_RESET_HOURS',
+];
+// Zero is allowed here: purge immediately
+const NON_NEGATIVE_INTEGER_VARS = ['ACCOUNT_DELETION_GRACE_DAYS', 'CLUB_DELETION_GRACE_DAYS'];
+
+function getNumberErrors(env) {
+  const errors = [];
+  for (const name of [...POSITIVE_INTEGER_VARS, ...NON_NEGATIVE_INTEGER_VARS]) {
+    if (isBlank(env[name])) continue;
+    const min = NON_NEGATIVE_INTEGER_VARS.includes(name) ? 0 : 1;
+    if (!/^\d+$/.test(env[name].trim()) || Number(env[name]) < min) {
+      errors.push(`${name} must be a whole number${min === 0 ? ' (0 or more)' : ' greater than 0'}`);
+    }
+  }
+  return errors;
+}
+
+// Cloudinary accepts either CLOUDINARY_URL or the three separate keys
+function resolveCloudinary(env) {
+  const cloudinary = {
+    cloudName: env.CLOUDINARY_CLOUD_NAME,
+    apiKey: env.CLOUDINARY_API_KEY,
+    apiSecret: env.CLOUDINARY_API_SECRET,
+  };
+
+  if (!isBlank(env.CLOUDINARY_URL)) {
+    const match = /^cloudinary:\/\/([^:]+):([^@]+)@([^/?#]+)/.exec(env.CLOUDINARY_URL.trim());
+    if (!match) {
+      return { error: 'CLOUDINARY_URL must look like cloudinary://<api_key>:<api_secret>@<cloud_name>' };
+    }
+    cloudinary.apiKey = cloudinary.apiKey || match[1];
+    cloudinary.apiSecret = cloudinary.apiSecret || match[2];
+    cloudinary.cloudName = cloudinary.cloudName || match[3];
+  }
+
+  const missing = [
+    ['CLOUDINARY_CLOUD_NAME', cloudinary.cloudName],
+    ['CLOUDINARY_API_KEY', cloudinary.apiKey],
+    ['CLOUDINARY_API_SECRET', cloudinary.apiSecret],
+  ]
+    .filter(([, value]) => isBlank(value))
+    .map(([name]) => name);
+
+  if (missing.length > 0) {
+    return {
+      error: `Cloudinary is not configured: set CLOUDINARY_URL or ${missing.join(', ')}`,
+    };
+  }
+
+  return { cloudinary };
+}
+
+/**
+ * Check the environment without throwing
+ * @param {Object} env - Variables to check (defaults to process.env)
+ * @returns {Object} { valid, errors, config }
+ */
+export function validateConfig(env = process.env) {
+  const errors = [];
+  const nodeEnv = env.NODE_ENV || 'production';
+
+  const required = (name, description) => {
+    if (isBlank(env[name])) {
+      errors.push(`${name} is required (${description})`);
+      return undefined;
+    }
+    return env[name].trim();
+  };
+
+  const mongoUriVar = getMongoUriVar(nodeEnv);
+  const mongoUri = required(mongoUriVar, `MongoDB connection string for ${nodeEnv}`);
+  if (mongoUri && !/^mongodb(\+srv)?:\/\//.test(mongoUri)) {
+    errors.push(`${mongoUriVar} must start with mongodb:// or mongodb+srv://`);
+  }
+
+  const jwtSecret = required('JWT_SECRET', 'signs access tokens');
+  const sessionSecret = required('SESSION_SECRET', 'signs session cookies');
+  if (jwtSecret && sessionSecret && jwtSecret === sessionSecret) {
+    errors.push('SESSION_SECRET must be different from JWT_SECRET');
+  }
+
+  for (const name of ['TWO_FACTOR_ENCRYPTION_KEY', 'EMAIL_VERIFICATION_SECRET']) {
+    if (jwtSecret && !isBlank(env[name]) && env[name].trim() === jwtSecret) {
+      errors.push(`${name} must be different from JWT_SECRET`);
+    }
+  }
+
+  const openRouterApiKey = required('OPENROUTER_API_KEY', 'receipt extraction for payments');
+
+  // Links in password reset and verification emails would otherwise point at localhost
+  if (isProductionEnv(nodeEnv)) {
+    const firstOrigin = isBlank(env.FRONTEND_URL) ? '' : env.FRONTEND_URL.split(',')[0].trim();
+    if (isBlank(env.APP_URL) && (!firstOrigin || firstOrigin === '*')) {
+      errors.push('APP_URL is required (frontend address used in email links) unless FRONTEND_URL names an origin');
+    }
+  }
+
+  const mailError = getMailConfigError(env);
+  if (mailError) {
+    errors.push(mailError);
+  }
+
+  errors.push(...getNumberErrors(env));
+
+  const { cloudinary, error: cloudinaryError } = resolveCloudinary(env);
+  if (cloudinaryError) {
+    errors.push(cloudinaryError);
+  }
+
+  let port;
+  if (isBlank(env.PORT)) {
+    errors.push('PORT is required (port the API listens on)');
+  } else {
+    port = Number(env.PORT);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      errors.push('PORT must be a whole number between 1 and 65535');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    config: {
+      nodeEnv,
+      port,
+      mongoUri,
+      jwtSecret,
+      sessionSecret,
+      openRouterApiKey,
+      cloudinary,
+    },
+  };
+}
+
+/**
+ * Validate the environment and return the config, throwing when anything is missing
+ * @param {Object} env - Variables to check (defaults to process.env)
+ * @returns {Object} Validated config
+ */
+export function loadConfig(env = process.env) {
+  const { valid, errors, config } = validateConfig(env);
+  if (!valid) {
+    throw new Error(
+      `Invalid configuration - fix these environment variables and restart:\n${errors
+        .map((error) => `  - ${error}`)
+        .join('\n')}`
+    );
+  }
+  return config;
+}
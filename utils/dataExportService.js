@@ -0,0 +1,103 @@
+import User from '../models/UserModel.js';
+import Member from '../models/MemberModel.js';
+import JoinRequest from '../models/JoinRequest.js';
+import MembershipEvent from '../models/MembershipEventModel.js';
+import ClaimRequest from '../models/ClaimRequestModel.js';
+import OfficialMember from '../models/OfficialMemberModel.js';
+import Notification from '../models/NotificationModel.js';
+import Payment from '../models/PaymentModel.js';
+import Event from '../models/EventModel.js';
+import Session from '../models/SessionModel.js';
+import { createZip } from './zipWriter.js';
+
+/**
+ * Personal Data Export
+ * Collects everything the platform holds about a user into a ZIP of JSON files.
+ */
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Gather a user's data, one entry per export file
+ * @param {String} userId - User ID
+ * @returns {Object|null} { 'profile.json': {...}, ... } or null when the user doesn't exist
+ */
+export async function collectUserData(userId) {
+  const user = await User.findById(userId).select('-password').lean();
+  if (!user) {
+    return null;
+  }
+
+  const [
+    memberships,
+    joinRequests,
+    claimRequests,
+    claimedOfficialMemberships,
+    notifications,
+    payments,
+    eventsCreated,
+    eventsAttending,
+    sessions,
+    membershipHistory,
+  ] = await Promise.all([
+    Member.find({ user: userId }).populate('club', 'clubName').lean(),
+    JoinRequest.find({ user: userId }).populate('club', 'clubName').lean(),
+    ClaimRequest.find({ user: userId }).populate('club', 'clubName').lean(),
+    OfficialMember.find({ claimedBy: userId }).populate('club', 'clubName').lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+    Payment.find({ createdBy: userId }).populate('club', 'clubName').lean(),
+    Event.find({ createdBy: userId }).select('-attendees').lean(),
+    Event.find({ attendees: userId })
+      .select('name description startTime endTime location eventType club')
+      .lean(),
+    Session.find({ user: userId }).select('-family').sort({ createdAt: -1 }).lean(),
+    MembershipEvent.find({ user: userId }).populate('club', 'clubName').sort({ createdAt: -1 }).lean(),
+  ]);
+
+  return {
+    'profile.json': user,
+    'memberships.json': memberships,
+    'join-requests.json': joinRequests,
+    'claim-requests.json': claimRequests,
+    'official-memberships.json': claimedOfficialMemberships,
+    'notifications.json': notifications,
+    'payments.json': payments,
+    'events-created.json': eventsCreated,
+    'events-attending.json': eventsAttending,
+    'sessions.json': sessions,
+    'membership-history.json': membershipHistory,
+  };
+}
+
+/**
+ * Build the export archive for a user
+ * @param {String} userId - User ID
+ * @returns {Buffer|null} ZIP contents, or null when the user doesn't exist
+ */
+export async function buildUserDataExport(userId) {
+  const data = await collectUserData(userId);
+  if (!data) {
+    return null;
+  }
+
+  const generatedAt = new Date();
+  const files = Object.entries(data).map(([name, content]) => ({
+    name,
+    content: toJson(content),
+  }));
+
+  files.unshift({
+    name: 'README.txt',
+    content: [
+      'MotoClub Connect - personal data export',
+      `Generated: ${generatedAt.toISOString()}`,
+      '',
+      'Each JSON file holds one kind of record linked to your account.',
+      'Two-factor secrets, recovery codes and your password are never exported.',
+    ].join('\n'),
+  });
+
+  return createZip(files, generatedAt);
+}
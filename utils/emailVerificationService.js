@@ -0,0 +1,68 @@
+import jwt from 'jsonwebtoken';
+import { sendEmailVerificationEmail } from './mailService.js';
+
+/**
+ * Email Verification Service
+ * Creates and checks the signed links used to confirm a user owns an address.
+ */
+
+const VERIFICATION_TOKEN_TTL = '24h';
+const VERIFICATION_PURPOSE = 'email_verification';
+
+// Separate signing key so verification links can never be used as access tokens
+function getVerificationSecret() {
+  return (
+    process.env.EMAIL_VERIFICATION_SECRET ||
+    `${process.env.JWT_SECRET}:${VERIFICATION_PURPOSE}`
+  );
+}
+
+/**
+ * Create a signed verification token for an address
+ * @param {String} userId - User ID
+ * @param {String} email - Address being verified
+ * @returns {String} Signed token
+ */
+export function createEmailVerificationToken(userId, email) {
+  return jwt.sign(
+    {
+      _id: userId,
+      email,
+      purpose: VERIFICATION_PURPOSE,
+    },
+    getVerificationSecret(),
+    {
+      expiresIn: VERIFICATION_TOKEN_TTL,
+    }
+  );
+}
+
+/**
+ * Verify a token created by createEmailVerificationToken
+ * @param {String} token - Signed token
+ * @returns {Object} { userId, email } on success or { error } on failure
+ */
+export function verifyEmailVerificationToken(token) {
+  try {
+    const decoded = jwt.verify(token, getVerificationSecret());
+    if (decoded.purpose !== VERIFICATION_PURPOSE) {
+      return { error: 'Invalid verification link' };
+    }
+    return { userId: decoded._id, email: decoded.email };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'Verification link has expired' };
+    }
+    return { error: 'Invalid verification link' };
+  }
+}
+
+/**
+ * Email a verification link for an address
+ * @param {Object} user - User document
+ * @param {String} email - Address to verify (the pending address on email change)
+ */
+export async function sendVerificationEmail(user, email = user.email) {
+  const token = createEmailVerificationToken(user._id.toString(), email);
+  return sendEmailVerificationEmail(user, email, token);
+}
@@ -109,6 +109,53 @@ export function calculateDistance(lat1, lng1, lat2, lng2) {
   return R * c;
 }
 
+/**
+ * Build an aggregation expression computing the Haversine distance from a point
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {*} latitudeExpr - Expression for the document's latitude (e.g. '$geolocation.latitude')
+ * @param {*} longitudeExpr - Expression for the document's longitude
+ * @returns {Object} Aggregation expression evaluating to kilometers
+ */
+export function buildDistanceExpression(latitude, longitude, latitudeExpr, longitudeExpr) {
+  return {
+    $let: {
+      vars: {
+        dLat: { $degreesToRadians: { $subtract: [latitudeExpr, latitude] } },
+        dLng: { $degreesToRadians: { $subtract: [longitudeExpr, longitude] } },
+        lat1: { $degreesToRadians: latitude },
+        lat2: { $degreesToRadians: latitudeExpr }
+      },
+      in: {
+        $multiply: [
+          6371, // Earth's radius in kilometers
+          {
+            $multiply: [
+              2,
+              {
+                $asin: {
+                  $sqrt: {
+                    $add: [
+                      { $pow: [{ $sin: { $divide: ['$$dLat', 2] } }, 2] },
+                      {
+                        $multiply: [
+                          { $cos: '$$lat1' },
+                          { $cos: '$$lat2' },
+                          { $pow: [{ $sin: { $divide: ['$$dLng', 2] } }, 2] }
+                        ]
+                      }
+                    ]
+                  }
+                }
+              }
+            ]
+          }
+        ]
+      }
+    }
+  };
+}
+
 /**
  * Convert degrees to radians
  * @param {number} degrees - Angle in degrees
@@ -0,0 +1,130 @@
+/**
+ * Join Questionnaire
+ * Questions a private club asks applicants (bike model, riding experience,
+ * plate number, referrer, ...). Answers are stored on the JoinRequest so
+ * reviewers can see them when approving.
+ */
+
+export const QUESTION_TYPES = ['text', 'longtext', 'number', 'select', 'yes_no'];
+
+const MAX_QUESTIONS = 20;
+const MAX_ANSWER_LENGTH = { text: 200, longtext: 1000 };
+
+function toQuestionKey(label) {
+  return label
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+}
+
+/**
+ * Validate a questionnaire from the request body
+ * Existing questions keep their key when relabelled so stored answers still line up.
+ * @param {Array} input - [{ key?, label, type?, options?, required? }]
+ * @returns {Object} { questions } or { errors }
+ */
+export function parseQuestions(input) {
+  if (!Array.isArray(input)) {
+    return { errors: [{ field: 'questions', message: 'questions must be an array' }] };
+  }
+  if (input.length > MAX_QUESTIONS) {
+    return { errors: [{ field: 'questions', message: `A questionnaire can have up to ${MAX_QUESTIONS} questions` }] };
+  }
+
+  const errors = [];
+  const questions = [];
+  const seen = new Set();
+
+  input.forEach((raw, index) => {
+    const field = `questions[${index}]`;
+    const label = typeof raw?.label === 'string' ? raw.label.trim() : '';
+    if (label.length < 2 || label.length > 200) {
+      errors.push({ field: `${field}.label`, message: 'Question must be between 2 and 200 characters' });
+      return;
+    }
+
+    const type = raw.type ?? 'text';
+    if (!QUESTION_TYPES.includes(type)) {
+      errors.push({ field: `${field}.type`, message: `Type must be one of: ${QUESTION_TYPES.join(', ')}` });
+      return;
+    }
+
+    let options = [];
+    if (type === 'select') {
+      options = Array.isArray(raw.options)
+        ? [...new Set(raw.options.filter((o) => typeof o === 'string' && o.trim()).map((o) => o.trim()))]
+        : [];
+      if (options.length < 2) {
+        errors.push({ field: `${field}.options`, message: 'Select questions need at least two options' });
+        return;
+      }
+    }
+
+    const key = typeof raw.key === 'string' && raw.key ? toQuestionKey(raw.key) : toQuestionKey(label);
+    if (!key || seen.has(key)) {
+      errors.push({ field: `${field}.key`, message: 'Each question needs a unique key' });
+      return;
+    }
+    seen.add(key);
+
+    questions.push({ key, label, type, options, required: raw.required !== false });
+  });
+
+  return errors.length > 0 ? { errors } : { questions };
+}
+
+/**
+ * Check an applicant's answers against the club's questionnaire
+ * @param {Array} questions - Club.joinQuestions
+ * @param {Object} answers - { [questionKey]: value } from the request body
+ * @returns {Object} { answers: [{ key, question, answer }] } or { errors }
+ */
+export function validateAnswers(questions = [], answers = {}) {
+  const provided = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+  const errors = [];
+  const result = [];
+
+  for (const question of questions) {
+    const field = `answers.${question.key}`;
+    let value = provided[question.key];
+
+    if (typeof value === 'boolean' && question.type === 'yes_no') {
+      value = value ? 'yes' : 'no';
+    }
+    value = value === undefined || value === null ? '' : String(value).trim();
+
+    if (!value) {
+      if (question.required) {
+        errors.push({ field, message: `${question.label} is required` });
+      }
+      continue;
+    }
+
+    if (question.type === 'number' && !Number.isFinite(Number(value))) {
+      errors.push({ field, message: `${question.label} must be a number` });
+      continue;
+    }
+    if (question.type === 'select' && !question.options.includes(value)) {
+      errors.push({ field, message: `${question.label} must be one of: ${question.options.join(', ')}` });
+      continue;
+    }
+    if (question.type === 'yes_no') {
+      value = value.toLowerCase();
+      if (!['yes', 'no'].includes(value)) {
+        errors.push({ field, message: `${question.label} must be yes or no` });
+        continue;
+      }
+    }
+    const maxLength = MAX_ANSWER_LENGTH[question.type];
+    if (maxLength && value.length > maxLength) {
+      errors.push({ field, message: `${question.label} must be ${maxLength} characters or fewer` });
+      continue;
+    }
+
+    result.push({ key: question.key, question: question.label, answer: value });
+  }
+
+  return errors.length > 0 ? { errors } : { answers: result };
+}
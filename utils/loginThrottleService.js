@@ -0,0 +1,192 @@
+import LoginAttempt from '../models/LoginAttemptModel.js';
+import { createSecurityAlertNotification } from './notificationService.js';
+
+/**
+ * Login Throttle Service
+ * Counts failed logins per account and per IP, applies exponential backoff
+ * and temporarily locks out keys that keep failing.
+ *
+ * Accounts are keyed by the email that was typed, whether or not it exists,
+ * so throttled responses never reveal which emails are registered.
+ */
+
+const DEFAULTS = {
+  accountBackoffAfter: 3,
+  accountLockAfter: 10,
+  ipBackoffAfter: 20,
+  ipLockAfter: 100,
+  lockMinutes: 15,
+  maxBackoffSeconds: 300,
+  resetAfterHours: 24,
+};
+
+function getSetting(envName, fallback) {
+  const value = parseInt(process.env[envName], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getLimits(type) {
+  if (type === 'ip') {
+    return {
+      backoffAfter: getSetting('LOGIN_IP_BACKOFF_AFTER', DEFAULTS.ipBackoffAfter),
+      lockAfter: getSetting('LOGIN_IP_LOCK_AFTER', DEFAULTS.ipLockAfter),
+    };
+  }
+  return {
+    backoffAfter: getSetting('LOGIN_ACCOUNT_BACKOFF_AFTER', DEFAULTS.accountBackoffAfter),
+    lockAfter: getSetting('LOGIN_ACCOUNT_LOCK_AFTER', DEFAULTS.accountLockAfter),
+  };
+}
+
+/**
+ * Normalize an email for use as a throttle key
+ * @param {String} email - Email as submitted
+ */
+export function accountKey(email) {
+  return `account:${String(email || '').trim().toLowerCase()}`;
+}
+
+/**
+ * @param {String} ip - Client IP address
+ */
+export function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Delay required before the next attempt once the backoff threshold is reached.
+ * Doubles with every further failure: 1s, 2s, 4s ... capped at maxBackoffSeconds.
+ * @param {Number} failures - Failures recorded so far
+ * @param {Number} backoffAfter - Failures allowed without delay
+ * @returns {Number} Delay in seconds
+ */
+export function getBackoffSeconds(failures, backoffAfter) {
+  if (failures < backoffAfter) {
+    return 0;
+  }
+  const maxBackoff = getSetting('LOGIN_MAX_BACKOFF_SECONDS', DEFAULTS.maxBackoffSeconds);
+  return Math.min(2 ** (failures - backoffAfter), maxBackoff);
+}
+
+/**
+ * Seconds until a throttle record allows another attempt (0 when allowed)
+ * @param {Object} attempt - LoginAttempt document
+ * @param {Date} now - Current time
+ */
+export function getRetryAfterSeconds(attempt, now = new Date()) {
+  if (!attempt) {
+    return 0;
+  }
+
+  if (attempt.lockedUntil && attempt.lockedUntil > now) {
+    return Math.ceil((attempt.lockedUntil - now) / 1000);
+  }
+
+  const { backoffAfter } = getLimits(attempt.type);
+  const delay = getBackoffSeconds(attempt.failures, backoffAfter);
+  if (!delay || !attempt.lastFailureAt) {
+    return 0;
+  }
+
+  const nextAllowedAt = attempt.lastFailureAt.getTime() + delay * 1000;
+  return Math.max(0, Math.ceil((nextAllowedAt - now.getTime()) / 1000));
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} params - { email, ip }
+ * @returns {Object} { allowed, retryAfterSeconds }
+ */
+export async function checkLoginAllowed({ email, ip }) {
+  const attempts = await LoginAttempt.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+  });
+
+  const now = new Date();
+  const retryAfterSeconds = Math.max(
+    0,
+    ...attempts.map((attempt) => getRetryAfterSeconds(attempt, now))
+  );
+
+  return { allowed: retryAfterSeconds === 0, retryAfterSeconds };
+}
+
+async function recordFailure(key, type) {
+  const now = new Date();
+  const resetAfterHours = getSetting('LOGIN_ATTEMPT_RESET_HOURS', DEFAULTS.resetAfterHours);
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + resetAfterHours * 60 * 60 * 1000),
+      },
+      $setOnInsert: { type },
+    },
+    { upsert: true, new: true }
+  );
+
+  const { lockAfter } = getLimits(type);
+  if (attempt.failures < lockAfter) {
+    return { attempt, lockedNow: false };
+  }
+
+  // Every failure past the threshold restarts the lockout window
+  const wasLocked = attempt.lockedUntil && attempt.lockedUntil > now;
+  const lockMinutes = getSetting('LOGIN_LOCK_MINUTES', DEFAULTS.lockMinutes);
+  attempt.lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+  await attempt.save();
+
+  return { attempt, lockedNow: !wasLocked };
+}
+
+/**
+ * Record a failed login for the account and the client IP
+ * @param {Object} params - { email, ip, user } - user is the matching account, if any
+ */
+export async function recordLoginFailure({ email, ip, user = null }) {
+  const [account] = await Promise.all([
+    recordFailure(accountKey(email), 'account'),
+    recordFailure(ipKey(ip), 'ip'),
+  ]);
+
+  if (user && account.lockedNow) {
+    try {
+      await createSecurityAlertNotification(
+        user._id,
+        'Your account was temporarily locked after repeated failed sign-in attempts. If this wasn\'t you, consider changing your password.',
+        {
+          reason: 'login_lockout',
+          ipAddress: ip,
+          lockedUntil: account.attempt.lockedUntil,
+        }
+      );
+      account.attempt.notifiedAt = new Date();
+      await account.attempt.save();
+    } catch (error) {
+      console.error('Error sending lockout notification:', error);
+      // Don't fail the request if notification fails
+    }
+  }
+}
+
+/**
+ * Clear the account counter after a successful login.
+ * The IP counter is left to expire so one valid account can't reset it.
+ * @param {Object} params - { email }
+ */
+export async function recordLoginSuccess({ email }) {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+}
+
+/**
+ * Remove any lockout or backoff on an account
+ * @param {String} email - Account email
+ * @returns {Boolean} true when a throttle record was removed
+ */
+export async function unlockAccount(email) {
+  const result = await LoginAttempt.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+}
@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import nodemailer from 'nodemailer';
+import { getMailConfigError } from './config.js';
+
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport.
+ *
+ * A transport is any object with an async `send(message)` method, where
+ * message is { from, to, subject, text, html }. The transport is picked from
+ * MAIL_TRANSPORT ('smtp', 'file' or 'console') unless one is set explicitly
+ * with setMailTransport(). In production only SMTP is allowed (see
+ * getMailConfigError in utils/config.js).
+ */
+
+let activeTransport = null;
+
+/**
+ * Console transport - logs messages instead of sending them (local development)
+ */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('[mail] To:', message.to);
+      console.log('[mail] Subject:', message.subject);
+      console.log('[mail]', message.text);
+      return { delivered: false, transport: 'console' };
+    },
+  };
+}
+
+/**
+ * File transport - writes each message as a JSON file (tests and local development)
+ * @param {String} directory - Outbox directory
+ */
+export function createFileTransport(directory) {
+  const outbox =
+    directory ||
+    process.env.MAIL_OUTBOX_DIR ||
+    path.join(os.tmpdir(), 'motoclub-mail');
+
+  return {
+    name: 'file',
+    directory: outbox,
+    async send(message) {
+      await fs.mkdir(outbox, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(outbox, fileName);
+      await fs.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { delivered: true, transport: 'file', path: filePath };
+    },
+  };
+}
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+export function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { delivered: true, transport: 'smtp', messageId: info.messageId };
+    },
+  };
+}
+
+function createTransportFromEnv() {
+  // Refuse to log reset links to stdout when real mail was expected
+  const configError = getMailConfigError(process.env);
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      return process.env.SMTP_HOST
+        ? createSmtpTransport()
+        : createConsoleTransport();
+  }
+}
+
+/**
+ * Override the active transport (pass null to go back to the env default)
+ * @param {Object|null} transport - Transport with an async send(message) method
+ */
+export function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Get the active transport, creating it from env on first use
+ */
+export function getMailTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransportFromEnv();
+  }
+  return activeTransport;
+}
+
+/**
+ * Base URL of the frontend, used when building links in emails
+ */
+export function getAppUrl() {
+  if (process.env.APP_URL) {
+    return process.env.APP_URL.replace(/\/$/, '');
+  }
+  const firstOrigin = process.env.FRONTEND_URL?.split(',')[0]?.trim();
+  if (firstOrigin && firstOrigin !== '*') {
+    return firstOrigin.replace(/\/$/, '');
+  }
+  return 'http://localhost:4200';
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const transport = getMailTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || 'MotoClub Connect <no-reply@motoclubconnect.app>',
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+/**
+ * Message templates for transactional emails
+ */
+const mailTemplates = {
+  password_reset: (name, link, minutes) => ({
+    subject: 'Reset your MotoClub Connect password',
+    text:
+      `Hi ${name},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+      `${link}\n\n` +
+      `This link expires in ${minutes} minutes and can only be used once. ` +
+      `If you didn't request a reset, you can ignore this email.`,
+  }),
+  email_verification: (name, link) => ({
+    subject: 'Confirm your MotoClub Connect email address',
+    text:
+      `Hi ${name},\n\n` +
+      `Please confirm this email address by opening the link below:\n\n` +
+      `${link}\n\n` +
+      `This link expires in 24 hours. If you didn't sign up or change your email, ` +
+      `you can ignore this email.`,
+  }),
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {String} token - Raw reset token
+ * @param {Number} expiresInMinutes - Token lifetime
+ */
+export async function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const link = `${getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  const { subject, text } = mailTemplates.password_reset(
+    user.firstName || user.username,
+    link,
+    expiresInMinutes
+  );
+  return sendMail({ to: user.email, subject, text });
+}
+
+/**
+ * Send an email address verification link
+ * @param {Object} user - User document
+ * @param {String} email - Address being verified
+ * @param {String} token - Signed verification token
+ */
+export async function sendEmailVerificationEmail(user, email, token) {
+  const link = `${getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  const { subject, text } = mailTemplates.email_verification(
+    user.firstName || user.username,
+    link
+  );
+  return sendMail({ to: email, subject, text });
+}
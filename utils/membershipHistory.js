@@ -0,0 +1,77 @@
+import MembershipEvent from '../models/MembershipEventModel.js';
+
+/**
+ * Membership History
+ * Records joins, leaves, removals, request decisions and role changes, and
+ * works out when someone who left, was removed or was rejected may apply again.
+ */
+
+// Days before someone can ask to join again, unless the club sets its own
+export const DEFAULT_REJOIN_COOLDOWN_DAYS = {
+  left: 0,
+  removed: 30,
+  rejected: 14,
+};
+
+const COOLDOWN_EVENT_TYPES = {
+  left: 'left',
+  removed: 'removed',
+  request_rejected: 'rejected',
+};
+
+/**
+ * Record a membership event. History is best effort - a failed write never fails the request.
+ * @param {Object} event - { club, user, actor, type, data? }
+ */
+export async function recordMembershipEvent({ club, user, actor = null, type, data = {} }) {
+  try {
+    await MembershipEvent.create({
+      club: club?._id ?? club,
+      user: user?._id ?? user,
+      actor: actor?._id ?? actor,
+      type,
+      data,
+    });
+  } catch (error) {
+    console.error(`Failed to record membership event ${type}:`, error);
+  }
+}
+
+/**
+ * Club cooldowns merged over the defaults
+ * @param {Object} club - Club document
+ * @returns {Object} { left, removed, rejected } in days
+ */
+export function getRejoinCooldownDays(club) {
+  const configured = club?.rejoinCooldownDays?.toObject?.() ?? club?.rejoinCooldownDays ?? {};
+  const days = { ...DEFAULT_REJOIN_COOLDOWN_DAYS };
+  for (const reason of Object.keys(DEFAULT_REJOIN_COOLDOWN_DAYS)) {
+    if (Number.isFinite(configured[reason]) && configured[reason] >= 0) {
+      days[reason] = configured[reason];
+    }
+  }
+  return days;
+}
+
+/**
+ * When a user may next ask to join a club
+ * @param {Object} club - Club document
+ * @param {String} userId - User ID
+ * @returns {Object|null} { reason, canReapplyAt } while a cooldown applies, otherwise null
+ */
+export async function getRejoinCooldown(club, userId) {
+  const last = await MembershipEvent.findOne({
+    club: club._id,
+    user: userId,
+    type: { $in: Object.keys(COOLDOWN_EVENT_TYPES) },
+  }).sort({ createdAt: -1 });
+  if (!last) {
+    return null;
+  }
+
+  const reason = COOLDOWN_EVENT_TYPES[last.type];
+  const days = getRejoinCooldownDays(club)[reason];
+  const canReapplyAt = new Date(last.createdAt.getTime() + days * 24 * 60 * 60 * 1000);
+
+  return canReapplyAt > new Date() ? { reason, canReapplyAt } : null;
+}
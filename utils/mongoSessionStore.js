@@ -0,0 +1,57 @@
+import session from 'express-session';
+import HttpSession from '../models/HttpSessionModel.js';
+
+/**
+ * express-session store backed by MongoDB
+ * Sessions survive restarts and redeploys, and expired ones are removed by the
+ * TTL index instead of accumulating in process memory.
+ */
+
+const DEFAULT_TTL_SECONDS = 14 * 24 * 60 * 60; // 14 days
+
+export default class MongoSessionStore extends session.Store {
+  /**
+   * @param {Object} options - { ttlSeconds } - lifetime for sessions whose cookie has no expiry
+   */
+  constructor({ ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    super();
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  getExpiry(sess) {
+    const cookieExpiry = sess?.cookie?.expires;
+    if (cookieExpiry) {
+      return new Date(cookieExpiry);
+    }
+    return new Date(Date.now() + this.ttlSeconds * 1000);
+  }
+
+  get(sid, callback) {
+    HttpSession.findOne({ _id: sid, expiresAt: { $gt: new Date() } })
+      .lean()
+      .then((doc) => callback(null, doc ? JSON.parse(doc.data) : null))
+      .catch((error) => callback(error));
+  }
+
+  set(sid, sess, callback) {
+    HttpSession.updateOne(
+      { _id: sid },
+      { data: JSON.stringify(sess), expiresAt: this.getExpiry(sess) },
+      { upsert: true }
+    )
+      .then(() => callback?.(null))
+      .catch((error) => callback?.(error));
+  }
+
+  touch(sid, sess, callback) {
+    HttpSession.updateOne({ _id: sid }, { expiresAt: this.getExpiry(sess) })
+      .then(() => callback?.(null))
+      .catch((error) => callback?.(error));
+  }
+
+  destroy(sid, callback) {
+    HttpSession.deleteOne({ _id: sid })
+      .then(() => callback?.(null))
+      .catch((error) => callback?.(error));
+  }
+}
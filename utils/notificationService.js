@@ -11,6 +11,12 @@ const messageTemplates = {
   request_rejected: (clubName, rejecterName) => `Your request to join ${clubName} was rejected by ${rejecterName}`,
   new_member: (memberName, clubName) => `${memberName} joined ${clubName}`,
   role_change: (clubName) => `You are now an admin of ${clubName}`,
+  ownership_transfer: (senderName, clubName) => `${senderName} wants to make you the owner of ${clubName}`,
+  club_deletion: (clubName, date) => `${clubName} will be deleted on ${date}`,
+  club_verification: (clubName, approved) => approved
+    ? `${clubName} is now verified`
+    : `The verification request for ${clubName} was rejected`,
+  club_bylaws: (clubName, version) => `${clubName} published new bylaws (version ${version}). Please review and accept them`,
 };
 
 /**
@@ -206,6 +212,168 @@ export async function createRoleChangeNotification(userId, club, newRole, change
   }
 }
 
+/**
+ * Create notification for an ownership transfer offer (notify the recipient)
+ * @param {String} recipientUserId - ID of the user being offered ownership
+ * @param {Object} club - Club object
+ * @param {Object} ownerUser - Current owner making the offer
+ */
+export async function createOwnershipTransferNotification(recipientUserId, club, ownerUser) {
+  try {
+    const ownerName = getUserDisplayName(ownerUser);
+    const message = messageTemplates.ownership_transfer(ownerName, club.clubName);
+
+    const notification = await Notification.createNotification({
+      type: 'ownership_transfer',
+      recipient: recipientUserId,
+      sender: ownerUser._id,
+      club: club._id,
+      message,
+      data: {
+        ownerUserId: ownerUser._id,
+        ownerName,
+        expiresAt: club.ownershipTransfer?.expiresAt,
+      },
+    });
+
+    console.log(`Created ownership transfer notification for user ${recipientUserId} in club ${club.clubName}`);
+    return notification;
+  } catch (error) {
+    console.error('Error creating ownership transfer notification:', error);
+    throw new Error(`Failed to create ownership transfer notification: ${error.message}`);
+  }
+}
+
+/**
+ * Create notification for a scheduled club deletion (notify every member except the owner)
+ * @param {Array} userIds - Array of member user IDs
+ * @param {Object} club - Club object with deletion.scheduledFor set
+ * @param {Object} ownerUser - Owner who requested the deletion
+ */
+export async function createClubDeletionNotifications(userIds, club, ownerUser) {
+  try {
+    const scheduledFor = club.deletion.scheduledFor;
+    const message = messageTemplates.club_deletion(club.clubName, scheduledFor.toISOString().slice(0, 10));
+
+    const notifications = await Promise.all(
+      userIds
+        .filter((userId) => userId.toString() !== ownerUser._id.toString())
+        .map((userId) =>
+          Notification.createNotification({
+            type: 'club_deletion',
+            recipient: userId,
+            sender: ownerUser._id,
+            club: club._id,
+            message,
+            data: { scheduledFor },
+          })
+        )
+    );
+
+    console.log(`Created ${notifications.length} club deletion notifications for club ${club.clubName}`);
+    return notifications;
+  } catch (error) {
+    console.error('Error creating club deletion notifications:', error);
+    throw new Error(`Failed to create club deletion notifications: ${error.message}`);
+  }
+}
+
+/**
+ * Tell a club's admins how their verification request was decided
+ * @param {Array} adminIds - Array of admin user IDs
+ * @param {Object} club - Club object
+ * @param {Object} verificationRequest - Reviewed ClubVerificationRequest
+ */
+export async function createClubVerificationNotifications(adminIds, club, verificationRequest) {
+  try {
+    const approved = verificationRequest.status === 'approved';
+    const message = messageTemplates.club_verification(club.clubName, approved);
+
+    const notifications = await Promise.all(
+      adminIds.map((userId) =>
+        Notification.createNotification({
+          type: 'club_verification',
+          recipient: userId,
+          sender: null,
+          club: club._id,
+          message,
+          data: {
+            verificationRequestId: verificationRequest._id,
+            status: verificationRequest.status,
+            reviewNote: verificationRequest.reviewNote,
+          },
+        })
+      )
+    );
+
+    console.log(`Created ${notifications.length} club verification notifications for club ${club.clubName}`);
+    return notifications;
+  } catch (error) {
+    console.error('Error creating club verification notifications:', error);
+    throw new Error(`Failed to create club verification notifications: ${error.message}`);
+  }
+}
+
+/**
+ * Ask members (and applicants) to accept a newly published bylaws version
+ * @param {Array} userIds - Array of user IDs
+ * @param {Object} club - Club object
+ * @param {Object} bylaws - Published ClubBylaws document
+ */
+export async function createBylawsPublishedNotifications(userIds, club, bylaws) {
+  try {
+    const message = messageTemplates.club_bylaws(club.clubName, bylaws.version);
+
+    const notifications = await Promise.all(
+      userIds.map((userId) =>
+        Notification.createNotification({
+          type: 'club_bylaws',
+          recipient: userId,
+          sender: bylaws.publishedBy,
+          club: club._id,
+          message,
+          data: {
+            bylawsId: bylaws._id,
+            version: bylaws.version,
+            changeNote: bylaws.changeNote,
+          },
+        })
+      )
+    );
+
+    console.log(`Created ${notifications.length} bylaws notifications for club ${club.clubName}`);
+    return notifications;
+  } catch (error) {
+    console.error('Error creating bylaws notifications:', error);
+    throw new Error(`Failed to create bylaws notifications: ${error.message}`);
+  }
+}
+
+/**
+ * Create a security alert for a user (lockouts, suspicious sign-in activity)
+ * @param {String} userId - ID of the affected user
+ * @param {String} message - Alert text shown to the user
+ * @param {Object} data - Additional context (IP address, timestamps, etc.)
+ */
+export async function createSecurityAlertNotification(userId, message, data = {}) {
+  try {
+    const notification = await Notification.createNotification({
+      type: 'security_alert',
+      recipient: userId,
+      sender: null,
+      club: null,
+      message,
+      data,
+    });
+
+    console.log(`Created security alert notification for user ${userId}`);
+    return notification;
+  } catch (error) {
+    console.error('Error creating security alert notification:', error);
+    throw new Error(`Failed to create security alert notification: ${error.message}`);
+  }
+}
+
 /**
  * Helper function to get all admin user IDs for a club
  * @param {String} clubId - Club ID
@@ -219,15 +387,7 @@ export async function getClubAdmins(clubId) {
       roles: 'admin' 
     });
 
-    if (adminMembers.length === 0) {
-      return [];
-    }
-
-    // Get user IDs from email addresses (using existing logic pattern)
-    const adminEmails = adminMembers.map(member => member.email);
-    const adminUsers = await User.find({ email: { $in: adminEmails } });
-    
-    return adminUsers.map(user => user._id);
+    return adminMembers.map(member => member.user);
   } catch (error) {
     console.error('Error getting club admins:', error);
     throw new Error(`Failed to get club admins: ${error.message}`);
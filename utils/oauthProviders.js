@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+
+/**
+ * OAuth Provider Registry
+ * Each provider turns a client-side credential (access token, ID token) into a
+ * normalized profile:
+ *   { providerUserId, email, emailVerified, firstName, lastName, pictureUrl }
+ *
+ * Verification is injectable - tests swap in a local fake with setOAuthTokenVerifier.
+ */
+
+const providers = new Map();
+const verifierOverrides = new Map();
+
+/**
+ * Register a provider
+ * @param {String} name - Provider key used in routes and on User.identities ('google')
+ * @param {Object} definition - { displayName, verifyToken(token), isEnabled() }
+ */
+export function registerOAuthProvider(name, { displayName, verifyToken, isEnabled = () => true }) {
+  providers.set(name, { name, displayName, verifyToken, isEnabled });
+}
+
+/**
+ * @param {String} name - Provider key
+ * @returns {Object|null} Provider definition, or null when unknown or disabled
+ */
+export function getOAuthProvider(name) {
+  const provider = providers.get(name);
+  return provider && provider.isEnabled() ? provider : null;
+}
+
+/**
+ * Providers the client can offer, e.g. for rendering sign-in buttons
+ * @returns {Array} [{ name, displayName }]
+ */
+export function listOAuthProviders() {
+  return [...providers.values()]
+    .filter((provider) => provider.isEnabled())
+    .map(({ name, displayName }) => ({ name, displayName }));
+}
+
+/**
+ * Replace a provider's token verification (tests) - pass null to restore the real one
+ * @param {String} name - Provider key
+ * @param {Function|null} verifier - async (token) => profile
+ */
+export function setOAuthTokenVerifier(name, verifier) {
+  if (verifier) {
+    verifierOverrides.set(name, verifier);
+  } else {
+    verifierOverrides.delete(name);
+  }
+}
+
+/**
+ * Verify a credential with its provider
+ * @param {String} name - Provider key
+ * @param {String} token - Credential from the client
+ * @returns {Object} Normalized profile - throws with a user-facing message when invalid
+ */
+export async function verifyOAuthToken(name, token) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unsupported sign-in provider: ${name}`);
+  }
+  const verify = verifierOverrides.get(name) || provider.verifyToken;
+  return verify(token);
+}
+
+// Verify Facebook access token with Facebook Graph API
+async function verifyFacebookToken(accessToken) {
+  try {
+    const response = await axios.get(
+      `https://graph.facebook.com/me?access_token=${accessToken}&fields=id,email,first_name,last_name,picture.type(large)`
+    );
+    const { id, email, first_name, last_name, picture } = response.data;
+    return {
+      providerUserId: id,
+      email,
+      // Facebook only shares addresses it has already confirmed
+      emailVerified: !!email,
+      firstName: first_name,
+      lastName: last_name,
+      pictureUrl: picture?.data?.url,
+    };
+  } catch (error) {
+    console.error(
+      'Facebook token verification failed:',
+      error.response?.data || error.message
+    );
+    throw new Error('Invalid Facebook access token');
+  }
+}
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+
+function getGoogleClientIds() {
+  return (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+let googleKeyCache = { keys: null, expiresAt: 0 };
+
+// Google's signing keys rotate - cache them for as long as the response allows
+async function fetchGoogleSigningKeys() {
+  if (googleKeyCache.keys && googleKeyCache.expiresAt > Date.now()) {
+    return googleKeyCache.keys;
+  }
+
+  const response = await axios.get(GOOGLE_CERTS_URL);
+  const maxAge = /max-age=(\d+)/.exec(response.headers?.['cache-control'] || '');
+  googleKeyCache = {
+    keys: response.data.keys,
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1], 10) : 3600) * 1000,
+  };
+  return googleKeyCache.keys;
+}
+
+/**
+ * Build a Google ID token verifier
+ * @param {Object} options - { fetchSigningKeys, getClientIds } - both injectable for tests
+ * @returns {Function} async (idToken) => profile
+ */
+export function createGoogleIdTokenVerifier({
+  fetchSigningKeys = fetchGoogleSigningKeys,
+  getClientIds = getGoogleClientIds,
+} = {}) {
+  return async (idToken) => {
+    const clientIds = getClientIds();
+    if (clientIds.length === 0) {
+      throw new Error('Google sign-in is not configured');
+    }
+
+    const decoded = jwt.decode(idToken || '', { complete: true });
+    if (!decoded?.header?.kid) {
+      throw new Error('Invalid Google ID token');
+    }
+
+    let keys;
+    try {
+      keys = await fetchSigningKeys();
+    } catch (error) {
+      console.error('Failed to fetch Google signing keys:', error.message);
+      throw new Error('Could not verify Google ID token');
+    }
+
+    const jwk = keys.find((key) => key.kid === decoded.header.kid);
+    if (!jwk) {
+      throw new Error('Invalid Google ID token');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: ['RS256'],
+        audience: clientIds,
+        issuer: GOOGLE_ISSUERS,
+      });
+    } catch (error) {
+      throw new Error('Invalid Google ID token');
+    }
+
+    return {
+      providerUserId: payload.sub,
+      email: payload.email,
+      emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+      firstName: payload.given_name,
+      lastName: payload.family_name,
+      pictureUrl: payload.picture,
+    };
+  };
+}
+
+registerOAuthProvider('facebook', {
+  displayName: 'Facebook',
+  verifyToken: verifyFacebookToken,
+});
+
+registerOAuthProvider('google', {
+  displayName: 'Google',
+  verifyToken: createGoogleIdTokenVerifier(),
+  isEnabled: () => getGoogleClientIds().length > 0,
+});
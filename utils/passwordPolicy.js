@@ -0,0 +1,85 @@
+import commonPasswords from './commonPasswords.js';
+
+/**
+ * Password Policy
+ * One set of rules for signup, password reset and password change.
+ * Configurable through PASSWORD_* environment variables.
+ */
+
+function readNumber(envName, fallback) {
+  const value = parseInt(process.env[envName], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function readFlag(envName, fallback) {
+  const value = process.env[envName];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Current policy, read from the environment on every call
+ * @returns {Object} { minLength, maxLength, requireLowercase, requireUppercase, requireNumber, requireSymbol, blockCommon }
+ */
+export function getPasswordPolicy() {
+  return {
+    minLength: readNumber('PASSWORD_MIN_LENGTH', 8),
+    // bcrypt only looks at the first 72 bytes
+    maxLength: Math.min(readNumber('PASSWORD_MAX_LENGTH', 72), 72),
+    requireLowercase: readFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireUppercase: readFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireNumber: readFlag('PASSWORD_REQUIRE_NUMBER', true),
+    requireSymbol: readFlag('PASSWORD_REQUIRE_SYMBOL', false),
+    blockCommon: readFlag('PASSWORD_BLOCK_COMMON', true),
+  };
+}
+
+/**
+ * Check a password against the policy
+ * @param {String} password - Candidate password
+ * @param {Object} context - { email, username } - the password may not contain either
+ * @returns {Object} { valid, errors } - errors are user-facing messages
+ */
+export function validatePassword(password, { email, username } = {}) {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return { valid: false, errors: ['Password is required'] };
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > policy.maxLength) {
+    errors.push(`Password must be at most ${policy.maxLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const lowered = password.toLowerCase();
+  if (policy.blockCommon && commonPasswords.has(lowered)) {
+    errors.push('This password is too common. Please choose a different one');
+  }
+
+  const emailName = typeof email === 'string' ? email.split('@')[0].toLowerCase() : '';
+  const personal = [emailName, typeof username === 'string' ? username.toLowerCase() : '']
+    .filter((value) => value.length >= 3);
+  if (personal.some((value) => lowered.includes(value))) {
+    errors.push('Password must not contain your username or email');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
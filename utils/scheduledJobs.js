@@ -0,0 +1,53 @@
+import { purgeDueAccountDeletions } from './accountDeletionService.js';
+import { purgeDueClubDeletions } from './clubCleanup.js';
+import { backfillClubSlugs } from './clubSlug.js';
+
+/**
+ * Background jobs that run inside the API process.
+ * Started once the database connection is up (not in tests).
+ */
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+async function runAccountPurge() {
+  try {
+    const purged = await purgeDueAccountDeletions();
+    if (purged > 0) {
+      console.log(`Purged ${purged} deleted account(s)`);
+    }
+  } catch (error) {
+    console.error('Error purging deleted accounts:', error);
+  }
+}
+
+async function runClubPurge() {
+  try {
+    const purged = await purgeDueClubDeletions();
+    if (purged > 0) {
+      console.log(`Purged ${purged} deleted club(s)`);
+    }
+  } catch (error) {
+    console.error('Error purging deleted clubs:', error);
+  }
+}
+
+// Clubs created before slugs existed get one at startup
+async function runSlugBackfill() {
+  try {
+    const updated = await backfillClubSlugs();
+    if (updated > 0) {
+      console.log(`Added slugs to ${updated} club(s)`);
+    }
+  } catch (error) {
+    console.error('Error adding club slugs:', error);
+  }
+}
+
+export function startScheduledJobs() {
+  runSlugBackfill();
+  runAccountPurge();
+  runClubPurge();
+  // unref so the timers never keep the process alive on shutdown
+  setInterval(runAccountPurge, PURGE_INTERVAL_MS).unref();
+  setInterval(runClubPurge, PURGE_INTERVAL_MS).unref();
+}
@@ -0,0 +1,334 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/UserModel.js';
+import RefreshToken from '../models/RefreshTokenModel.js';
+import RevokedToken from '../models/RevokedTokenModel.js';
+import Session from '../models/SessionModel.js';
+import { parseUserAgent } from './userAgent.js';
+
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens, and handles
+ * server-side revocation of both. Each login is recorded as a Session that
+ * owns one refresh token family.
+ */
+
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000; // Don't write lastSeenAt more often than this
+
+// Read lazily - dotenv is configured after module imports are evaluated
+function getAccessTokenTtlSeconds() {
+  return (
+    parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) ||
+    DEFAULT_ACCESS_TOKEN_TTL_SECONDS
+  );
+}
+
+function getRefreshTokenTtlMs() {
+  const days =
+    parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) ||
+    DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {String} token - Raw refresh token
+ * @returns {String} Hex encoded SHA-256 hash
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a signed access token
+ * @param {String} userId - User ID
+ * @param {String} family - Refresh token family the access token belongs to
+ * @returns {String} Signed JWT
+ */
+export function createAccessToken(userId, family) {
+  return jwt.sign(
+    {
+      _id: userId,
+      fam: family,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: getAccessTokenTtlSeconds(),
+      jwtid: crypto.randomUUID(),
+    }
+  );
+}
+
+/**
+ * Create and store a refresh token
+ * @param {String} userId - User ID
+ * @param {String} family - Token family
+ * @param {Object} req - Express request (used for IP and user agent)
+ * @returns {Object} { raw, doc }
+ */
+async function createRefreshToken(userId, family, req) {
+  const raw = crypto.randomBytes(48).toString('hex');
+  const doc = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(raw),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    createdByIp: req?.ip,
+    userAgent: req?.get?.('user-agent'),
+  });
+  return { raw, doc };
+}
+
+/**
+ * Record a new login session
+ * @param {String} userId - User ID
+ * @param {String} family - Token family owned by the session
+ * @param {Object} req - Express request (IP, user agent, optional body.deviceName)
+ * @param {String} loginMethod - How the user signed in
+ */
+async function createSession(userId, family, req, loginMethod) {
+  const userAgent = req?.get?.('user-agent');
+  const { browser, os, deviceType } = parseUserAgent(userAgent);
+  const deviceName =
+    typeof req?.body?.deviceName === 'string'
+      ? req.body.deviceName.trim().slice(0, 100) || undefined
+      : undefined;
+
+  return Session.create({
+    user: userId,
+    family,
+    loginMethod,
+    deviceName,
+    device: { browser, os, deviceType },
+    userAgent,
+    ipAddress: req?.ip,
+    lastIpAddress: req?.ip,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+}
+
+/**
+ * Issue a new access/refresh token pair for a fresh login
+ * @param {String} userId - User ID
+ * @param {Object} req - Express request
+ * @param {Object} options - { loginMethod } - recorded on the session
+ * @returns {Object} { token, refreshToken, family }
+ */
+export async function issueAuthTokens(userId, req, { loginMethod = 'password' } = {}) {
+  const family = crypto.randomUUID();
+  await createSession(userId, family, req, loginMethod);
+  const { raw } = await createRefreshToken(userId, family, req);
+
+  return {
+    token: createAccessToken(userId, family),
+    refreshToken: raw,
+    family,
+  };
+}
+
+/**
+ * Revoke every refresh token in a family and block its access tokens
+ * @param {String} family - Token family
+ * @param {String} reason - Revocation reason
+ */
+export async function revokeTokenFamily(family, reason = 'revoked') {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  await Session.updateOne(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  await RevokedToken.create({
+    family,
+    expiresAt: new Date(Date.now() + getAccessTokenTtlSeconds() * 1000),
+  });
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting an already-rotated token is treated as theft and kills the family.
+ * @param {String} rawToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Object} { tokens, userId } on success or { error } on failure
+ */
+export async function rotateRefreshToken(rawToken, req) {
+  const tokenHash = hashToken(rawToken);
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!existing) {
+    const stale = await RefreshToken.findOne({ tokenHash });
+
+    if (!stale) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (stale.revokedAt) {
+      console.warn(
+        `Refresh token reuse detected for user ${stale.user}, revoking family ${stale.family}`
+      );
+      await revokeTokenFamily(stale.family, 'reuse_detected');
+      return { error: 'Refresh token has been revoked' };
+    }
+
+    return { error: 'Refresh token has expired' };
+  }
+
+  const { raw, doc } = await createRefreshToken(
+    existing.user,
+    existing.family,
+    req
+  );
+
+  existing.replacedByHash = doc.tokenHash;
+  await existing.save();
+
+  await Session.updateOne(
+    { family: existing.family },
+    {
+      lastSeenAt: new Date(),
+      lastIpAddress: req?.ip,
+      expiresAt: doc.expiresAt,
+    }
+  );
+
+  return {
+    userId: existing.user,
+    tokens: {
+      token: createAccessToken(existing.user, existing.family),
+      refreshToken: raw,
+    },
+  };
+}
+
+/**
+ * Revoke the session behind an access token and/or refresh token (logout)
+ * @param {Object} params - { accessToken, refreshToken }
+ */
+export async function revokeSessionTokens({ accessToken, refreshToken }) {
+  const families = new Set();
+
+  if (accessToken) {
+    try {
+      const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, {
+        ignoreExpiration: true,
+      });
+      if (decoded.fam) {
+        families.add(decoded.fam);
+      } else if (decoded.jti && decoded.exp) {
+        await RevokedToken.create({
+          jti: decoded.jti,
+          expiresAt: new Date(decoded.exp * 1000),
+        });
+      } else if (decoded._id) {
+        // Pre-session token with nothing to deny-list it by - end all of the user's old tokens
+        await User.updateOne({ _id: decoded._id }, { tokensValidAfter: new Date() });
+      }
+    } catch (_) {
+      // Invalid access token - nothing to revoke
+    }
+  }
+
+  if (refreshToken) {
+    const existing = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    if (existing) {
+      families.add(existing.family);
+    }
+  }
+
+  for (const family of families) {
+    await revokeTokenFamily(family, 'logout');
+  }
+}
+
+/**
+ * Check whether a decoded access token has been revoked, either on its own
+ * or because the session it belongs to was ended
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Boolean}
+ */
+export async function isAccessTokenRevoked(decoded) {
+  // Tokens issued before sessions existed have no family; they die with the user's last revoke-all
+  if (!decoded.fam) {
+    const user = await User.findById(decoded._id).select('tokensValidAfter').lean();
+    if (user?.tokensValidAfter && (!decoded.iat || decoded.iat * 1000 <= user.tokensValidAfter.getTime())) {
+      return true;
+    }
+  }
+
+  if (decoded.fam) {
+    const session = await Session.findOne({ family: decoded.fam }).select('revokedAt').lean();
+    if (session?.revokedAt) {
+      return true;
+    }
+  }
+
+  const conditions = [];
+  if (decoded.jti) conditions.push({ jti: decoded.jti });
+  if (decoded.fam) conditions.push({ family: decoded.fam });
+
+  if (conditions.length === 0) {
+    return false;
+  }
+
+  const revoked = await RevokedToken.exists({ $or: conditions });
+  return !!revoked;
+}
+
+/**
+ * Revoke every active session for a user (password reset, forced logout)
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {Object} options - { exceptFamily } - keep this session (e.g. the one changing the password)
+ */
+export async function revokeAllUserTokens(userId, reason = 'revoked', { exceptFamily } = {}) {
+  // Tokens without a family can't be tied to a session, so revoke-all always ends them
+  await User.updateOne({ _id: userId }, { tokensValidAfter: new Date() });
+
+  const families = await RefreshToken.distinct('family', {
+    user: userId,
+    revokedAt: null,
+    ...(exceptFamily ? { family: { $ne: exceptFamily } } : {}),
+  });
+
+  for (const family of families) {
+    await revokeTokenFamily(family, reason);
+  }
+
+  return families.length;
+}
+
+/**
+ * Update a session's last-seen time and IP, at most once per LAST_SEEN_RESOLUTION_MS
+ * @param {String} family - Token family of the session
+ * @param {Object} req - Express request
+ */
+export async function touchSession(family, req) {
+  if (!family) {
+    return;
+  }
+
+  const now = new Date();
+  await Session.updateOne(
+    {
+      family,
+      revokedAt: null,
+      lastSeenAt: { $lt: new Date(now.getTime() - LAST_SEEN_RESOLUTION_MS) },
+    },
+    { lastSeenAt: now, lastIpAddress: req?.ip }
+  );
+}
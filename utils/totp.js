@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP (RFC 6238) helpers
+ * Time-based one-time passwords compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string (case and whitespace insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+export function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/\s/g, '').replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+/**
+ * Generate a random base32 secret
+ * @param {Number} bytes - Secret length in bytes (20 bytes = 160 bits, the RFC recommendation)
+ * @returns {String} Base32 secret
+ */
+export function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Moving factor
+ * @param {Number} digits - Code length
+ * @returns {String} Zero-padded code
+ */
+export function generateHOTP(secret, counter, digits = DEFAULT_DIGITS) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {Number} timestampMs - Unix time in milliseconds
+ * @param {Number} stepSeconds - Step size
+ */
+export function getTimeStep(timestampMs = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) {
+  return Math.floor(timestampMs / 1000 / stepSeconds);
+}
+
+/**
+ * Generate the TOTP code for a point in time
+ * @param {String} secret - Base32 secret
+ * @param {Number} timestampMs - Unix time in milliseconds
+ */
+export function generateTOTP(secret, timestampMs = Date.now()) {
+  return generateHOTP(secret, getTimeStep(timestampMs));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} token - Code entered by the user
+ * @param {Object} options - { window, timestampMs }
+ * @returns {Number|null} The matching time step, or null when the code is wrong
+ */
+export function verifyTOTP(secret, token, { window = 1, timestampMs = Date.now() } = {}) {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestampMs);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps scan as a QR code
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Account label (usually the email)
+ * @param {String} issuer - Service name shown in the app
+ */
+export function buildOtpauthUri(secret, accountName, issuer = 'MotoClub Connect') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Built by hand - URLSearchParams encodes spaces as '+', which some apps display literally
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${DEFAULT_DIGITS}`,
+    `period=${DEFAULT_STEP_SECONDS}`,
+  ].join('&');
+  return `otpauth://totp/${label}?${params}`;
+}
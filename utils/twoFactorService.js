@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Club from '../models/ClubModel.js';
+import User from '../models/UserModel.js';
+import { verifyTOTP } from './totp.js';
+
+/**
+ * Two-Factor Authentication Service
+ * Secret storage, recovery codes, login challenges and the per-club admin 2FA policy.
+ */
+
+const CHALLENGE_TOKEN_TTL = '5m';
+const CHALLENGE_PURPOSE = 'two_factor_challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets are encrypted at rest with a key derived from the environment
+function getEncryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(
+      process.env.TWO_FACTOR_ENCRYPTION_KEY ||
+        `${process.env.JWT_SECRET}:two_factor`
+    )
+    .digest();
+}
+
+function getChallengeSecret() {
+  return `${process.env.JWT_SECRET}:${CHALLENGE_PURPOSE}`;
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {String} secret - Base32 secret
+ * @returns {String} iv:authTag:ciphertext (hex)
+ */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted.toString('hex')}`;
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {String} payload - iv:authTag:ciphertext (hex)
+ * @returns {String} Base32 secret
+ */
+export function decryptSecret(payload) {
+  const [ivHex, authTagHex, encryptedHex] = payload.split(':');
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    getEncryptionKey(),
+    Buffer.from(ivHex, 'hex')
+  );
+  decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedHex, 'hex')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Normalize and hash a recovery code for storage and comparison
+ * @param {String} code - Recovery code as typed by the user
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes, hashes } - plain codes are shown to the user once
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const hex = crypto.randomBytes(8).toString('hex');
+    codes.push(hex.match(/.{4}/g).join('-'));
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Create the short-lived token that links the password step to the 2FA step
+ * @param {String} userId - User ID
+ * @param {String} loginMethod - How the first step was completed (recorded on the session)
+ */
+export function createTwoFactorChallenge(userId, loginMethod = 'password') {
+  return jwt.sign(
+    { _id: userId, purpose: CHALLENGE_PURPOSE, method: loginMethod },
+    getChallengeSecret(),
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify a login challenge token
+ * @param {String} token - Challenge token
+ * @returns {Object} { userId, loginMethod } on success or { error } on failure
+ */
+export function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+      return { error: 'Invalid two-factor session' };
+    }
+    return { userId: decoded._id, loginMethod: decoded.method || 'password' };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'Two-factor session has expired. Please log in again.' };
+    }
+    return { error: 'Invalid two-factor session' };
+  }
+}
+
+/**
+ * Load a user together with the 2FA fields that are hidden by default
+ * @param {String} userId - User ID
+ */
+export function findUserWithTwoFactorSecrets(userId) {
+  return User.findById(userId).select(
+    '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+  );
+}
+
+/**
+ * Check an authenticator code or recovery code for a user with 2FA enabled.
+ * Used recovery codes are consumed and TOTP codes can't be replayed.
+ * @param {Object} user - User loaded with findUserWithTwoFactorSecrets
+ * @param {String} code - Authenticator or recovery code
+ * @returns {Object} { valid, method }
+ */
+export async function verifySecondFactor(user, code) {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret || !code) {
+    return { valid: false };
+  }
+
+  const step = verifyTOTP(decryptSecret(user.twoFactor.secret), code);
+  if (step !== null) {
+    if (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep) {
+      return { valid: false };
+    }
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return { valid: true, method: 'totp' };
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const remaining = user.twoFactor.recoveryCodes || [];
+  if (remaining.includes(codeHash)) {
+    user.twoFactor.recoveryCodes = remaining.filter((hash) => hash !== codeHash);
+    await user.save();
+    return { valid: true, method: 'recovery_code' };
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Check whether a club admin satisfies the club's 2FA requirement
+ * @param {String} clubId - Club ID
+ * @param {String} userId - User ID
+ * @returns {Boolean} true when the club doesn't require 2FA or the user has it enabled
+ */
+export async function meetsClubTwoFactorPolicy(clubId, userId) {
+  const club = await Club.findById(clubId).select('requireAdminTwoFactor').lean();
+  if (!club?.requireAdminTwoFactor) {
+    return true;
+  }
+
+  const user = await User.findById(userId).select('twoFactor.enabled').lean();
+  return !!user?.twoFactor?.enabled;
+}
+
+export const CLUB_TWO_FACTOR_REQUIRED_MESSAGE =
+  'This club requires admins to enable two-factor authentication';
@@ -0,0 +1,49 @@
+/**
+ * Minimal user agent parsing for the active sessions list.
+ * Only needs to be good enough for a human to recognise their own devices.
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /OPR\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows NT/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Describe the device behind a user agent string
+ * @param {String} userAgent - Raw User-Agent header
+ * @returns {Object} { browser, os, deviceType, label }
+ */
+export function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(ua));
+  const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua));
+
+  let deviceType = 'unknown';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/.test(ua)) {
+    deviceType = 'mobile';
+  } else if (osMatch) {
+    deviceType = 'desktop';
+  }
+
+  const browser = browserMatch ? browserMatch[0] : null;
+  const os = osMatch ? osMatch[0] : null;
+  const label = [browser, os].filter(Boolean).join(' on ') || 'Unknown device';
+
+  return { browser, os, deviceType, label };
+}